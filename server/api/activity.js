@@ -0,0 +1,28 @@
+/**
+ * Venture activity feed
+ * Records what happens on a venture (task moves, edits, board settings) as readable entries.
+ */
+
+function displayName(user) {
+    if (!user) return 'Someone';
+    return `${user.first_name || ''} ${user.last_name || ''}`.trim() || user.email;
+}
+
+/**
+ * Add an entry to a venture's feed. `message` is shown as written; `data` keeps the
+ * structured details (ids, lanes) for clients that want them.
+ */
+async function recordVentureActivity(store, { ventureId, user, type, message, data = {} }) {
+    return store.addVentureActivity({
+        venture_id: ventureId,
+        user_id: user ? user.id : null,
+        type,
+        message,
+        data: JSON.stringify(data)
+    });
+}
+
+module.exports = {
+    displayName,
+    recordVentureActivity
+};
@@ -0,0 +1,33 @@
+/**
+ * Audit log
+ * Records who did what - venture changes, journey stages, signatures, subscriptions,
+ * sign-ins and role changes - in the append-only audit_log table.
+ */
+
+const SmartStartAudit = require('../../website/assets/js/audit');
+
+/**
+ * Append an event. `type` is '<category>.<action>' (for example 'venture.updated') and
+ * `summary` a short description shown in the activity feed; `data` keeps structured details.
+ */
+async function recordAuditEvent(store, req, { type, actor = null, ventureId = null, targetType = null, targetId = null, summary, data = {} }) {
+    const category = SmartStartAudit.categoryOf(type);
+    if (!SmartStartAudit.categoryValues().includes(category)) {
+        throw new Error(`Unknown audit event category: ${type}`);
+    }
+
+    return store.appendAuditEvent({
+        event_type: type,
+        category,
+        actor_id: actor ? actor.id : null,
+        venture_id: ventureId,
+        target_type: targetType,
+        target_id: targetId === null ? null : String(targetId),
+        summary,
+        data: JSON.stringify(data),
+        ip_address: req ? req.ip : null,
+        user_agent: req ? req.headers['user-agent'] || null : null
+    });
+}
+
+module.exports = { recordAuditEvent };
@@ -0,0 +1,34 @@
+/**
+ * Beta tests
+ * Invitations, sessions and feedback shared by the venture team's beta test routes and the
+ * testers' own routes. A tester is invited by email and gets a link carrying a random token;
+ * opening it signed in accepts the invitation, after which the tester sees their sessions and
+ * sends feedback, which lands in the team's inbox. The rules live in
+ * website/assets/js/beta-testing.js.
+ */
+
+const { siteOrigin } = require('./response');
+const SmartStartBetaTesting = require('../../website/assets/js/beta-testing');
+
+// The dashboard link a tester opens to accept their invitation
+function inviteUrl(req, tester) {
+    return `${siteOrigin(req)}/dashboard.html?betaInvite=${tester.token}`;
+}
+
+// Every feature the venture's test scripts cover, which open feedback may react to
+async function loadVentureFeatures(store, ventureId) {
+    const scripts = await store.getVentureBetaScripts(ventureId);
+    return SmartStartBetaTesting.normalizeList(scripts.flatMap(script => JSON.parse(script.features || '[]')));
+}
+
+// Feedback the Decision Gate counts: everything the team has not dismissed
+async function loadCountedFeedback(store, ventureId) {
+    const reviews = await store.getVentureFeedback(ventureId);
+    return reviews.filter(review => review.status !== 'dismissed');
+}
+
+module.exports = {
+    inviteUrl,
+    loadVentureFeatures,
+    loadCountedFeedback
+};
@@ -0,0 +1,172 @@
+/**
+ * Decision Gate scorecards
+ * A venture's scorecard is open while its team rates the criteria, and is scored live against
+ * the venture's data: beta feedback (feedback_reviews, less what its team dismissed), its
+ * task board, its team and its schedule. Recording the decision closes the scorecard and keeps the evaluation it was made
+ * on; a venture that reaches the gate again starts a new one. The criteria, weights and
+ * recommendation rules live in website/assets/js/decision-gate.js.
+ */
+
+const { ApiError } = require('./response');
+const { recordAuditEvent } = require('./audit');
+const { displayName, recordVentureActivity } = require('./activity');
+const { recordJourneyEvent } = require('./journey-events');
+const { loadVentureTemplate, loadVentureSchedule } = require('./pipeline');
+const { serializeDecisionScorecard } = require('./serializers');
+const { loadCountedFeedback } = require('./beta-testing');
+const SmartStartDecisionGate = require('../../website/assets/js/decision-gate');
+const SmartStartPipeline = require('../../website/assets/js/pipeline');
+const SmartStartBetaTesting = require('../../website/assets/js/beta-testing');
+
+/**
+ * What the venture's data says. Feature adoption is the figure its team entered on the
+ * scorecard, or else the share of positive feature reactions in its beta feedback.
+ */
+async function loadVentureMetrics(store, venture, scorecard = null) {
+    const template = await loadVentureTemplate(store, venture);
+    const reviews = await loadCountedFeedback(store, venture.id);
+    const tasks = await store.getVentureTasks(venture.id);
+    const members = (await store.getVentureCollaborations(venture.id))
+        .filter(collaboration => collaboration.status === 'active' && collaboration.user_id !== venture.founder_id);
+    const schedule = await loadVentureSchedule(store, venture, template);
+
+    return SmartStartDecisionGate.metrics({
+        reviews,
+        tasks: { done: tasks.filter(task => task.lane === 'done').length, total: tasks.length },
+        teamSize: 1 + new Set(members.map(member => member.user_id)).size,
+        slipDays: schedule.slipDays,
+        featureAdoption: scorecard && scorecard.feature_adoption !== null
+            ? scorecard.feature_adoption
+            : SmartStartBetaTesting.featureAdoption(reviews)
+    });
+}
+
+/**
+ * The venture's Decision Gate: its open scorecard (or, once decided, the latest one) with its
+ * evaluation, and every decision recorded so far, newest first.
+ */
+async function describeDecisionGate(store, venture) {
+    const template = await loadVentureTemplate(store, venture);
+    const scorecards = await store.getDecisionScorecards(venture.id);
+    const current = scorecards.find(scorecard => !scorecard.decision) || scorecards[0] || null;
+
+    let metrics;
+    let evaluation;
+    if (current && current.decision) {
+        ({ metrics, ...evaluation } = JSON.parse(current.evaluation));
+    } else {
+        metrics = await loadVentureMetrics(store, venture, current);
+        evaluation = SmartStartDecisionGate.evaluate(metrics, current ? JSON.parse(current.ratings) : {});
+    }
+
+    return {
+        ventureId: venture.id,
+        hasGate: SmartStartPipeline.isPipelineStage(SmartStartDecisionGate.STAGE, template),
+        atGate: venture.stage === SmartStartDecisionGate.STAGE,
+        scorecard: serializeDecisionScorecard(current),
+        metrics,
+        evaluation,
+        history: scorecards.filter(scorecard => scorecard.decision).map(serializeDecisionScorecard)
+    };
+}
+
+// The open scorecard, started the first time the team rates anything
+async function openScorecard(store, venture, user) {
+    const open = (await store.getDecisionScorecards(venture.id)).find(scorecard => !scorecard.decision);
+    return open || store.createDecisionScorecard({ venture_id: venture.id, ratings: '{}', created_by: user.id });
+}
+
+/**
+ * Update the team's ratings: `body` is { ratings?: { criterion: { rating, note } },
+ * featureAdoption? }. A null rating clears it, so the criterion falls back to the data.
+ */
+async function saveRatings(store, req, venture, body) {
+    const errors = SmartStartDecisionGate.validateRatings(body);
+    if (Object.keys(errors).length > 0) {
+        throw new ApiError(400, Object.values(errors)[0], { fields: errors });
+    }
+
+    const scorecard = await openScorecard(store, venture, req.user);
+    const ratings = JSON.parse(scorecard.ratings || '{}');
+    Object.entries(body.ratings || {}).forEach(([key, entry]) => {
+        const rating = entry ? entry.rating : null;
+        const note = entry && entry.note ? String(entry.note).trim() : '';
+        if ((rating === null || rating === undefined) && !note) {
+            delete ratings[key];
+        } else {
+            ratings[key] = { rating: rating === undefined ? null : rating, note, by: req.user.id };
+        }
+    });
+
+    const fields = { ratings: JSON.stringify(ratings) };
+    if (body.featureAdoption !== undefined) {
+        fields.feature_adoption = body.featureAdoption;
+    }
+    await store.updateDecisionScorecard(scorecard.id, fields);
+    return describeDecisionGate(store, venture);
+}
+
+/**
+ * Record the decision on the open scorecard: `body` is { decision, rationale }. The venture
+ * must be at its Decision Gate stage. The evaluation at that moment is kept with the decision.
+ */
+async function recordDecision(store, req, venture, body) {
+    const errors = SmartStartDecisionGate.validateDecision(body);
+    if (Object.keys(errors).length > 0) {
+        throw new ApiError(400, Object.values(errors)[0], { fields: errors });
+    }
+    if (venture.stage !== SmartStartDecisionGate.STAGE) {
+        throw new ApiError(409, 'Decisions are recorded once the venture reaches its Decision Gate stage');
+    }
+
+    const scorecard = await openScorecard(store, venture, req.user);
+    const metrics = await loadVentureMetrics(store, venture, scorecard);
+    const evaluation = SmartStartDecisionGate.evaluate(metrics, JSON.parse(scorecard.ratings || '{}'));
+    const rationale = String(body.rationale).trim();
+    const decided = await store.updateDecisionScorecard(scorecard.id, {
+        decision: body.decision,
+        rationale,
+        score: evaluation.score,
+        recommendation: evaluation.recommendation,
+        evaluation: JSON.stringify({ metrics, ...evaluation }),
+        decided_by: req.user.id,
+        decided_at: new Date().toISOString()
+    });
+
+    const label = SmartStartDecisionGate.decision(body.decision).label;
+    const againstRecommendation = body.decision !== evaluation.recommendation;
+    await recordJourneyEvent(store, {
+        ventureId: venture.id,
+        userId: req.user.id,
+        type: 'gate_decided',
+        stage: venture.stage,
+        data: { scorecardId: decided.id, decision: body.decision, recommendation: evaluation.recommendation, score: evaluation.score }
+    });
+    await recordAuditEvent(store, req, {
+        type: 'decision.recorded',
+        actor: req.user,
+        ventureId: venture.id,
+        targetType: 'decision_scorecard',
+        targetId: decided.id,
+        summary: `Decided to ${label.toLowerCase()} “${venture.name}”${againstRecommendation
+            ? ` against the ${SmartStartDecisionGate.decision(evaluation.recommendation).label.toLowerCase()} recommendation`
+            : ''}: ${rationale}`,
+        data: { decision: body.decision, recommendation: evaluation.recommendation, score: evaluation.score }
+    });
+    await recordVentureActivity(store, {
+        ventureId: venture.id,
+        user: req.user,
+        type: 'gate_decided',
+        message: `${displayName(req.user)} decided to ${label.toLowerCase()} the venture`,
+        data: { scorecardId: decided.id, decision: body.decision }
+    });
+
+    return describeDecisionGate(store, venture);
+}
+
+module.exports = {
+    loadVentureMetrics,
+    describeDecisionGate,
+    saveRatings,
+    recordDecision
+};
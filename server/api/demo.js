@@ -0,0 +1,349 @@
+/**
+ * Demo mode
+ *
+ * Enabled only by server configuration (DEMO_MODE=true). Demo sessions run against a sandbox:
+ * a separate in-memory database seeded with sample data, rebuilt on every start. Tokens issued
+ * for it carry a `demo` claim, and requests bearing one are routed to the sandbox, so a demo
+ * visitor can never read or change real accounts.
+ */
+
+const crypto = require('crypto');
+const { hashPassword } = require('./passwords');
+const { getBearerToken } = require('./middleware/auth');
+const { verifyToken, generateInviteToken } = require('./tokens');
+const { sendError } = require('./response');
+const { recordJourneyEvent } = require('./journey-events');
+const { openStage } = require('./pipeline');
+const { serializePipelineTemplate } = require('./serializers');
+const { SqliteStore } = require('../db/store');
+const SmartStartPipeline = require('../../website/assets/js/pipeline');
+const SmartStartBetaTesting = require('../../website/assets/js/beta-testing');
+const SmartStartEquity = require('../../website/assets/js/equity');
+const { MEMORY } = require('../db/connection');
+
+const DEMO_USER = {
+    email: 'demo@alicesolutions.com',
+    first_name: 'Demo',
+    last_name: 'User',
+    company: 'Demo Studio'
+};
+
+const SANDBOX_VENTURES = [
+    {
+        name: 'SmartStart Platform',
+        description: 'Building the next generation venture platform',
+        problem_statement: 'Early founders lack structure and a team to validate ideas quickly',
+        target_market: 'First-time founders',
+        status: 'development',
+        stage: 'mvp_build'
+    },
+    {
+        name: 'AI Assistant',
+        description: 'Intelligent assistant for entrepreneurs',
+        problem_statement: 'Founders spend hours on repetitive planning work',
+        target_market: 'Solo founders',
+        status: 'idea',
+        stage: 'problem_statement'
+    },
+    {
+        name: 'Invoice Autopilot',
+        description: 'Automated invoicing for freelancers',
+        problem_statement: 'Freelancers get paid late because invoicing is manual',
+        target_market: 'Freelancers and small agencies',
+        status: 'beta',
+        stage: 'beta_test'
+    }
+];
+
+// The beta test of the sandbox venture in that stage: testers who joined it, a test script,
+// and a completed session with structured feedback per tester
+const SANDBOX_TESTERS = [
+    { email: 'tester.ana@demo.smartstart', first_name: 'Ana', last_name: 'Tester' },
+    { email: 'tester.ben@demo.smartstart', first_name: 'Ben', last_name: 'Tester' },
+    { email: 'tester.chloe@demo.smartstart', first_name: 'Chloe', last_name: 'Tester' }
+];
+
+const SANDBOX_SCRIPT = {
+    title: 'First invoice',
+    instructions: 'Sign up as a freelancer and bill your last client.',
+    steps: ['Create an account', 'Add a client', 'Send an invoice', 'Set up a payment reminder'],
+    features: ['Invoice editor', 'Payment reminders', 'Tax settings']
+};
+
+const SANDBOX_FEEDBACK = [
+    {
+        tester: 0, rating: 5, ratings: { ease: 5, usefulness: 5 }, type: 'praise', text: 'Sent my first invoice in two minutes',
+        reactions: { 'Invoice editor': 'love', 'Payment reminders': 'like', 'Tax settings': 'neutral' }, tags: ['onboarding'], status: 'triaged'
+    },
+    {
+        tester: 1, rating: 4, ratings: { ease: 4, usefulness: 5 }, type: 'praise', text: 'Reminders got a client to pay on time',
+        reactions: { 'Invoice editor': 'like', 'Payment reminders': 'love' }, tags: [], status: 'new'
+    },
+    {
+        tester: 2, rating: 3, ratings: { ease: 2 }, type: 'usability', text: 'The tax settings were confusing',
+        reactions: { 'Invoice editor': 'like', 'Tax settings': 'confused' }, tags: ['tax'], status: 'triaged'
+    },
+    {
+        tester: 0, rating: 4, ratings: {}, type: 'feature_request', text: 'Would love recurring invoices',
+        reactions: {}, tags: ['invoicing'], status: 'new'
+    },
+    {
+        tester: 2, rating: 2, ratings: { ease: 2 }, type: 'bug', text: 'The invoice editor froze when I added a discount line',
+        reactions: { 'Invoice editor': 'broken' }, tags: [], status: 'new'
+    }
+];
+// Tasks on the first sandbox venture's board, one per lane
+const SANDBOX_TASKS = [
+    { title: 'Interview five early founders', lane: 'done', labels: ['research'] },
+    { title: 'Build the onboarding checklist', lane: 'doing', labels: ['ux'] },
+    { title: 'Draft pricing page copy', lane: 'review', labels: ['marketing'] },
+    { title: 'Set up usage analytics', lane: 'backlog', labels: ['data'] }
+];
+
+// The first sandbox venture's team: a teammate who joined, and an invitation link nobody used yet
+const SANDBOX_TEAMMATE = { email: 'sam.engineer@demo.smartstart', first_name: 'Sam', last_name: 'Engineer' };
+
+// The first sandbox venture's cap table: the initial allocation, then a grant to the teammate
+const SANDBOX_EQUITY_GRANT = { stake: 5, note: 'Engineering lead grant', daysAgo: 14 };
+const SANDBOX_EQUITY_ISSUED_DAYS_AGO = 42;
+
+function isDemoModeEnabled(value = process.env.DEMO_MODE) {
+    return ['1', 'true', 'yes'].includes(String(value || '').toLowerCase());
+}
+
+// Fill a fresh store with the demo founder and their ventures
+async function seedSandbox(store) {
+    const user = await store.createUser({
+        ...DEMO_USER,
+        // Demo sessions come from POST /api/demo/session; nobody signs in with a password
+        password_hash: await hashPassword(crypto.randomBytes(32).toString('hex'))
+    });
+    await store.saveUserProfile(user.id, { bio: 'Exploring SmartStart in demo mode' });
+
+    const template = await store.getPipelineTemplateVersion(SmartStartPipeline.DEFAULT_TEMPLATE_KEY);
+    for (const [index, ventureData] of SANDBOX_VENTURES.entries()) {
+        const venture = await store.createVenture({
+            ...ventureData,
+            progress_percentage: SmartStartPipeline.progressFor(ventureData.stage),
+            pipeline_template_id: template.id,
+            founder_id: user.id
+        });
+        if (index === 0) {
+            const teammate = await seedTeam(store, venture, user);
+            await seedCapTable(store, venture, user, teammate);
+            for (const task of SANDBOX_TASKS) {
+                await store.createTask({
+                    ...task,
+                    labels: JSON.stringify(task.labels),
+                    venture_id: venture.id,
+                    position: 0,
+                    assignee_id: user.id,
+                    created_by: user.id,
+                    completed_at: task.lane === 'done' ? new Date().toISOString() : null
+                });
+            }
+        }
+        if (venture.stage === 'beta_test') {
+            await seedFeedback(store, venture, user);
+        }
+        // The stages before the venture's current one are already behind it
+        await recordJourneyEvent(store, {
+            ventureId: venture.id,
+            userId: user.id,
+            type: 'pipeline_started',
+            stage: SmartStartPipeline.stageValues()[0],
+            data: { template: { key: template.template_key, version: template.version } }
+        });
+        const completedStages = SmartStartPipeline.stageValues().slice(0, SmartStartPipeline.indexOf(venture.stage));
+        for (const stage of completedStages) {
+            const journey = await store.createUserJourney({
+                user_id: user.id,
+                venture_id: venture.id,
+                stage,
+                stage_data: JSON.stringify({}),
+                pipeline_template_id: template.id,
+                completed_at: new Date().toISOString()
+            });
+            await recordJourneyEvent(store, {
+                ventureId: venture.id,
+                userId: user.id,
+                type: 'stage_completed',
+                stage,
+                data: { journeyId: journey.id, nextStage: SmartStartPipeline.nextStage(stage) }
+            });
+        }
+        // ...and the current one is open, with the milestones its checklist shows
+        await openStage(store, venture, serializePipelineTemplate(template), user.id);
+    }
+    return user;
+}
+
+async function seedTeam(store, venture, founder) {
+    const teammate = await store.createUser({
+        ...SANDBOX_TEAMMATE,
+        password_hash: await hashPassword(crypto.randomBytes(32).toString('hex'))
+    });
+    await store.createCollaboration({
+        venture_id: venture.id,
+        user_id: teammate.id,
+        role: 'engineer',
+        status: 'active',
+        token: generateInviteToken(),
+        invited_by: founder.id,
+        joined_at: new Date().toISOString()
+    });
+    await store.createCollaboration({
+        venture_id: venture.id,
+        role: 'designer',
+        status: 'invited',
+        token: generateInviteToken(),
+        invited_by: founder.id
+    });
+    return teammate;
+}
+
+async function seedCapTable(store, venture, founder, teammate) {
+    const founderKey = SmartStartEquity.userKey(founder.id);
+    const issued = SmartStartEquity.initialStakes(founderKey);
+    const granted = SmartStartEquity.apply(issued, [
+        { holder: SmartStartEquity.userKey(teammate.id), stake: SANDBOX_EQUITY_GRANT.stake },
+        { holder: founderKey, stake: issued[founderKey] - SANDBOX_EQUITY_GRANT.stake }
+    ]);
+    const names = {
+        [SmartStartEquity.STUDIO_KEY]: SmartStartEquity.STUDIO_NAME,
+        [founderKey]: `${founder.first_name} ${founder.last_name}`,
+        [SmartStartEquity.userKey(teammate.id)]: `${teammate.first_name} ${teammate.last_name}`
+    };
+    const transactions = [
+        { type: 'issue', daysAgo: SANDBOX_EQUITY_ISSUED_DAYS_AGO, note: null, before: null, after: issued },
+        { type: 'grant', daysAgo: SANDBOX_EQUITY_GRANT.daysAgo, note: SANDBOX_EQUITY_GRANT.note, before: issued, after: granted }
+    ];
+    for (const transaction of transactions) {
+        const changes = SmartStartEquity.changesBetween(transaction.before, transaction.after)
+            .map(change => ({ ...change, name: names[change.holder] }));
+        const memberStakes = {};
+        Object.entries(transaction.after).forEach(([key, stake]) => {
+            const userId = SmartStartEquity.userIdOf(key);
+            if (userId !== null) memberStakes[userId] = stake;
+        });
+        await store.recordEquityTransaction({
+            venture_id: venture.id,
+            type: transaction.type,
+            effective_date: new Date(Date.now() - transaction.daysAgo * 86400000).toISOString().slice(0, 10),
+            note: transaction.note,
+            changes: JSON.stringify(changes),
+            stakes: JSON.stringify(transaction.after),
+            created_by: founder.id
+        }, memberStakes);
+    }
+}
+
+async function seedFeedback(store, venture, founder) {
+    const script = await store.createBetaScript({
+        ...SANDBOX_SCRIPT,
+        steps: JSON.stringify(SANDBOX_SCRIPT.steps),
+        features: JSON.stringify(SANDBOX_SCRIPT.features),
+        venture_id: venture.id,
+        created_by: founder.id
+    });
+
+    const testers = [];
+    for (const testerData of SANDBOX_TESTERS) {
+        const user = await store.createUser({
+            ...testerData,
+            password_hash: await hashPassword(crypto.randomBytes(32).toString('hex'))
+        });
+        const tester = await store.createBetaTester({
+            venture_id: venture.id,
+            email: user.email,
+            name: `${user.first_name} ${user.last_name}`,
+            user_id: user.id,
+            token: generateInviteToken(),
+            status: 'accepted',
+            invited_by: founder.id,
+            responded_at: new Date().toISOString()
+        });
+        testers.push({ user, tester });
+    }
+
+    for (const [index, feedback] of SANDBOX_FEEDBACK.entries()) {
+        const { user, tester } = testers[feedback.tester];
+        const reactions = {};
+        Object.entries(feedback.reactions).forEach(([feature, reaction]) => {
+            reactions[feature] = { reaction, comment: '' };
+        });
+        // Each tester's first feedback came from a session; later ones were sent on their own
+        const session = SANDBOX_FEEDBACK.findIndex(item => item.tester === feedback.tester) === index
+            ? await store.createBetaSession({
+                venture_id: venture.id,
+                tester_id: tester.id,
+                script_id: script.id,
+                scheduled_at: new Date(Date.now() - (index + 1) * 86400000).toISOString(),
+                duration_minutes: SmartStartBetaTesting.DEFAULT_SESSION_MINUTES,
+                location: 'Video call',
+                status: 'completed',
+                created_by: founder.id
+            })
+            : null;
+        await store.createFeedbackReview({
+            venture_id: venture.id,
+            reviewer_id: user.id,
+            tester_id: tester.id,
+            session_id: session ? session.id : null,
+            rating: feedback.rating,
+            ratings: JSON.stringify(feedback.ratings),
+            feature_reactions: JSON.stringify(reactions),
+            feedback_type: feedback.type,
+            feedback_text: feedback.text,
+            tags: JSON.stringify(feedback.tags),
+            priority: SmartStartBetaTesting.suggestPriority({ rating: feedback.rating, type: feedback.type, reactions }),
+            status: feedback.status
+        });
+    }
+
+    // One more session, coming up next week
+    await store.createBetaSession({
+        venture_id: venture.id,
+        tester_id: testers[1].tester.id,
+        script_id: script.id,
+        scheduled_at: new Date(Date.now() + 7 * 86400000).toISOString(),
+        duration_minutes: SmartStartBetaTesting.DEFAULT_SESSION_MINUTES,
+        location: 'Video call',
+        status: 'scheduled',
+        created_by: founder.id
+    });
+}
+
+// The sandbox seeds itself in the background; demo sign-ins answer 503 until it is ready
+function createSandboxStore() {
+    const store = new SqliteStore({ filename: MEMORY });
+    seedSandbox(store).catch((error) => console.error('Failed to seed the demo sandbox:', error));
+    return store;
+}
+
+/**
+ * Send requests that carry a demo token (as the bearer or as a refreshToken) to the
+ * sandbox routes. Anything the sandbox does not handle ends there with a 404.
+ */
+function routeSandboxRequests(sandboxRoutes, secret) {
+    return (req, res, next) => {
+        const token = getBearerToken(req) || (req.body && req.body.refreshToken);
+        const payload = verifyToken(token, secret);
+        if (!payload || payload.demo !== true) {
+            return next();
+        }
+
+        sandboxRoutes(req, res, (error) => {
+            if (error) return next(error);
+            sendError(res, 404, `API endpoint not found: ${req.method} ${req.originalUrl}`);
+        });
+    };
+}
+
+module.exports = {
+    DEMO_USER,
+    isDemoModeEnabled,
+    seedSandbox,
+    createSandboxStore,
+    routeSandboxRequests
+};
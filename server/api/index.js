@@ -0,0 +1,103 @@
+/**
+ * SmartStart REST API
+ * Express router implementing the endpoints used by the website clients
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { ApiError, sendError } = require('./response');
+const { requireAuth } = require('./middleware/auth');
+const { isDemoModeEnabled, createSandboxStore, routeSandboxRequests } = require('./demo');
+const { SqliteStore } = require('../db/store');
+const { createConfigRoutes } = require('./routes/config');
+const { createDemoRoutes } = require('./routes/demo');
+const { createAuthRoutes } = require('./routes/auth');
+const { createUserRoutes } = require('./routes/users');
+const { createVentureRoutes } = require('./routes/ventures');
+const { createJourneyRoutes } = require('./routes/journeys');
+const { createLegalRoutes } = require('./routes/legal');
+const { createBillingRoutes } = require('./routes/billing');
+const { createStatsRoutes } = require('./routes/stats');
+const { createAuditRoutes } = require('./routes/audit');
+const { createPipelineTemplateRoutes } = require('./routes/pipeline-templates');
+const { createCalendarRoutes } = require('./routes/calendar');
+const { createBetaRoutes } = require('./routes/beta');
+const { createTeamInvitationRoutes } = require('./routes/team-invitations');
+
+// The data endpoints, all served from one store
+function createDataRoutes(store, sessionSecret) {
+    const router = express.Router();
+    const authenticated = requireAuth(store, sessionSecret);
+
+    router.use('/auth', createAuthRoutes(store, { sessionSecret }));
+    router.use('/users', authenticated, createUserRoutes(store));
+    router.use('/ventures', authenticated, createVentureRoutes(store));
+    router.use('/journeys', authenticated, createJourneyRoutes(store));
+    router.use('/legal', authenticated, createLegalRoutes(store));
+    router.use('/billing', authenticated, createBillingRoutes(store));
+    router.use('/stats', authenticated, createStatsRoutes(store));
+    router.use('/audit', authenticated, createAuditRoutes(store));
+    router.use('/pipeline-templates', authenticated, createPipelineTemplateRoutes(store));
+    router.use('/beta', authenticated, createBetaRoutes(store));
+    router.use('/team', authenticated, createTeamInvitationRoutes(store));
+    // Subscription feeds are fetched by calendar apps, which cannot sign in
+    router.use('/calendar', createCalendarRoutes(store, { authenticated }));
+
+    return router;
+}
+
+/**
+ * @param {Object} options
+ * @param {SqliteStore} [options.store] - data store, defaults to a SQLite file at databasePath
+ * @param {string} [options.databasePath] - SQLite file for the default store
+ * @param {string} [options.sessionSecret] - key that signs bearer tokens, defaults to SESSION_SECRET
+ * @param {boolean} [options.demoMode] - serve demo sessions from a sandbox, defaults to DEMO_MODE
+ */
+function createApiRouter(options = {}) {
+    const store = options.store || new SqliteStore({ filename: options.databasePath });
+    const sessionSecret = options.sessionSecret || process.env.SESSION_SECRET || generateSessionSecret();
+    const demoMode = options.demoMode !== undefined ? options.demoMode : isDemoModeEnabled();
+    const router = express.Router();
+
+    router.use(express.json({ limit: '1mb' }));
+
+    router.get('/health', (req, res) => {
+        res.json({ success: true, data: { status: 'ok' } });
+    });
+
+    router.use('/config', createConfigRoutes({ demoMode }));
+
+    // Demo sessions never reach the real store: their tokens route them to the sandbox
+    if (demoMode) {
+        const sandboxStore = createSandboxStore();
+        router.use('/demo', createDemoRoutes(sandboxStore, { sessionSecret }));
+        router.use(routeSandboxRequests(createDataRoutes(sandboxStore, sessionSecret), sessionSecret));
+    }
+
+    router.use(createDataRoutes(store, sessionSecret));
+
+    router.use((req, res) => {
+        sendError(res, 404, `API endpoint not found: ${req.method} ${req.originalUrl}`);
+    });
+
+    router.use((err, req, res, next) => {
+        if (err instanceof ApiError) {
+            return sendError(res, err.status, err.message, err.details);
+        }
+        if (err.type === 'entity.parse.failed') {
+            return sendError(res, 400, 'Malformed JSON body');
+        }
+        console.error('API error:', err);
+        sendError(res, 500, process.env.NODE_ENV === 'development' ? err.message : 'Internal server error');
+    });
+
+    return router;
+}
+
+// Without a configured secret, tokens stop verifying when the process restarts
+function generateSessionSecret() {
+    console.warn('SESSION_SECRET is not set; signed-in sessions will end when the server restarts');
+    return crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = { createApiRouter };
@@ -0,0 +1,87 @@
+/**
+ * Journey events
+ * Every transition of a venture's pipeline is appended to its journey stream; journeys without
+ * a venture go to their user's stream. Current state is read from a snapshot with any newer
+ * events replayed on top (SmartStartJourneyEvents), so it never depends on row order.
+ */
+
+const SmartStartJourneyEvents = require('../../website/assets/js/journey-events');
+
+function journeyStream(userId, ventureId) {
+    return SmartStartJourneyEvents.streamKey(userId, ventureId);
+}
+
+function parseEvent(row) {
+    return { ...row, data: row.data ? JSON.parse(row.data) : {} };
+}
+
+/**
+ * Append an event. `userId` is whoever caused it (null for automatic changes); a venture's
+ * events go to the venture's stream whoever caused them.
+ */
+async function recordJourneyEvent(store, { ventureId = null, userId = null, type, stage = null, data = {} }) {
+    const row = await store.appendJourneyEvent({
+        stream: journeyStream(userId, ventureId),
+        venture_id: ventureId,
+        user_id: userId,
+        event_type: type,
+        stage,
+        data: JSON.stringify(data)
+    });
+    return parseEvent(row);
+}
+
+async function loadJourneyEvents(store, stream, options = {}) {
+    return (await store.getJourneyEvents(stream, options)).map(parseEvent);
+}
+
+/**
+ * The state of a stream, bringing its snapshot up to date. With `at` (a sequence number), the
+ * state right after that event, replayed from the start and not saved.
+ */
+async function loadJourneyState(store, stream, { at } = {}) {
+    if (at !== undefined) {
+        return SmartStartJourneyEvents.replay(await loadJourneyEvents(store, stream), { until: at });
+    }
+
+    const snapshot = await store.getJourneySnapshot(stream);
+    const from = snapshot ? JSON.parse(snapshot.state) : SmartStartJourneyEvents.initialState();
+    const newer = await loadJourneyEvents(store, stream, { after: from.sequence });
+    if (newer.length === 0) return from;
+
+    const state = SmartStartJourneyEvents.replay(newer, { from });
+    await saveSnapshot(store, stream, newer[newer.length - 1], state);
+    return state;
+}
+
+// Snapshots name the venture, or the user for a user's own stream
+function saveSnapshot(store, stream, latest, state) {
+    return store.saveJourneySnapshot({
+        stream,
+        venture_id: latest.venture_id,
+        user_id: latest.venture_id === null ? latest.user_id : null,
+        sequence: state.sequence,
+        state: JSON.stringify(state)
+    });
+}
+
+// Replay a stream from its first event and replace the snapshot; resolves with { state, changed }
+async function rebuildJourneyState(store, stream) {
+    const events = await loadJourneyEvents(store, stream);
+    const snapshot = await store.getJourneySnapshot(stream);
+    const state = SmartStartJourneyEvents.replay(events);
+    const changed = !snapshot || snapshot.state !== JSON.stringify(state);
+    if (changed && events.length > 0) {
+        await saveSnapshot(store, stream, events[events.length - 1], state);
+    }
+    return { state, changed };
+}
+
+module.exports = {
+    journeyStream,
+    parseEvent,
+    recordJourneyEvent,
+    loadJourneyEvents,
+    loadJourneyState,
+    rebuildJourneyState
+};
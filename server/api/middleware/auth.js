@@ -0,0 +1,119 @@
+/**
+ * Authentication middleware for the SmartStart API
+ *
+ * Sign-in issues a pair of signed tokens (see ../tokens.js) that both name a row in the
+ * sessions table: a short-lived access token sent as the bearer token, and a refresh token
+ * that trades itself for a new pair. Deleting the row revokes both before they expire.
+ */
+
+const crypto = require('crypto');
+const { sendError } = require('../response');
+const { signToken, verifyToken } = require('../tokens');
+
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+function toSeconds(date) {
+    return Math.floor(date.getTime() / 1000);
+}
+
+/**
+ * Start a session and return its tokens:
+ * { sessionId, token, expiresAt, refreshToken, refreshExpiresAt, ...claims }
+ * Extra claims (such as demo: true) are signed into both tokens and carried over on refresh.
+ */
+async function issueSession(store, userId, secret, claims = {}) {
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const accessExpires = new Date(Date.now() + ACCESS_TOKEN_TTL_MS);
+    const refreshExpires = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+    await store.createSession(sessionId, userId, refreshExpires.toISOString());
+
+    return {
+        sessionId,
+        token: signToken({ ...claims, typ: 'access', sid: sessionId, sub: userId, exp: toSeconds(accessExpires) }, secret),
+        expiresAt: accessExpires.toISOString(),
+        refreshToken: signToken({ ...claims, typ: 'refresh', sid: sessionId, sub: userId, exp: toSeconds(refreshExpires) }, secret),
+        refreshExpiresAt: refreshExpires.toISOString(),
+        ...claims
+    };
+}
+
+/**
+ * Resolve a token of the given type ('access' or 'refresh') to its live session and user.
+ * Returns null for expired, tampered or revoked tokens.
+ */
+async function resolveSession(store, token, secret, type = 'access') {
+    const payload = verifyToken(token, secret);
+    if (!payload || payload.typ !== type) return null;
+
+    const session = await store.getSession(payload.sid);
+    if (!session || session.user_id !== payload.sub) return null;
+
+    if (new Date(session.expires_at) < new Date()) {
+        await store.deleteSession(payload.sid);
+        return null;
+    }
+
+    const user = await store.getUserById(session.user_id);
+    if (!user || !user.is_active) return null;
+
+    return { session, user, payload };
+}
+
+// Exchange a refresh token for a new pair; the old session ends so each refresh token works once
+async function refreshSession(store, refreshToken, secret) {
+    const resolved = await resolveSession(store, refreshToken, secret, 'refresh');
+    if (!resolved) return null;
+
+    const { typ, sid, sub, exp, ...claims } = resolved.payload;
+    await store.deleteSession(sid);
+    return { user: resolved.user, ...(await issueSession(store, resolved.user.id, secret, claims)) };
+}
+
+// End the session named by any valid token, access or refresh
+async function revokeSession(store, token, secret) {
+    const payload = verifyToken(token, secret);
+    if (!payload) return false;
+
+    await store.deleteSession(payload.sid);
+    return true;
+}
+
+/**
+ * Reject the request unless it carries a valid bearer access token.
+ * On success the authenticated user is available as req.user.
+ */
+function requireAuth(store, secret) {
+    return async (req, res, next) => {
+        try {
+            const token = getBearerToken(req);
+            const resolved = await resolveSession(store, token, secret);
+            if (!resolved) {
+                return sendError(res, 401, 'Authentication required');
+            }
+
+            req.user = resolved.user;
+            req.session = resolved.session;
+            req.sessionToken = token;
+            req.tokenExpiresAt = new Date(resolved.payload.exp * 1000).toISOString();
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = {
+    getBearerToken,
+    issueSession,
+    resolveSession,
+    refreshSession,
+    revokeSession,
+    requireAuth
+};
@@ -0,0 +1,22 @@
+/**
+ * Role-based permission checks for the SmartStart API
+ * Roles and their permissions are defined once in website/assets/js/roles.js.
+ */
+
+const SmartStartRoles = require('../../../website/assets/js/roles');
+const { sendError } = require('../response');
+
+/**
+ * Reject the request with 403 unless req.user's role grants `permission`.
+ * Mount after requireAuth.
+ */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!SmartStartRoles.can(req.user, permission)) {
+            return sendError(res, 403, 'You do not have permission to perform this action');
+        }
+        next();
+    };
+}
+
+module.exports = { requirePermission };
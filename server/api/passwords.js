@@ -0,0 +1,74 @@
+/**
+ * Password hashing for the SmartStart API
+ *
+ * New hashes use scrypt and are self-describing PHC-style strings:
+ *   $scrypt$ln=15,r=8,p=1$<salt base64>$<hash base64>
+ * PBKDF2 hashes written by the browser storage adapters (website/database/passwords.js)
+ * verify too. verifyPassword reports needsRehash so callers can upgrade old hashes on login.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const SmartStartPasswords = require('../../website/database/passwords');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { ln: 15, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+// Checked when there is no account to check against, so unknown emails take as long as wrong passwords
+const DUMMY_HASH = '$scrypt$ln=15,r=8,p=1$+Bbc2kGcmUFyfm3oIxVpUA==$dXAu38iv8+2+Is2tGBnWMCEMxMNWdUV2/RJIGLQKCLYXqZN+LqM2WlIGvhIVMsF0M7g4Qqo1jUU+oigrAiv6Ig==';
+
+function scryptOptions(params) {
+    const N = 2 ** params.ln;
+    // scrypt needs 128 * N * r bytes; leave headroom above Node's 32 MiB default
+    return { N, r: params.r, p: params.p, maxmem: 256 * N * params.r };
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const hash = await scrypt(String(password), salt, KEY_BYTES, scryptOptions(SCRYPT_PARAMS));
+    const { ln, r, p } = SCRYPT_PARAMS;
+    return `$scrypt$ln=${ln},r=${r},p=${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function isWeakerThanCurrent(params) {
+    return params.ln < SCRYPT_PARAMS.ln || params.r < SCRYPT_PARAMS.r || params.p < SCRYPT_PARAMS.p;
+}
+
+/**
+ * Check a password against a stored hash.
+ * Resolves with { valid, needsRehash }. Pass a null hash for an unknown account: the
+ * password is still checked, against DUMMY_HASH, and never valid.
+ */
+async function verifyPassword(password, storedHash) {
+    if (storedHash === null || storedHash === undefined) {
+        await verifyPassword(password, DUMMY_HASH);
+        return { valid: false, needsRehash: false };
+    }
+
+    const candidate = String(password || '');
+    const parsed = SmartStartPasswords.parse(storedHash);
+
+    if (parsed && parsed.algorithm === 'scrypt') {
+        const expected = Buffer.from(parsed.hash, 'base64');
+        const actual = await scrypt(candidate, Buffer.from(parsed.salt, 'base64'), expected.length, scryptOptions(parsed.params));
+        return {
+            valid: crypto.timingSafeEqual(expected, actual),
+            needsRehash: isWeakerThanCurrent(parsed.params)
+        };
+    }
+
+    if (parsed && parsed.algorithm === SmartStartPasswords.ALGORITHM) {
+        const result = await SmartStartPasswords.verifyPassword(candidate, storedHash);
+        return { valid: result.valid, needsRehash: true };
+    }
+
+    return { valid: false, needsRehash: false };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,433 @@
+/**
+ * Venture pipelines
+ * Each venture runs its own pipeline, defined by the pipeline template version it was created
+ * with. The venture's `stage` column is its current stage; journey entries record when each
+ * stage was completed, by whom, and under which template version.
+ *
+ * The current stage has an open journey entry carrying the milestones its template stage
+ * requires. The stage cannot be completed while any of them is unmet, unless an admin
+ * overrides the gate and gives a reason.
+ *
+ * Every transition - a stage opened, a milestone met or reopened, a stage completed - is also
+ * appended to the venture's journey event stream (journey-events.js).
+ *
+ * Each stage is due a number of working days after the previous one (schedule.js). A pipeline
+ * can be paused, which stops its deadlines running; stages cannot be completed until it is
+ * resumed.
+ */
+
+const { ApiError } = require('./response');
+const { recordAuditEvent } = require('./audit');
+const { displayName, recordVentureActivity } = require('./activity');
+const { journeyStream, recordJourneyEvent, loadJourneyState } = require('./journey-events');
+const { serializeMilestone, serializePipelineTemplate } = require('./serializers');
+const SmartStartPipeline = require('../../website/assets/js/pipeline');
+const SmartStartRoles = require('../../website/assets/js/roles');
+const SmartStartSchedule = require('../../website/assets/js/schedule');
+const SmartStartCalendar = require('../../website/assets/js/calendar');
+
+/**
+ * The template version a venture runs. Ventures created before templates existed run the
+ * latest version of the default template.
+ */
+function getTemplateRow(store, templateId) {
+    return templateId
+        ? store.getPipelineTemplate(templateId)
+        : store.getPipelineTemplateVersion(SmartStartPipeline.DEFAULT_TEMPLATE_KEY);
+}
+
+async function loadVentureTemplate(store, venture) {
+    return serializePipelineTemplate(await getTemplateRow(store, venture.pipeline_template_id));
+}
+
+// Template rows by id for a list of ventures, loading each template once
+async function loadVentureTemplates(store, ventures) {
+    const templates = new Map();
+    for (const venture of ventures) {
+        if (!templates.has(venture.pipeline_template_id)) {
+            templates.set(venture.pipeline_template_id, await getTemplateRow(store, venture.pipeline_template_id));
+        }
+    }
+    return templates;
+}
+
+/**
+ * The open journey entry of the venture's current stage, created with the stage's milestones
+ * when the venture enters the stage (creating it, completing or moving to a stage). Automatic
+ * milestones that are already met are recorded right away. Null once the pipeline is complete.
+ * `actorId` is the user whose action opened the stage, if any.
+ */
+async function openStage(store, venture, template, actorId = null) {
+    const step = SmartStartPipeline.stageInfo(venture.stage, template);
+    if (!step) return null;
+
+    const existing = await store.getOpenStageJourney(venture.id, venture.stage);
+    if (existing) return existing;
+
+    const journey = await store.openStageJourney({
+        user_id: venture.founder_id,
+        venture_id: venture.id,
+        stage: venture.stage,
+        stage_data: '{}',
+        pipeline_template_id: template.id
+    }, (step.milestones || []).map(milestone => ({
+        milestone_type: milestone.type,
+        title: milestone.title,
+        requirement: JSON.stringify(milestone)
+    })));
+    const milestones = await store.getJourneyMilestones(journey.id);
+    await recordJourneyEvent(store, {
+        ventureId: venture.id,
+        userId: actorId,
+        type: 'stage_opened',
+        stage: venture.stage,
+        data: {
+            journeyId: journey.id,
+            milestones: milestones.map(milestone => ({ id: milestone.id, title: milestone.title }))
+        }
+    });
+    await refreshMilestones(store, venture, journey);
+    return journey;
+}
+
+// Record a milestone being met or reopened; automatic changes have no user
+function recordMilestoneEvent(store, venture, milestone, completed, userId = null) {
+    return recordJourneyEvent(store, {
+        ventureId: venture.id,
+        userId,
+        type: completed ? 'milestone_completed' : 'milestone_reopened',
+        stage: venture.stage,
+        data: { milestoneId: milestone.id, title: milestone.title }
+    });
+}
+
+/**
+ * Whether each milestone row is met now, as [{ milestone, met }]: automatic ones are checked
+ * (a problem statement milestone is met while the venture has one, a signature milestone once
+ * its founder signed), the others are as recorded. Changes nothing.
+ */
+async function checkMilestones(store, venture, milestones) {
+    let signedDocuments = null;
+
+    const checked = [];
+    for (const milestone of milestones) {
+        let met = Boolean(milestone.completed);
+        if (milestone.milestone_type === 'problem_statement') {
+            met = Boolean(String(venture.problem_statement || '').trim());
+        } else if (milestone.milestone_type === 'document_signed') {
+            if (!signedDocuments) {
+                const signatures = await store.getUserSignatures(venture.founder_id);
+                signedDocuments = new Set(signatures.map(signature => signature.document_id));
+            }
+            met = signedDocuments.has(JSON.parse(milestone.requirement || '{}').documentId);
+        }
+        checked.push({ milestone, met });
+    }
+    return checked;
+}
+
+// Milestone rows of an open stage with automatic ones brought up to date and recorded
+async function refreshMilestones(store, venture, journey) {
+    const refreshed = [];
+    for (const { milestone, met } of await checkMilestones(store, venture, await store.getJourneyMilestones(journey.id))) {
+        if (met === Boolean(milestone.completed)) {
+            refreshed.push(milestone);
+            continue;
+        }
+        refreshed.push(await store.updateJourneyMilestone(milestone.id, {
+            completed: met ? 1 : 0,
+            completed_at: met ? new Date().toISOString() : null
+        }));
+        await recordMilestoneEvent(store, venture, milestone, met);
+    }
+    return refreshed;
+}
+
+/**
+ * Record the automatic milestones of the venture's open stage that changed, after what they
+ * depend on did (the venture's problem statement, its founder's signatures)
+ */
+async function refreshStageMilestones(store, venture) {
+    const journey = await store.getOpenStageJourney(venture.id, venture.stage);
+    if (journey) await refreshMilestones(store, venture, journey);
+}
+
+/**
+ * The milestones of the venture's current stage, serialized; empty once the pipeline is
+ * complete. Only reads: stages are opened when the venture enters them, and automatic
+ * milestones show whether they are met now.
+ */
+async function loadStageMilestones(store, venture) {
+    const journey = await store.getOpenStageJourney(venture.id, venture.stage);
+    if (!journey) return [];
+    return (await checkMilestones(store, venture, await store.getJourneyMilestones(journey.id)))
+        .map(({ milestone, met }) => serializeMilestone(met === Boolean(milestone.completed)
+            ? milestone
+            : { ...milestone, completed: met ? 1 : 0, completed_at: null }));
+}
+
+/**
+ * What completing a stage with unmet milestones requires: an override by an admin, with a
+ * reason. Returns what is stored with the journey entry.
+ */
+function checkOverride(req, override, unmet) {
+    const titles = unmet.map(milestone => milestone.title);
+    if (!override) {
+        throw new ApiError(409, `Meet the stage milestones first: ${titles.join(', ')}`, {
+            milestones: unmet.map(serializeMilestone)
+        });
+    }
+    if (!SmartStartRoles.can(req.user, 'pipelines:override')) {
+        throw new ApiError(403, 'Only admins can complete a stage whose milestones are not met');
+    }
+
+    const reason = String(override.reason || '').trim();
+    const { OVERRIDE_REASON_MIN_LENGTH: minLength, OVERRIDE_REASON_MAX_LENGTH: maxLength } = SmartStartPipeline;
+    if (reason.length < minLength || reason.length > maxLength) {
+        const message = `Give a reason of ${minLength} to ${maxLength} characters for the override`;
+        throw new ApiError(400, message, { fields: { reason: message } });
+    }
+    return { reason, by: req.user.id, unmetMilestones: titles };
+}
+
+/**
+ * The pipeline of one venture: every stage marked completed, current or upcoming, with the
+ * time its most recent completion was recorded. The current stage lists its milestones.
+ */
+function describePipeline(venture, journeys, template, milestones = []) {
+    const stages = SmartStartPipeline.stages(template);
+    const currentIndex = venture.stage === SmartStartPipeline.COMPLETED_STAGE
+        ? stages.length
+        : SmartStartPipeline.indexOf(venture.stage, template);
+    const completedAt = {};
+    journeys
+        .filter(journey => journey.venture_id === venture.id && journey.completed_at)
+        .forEach((journey) => {
+            completedAt[journey.stage] = journey.completed_at;
+        });
+
+    return {
+        ventureId: venture.id,
+        ventureName: venture.name,
+        template: { id: template.id, key: template.key, version: template.version, name: template.name },
+        currentStage: venture.stage,
+        completed: venture.stage === SmartStartPipeline.COMPLETED_STAGE,
+        progress: SmartStartPipeline.progressFor(venture.stage, template),
+        totalDays: SmartStartPipeline.totalDays(template),
+        stages: stages.map((step, index) => {
+            let status = 'upcoming';
+            if (index < currentIndex || (currentIndex === -1 && completedAt[step.stage])) status = 'completed';
+            else if (index === currentIndex) status = 'current';
+
+            return {
+                ...step,
+                dayRange: SmartStartPipeline.dayRange(step.stage, template),
+                status,
+                completedAt: completedAt[step.stage] || null,
+                milestones: status === 'current' ? milestones : []
+            };
+        })
+    };
+}
+
+// Planned and actual dates of the venture's stages; pass `state` when it is already loaded
+async function loadVentureSchedule(store, venture, template, state = null) {
+    const journeyState = state || await loadJourneyState(store, journeyStream(null, venture.id));
+    return SmartStartSchedule.describe(SmartStartPipeline.stages(template), journeyState, {
+        startedAt: venture.created_at,
+        currentStage: venture.stage
+    });
+}
+
+// Schedule overviews by venture id, for lists of ventures; `templates` as from loadVentureTemplates
+async function loadScheduleOverviews(store, ventures, templates) {
+    const overviews = new Map();
+    for (const venture of ventures) {
+        const template = serializePipelineTemplate(templates.get(venture.pipeline_template_id));
+        overviews.set(venture.id, SmartStartSchedule.overview(await loadVentureSchedule(store, venture, template)));
+    }
+    return overviews;
+}
+
+/**
+ * An iCalendar document of what is ahead in each venture's pipeline (calendar.js). Options:
+ * `name` of the calendar and `url`, the page each event links to.
+ */
+async function loadVentureCalendar(store, ventures, options = {}) {
+    const templates = await loadVentureTemplates(store, ventures);
+    const events = [];
+    for (const venture of ventures) {
+        const template = serializePipelineTemplate(templates.get(venture.pipeline_template_id));
+        const schedule = await loadVentureSchedule(store, venture, template);
+        events.push(...SmartStartCalendar.ventureEvents(venture, schedule, { url: options.url }));
+    }
+    return SmartStartCalendar.build(events, { name: options.name });
+}
+
+/**
+ * Pause or resume the venture's pipeline; `reason` only applies to pausing. Returns the event,
+ * the journey state and the schedule that follow.
+ */
+async function setPipelinePaused(store, req, venture, paused, reason = null) {
+    const template = await loadVentureTemplate(store, venture);
+    const stream = journeyStream(null, venture.id);
+    const state = await loadJourneyState(store, stream);
+    if (venture.stage === SmartStartPipeline.COMPLETED_STAGE) {
+        throw new ApiError(409, 'This pipeline is already complete');
+    }
+    if (paused && state.paused) {
+        throw new ApiError(409, 'This pipeline is already paused');
+    }
+    if (!paused && !state.paused) {
+        throw new ApiError(409, 'This pipeline is not paused');
+    }
+
+    const text = paused && reason !== null && reason !== undefined ? String(reason).trim() : '';
+    if (text.length > SmartStartSchedule.PAUSE_REASON_MAX_LENGTH) {
+        const message = `Reason must be at most ${SmartStartSchedule.PAUSE_REASON_MAX_LENGTH} characters`;
+        throw new ApiError(400, message, { fields: { reason: message } });
+    }
+
+    const event = await recordJourneyEvent(store, {
+        ventureId: venture.id,
+        userId: req.user.id,
+        type: paused ? 'pipeline_paused' : 'pipeline_resumed',
+        stage: venture.stage,
+        data: text ? { reason: text } : {}
+    });
+    const updated = await loadJourneyState(store, stream);
+    const schedule = await loadVentureSchedule(store, venture, template, updated);
+
+    await recordAuditEvent(store, req, {
+        type: paused ? 'journey.paused' : 'journey.resumed',
+        actor: req.user,
+        ventureId: venture.id,
+        targetType: 'venture',
+        targetId: venture.id,
+        summary: paused
+            ? `Paused the pipeline of “${venture.name}”${text ? `: ${text}` : ''}`
+            : `Resumed the pipeline of “${venture.name}”`,
+        data: { stage: venture.stage, ...(text ? { reason: text } : {}), forecastEnd: schedule.forecastEnd }
+    });
+    await recordVentureActivity(store, {
+        ventureId: venture.id,
+        user: req.user,
+        type: paused ? 'pipeline_paused' : 'pipeline_resumed',
+        message: paused
+            ? `${displayName(req.user)} paused the pipeline`
+            : `${displayName(req.user)} resumed the pipeline; it is now due ${schedule.forecastEnd}`,
+        data: { stage: venture.stage, ...(text ? { reason: text } : {}) }
+    });
+
+    return { event, state: updated, schedule };
+}
+
+/**
+ * Record that `stage` (by default the venture's current stage) is complete. Completing the
+ * current stage closes its open entry and moves the venture to the next one, provided its
+ * milestones are met or `override` ({ reason }) comes from an admin; revisiting an earlier
+ * stage only adds to its history. Returns the journey entry and the venture as it is now.
+ */
+async function completeStage(store, req, venture, { stage = venture.stage, stageData = {}, override = null } = {}) {
+    const template = await loadVentureTemplate(store, venture);
+    if (!SmartStartPipeline.isPipelineStage(stage, template)) {
+        throw new ApiError(400, `Stage must be one of: ${SmartStartPipeline.stageValues(template).join(', ')}`);
+    }
+    const currentIndex = SmartStartPipeline.indexOf(venture.stage, template);
+    if (currentIndex !== -1 && SmartStartPipeline.indexOf(stage, template) > currentIndex) {
+        throw new ApiError(409, `Complete the ${template.stages[currentIndex].name} stage first`);
+    }
+    if ((await loadJourneyState(store, journeyStream(null, venture.id))).paused) {
+        throw new ApiError(409, 'This pipeline is paused; resume it before completing stages');
+    }
+
+    let journey;
+    let overridden = null;
+    let updated = venture;
+    if (stage === venture.stage) {
+        const open = await openStage(store, venture, template);
+        const unmet = (await refreshMilestones(store, venture, open)).filter(milestone => !milestone.completed);
+        if (unmet.length > 0) {
+            overridden = checkOverride(req, override, unmet);
+        }
+
+        journey = await store.updateUserJourney(open.id, {
+            user_id: req.user.id,
+            stage_data: JSON.stringify(overridden ? { ...stageData, override: overridden } : stageData),
+            completed_at: new Date().toISOString()
+        });
+        const nextStage = SmartStartPipeline.nextStage(stage, template);
+        updated = await store.updateVenture(venture.id, {
+            stage: nextStage,
+            progress_percentage: SmartStartPipeline.progressFor(nextStage, template)
+        });
+        await recordJourneyEvent(store, {
+            ventureId: venture.id,
+            userId: req.user.id,
+            type: 'stage_completed',
+            stage,
+            data: { journeyId: journey.id, nextStage, ...(overridden ? { override: overridden } : {}) }
+        });
+        await openStage(store, updated, template, req.user.id);
+    } else {
+        journey = await store.createUserJourney({
+            user_id: req.user.id,
+            venture_id: venture.id,
+            stage,
+            stage_data: JSON.stringify(stageData),
+            pipeline_template_id: template.id,
+            completed_at: new Date().toISOString()
+        });
+        await recordJourneyEvent(store, {
+            ventureId: venture.id,
+            userId: req.user.id,
+            type: 'stage_revisited',
+            stage,
+            data: { journeyId: journey.id }
+        });
+    }
+
+    const stageName = SmartStartPipeline.stageInfo(stage, template).name;
+    await recordAuditEvent(store, req, {
+        type: overridden ? 'journey.stage_overridden' : 'journey.stage_completed',
+        actor: req.user,
+        ventureId: venture.id,
+        targetType: 'journey',
+        targetId: journey.id,
+        summary: overridden
+            ? `Completed the ${stageName} stage of “${venture.name}” with unmet milestones: ${overridden.reason}`
+            : `Completed the ${stageName} stage of “${venture.name}”`,
+        data: {
+            stage,
+            nextStage: updated.stage,
+            template: { key: template.key, version: template.version },
+            ...(overridden ? { override: overridden } : {})
+        }
+    });
+    await recordVentureActivity(store, {
+        ventureId: venture.id,
+        user: req.user,
+        type: 'stage_completed',
+        message: overridden
+            ? `${displayName(req.user)} completed the ${stageName} stage by override`
+            : `${displayName(req.user)} completed the ${stageName} stage`,
+        data: { stage, nextStage: updated.stage, overridden: Boolean(overridden) }
+    });
+
+    return { journey, venture: updated, template };
+}
+
+module.exports = {
+    loadVentureTemplate,
+    loadVentureTemplates,
+    openStage,
+    recordMilestoneEvent,
+    loadStageMilestones,
+    refreshStageMilestones,
+    describePipeline,
+    loadVentureSchedule,
+    loadScheduleOverviews,
+    loadVentureCalendar,
+    setPipelinePaused,
+    completeStage
+};
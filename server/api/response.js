@@ -0,0 +1,53 @@
+/**
+ * API response helpers
+ * Every endpoint answers with the envelope the website clients expect:
+ * { success: true, data } or { success: false, error: { message } }
+ */
+
+class ApiError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function sendSuccess(res, data, status = 200) {
+    res.status(status).json({ success: true, data });
+}
+
+function sendError(res, status, message, details) {
+    const error = { message };
+    if (details) {
+        error.details = details;
+    }
+    res.status(status).json({ success: false, error });
+}
+
+/**
+ * The site the API is served from, for links in responses, feeds and invitations: PUBLIC_URL.
+ * Without it the request's own scheme and Host header are used, which the client chooses, so
+ * production servers refuse to start without PUBLIC_URL (website-server.js).
+ */
+function siteOrigin(req) {
+    if (process.env.PUBLIC_URL) {
+        return new URL(process.env.PUBLIC_URL).origin;
+    }
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+// Wrap async route handlers so rejected promises reach the error middleware
+function asyncHandler(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+module.exports = {
+    ApiError,
+    sendSuccess,
+    sendError,
+    asyncHandler,
+    siteOrigin
+};
@@ -0,0 +1,64 @@
+/**
+ * Audit log routes
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const { serializeAuditEvent } = require('../serializers');
+const SmartStartRoles = require('../../../website/assets/js/roles');
+const SmartStartAudit = require('../../../website/assets/js/audit');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function parseId(value, name) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+        throw new ApiError(400, `${name} must be a positive whole number`);
+    }
+    return id;
+}
+
+function createAuditRoutes(store) {
+    const router = express.Router();
+
+    /**
+     * Newest events first. Filters: ?type=<category>&ventureId=&actorId=<id|me>.
+     * Pages continue from ?before=<nextCursor>; nextCursor is null on the last page.
+     * Admins see the whole log; everyone else sees their own actions and events on
+     * the ventures they can read.
+     */
+    router.get('/', asyncHandler(async (req, res) => {
+        const query = req.query;
+        const canReadAll = SmartStartRoles.can(req.user, 'audit:read:any');
+        const limit = Math.min(Math.max(Number(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        if (query.type && !SmartStartAudit.categoryValues().includes(query.type)) {
+            throw new ApiError(400, `Invalid type. Expected one of: ${SmartStartAudit.categoryValues().join(', ')}`);
+        }
+
+        const options = {
+            category: query.type || undefined,
+            ventureId: query.ventureId ? parseId(query.ventureId, 'ventureId') : undefined,
+            actorId: query.actorId === 'me' ? req.user.id : query.actorId ? parseId(query.actorId, 'actorId') : undefined,
+            before: query.before ? parseId(query.before, 'before') : undefined,
+            // One extra row tells us whether another page follows
+            limit: limit + 1,
+            visibleTo: canReadAll ? undefined : {
+                userId: req.user.id,
+                anyVenture: SmartStartRoles.can(req.user, 'ventures:read:any')
+            }
+        };
+
+        const rows = await store.getAuditEvents(options);
+        const events = rows.slice(0, limit);
+        sendSuccess(res, {
+            events: events.map(event => serializeAuditEvent(event, { includeClient: canReadAll })),
+            nextCursor: rows.length > limit ? events[events.length - 1].id : null
+        });
+    }));
+
+    return router;
+}
+
+module.exports = { createAuditRoutes };
@@ -0,0 +1,122 @@
+/**
+ * Authentication routes
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const { isValidEmail, isStrongPassword, requireFields } = require('../validation');
+const { hashPassword, verifyPassword } = require('../passwords');
+const { getBearerToken, issueSession, refreshSession, revokeSession, requireAuth } = require('../middleware/auth');
+const { serializeUser } = require('../serializers');
+const { recordAuditEvent } = require('../audit');
+
+function createAuthRoutes(store, options = {}) {
+    const { sessionSecret } = options;
+    const router = express.Router();
+
+    router.post('/register', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        requireFields(body, ['email', 'password', 'firstName']);
+
+        const email = String(body.email).trim().toLowerCase();
+        if (!isValidEmail(email)) {
+            throw new ApiError(400, 'Invalid email format');
+        }
+        if (!isStrongPassword(body.password)) {
+            throw new ApiError(400, 'Password must be at least 8 characters with uppercase, lowercase, number, and special character');
+        }
+        if (await store.getUserByEmail(email)) {
+            throw new ApiError(409, 'Email already exists');
+        }
+
+        const user = await store.createUser({
+            email,
+            password_hash: await hashPassword(body.password),
+            first_name: String(body.firstName).trim(),
+            last_name: String(body.lastName || '').trim(),
+            company: body.company || null
+        });
+        await store.saveUserProfile(user.id, {});
+        await recordAuditEvent(store, req, {
+            type: 'auth.registered',
+            actor: user,
+            targetType: 'user',
+            targetId: user.id,
+            summary: 'Created an account and signed in'
+        });
+
+        const tokens = await issueSession(store, user.id, sessionSecret);
+        sendSuccess(res, { user: serializeUser(user), ...tokens }, 201);
+    }));
+
+    router.post('/login', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        requireFields(body, ['email', 'password']);
+
+        const user = await store.getUserByEmail(String(body.email).trim().toLowerCase());
+        const check = await verifyPassword(body.password, user && user.is_active ? user.password_hash : null);
+
+        // Same message for unknown accounts and wrong passwords
+        if (!check.valid) {
+            await recordAuditEvent(store, req, {
+                type: 'auth.login_failed',
+                actor: user || null,
+                targetType: 'user',
+                targetId: user ? user.id : null,
+                summary: 'Failed sign-in attempt',
+                data: { email: String(body.email).trim().toLowerCase() }
+            });
+            throw new ApiError(401, 'Invalid email or password');
+        }
+
+        // Browser-adapter or weaker hashes are replaced now that we know the password
+        if (check.needsRehash) {
+            await store.updateUser(user.id, { password_hash: await hashPassword(body.password) });
+        }
+
+        const tokens = await issueSession(store, user.id, sessionSecret);
+        await recordAuditEvent(store, req, {
+            type: 'auth.login',
+            actor: user,
+            targetType: 'user',
+            targetId: user.id,
+            summary: 'Signed in'
+        });
+        sendSuccess(res, { user: serializeUser(user), ...tokens });
+    }));
+
+    router.post('/refresh', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        requireFields(body, ['refreshToken']);
+
+        const refreshed = await refreshSession(store, body.refreshToken, sessionSecret);
+        if (!refreshed) {
+            throw new ApiError(401, 'Session expired, please sign in again');
+        }
+
+        const { user, ...tokens } = refreshed;
+        sendSuccess(res, { user: serializeUser(user), ...tokens });
+    }));
+
+    // Accepts the access token, the refresh token, or both; ending an already ended session is fine
+    router.post('/logout', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const tokens = [getBearerToken(req), body.refreshToken].filter(Boolean);
+        if (tokens.length === 0) {
+            throw new ApiError(400, 'Missing required fields: refreshToken');
+        }
+
+        for (const token of tokens) {
+            await revokeSession(store, token, sessionSecret);
+        }
+        sendSuccess(res, { loggedOut: true });
+    }));
+
+    router.get('/verify', requireAuth(store, sessionSecret), (req, res) => {
+        sendSuccess(res, { user: serializeUser(req.user), expiresAt: req.tokenExpiresAt });
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRoutes };
@@ -0,0 +1,326 @@
+/**
+ * Beta test routes
+ * Mounted under /ventures/:id: the venture's testers and their invitations, test scripts,
+ * scheduled sessions, and the feedback inbox the team tags and prioritizes. Testers reach
+ * their own sessions and send feedback through /beta (routes/beta.js).
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const { pick } = require('../validation');
+const {
+    serializeBetaTester,
+    serializeBetaScript,
+    serializeBetaSession,
+    serializeFeedback
+} = require('../serializers');
+const { loadVenture, canAccessVenture } = require('../venture-access');
+const { recordAuditEvent } = require('../audit');
+const { displayName, recordVentureActivity } = require('../activity');
+const { generateInviteToken } = require('../tokens');
+const { inviteUrl } = require('../beta-testing');
+const SmartStartBetaTesting = require('../../../website/assets/js/beta-testing');
+
+const SCRIPT_FIELDS = ['title', 'instructions', 'steps', 'features'];
+const SESSION_FIELDS = ['tester_id', 'script_id', 'scheduled_at', 'duration_minutes', 'location', 'status', 'notes'];
+const TRIAGE_FIELDS = ['tags', 'priority', 'status'];
+
+function throwFieldErrors(errors) {
+    const messages = Object.values(errors);
+    if (messages.length > 0) {
+        throw new ApiError(400, messages[0], { fields: errors });
+    }
+}
+
+function toScriptColumns(fields) {
+    const columns = { ...fields };
+    if (columns.title !== undefined) columns.title = String(columns.title).trim();
+    if (columns.steps !== undefined) columns.steps = JSON.stringify(SmartStartBetaTesting.normalizeList(columns.steps));
+    if (columns.features !== undefined) columns.features = JSON.stringify(SmartStartBetaTesting.normalizeList(columns.features));
+    return columns;
+}
+
+function createBetaTestRoutes(store) {
+    const router = express.Router({ mergeParams: true });
+
+    async function loadTester(req, venture) {
+        const tester = await store.getBetaTester(Number(req.params.testerId));
+        if (!tester || tester.venture_id !== venture.id) {
+            throw new ApiError(404, 'Tester not found');
+        }
+        return tester;
+    }
+
+    async function loadScript(req, venture) {
+        const script = await store.getBetaScript(Number(req.params.scriptId));
+        if (!script || script.venture_id !== venture.id) {
+            throw new ApiError(404, 'Test script not found');
+        }
+        return script;
+    }
+
+    async function loadSession(req, venture) {
+        const session = await store.getBetaSession(Number(req.params.sessionId));
+        if (!session || session.venture_id !== venture.id) {
+            throw new ApiError(404, 'Session not found');
+        }
+        return session;
+    }
+
+    // Sessions are held with testers who have not declined or been removed, on the venture's scripts
+    async function checkSessionRefs(venture, fields) {
+        if (fields.tester_id !== undefined) {
+            const tester = await store.getBetaTester(Number(fields.tester_id));
+            if (!tester || tester.venture_id !== venture.id || !['invited', 'accepted'].includes(tester.status)) {
+                throw new ApiError(400, 'Sessions are held with invited or accepted testers', {
+                    fields: { tester_id: 'Choose one of the venture\'s testers' }
+                });
+            }
+        }
+        if (fields.script_id !== undefined && fields.script_id !== null) {
+            const script = await store.getBetaScript(Number(fields.script_id));
+            if (!script || script.venture_id !== venture.id) {
+                throw new ApiError(400, 'Test script not found', { fields: { script_id: 'Choose one of the venture\'s scripts' } });
+            }
+        }
+    }
+
+    function toSessionColumns(fields) {
+        const columns = { ...fields };
+        if (columns.tester_id !== undefined) columns.tester_id = Number(columns.tester_id);
+        if (columns.script_id !== undefined) columns.script_id = columns.script_id === null ? null : Number(columns.script_id);
+        if (columns.scheduled_at !== undefined) columns.scheduled_at = new Date(columns.scheduled_at).toISOString();
+        if (columns.duration_minutes !== undefined) columns.duration_minutes = Number(columns.duration_minutes);
+        return columns;
+    }
+
+    async function serializeTesters(req, venture, canManage) {
+        const testers = await store.getVentureBetaTesters(venture.id);
+        return testers.map(tester => serializeBetaTester(tester, {
+            inviteUrl: canManage && tester.status === 'invited' ? inviteUrl(req, tester) : null
+        }));
+    }
+
+    // The venture's beta test at a glance, with its testers, scripts and sessions
+    router.get('/beta', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'read');
+        const canManage = await canAccessVenture(store, req.user, venture, 'contribute');
+        const testers = await serializeTesters(req, venture, canManage);
+        const sessions = await store.getBetaSessions({ ventureId: venture.id });
+        const feedback = await store.getVentureFeedback(venture.id);
+
+        const count = (items, list) => Object.fromEntries(list.map(({ value }) => [value, items.filter(item => item.status === value).length]));
+        sendSuccess(res, {
+            testers,
+            scripts: (await store.getVentureBetaScripts(venture.id)).map(serializeBetaScript),
+            sessions: sessions.map(serializeBetaSession),
+            summary: {
+                testers: count(testers, SmartStartBetaTesting.TESTER_STATUSES),
+                sessions: count(sessions, SmartStartBetaTesting.SESSION_STATUSES),
+                feedback: count(feedback, SmartStartBetaTesting.INBOX_STATUSES),
+                features: SmartStartBetaTesting.featureSummary(feedback),
+                featureAdoption: SmartStartBetaTesting.featureAdoption(feedback.filter(review => review.status !== 'dismissed'))
+            },
+            permissions: { canManage }
+        });
+    }));
+
+    // Body: { email, name? }. A declined or removed tester can be invited again, with a new link.
+    router.post('/beta/testers', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'contribute');
+        const fields = pick(req.body || {}, ['email', 'name']);
+        throwFieldErrors(SmartStartBetaTesting.validateInvitation(fields));
+
+        const email = String(fields.email).trim().toLowerCase();
+        const name = fields.name ? String(fields.name).trim() : null;
+        const existing = await store.getBetaTesterByEmail(venture.id, email);
+        if (existing && ['invited', 'accepted'].includes(existing.status)) {
+            throw new ApiError(409, `${email} is already ${existing.status === 'invited' ? 'invited' : 'testing'}`);
+        }
+
+        const invitation = {
+            name: name || (existing ? existing.name : null),
+            user_id: null,
+            token: generateInviteToken(),
+            status: 'invited',
+            invited_by: req.user.id,
+            responded_at: null
+        };
+        const tester = existing
+            ? await store.updateBetaTester(existing.id, { ...invitation, invited_at: new Date().toISOString() })
+            : await store.createBetaTester({ ...invitation, venture_id: venture.id, email });
+
+        await recordAuditEvent(store, req, {
+            type: 'beta.tester_invited',
+            actor: req.user,
+            ventureId: venture.id,
+            targetType: 'beta_tester',
+            targetId: tester.id,
+            summary: `Invited ${email} to beta test “${venture.name}”`,
+            data: { email }
+        });
+        await recordVentureActivity(store, {
+            ventureId: venture.id,
+            user: req.user,
+            type: 'beta_tester_invited',
+            message: `${displayName(req.user)} invited ${name || email} to the beta test`,
+            data: { testerId: tester.id }
+        });
+        sendSuccess(res, serializeBetaTester(tester, { inviteUrl: inviteUrl(req, tester) }), 201);
+    }));
+
+    // Removing a tester voids their link and cancels their scheduled sessions; their feedback stays
+    router.delete('/beta/testers/:testerId', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'contribute');
+        const tester = await loadTester(req, venture);
+        if (tester.status === 'removed') {
+            throw new ApiError(409, 'This tester was already removed');
+        }
+
+        const removed = await store.updateBetaTester(tester.id, { status: 'removed', token: generateInviteToken() });
+        const sessions = await store.getBetaSessions({ testerIds: [tester.id] });
+        for (const session of sessions.filter(item => item.status === 'scheduled')) {
+            await store.updateBetaSession(session.id, { status: 'cancelled' });
+        }
+
+        await recordAuditEvent(store, req, {
+            type: 'beta.tester_removed',
+            actor: req.user,
+            ventureId: venture.id,
+            targetType: 'beta_tester',
+            targetId: tester.id,
+            summary: `Removed ${tester.email} from the beta test of “${venture.name}”`,
+            data: { email: tester.email, previousStatus: tester.status }
+        });
+        sendSuccess(res, serializeBetaTester(removed));
+    }));
+
+    router.post('/beta/scripts', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'contribute');
+        const fields = pick(req.body || {}, SCRIPT_FIELDS);
+        throwFieldErrors(SmartStartBetaTesting.validateScript(fields, { requireTitle: true }));
+
+        const script = await store.createBetaScript({
+            steps: '[]',
+            features: '[]',
+            ...toScriptColumns(fields),
+            venture_id: venture.id,
+            created_by: req.user.id
+        });
+        await recordVentureActivity(store, {
+            ventureId: venture.id,
+            user: req.user,
+            type: 'beta_script_created',
+            message: `${displayName(req.user)} wrote the test script "${script.title}"`,
+            data: { scriptId: script.id }
+        });
+        sendSuccess(res, serializeBetaScript(script), 201);
+    }));
+
+    router.put('/beta/scripts/:scriptId', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'contribute');
+        const script = await loadScript(req, venture);
+        const fields = pick(req.body || {}, SCRIPT_FIELDS);
+        throwFieldErrors(SmartStartBetaTesting.validateScript(fields));
+
+        const updated = Object.keys(fields).length > 0
+            ? await store.updateBetaScript(script.id, toScriptColumns(fields))
+            : script;
+        sendSuccess(res, serializeBetaScript(updated));
+    }));
+
+    router.delete('/beta/scripts/:scriptId', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'contribute');
+        const script = await loadScript(req, venture);
+        if ((await store.getBetaSessions({ scriptId: script.id })).length > 0) {
+            throw new ApiError(409, 'Sessions use this script; edit it instead');
+        }
+
+        await store.deleteBetaScript(script.id);
+        sendSuccess(res, { deleted: true, id: script.id });
+    }));
+
+    // Body: { tester_id, scheduled_at, script_id?, duration_minutes?, location?, notes? }
+    router.post('/beta/sessions', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'contribute');
+        const fields = pick(req.body || {}, SESSION_FIELDS);
+        delete fields.status;
+        throwFieldErrors(SmartStartBetaTesting.validateSession(fields, { requireSchedule: true }));
+        await checkSessionRefs(venture, fields);
+
+        const session = await store.createBetaSession({
+            duration_minutes: SmartStartBetaTesting.DEFAULT_SESSION_MINUTES,
+            ...toSessionColumns(fields),
+            venture_id: venture.id,
+            status: 'scheduled',
+            created_by: req.user.id
+        });
+        const tester = await store.getBetaTester(session.tester_id);
+        await recordVentureActivity(store, {
+            ventureId: venture.id,
+            user: req.user,
+            type: 'beta_session_scheduled',
+            message: `${displayName(req.user)} scheduled a beta session with ${tester.name || tester.email}`,
+            data: { sessionId: session.id, scheduledAt: session.scheduled_at }
+        });
+        sendSuccess(res, serializeBetaSession(session), 201);
+    }));
+
+    // Reschedule, move to another tester or script, take notes, or mark completed, cancelled or a no-show
+    router.put('/beta/sessions/:sessionId', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'contribute');
+        const session = await loadSession(req, venture);
+        const fields = pick(req.body || {}, SESSION_FIELDS);
+        throwFieldErrors(SmartStartBetaTesting.validateSession(fields));
+        await checkSessionRefs(venture, fields);
+
+        const updated = Object.keys(fields).length > 0
+            ? await store.updateBetaSession(session.id, toSessionColumns(fields))
+            : session;
+        sendSuccess(res, serializeBetaSession(updated));
+    }));
+
+    // The feedback inbox: ?status=, ?priority=, ?type= and ?tag= filter it; open items come first, by priority
+    router.get('/beta/feedback', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'read');
+        const all = (await store.getVentureFeedback(venture.id)).map(serializeFeedback);
+        const { status, priority, type, tag } = req.query;
+
+        const tags = new Map();
+        all.forEach(item => item.tags.forEach(name => tags.set(name, (tags.get(name) || 0) + 1)));
+        const feedback = all
+            .filter(item => (!status || item.status === status) &&
+                (!priority || item.priority === priority) &&
+                (!type || item.type === type) &&
+                (!tag || item.tags.includes(String(tag).toLowerCase())))
+            .sort((a, b) => SmartStartBetaTesting.compareInbox(a, b));
+
+        sendSuccess(res, {
+            feedback,
+            tags: [...tags.entries()].map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+            total: all.length,
+            permissions: { canTriage: await canAccessVenture(store, req.user, venture, 'contribute') }
+        });
+    }));
+
+    // Body: { tags?, priority?, status? }
+    router.put('/beta/feedback/:feedbackId', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'contribute');
+        const feedback = await store.getFeedbackReview(Number(req.params.feedbackId));
+        if (!feedback || feedback.venture_id !== venture.id) {
+            throw new ApiError(404, 'Feedback not found');
+        }
+        const fields = pick(req.body || {}, TRIAGE_FIELDS);
+        throwFieldErrors(SmartStartBetaTesting.validateTriage(fields));
+
+        const columns = { ...fields, triaged_by: req.user.id };
+        if (fields.tags !== undefined) columns.tags = JSON.stringify(SmartStartBetaTesting.normalizeTags(fields.tags));
+        // Tagging or prioritizing new feedback triages it
+        if (fields.status === undefined && feedback.status === 'new') columns.status = 'triaged';
+        sendSuccess(res, serializeFeedback(await store.updateFeedbackReview(feedback.id, columns)));
+    }));
+
+    return router;
+}
+
+module.exports = { createBetaTestRoutes };
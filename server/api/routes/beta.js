@@ -0,0 +1,192 @@
+/**
+ * Beta tester routes
+ * The signed-in user's side of beta tests: the invitations sent to them (by email, or opened
+ * from an invitation link), the sessions of the tests they joined with their scripts, and the
+ * feedback form. Venture teams run their tests through /ventures/:id/beta (routes/beta-tests.js).
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const {
+    serializeBetaTester,
+    serializeBetaScript,
+    serializeBetaSession,
+    serializeFeedback
+} = require('../serializers');
+const { recordAuditEvent } = require('../audit');
+const { displayName, recordVentureActivity } = require('../activity');
+const { INVITE_TOKEN_PATTERN } = require('../tokens');
+const { loadVentureFeatures } = require('../beta-testing');
+const SmartStartBetaTesting = require('../../../website/assets/js/beta-testing');
+
+function createBetaRoutes(store) {
+    const router = express.Router();
+
+    // Removed testers' links stop working, so they are not found either
+    async function loadInvitation(req) {
+        const tester = INVITE_TOKEN_PATTERN.test(req.params.token)
+            ? await store.getBetaTesterByToken(req.params.token)
+            : null;
+        if (!tester || tester.status === 'removed') {
+            throw new ApiError(404, 'Invitation not found');
+        }
+        return tester;
+    }
+
+    async function describeInvitation(tester) {
+        const venture = await store.getVenture(tester.venture_id);
+        return {
+            ...serializeBetaTester(tester),
+            venture: { id: venture.id, name: venture.name, description: venture.description }
+        };
+    }
+
+    // An invitation can be answered once; accepting it again as the same user is a no-op
+    async function answerInvitation(req, status) {
+        const tester = await loadInvitation(req);
+        if (tester.status === 'accepted' && tester.user_id === req.user.id && status === 'accepted') {
+            return tester;
+        }
+        if (tester.status !== 'invited') {
+            throw new ApiError(409, `This invitation was already ${tester.status}`);
+        }
+
+        const answered = await store.updateBetaTester(tester.id, {
+            status,
+            user_id: status === 'accepted' ? req.user.id : null,
+            responded_at: new Date().toISOString()
+        });
+        const venture = await store.getVenture(tester.venture_id);
+        await recordAuditEvent(store, req, {
+            type: status === 'accepted' ? 'beta.invitation_accepted' : 'beta.invitation_declined',
+            actor: req.user,
+            ventureId: venture.id,
+            targetType: 'beta_tester',
+            targetId: tester.id,
+            summary: `${status === 'accepted' ? 'Joined' : 'Declined'} the beta test of “${venture.name}” (invited as ${tester.email})`,
+            data: { email: tester.email }
+        });
+        if (status === 'accepted') {
+            await recordVentureActivity(store, {
+                ventureId: venture.id,
+                user: req.user,
+                type: 'beta_tester_joined',
+                message: `${displayName(req.user)} joined the beta test`,
+                data: { testerId: tester.id }
+            });
+        }
+        return answered;
+    }
+
+    // The signed-in user's invitations and the tests they joined, each with its sessions and scripts
+    router.get('/tests', asyncHandler(async (req, res) => {
+        const testers = await store.getUserBetaTesters(req.user);
+        const joined = testers.filter(tester => tester.status === 'accepted');
+        const sessions = await store.getBetaSessions({ testerIds: joined.map(tester => tester.id) });
+
+        const tests = [];
+        for (const tester of joined) {
+            const scripts = await store.getVentureBetaScripts(tester.venture_id);
+            tests.push({
+                tester: serializeBetaTester(tester),
+                venture: { id: tester.venture_id, name: tester.venture_name },
+                sessions: sessions
+                    .filter(session => session.tester_id === tester.id && session.status !== 'cancelled')
+                    .map(session => ({
+                        ...serializeBetaSession(session),
+                        script: serializeBetaScript(scripts.find(script => script.id === session.script_id))
+                    })),
+                features: await loadVentureFeatures(store, tester.venture_id)
+            });
+        }
+
+        const invitations = [];
+        for (const tester of testers.filter(item => item.status === 'invited')) {
+            invitations.push({ ...(await describeInvitation(tester)), token: tester.token });
+        }
+        sendSuccess(res, { invitations, tests });
+    }));
+
+    router.get('/invitations/:token', asyncHandler(async (req, res) => {
+        sendSuccess(res, await describeInvitation(await loadInvitation(req)));
+    }));
+
+    router.post('/invitations/:token/accept', asyncHandler(async (req, res) => {
+        sendSuccess(res, await describeInvitation(await answerInvitation(req, 'accepted')));
+    }));
+
+    router.post('/invitations/:token/decline', asyncHandler(async (req, res) => {
+        sendSuccess(res, await describeInvitation(await answerInvitation(req, 'declined')));
+    }));
+
+    /**
+     * Send feedback: { sessionId } for one of the tester's sessions, which completes it, or
+     * { ventureId } for a test they joined; plus { ratings, reactions?, type?, text? } as
+     * checked by SmartStartBetaTesting.validateFeedback.
+     */
+    router.post('/feedback', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        let session = null;
+        let tester = null;
+        if (body.sessionId !== undefined) {
+            session = await store.getBetaSession(Number(body.sessionId));
+            tester = session ? await store.getBetaTester(session.tester_id) : null;
+        } else {
+            tester = (await store.getUserBetaTesters(req.user))
+                .find(item => item.status === 'accepted' && item.venture_id === Number(body.ventureId)) || null;
+        }
+        if (!tester || tester.status !== 'accepted' || tester.user_id !== req.user.id) {
+            throw new ApiError(404, session || body.sessionId !== undefined ? 'Session not found' : 'You are not testing this venture');
+        }
+        if (session && session.status === 'cancelled') {
+            throw new ApiError(409, 'This session was cancelled');
+        }
+        if (session && session.feedback_id) {
+            throw new ApiError(409, 'Feedback was already sent for this session');
+        }
+
+        const script = session && session.script_id ? await store.getBetaScript(session.script_id) : null;
+        const features = script ? JSON.parse(script.features || '[]') : await loadVentureFeatures(store, tester.venture_id);
+        const errors = SmartStartBetaTesting.validateFeedback(body, features);
+        if (Object.keys(errors).length > 0) {
+            throw new ApiError(400, Object.values(errors)[0], { fields: errors });
+        }
+
+        const { overall, ...ratings } = body.ratings;
+        const reactions = {};
+        Object.entries(body.reactions || {}).forEach(([feature, entry]) => {
+            reactions[feature] = { reaction: entry.reaction, comment: entry.comment ? String(entry.comment).trim() : '' };
+        });
+        const type = body.type || 'general';
+        const created = await store.createFeedbackReview({
+            venture_id: tester.venture_id,
+            reviewer_id: req.user.id,
+            tester_id: tester.id,
+            session_id: session ? session.id : null,
+            rating: overall,
+            ratings: JSON.stringify(ratings),
+            feature_reactions: JSON.stringify(reactions),
+            feedback_type: type,
+            feedback_text: body.text ? String(body.text).trim() : null,
+            tags: '[]',
+            priority: SmartStartBetaTesting.suggestPriority({ rating: overall, type, reactions }),
+            status: 'new'
+        });
+        if (session && session.status !== 'completed') {
+            await store.updateBetaSession(session.id, { status: 'completed' });
+        }
+
+        await recordVentureActivity(store, {
+            ventureId: tester.venture_id,
+            user: req.user,
+            type: 'beta_feedback_received',
+            message: `${displayName(req.user)} sent beta feedback (${overall}/5, ${SmartStartBetaTesting.label(SmartStartBetaTesting.FEEDBACK_TYPES, type).toLowerCase()})`,
+            data: { feedbackId: created.id, sessionId: created.session_id }
+        });
+        sendSuccess(res, serializeFeedback(await store.getFeedbackReview(created.id)), 201);
+    }));
+
+    return router;
+}
+
+module.exports = { createBetaRoutes };
@@ -0,0 +1,116 @@
+/**
+ * Billing routes: customers and subscriptions
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const { requireFields } = require('../validation');
+const { serializeSubscription } = require('../serializers');
+const { recordAuditEvent } = require('../audit');
+
+// Prices are decided by the server, never by the client request
+const PLANS = {
+    monthly: { price: 29, billingCycle: 'monthly', months: 1 },
+    annual: { price: 299, billingCycle: 'yearly', months: 12 },
+    premium: { price: 99, billingCycle: 'monthly', months: 1 }
+};
+
+function addMonths(date, months) {
+    const result = new Date(date);
+    result.setMonth(result.getMonth() + months);
+    return result;
+}
+
+function createBillingRoutes(store) {
+    const router = express.Router();
+
+    router.get('/subscriptions', asyncHandler(async (req, res) => {
+        const subscriptions = await store.getUserSubscriptions(req.user.id);
+        sendSuccess(res, subscriptions.map(serializeSubscription));
+    }));
+
+    router.post('/create-customer', asyncHandler(async (req, res) => {
+        const existing = await store.getBillingCustomer(req.user.id);
+        if (existing) {
+            return sendSuccess(res, { customer: existing });
+        }
+
+        const customer = await store.createBillingCustomer({
+            user_id: req.user.id,
+            external_id: `cus_${crypto.randomBytes(8).toString('hex')}`,
+            address: JSON.stringify((req.body && req.body.address) || {})
+        });
+        sendSuccess(res, { customer }, 201);
+    }));
+
+    router.post('/create-subscription', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        requireFields(body, ['plan']);
+
+        const plan = PLANS[body.plan];
+        if (!plan) {
+            throw new ApiError(400, `Unknown plan. Expected one of: ${Object.keys(PLANS).join(', ')}`);
+        }
+
+        const current = (await store.getUserSubscriptions(req.user.id)).find(sub => sub.status === 'active');
+        if (current) {
+            throw new ApiError(409, 'You already have an active subscription');
+        }
+
+        const startDate = new Date();
+        const subscription = await store.createSubscription({
+            user_id: req.user.id,
+            plan: body.plan,
+            price: plan.price,
+            billing_cycle: plan.billingCycle,
+            status: 'active',
+            start_date: startDate.toISOString(),
+            next_billing_date: addMonths(startDate, plan.months).toISOString()
+        });
+        await store.updateUser(req.user.id, { subscription_status: 'active' });
+        await recordAuditEvent(store, req, {
+            type: 'subscription.created',
+            actor: req.user,
+            targetType: 'subscription',
+            targetId: subscription.id,
+            summary: `Subscribed to the ${body.plan} plan ($${plan.price} ${plan.billingCycle})`,
+            data: { plan: body.plan, price: plan.price, billingCycle: plan.billingCycle }
+        });
+
+        sendSuccess(res, { subscription: serializeSubscription(subscription) }, 201);
+    }));
+
+    router.put('/subscription/:id/cancel', asyncHandler(async (req, res) => {
+        const subscription = await store.getSubscription(Number(req.params.id));
+        if (!subscription || subscription.user_id !== req.user.id) {
+            throw new ApiError(404, 'Subscription not found');
+        }
+        if (subscription.status === 'cancelled') {
+            throw new ApiError(409, 'Subscription is already cancelled');
+        }
+
+        const cancelled = await store.updateSubscription(subscription.id, {
+            status: 'cancelled',
+            cancelled_at: new Date().toISOString()
+        });
+        await store.updateUser(req.user.id, { subscription_status: 'cancelled' });
+        await recordAuditEvent(store, req, {
+            type: 'subscription.cancelled',
+            actor: req.user,
+            targetType: 'subscription',
+            targetId: subscription.id,
+            summary: `Cancelled the ${subscription.plan} plan`,
+            data: { plan: subscription.plan }
+        });
+
+        sendSuccess(res, { subscription: serializeSubscription(cancelled) });
+    }));
+
+    return router;
+}
+
+module.exports = {
+    createBillingRoutes,
+    PLANS
+};
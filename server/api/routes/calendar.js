@@ -0,0 +1,91 @@
+/**
+ * Calendar routes
+ * The signed-in user's venture pipelines as an iCalendar download, and the subscription URL
+ * calendar apps fetch it from. Subscription feeds are read without a bearer token: the random
+ * token in the URL names the user, and replacing or revoking it stops the old URL working.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler, siteOrigin } = require('../response');
+const { loadVentureCalendar } = require('../pipeline');
+const { listUserVentures } = require('../venture-access');
+const SmartStartCalendar = require('../../../website/assets/js/calendar');
+
+const FEED_TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+
+function sendCalendar(res, calendar, fileName = null) {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, no-cache');
+    if (fileName) {
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    }
+    res.send(calendar);
+}
+
+/**
+ * The user's pipelines as a calendar: the ventures they founded and those whose team they are
+ * an active member of
+ */
+async function userCalendar(store, req, user) {
+    return loadVentureCalendar(store, await listUserVentures(store, user), {
+        name: 'SmartStart pipelines',
+        url: `${siteOrigin(req)}/dashboard.html`
+    });
+}
+
+/**
+ * @param {SqliteStore} store
+ * @param {Object} options
+ * @param {Function} options.authenticated - middleware that requires a signed-in user
+ */
+function createCalendarRoutes(store, { authenticated }) {
+    const router = express.Router();
+
+    function serializeFeed(req, feed) {
+        if (!feed) return { url: null, webcalUrl: null, createdAt: null, lastFetchedAt: null };
+        const url = `${siteOrigin(req)}${req.baseUrl}/feeds/${feed.token}.ics`;
+        return {
+            url,
+            webcalUrl: url.replace(/^https?:/, 'webcal:'),
+            createdAt: feed.created_at,
+            lastFetchedAt: feed.last_fetched_at
+        };
+    }
+
+    // Subscription feed; the token is the only credential
+    router.get('/feeds/:token.ics', asyncHandler(async (req, res) => {
+        const token = String(req.params.token);
+        const feed = FEED_TOKEN_PATTERN.test(token) ? await store.getCalendarFeedByToken(token) : null;
+        const user = feed ? await store.getUserById(feed.user_id) : null;
+        if (!user || !user.is_active) {
+            throw new ApiError(404, 'Calendar feed not found');
+        }
+
+        await store.touchCalendarFeed(feed.id);
+        sendCalendar(res, await userCalendar(store, req, user));
+    }));
+
+    router.get('/ventures.ics', authenticated, asyncHandler(async (req, res) => {
+        sendCalendar(res, await userCalendar(store, req, req.user), SmartStartCalendar.fileName('ventures'));
+    }));
+
+    router.get('/subscription', authenticated, asyncHandler(async (req, res) => {
+        sendSuccess(res, serializeFeed(req, await store.getCalendarFeed(req.user.id)));
+    }));
+
+    // Creates the subscription URL, or replaces it so the previous one stops working
+    router.post('/subscription', authenticated, asyncHandler(async (req, res) => {
+        const feed = await store.saveCalendarFeed(req.user.id, crypto.randomBytes(32).toString('hex'));
+        sendSuccess(res, serializeFeed(req, feed), 201);
+    }));
+
+    router.delete('/subscription', authenticated, asyncHandler(async (req, res) => {
+        await store.deleteCalendarFeed(req.user.id);
+        sendSuccess(res, serializeFeed(req, null));
+    }));
+
+    return router;
+}
+
+module.exports = { createCalendarRoutes, sendCalendar };
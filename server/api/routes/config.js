@@ -0,0 +1,18 @@
+/**
+ * Public client configuration
+ */
+
+const express = require('express');
+const { sendSuccess } = require('../response');
+
+function createConfigRoutes(options = {}) {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        sendSuccess(res, { demoMode: Boolean(options.demoMode) });
+    });
+
+    return router;
+}
+
+module.exports = { createConfigRoutes };
@@ -0,0 +1,45 @@
+/**
+ * Decision Gate routes
+ * Mounted under /ventures/:id: the venture's scorecard and recommendation, the team's ratings,
+ * and recording the scale, pause or kill decision.
+ */
+
+const express = require('express');
+const { sendSuccess, asyncHandler } = require('../response');
+const { loadVenture, canAccessVenture } = require('../venture-access');
+const { describeDecisionGate, saveRatings, recordDecision } = require('../decision-gate');
+
+function createDecisionGateRoutes(store) {
+    const router = express.Router({ mergeParams: true });
+
+    async function withPermissions(req, venture, gate) {
+        return {
+            ...gate,
+            permissions: {
+                canRate: await canAccessVenture(store, req.user, venture, 'contribute'),
+                canDecide: await canAccessVenture(store, req.user, venture, 'update')
+            }
+        };
+    }
+
+    router.get('/decision-gate', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'read');
+        sendSuccess(res, await withPermissions(req, venture, await describeDecisionGate(store, venture)));
+    }));
+
+    // Body: { ratings?: { <criterion>: { rating: 1-5 | null, note? } }, featureAdoption?: 0-100 | null }
+    router.put('/decision-gate', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'contribute');
+        sendSuccess(res, await withPermissions(req, venture, await saveRatings(store, req, venture, req.body || {})));
+    }));
+
+    // Body: { decision: 'scale' | 'pause' | 'kill', rationale }
+    router.post('/decision-gate/decision', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'update');
+        sendSuccess(res, await withPermissions(req, venture, await recordDecision(store, req, venture, req.body || {})), 201);
+    }));
+
+    return router;
+}
+
+module.exports = { createDecisionGateRoutes };
@@ -0,0 +1,37 @@
+/**
+ * Demo sessions (demo mode only)
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const { issueSession } = require('../middleware/auth');
+const { serializeUser } = require('../serializers');
+const { DEMO_USER } = require('../demo');
+const { recordAuditEvent } = require('../audit');
+
+function createDemoRoutes(sandboxStore, options = {}) {
+    const router = express.Router();
+
+    // Sign in as the sandbox's demo founder; the demo claim keeps the session in the sandbox
+    router.post('/session', asyncHandler(async (req, res) => {
+        const user = await sandboxStore.getUserByEmail(DEMO_USER.email);
+        if (!user) {
+            throw new ApiError(503, 'The demo sandbox is not ready yet');
+        }
+
+        const tokens = await issueSession(sandboxStore, user.id, options.sessionSecret, { demo: true });
+        await recordAuditEvent(sandboxStore, req, {
+            type: 'auth.login',
+            actor: user,
+            targetType: 'user',
+            targetId: user.id,
+            summary: 'Started a demo session',
+            data: { demo: true }
+        });
+        sendSuccess(res, { user: serializeUser(user), ...tokens }, 201);
+    }));
+
+    return router;
+}
+
+module.exports = { createDemoRoutes };
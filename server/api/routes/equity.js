@@ -0,0 +1,201 @@
+/**
+ * Cap table routes
+ * Mounted under /ventures/:id: the venture's cap table (current stakes, the holders who may
+ * receive one, and every transaction), and recording a transaction. Transactions are never
+ * edited or removed; a mistake is corrected with an adjustment. The rules live in
+ * website/assets/js/equity.js.
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const { pick } = require('../validation');
+const { serializeEquityTransaction } = require('../serializers');
+const { loadVenture, canAccessVenture } = require('../venture-access');
+const { recordAuditEvent } = require('../audit');
+const { displayName, recordVentureActivity } = require('../activity');
+const SmartStartEquity = require('../../../website/assets/js/equity');
+
+function throwFieldErrors(errors) {
+    const messages = Object.values(errors);
+    if (messages.length > 0) {
+        throw new ApiError(400, messages[0], { fields: errors });
+    }
+}
+
+// "Sam Engineer 0% → 5%, Fay Founder 80% → 75%"
+function describeChanges(changes) {
+    return changes
+        .map(change => `${change.name} ${SmartStartEquity.format(change.from)} → ${SmartStartEquity.format(change.to)}`)
+        .join(', ');
+}
+
+function createEquityRoutes(store) {
+    const router = express.Router({ mergeParams: true });
+
+    /**
+     * The studio, the founder and every team member with an account, then anyone else still on
+     * the table (members who were removed). Only the studio, the founder and active members
+     * may receive stake.
+     */
+    async function loadHolders(venture, stakes) {
+        const founder = await store.getUserById(venture.founder_id);
+        const holders = [
+            {
+                key: SmartStartEquity.STUDIO_KEY,
+                type: 'studio',
+                name: SmartStartEquity.STUDIO_NAME,
+                user_id: null,
+                role: null,
+                status: null,
+                eligible: true
+            },
+            {
+                key: SmartStartEquity.userKey(venture.founder_id),
+                type: 'founder',
+                name: founder ? displayName(founder) : 'Founder',
+                user_id: venture.founder_id,
+                role: null,
+                status: null,
+                eligible: true
+            }
+        ];
+        const members = (await store.getVentureCollaborations(venture.id))
+            .filter(member => member.user_id && member.user_id !== venture.founder_id);
+        members.forEach((member) => {
+            const key = SmartStartEquity.userKey(member.user_id);
+            if (holders.some(holder => holder.key === key)) return;
+            holders.push({
+                key,
+                type: 'contributor',
+                name: displayName(member),
+                user_id: member.user_id,
+                role: member.role,
+                status: member.status,
+                eligible: member.status === 'active'
+            });
+        });
+        for (const key of Object.keys(stakes || {})) {
+            if (holders.some(holder => holder.key === key)) continue;
+            const user = await store.getUserById(SmartStartEquity.userIdOf(key));
+            holders.push({
+                key,
+                type: 'contributor',
+                name: user ? displayName(user) : 'Former member',
+                user_id: SmartStartEquity.userIdOf(key),
+                role: null,
+                status: null,
+                eligible: false
+            });
+        }
+        return holders;
+    }
+
+    /**
+     * The current table (studio, founder, then contributors by stake), the holders, and the
+     * transactions newest first. Before the initial allocation the table is empty and a
+     * suggested split is given.
+     */
+    async function describeCapTable(venture) {
+        const transactions = await store.getEquityTransactions(venture.id);
+        const latest = transactions[transactions.length - 1];
+        const stakes = latest ? JSON.parse(latest.stakes) : null;
+        const holders = await loadHolders(venture, stakes);
+        const order = { studio: 0, founder: 1, contributor: 2 };
+
+        return {
+            ventureId: venture.id,
+            studio: {
+                name: SmartStartEquity.STUDIO_NAME,
+                min: SmartStartEquity.STUDIO_MIN,
+                max: SmartStartEquity.STUDIO_MAX,
+                stake: stakes ? stakes[SmartStartEquity.STUDIO_KEY] || 0 : null
+            },
+            table: holders
+                .filter(holder => stakes && stakes[holder.key])
+                .map(holder => ({ ...holder, stake: stakes[holder.key] }))
+                .sort((a, b) => order[a.type] - order[b.type] || b.stake - a.stake),
+            holders,
+            suggested: stakes ? null : SmartStartEquity.initialStakes(SmartStartEquity.userKey(venture.founder_id)),
+            transactions: transactions.map(serializeEquityTransaction).reverse()
+        };
+    }
+
+    async function withPermissions(req, venture, capTable) {
+        return {
+            ...capTable,
+            permissions: {
+                canRecord: await canAccessVenture(store, req.user, venture, 'update')
+            }
+        };
+    }
+
+    router.get('/equity', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'read');
+        sendSuccess(res, await withPermissions(req, venture, await describeCapTable(venture)));
+    }));
+
+    /**
+     * Body: { type, effective_date?, note?, stakes: [{ holder, stake }] } with the new stake of
+     * each holder that changes, as checked by SmartStartEquity.validateTransaction. The date
+     * defaults to today.
+     */
+    router.post('/equity/transactions', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'update');
+        const body = pick(req.body || {}, ['type', 'effective_date', 'note', 'stakes']);
+        const transactions = await store.getEquityTransactions(venture.id);
+        const latest = transactions[transactions.length - 1];
+        const current = latest ? JSON.parse(latest.stakes) : null;
+        const holders = await loadHolders(venture, current);
+        const today = new Date().toISOString().slice(0, 10);
+        throwFieldErrors(SmartStartEquity.validateTransaction(body, current, {
+            eligible: holders.filter(holder => holder.eligible).map(holder => holder.key),
+            latestDate: latest ? latest.effective_date : null,
+            today
+        }));
+
+        // The ledger keeps each holder's name as it was when the stake changed
+        const stakes = SmartStartEquity.apply(current, body.stakes);
+        const changes = SmartStartEquity.changesBetween(current, stakes).map((change) => {
+            const holder = holders.find(item => item.key === change.holder);
+            return { ...change, name: holder ? holder.name : change.holder };
+        });
+        const memberStakes = {};
+        Object.entries(stakes).forEach(([key, stake]) => {
+            const userId = SmartStartEquity.userIdOf(key);
+            if (userId !== null) memberStakes[userId] = stake;
+        });
+        const note = body.note ? String(body.note).trim() : '';
+        const transaction = await store.recordEquityTransaction({
+            venture_id: venture.id,
+            type: body.type,
+            effective_date: body.effective_date || today,
+            note: note || null,
+            changes: JSON.stringify(changes),
+            stakes: JSON.stringify(stakes),
+            created_by: req.user.id
+        }, memberStakes);
+
+        const typeLabel = SmartStartEquity.label(SmartStartEquity.TRANSACTION_TYPES, body.type);
+        await recordAuditEvent(store, req, {
+            type: 'equity.transaction_recorded',
+            actor: req.user,
+            ventureId: venture.id,
+            targetType: 'equity_transaction',
+            targetId: transaction.id,
+            summary: `${typeLabel} on the cap table of “${venture.name}”: ${describeChanges(changes)}`,
+            data: { type: body.type, effectiveDate: transaction.effective_date, changes }
+        });
+        await recordVentureActivity(store, {
+            ventureId: venture.id,
+            user: req.user,
+            type: 'equity_transaction_recorded',
+            message: `${displayName(req.user)} updated the cap table (${typeLabel}): ${describeChanges(changes)}`,
+            data: { transactionId: transaction.id, type: body.type }
+        });
+        sendSuccess(res, await withPermissions(req, venture, await describeCapTable(venture)), 201);
+    }));
+
+    return router;
+}
+
+module.exports = { createEquityRoutes };
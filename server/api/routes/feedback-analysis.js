@@ -0,0 +1,101 @@
+/**
+ * Feedback analysis routes
+ * Mounted under /ventures/:id: the analysis of the venture's beta feedback (sentiment, themes,
+ * duplicates, per-feature sentiment and the ranked improvement backlog), and turning backlog
+ * items into tasks. The analysis runs on every request over the feedback the team has not
+ * dismissed; the rules live in website/assets/js/feedback-analysis.js.
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const { serializeTask } = require('../serializers');
+const { loadVenture, canAccessVenture } = require('../venture-access');
+const { displayName, recordVentureActivity } = require('../activity');
+const { loadVentureFeatures, loadCountedFeedback } = require('../beta-testing');
+const { checkWipLimit } = require('./tasks');
+const SmartStartFeedbackAnalysis = require('../../../website/assets/js/feedback-analysis');
+const SmartStartTasks = require('../../../website/assets/js/tasks');
+
+// The task a backlog item becomes: the evidence and quotes in its description
+function taskFields(item) {
+    const lines = [
+        `From beta feedback: ${item.mentions} ${item.mentions === 1 ? 'report' : 'reports'}`
+            + ` by ${item.testers} ${item.testers === 1 ? 'tester' : 'testers'}.`,
+        ...item.quotes.map(quote => `> ${quote}`)
+    ];
+    return {
+        title: item.title.slice(0, SmartStartTasks.MAX_TITLE_LENGTH),
+        description: lines.join('\n').slice(0, SmartStartTasks.MAX_DESCRIPTION_LENGTH),
+        labels: ['feedback', item.kind === 'theme' ? item.theme : 'feature']
+    };
+}
+
+function createFeedbackAnalysisRoutes(store) {
+    const router = express.Router({ mergeParams: true });
+
+    // The analysis with each backlog item's task, when one was made from it
+    async function analyze(venture) {
+        const analysis = SmartStartFeedbackAnalysis.analyze(await loadCountedFeedback(store, venture.id), {
+            features: await loadVentureFeatures(store, venture.id)
+        });
+        const tasks = await store.getFeedbackTasks(venture.id);
+        analysis.backlog = analysis.backlog.map((item) => {
+            const task = tasks.find(candidate => candidate.feedback_key === item.key);
+            return { ...item, task: task ? serializeTask(task) : null };
+        });
+        return analysis;
+    }
+
+    router.get('/beta/analysis', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'read');
+        sendSuccess(res, {
+            ...(await analyze(venture)),
+            permissions: {
+                canCreateTasks: await canAccessVenture(store, req.user, venture, 'contribute')
+            }
+        });
+    }));
+
+    // Body: { key } of a backlog item; the task joins the board's backlog lane
+    router.post('/beta/analysis/tasks', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'contribute');
+        const key = req.body && req.body.key;
+        const item = (await analyze(venture)).backlog.find(candidate => candidate.key === key);
+        if (!item) {
+            throw new ApiError(404, 'Backlog item not found');
+        }
+        if (item.task) {
+            throw new ApiError(409, 'This backlog item is already a task', { taskId: item.task.id });
+        }
+
+        const lane = 'backlog';
+        await checkWipLimit(store, venture, lane);
+
+        const laneTasks = await store.getVentureTasks(venture.id, lane);
+
+        const fields = taskFields(item);
+        const task = await store.createTask({
+            venture_id: venture.id,
+            title: fields.title,
+            description: fields.description,
+            labels: JSON.stringify(fields.labels),
+            lane,
+            position: laneTasks.length,
+            feedback_key: item.key,
+            created_by: req.user.id
+        });
+
+        await recordVentureActivity(store, {
+            ventureId: venture.id,
+            user: req.user,
+            type: 'task_created',
+            message: `${displayName(req.user)} added “${task.title}” to ${SmartStartTasks.laneLabel(lane)} from beta feedback`,
+            data: { taskId: task.id, lane, feedbackKey: item.key }
+        });
+        sendSuccess(res, { ...item, task: serializeTask(task) }, 201);
+    }));
+
+    return router;
+}
+
+module.exports = { createFeedbackAnalysisRoutes };
@@ -0,0 +1,177 @@
+/**
+ * Journey routes
+ * Journey entries, and the event stream behind them: every transition in order, a timeline
+ * for reading it newest first, and the state replayed from it.
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const { requireFields } = require('../validation');
+const { serializeJourney, serializeJourneyEvent } = require('../serializers');
+const { recordAuditEvent } = require('../audit');
+const { loadVenture } = require('../venture-access');
+const { loadVentureTemplate, completeStage } = require('../pipeline');
+const {
+    journeyStream,
+    recordJourneyEvent,
+    loadJourneyState,
+    rebuildJourneyState
+} = require('../journey-events');
+const SmartStartJourneyEvents = require('../../../website/assets/js/journey-events');
+const SmartStartVentures = require('../../../website/assets/js/ventures');
+const SmartStartPipeline = require('../../../website/assets/js/pipeline');
+
+const DEFAULT_EVENT_PAGE_SIZE = 100;
+const MAX_EVENT_PAGE_SIZE = 500;
+const DEFAULT_TIMELINE_PAGE_SIZE = 20;
+const MAX_TIMELINE_PAGE_SIZE = 100;
+
+// Sequence numbers start at 1; 0 reads from the start of a stream
+function parseSequence(value, name) {
+    if (value === undefined || value === '') return undefined;
+    const sequence = Number(value);
+    if (!Number.isInteger(sequence) || sequence < 0) {
+        throw new ApiError(400, `${name} must be a whole number`);
+    }
+    return sequence;
+}
+
+function pageSize(value, defaultSize, maxSize) {
+    return Math.min(Math.max(Number(value) || defaultSize, 1), maxSize);
+}
+
+function createJourneyRoutes(store) {
+    const router = express.Router();
+
+    // Journeys may only point at ventures the caller may read (GET) or advance (POST)
+    async function resolveVenture(req, value, action) {
+        if (value === undefined || value === null || value === 'null') return null;
+        return loadVenture(store, req.user, value, action);
+    }
+
+    // A venture's stream when ?ventureId= names one the caller may `action`, else the caller's own
+    async function resolveStream(req, value, action) {
+        const venture = await resolveVenture(req, value, action);
+        return journeyStream(req.user.id, venture ? venture.id : null);
+    }
+
+    router.get('/', asyncHandler(async (req, res) => {
+        let ventureId;
+        if (req.query.ventureId !== undefined) {
+            const venture = await resolveVenture(req, req.query.ventureId, 'read');
+            ventureId = venture ? venture.id : null;
+        }
+        const journeys = await store.getUserJourneys(req.user.id, ventureId);
+        sendSuccess(res, journeys.map(serializeJourney));
+    }));
+
+    router.post('/', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        requireFields(body, ['stage']);
+
+        // A venture's pipeline stages go through the pipeline, which also moves the venture on
+        const venture = await resolveVenture(req, body.ventureId, 'update');
+        const template = venture ? await loadVentureTemplate(store, venture) : null;
+        if (venture && SmartStartPipeline.isPipelineStage(String(body.stage), template)) {
+            const { journey } = await completeStage(store, req, venture, {
+                stage: String(body.stage),
+                stageData: body.stageData || {},
+                override: body.override || null
+            });
+            return sendSuccess(res, serializeJourney(journey), 201);
+        }
+
+        const journey = await store.createUserJourney({
+            user_id: req.user.id,
+            venture_id: venture ? venture.id : null,
+            stage: String(body.stage),
+            stage_data: JSON.stringify(body.stageData || {}),
+            pipeline_template_id: template ? template.id : null,
+            completed_at: new Date().toISOString()
+        });
+
+        const event = SmartStartJourneyEvents.fromJourney(serializeJourney(journey));
+        await recordJourneyEvent(store, {
+            ventureId: journey.venture_id,
+            userId: req.user.id,
+            type: event.type,
+            stage: event.stage,
+            data: event.data
+        });
+
+        const stageLabel = SmartStartVentures.label(SmartStartVentures.STAGES, journey.stage);
+        await recordAuditEvent(store, req, {
+            type: 'journey.stage_completed',
+            actor: req.user,
+            ventureId: journey.venture_id,
+            targetType: 'journey',
+            targetId: journey.id,
+            summary: venture
+                ? `Completed the ${stageLabel} stage of “${venture.name}”`
+                : `Completed the ${stageLabel} stage`,
+            data: { stage: journey.stage }
+        });
+        sendSuccess(res, serializeJourney(journey), 201);
+    }));
+
+    // Events in sequence order: ?ventureId=&after=<sequence>&limit=; hasMore says another page follows
+    router.get('/events', asyncHandler(async (req, res) => {
+        const stream = await resolveStream(req, req.query.ventureId, 'read');
+        const limit = pageSize(req.query.limit, DEFAULT_EVENT_PAGE_SIZE, MAX_EVENT_PAGE_SIZE);
+        const rows = await store.getJourneyEvents(stream, {
+            after: parseSequence(req.query.after, 'after'),
+            limit: limit + 1
+        });
+        sendSuccess(res, {
+            events: rows.slice(0, limit).map(serializeJourneyEvent),
+            hasMore: rows.length > limit
+        });
+    }));
+
+    // Newest events first, continuing from ?before=<nextCursor>; nextCursor is null on the last page
+    router.get('/timeline', asyncHandler(async (req, res) => {
+        const stream = await resolveStream(req, req.query.ventureId, 'read');
+        const limit = pageSize(req.query.limit, DEFAULT_TIMELINE_PAGE_SIZE, MAX_TIMELINE_PAGE_SIZE);
+        const rows = await store.getJourneyTimeline(stream, {
+            before: parseSequence(req.query.before, 'before'),
+            limit: limit + 1
+        });
+        const events = rows.slice(0, limit);
+        sendSuccess(res, {
+            events: events.map(serializeJourneyEvent),
+            nextCursor: rows.length > limit ? events[events.length - 1].sequence : null
+        });
+    }));
+
+    // The current state, or with ?at=<sequence> the state right after that event
+    router.get('/state', asyncHandler(async (req, res) => {
+        const stream = await resolveStream(req, req.query.ventureId, 'read');
+        sendSuccess(res, await loadJourneyState(store, stream, { at: parseSequence(req.query.at, 'at') }));
+    }));
+
+    // Replay the stream from its first event and replace its snapshot. Body: { ventureId? }
+    router.post('/state/rebuild', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const venture = await resolveVenture(req, body.ventureId, 'update');
+        const stream = journeyStream(req.user.id, venture ? venture.id : null);
+        const result = await rebuildJourneyState(store, stream);
+        if (result.changed) {
+            await recordAuditEvent(store, req, {
+                type: 'journey.state_rebuilt',
+                actor: req.user,
+                ventureId: venture ? venture.id : null,
+                targetType: 'journey',
+                targetId: stream,
+                summary: venture
+                    ? `Rebuilt the journey state of “${venture.name}” from its events`
+                    : 'Rebuilt their journey state from its events',
+                data: { sequence: result.state.sequence }
+            });
+        }
+        sendSuccess(res, result);
+    }));
+
+    return router;
+}
+
+module.exports = { createJourneyRoutes };
@@ -0,0 +1,75 @@
+/**
+ * Legal document routes
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const { requireFields } = require('../validation');
+const { LEGAL_DOCUMENTS, getLegalDocument } = require('../legal-catalog');
+const { recordAuditEvent } = require('../audit');
+const { refreshStageMilestones } = require('../pipeline');
+
+function createLegalRoutes(store) {
+    const router = express.Router();
+
+    router.get('/required', asyncHandler(async (req, res) => {
+        const signatures = await store.getUserSignatures(req.user.id);
+        const documents = LEGAL_DOCUMENTS.filter(doc => doc.required).map((doc) => {
+            const signature = signatures.find(sig => sig.document_id === doc.id);
+            return {
+                id: doc.id,
+                title: doc.title,
+                filename: doc.filename,
+                content: doc.content,
+                updatedAt: doc.updatedAt,
+                isSigned: Boolean(signature),
+                signedAt: signature ? signature.signed_at : null
+            };
+        });
+        sendSuccess(res, documents);
+    }));
+
+    router.post('/sign', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        requireFields(body, ['documentId']);
+
+        const document = getLegalDocument(body.documentId);
+        if (!document) {
+            throw new ApiError(404, 'Legal document not found');
+        }
+
+        const signatures = await store.getUserSignatures(req.user.id);
+        const existing = signatures.find(sig => sig.document_id === document.id);
+        if (existing) {
+            return sendSuccess(res, existing);
+        }
+
+        const signatureData = body.signatureData || {};
+        const signature = await store.createSignature({
+            user_id: req.user.id,
+            document_id: document.id,
+            document_version: document.updatedAt,
+            signer_name: signatureData.name || `${req.user.first_name} ${req.user.last_name}`.trim(),
+            signer_email: req.user.email,
+            ip_address: req.ip,
+            user_agent: req.headers['user-agent'] || null
+        });
+        await recordAuditEvent(store, req, {
+            type: 'document.signed',
+            actor: req.user,
+            targetType: 'document',
+            targetId: document.id,
+            summary: `Signed the ${document.title}`,
+            data: { documentId: document.id, version: document.updatedAt, signatureId: signature.id }
+        });
+        // Signature milestones of the ventures the user founded may be met now
+        for (const venture of await store.getUserVentures(req.user.id)) {
+            await refreshStageMilestones(store, venture);
+        }
+        sendSuccess(res, signature, 201);
+    }));
+
+    return router;
+}
+
+module.exports = { createLegalRoutes };
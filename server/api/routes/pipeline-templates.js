@@ -0,0 +1,118 @@
+/**
+ * Pipeline template routes
+ * Everyone signed in may read templates to pick one for a venture; admins create templates and
+ * add versions. Versions are never edited, so ventures keep running the version they started on.
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const { serializePipelineTemplate } = require('../serializers');
+const { requirePermission } = require('../middleware/permissions');
+const { recordAuditEvent } = require('../audit');
+const { getLegalDocument } = require('../legal-catalog');
+const SmartStartPipeline = require('../../../website/assets/js/pipeline');
+
+// Field errors go in details.fields so the template editor can show them next to each input
+function validateTemplateFields(fields, options = {}) {
+    const errors = SmartStartPipeline.validate(fields, options);
+    if (!errors.stages) {
+        // Signature milestones must name a document members can actually sign
+        fields.stages.forEach((step, index) => {
+            const unknown = (step.milestones || []).find(milestone =>
+                milestone.type === 'document_signed' && !getLegalDocument(String(milestone.documentId).trim()));
+            if (unknown && !errors.stages) {
+                errors.stages = `Stage ${index + 1}: “${unknown.title}” names an unknown legal document`;
+            }
+        });
+    }
+    const messages = Object.values(errors);
+    if (messages.length > 0) {
+        throw new ApiError(400, messages[0], { fields: errors });
+    }
+}
+
+function createPipelineTemplateRoutes(store) {
+    const router = express.Router();
+
+    async function loadTemplate(key, version) {
+        const template = await store.getPipelineTemplateVersion(key, version);
+        if (!template) {
+            throw new ApiError(404, 'Pipeline template not found');
+        }
+        return template;
+    }
+
+    async function saveVersion(req, key, fields) {
+        const template = SmartStartPipeline.normalizeTemplate(fields);
+        const saved = await store.createPipelineTemplate({
+            template_key: key,
+            name: template.name,
+            description: template.description,
+            stages: JSON.stringify(template.stages),
+            created_by: req.user.id
+        });
+
+        await recordAuditEvent(store, req, {
+            type: saved.version === 1 ? 'pipeline.template_created' : 'pipeline.template_versioned',
+            actor: req.user,
+            targetType: 'pipeline_template',
+            targetId: saved.id,
+            summary: saved.version === 1
+                ? `Created pipeline template “${saved.name}”`
+                : `Published version ${saved.version} of pipeline template “${saved.name}”`,
+            data: { key, version: saved.version, stages: template.stages.map(step => step.stage) }
+        });
+        return serializePipelineTemplate(saved);
+    }
+
+    // The latest version of every template
+    router.get('/', asyncHandler(async (req, res) => {
+        const templates = await store.getPipelineTemplates();
+        sendSuccess(res, templates.map(serializePipelineTemplate));
+    }));
+
+    router.get('/:key', asyncHandler(async (req, res) => {
+        sendSuccess(res, serializePipelineTemplate(await loadTemplate(req.params.key)));
+    }));
+
+    router.get('/:key/versions', asyncHandler(async (req, res) => {
+        await loadTemplate(req.params.key);
+        const versions = await store.getPipelineTemplateVersions(req.params.key);
+        sendSuccess(res, versions.map(serializePipelineTemplate));
+    }));
+
+    router.get('/:key/versions/:version', asyncHandler(async (req, res) => {
+        sendSuccess(res, serializePipelineTemplate(await loadTemplate(req.params.key, Number(req.params.version))));
+    }));
+
+    // Body: { key, name, description, stages: [{ stage, name, description, days, deliverables, entryCriteria, exitCriteria, milestones }] }
+    router.post('/', requirePermission('pipelines:manage'), asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        validateTemplateFields(body, { requireKey: true });
+        if (await store.getPipelineTemplateVersion(body.key)) {
+            throw new ApiError(409, 'A pipeline template with this key already exists', {
+                fields: { key: 'This key is taken; publish a new version of that template instead' }
+            });
+        }
+
+        sendSuccess(res, await saveVersion(req, body.key, body), 201);
+    }));
+
+    // Publishes the next version; name and description default to the latest version's
+    router.post('/:key/versions', requirePermission('pipelines:manage'), asyncHandler(async (req, res) => {
+        const latest = await loadTemplate(req.params.key);
+        const body = req.body || {};
+        const fields = {
+            name: body.name === undefined ? latest.name : body.name,
+            description: body.description === undefined ? latest.description : body.description,
+            stages: body.stages
+        };
+        validateTemplateFields(fields);
+
+        sendSuccess(res, await saveVersion(req, latest.template_key, fields), 201);
+    }));
+
+    return router;
+}
+
+module.exports = { createPipelineTemplateRoutes };
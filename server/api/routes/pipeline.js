@@ -0,0 +1,142 @@
+/**
+ * Venture pipeline routes
+ * Mounted under /ventures/:id: where the venture stands in its pipeline and against its
+ * schedule, checking off the milestones of its current stage, completing stages, and pausing
+ * or resuming the pipeline.
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler, siteOrigin } = require('../response');
+const { serializeJourney, serializeMilestone, serializeVenture } = require('../serializers');
+const { loadVenture, canAccessVenture } = require('../venture-access');
+const { displayName, recordVentureActivity } = require('../activity');
+const SmartStartRoles = require('../../../website/assets/js/roles');
+const SmartStartCalendar = require('../../../website/assets/js/calendar');
+const { sendCalendar } = require('./calendar');
+const {
+    loadVentureTemplate,
+    openStage,
+    recordMilestoneEvent,
+    loadStageMilestones,
+    describePipeline,
+    loadVentureSchedule,
+    loadVentureCalendar,
+    setPipelinePaused,
+    completeStage
+} = require('../pipeline');
+
+const EVIDENCE_MAX_LENGTH = 500;
+
+function createPipelineRoutes(store) {
+    const router = express.Router({ mergeParams: true });
+
+    async function pipelineFor(venture, template) {
+        const journeys = await store.getVentureJourneys(venture.id);
+        return {
+            ...describePipeline(venture, journeys, template, await loadStageMilestones(store, venture)),
+            schedule: await loadVentureSchedule(store, venture, template)
+        };
+    }
+
+    router.get('/pipeline', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'read');
+        const template = await loadVentureTemplate(store, venture);
+
+        sendSuccess(res, {
+            ...await pipelineFor(venture, template),
+            permissions: {
+                canAdvance: await canAccessVenture(store, req.user, venture, 'update'),
+                canPause: await canAccessVenture(store, req.user, venture, 'update'),
+                canCheckMilestones: await canAccessVenture(store, req.user, venture, 'contribute'),
+                canOverride: SmartStartRoles.can(req.user, 'pipelines:override')
+            }
+        });
+    }));
+
+    // The venture's stage starts, deadlines and Decision Gate meeting as an .ics download
+    router.get('/pipeline/calendar.ics', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'read');
+        const calendar = await loadVentureCalendar(store, [venture], {
+            name: `${venture.name} pipeline`,
+            url: `${siteOrigin(req)}/dashboard.html`
+        });
+        sendCalendar(res, calendar, SmartStartCalendar.fileName(venture.name));
+    }));
+
+    // Body: { completed, evidence? }; only the current stage's deliverables are checked off by hand
+    router.put('/pipeline/milestones/:milestoneId', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'contribute');
+        const template = await loadVentureTemplate(store, venture);
+        const journey = await openStage(store, venture, template);
+        const milestone = await store.getJourneyMilestone(req.params.milestoneId);
+        if (!journey || !milestone || milestone.journey_id !== journey.id) {
+            throw new ApiError(404, 'Milestone not found in the current stage');
+        }
+        if (serializeMilestone(milestone).auto) {
+            throw new ApiError(400, 'This milestone is checked automatically');
+        }
+
+        const body = req.body || {};
+        if (typeof body.completed !== 'boolean') {
+            throw new ApiError(400, 'completed must be true or false', { fields: { completed: 'completed must be true or false' } });
+        }
+        const evidence = body.evidence === undefined || body.evidence === null ? null : String(body.evidence).trim();
+        if (evidence && evidence.length > EVIDENCE_MAX_LENGTH) {
+            const message = `Evidence must be at most ${EVIDENCE_MAX_LENGTH} characters`;
+            throw new ApiError(400, message, { fields: { evidence: message } });
+        }
+
+        const updated = await store.updateJourneyMilestone(milestone.id, {
+            completed: body.completed ? 1 : 0,
+            completed_at: body.completed ? new Date().toISOString() : null,
+            completed_by: body.completed ? req.user.id : null,
+            evidence: body.completed ? evidence || null : null
+        });
+        if (Boolean(milestone.completed) !== body.completed) {
+            await recordMilestoneEvent(store, venture, updated, body.completed, req.user.id);
+            await recordVentureActivity(store, {
+                ventureId: venture.id,
+                user: req.user,
+                type: body.completed ? 'milestone_completed' : 'milestone_reopened',
+                message: body.completed
+                    ? `${displayName(req.user)} met the milestone “${updated.title}”`
+                    : `${displayName(req.user)} reopened the milestone “${updated.title}”`,
+                data: { milestoneId: updated.id, stage: journey.stage }
+            });
+        }
+        sendSuccess(res, serializeMilestone(updated));
+    }));
+
+    // Body: { stage?, stageData?, override?: { reason } }; without a stage, completes the current stage
+    router.post('/pipeline/complete', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'update');
+        const body = req.body || {};
+        const result = await completeStage(store, req, venture, {
+            stage: body.stage === undefined ? venture.stage : String(body.stage),
+            stageData: body.stageData || {},
+            override: body.override || null
+        });
+
+        sendSuccess(res, {
+            journey: serializeJourney(result.journey),
+            venture: serializeVenture(result.venture),
+            pipeline: await pipelineFor(result.venture, result.template)
+        }, 201);
+    }));
+
+    // Body: { reason? }; stops the schedule's deadlines running until the pipeline is resumed
+    router.post('/pipeline/pause', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'update');
+        const body = req.body || {};
+        sendSuccess(res, await setPipelinePaused(store, req, venture, true, body.reason), 201);
+    }));
+
+    router.post('/pipeline/resume', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'update');
+        sendSuccess(res, await setPipelinePaused(store, req, venture, false), 201);
+    }));
+
+    return router;
+}
+
+module.exports = { createPipelineRoutes };
@@ -0,0 +1,45 @@
+/**
+ * Dashboard statistics routes
+ */
+
+const express = require('express');
+const { sendSuccess, asyncHandler } = require('../response');
+const { computeDashboardStats } = require('../stats');
+
+const STATS_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * @param {SqliteStore} store
+ * @param {Object} [options]
+ * @param {number} [options.cacheTtlMs] - how long a user's stats are reused before recomputing
+ */
+function createStatsRoutes(store, options = {}) {
+    const router = express.Router();
+    const cacheTtlMs = options.cacheTtlMs !== undefined ? options.cacheTtlMs : STATS_CACHE_TTL_MS;
+    // user id -> { stats, expiresAt }; expired entries are dropped whenever one is stored
+    const cache = new Map();
+
+    function remember(userId, stats) {
+        const now = Date.now();
+        for (const [cachedUserId, entry] of cache) {
+            if (entry.expiresAt <= now) cache.delete(cachedUserId);
+        }
+        cache.set(userId, { stats, expiresAt: now + cacheTtlMs });
+    }
+
+    // ?refresh=true skips the cache, for the dashboard's refresh button and after edits
+    router.get('/dashboard', asyncHandler(async (req, res) => {
+        const cached = cache.get(req.user.id);
+        if (cached && cached.expiresAt > Date.now() && req.query.refresh !== 'true') {
+            return sendSuccess(res, cached.stats);
+        }
+
+        const stats = await computeDashboardStats(store, req.user);
+        remember(req.user.id, stats);
+        sendSuccess(res, stats);
+    }));
+
+    return router;
+}
+
+module.exports = { createStatsRoutes };
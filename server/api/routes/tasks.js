@@ -0,0 +1,245 @@
+/**
+ * Venture task board routes
+ * Mounted under /ventures/:id: the board, its tasks and WIP limits, and the venture activity feed.
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const { pick } = require('../validation');
+const { serializeTask, serializeActivity } = require('../serializers');
+const { loadVenture, canAccessVenture } = require('../venture-access');
+const { displayName, recordVentureActivity } = require('../activity');
+const SmartStartTasks = require('../../../website/assets/js/tasks');
+
+const TASK_FIELDS = ['title', 'description', 'lane', 'assignee_id', 'due_date', 'labels'];
+
+function validateTaskFields(fields, options = {}) {
+    const errors = SmartStartTasks.validate(fields, options);
+    const messages = Object.values(errors);
+    if (messages.length > 0) {
+        throw new ApiError(400, messages[0], { fields: errors });
+    }
+}
+
+// Turn validated request fields into task columns; routes set assignee_id after checking it
+function toTaskColumns(fields) {
+    const columns = { ...fields };
+    delete columns.assignee_id;
+    if (columns.title !== undefined) columns.title = String(columns.title).trim();
+    if (columns.labels !== undefined) columns.labels = JSON.stringify(SmartStartTasks.normalizeLabels(columns.labels));
+    if (columns.due_date === '') columns.due_date = null;
+    return columns;
+}
+
+// Refuse to add a task to a lane that is at its WIP limit; every route that adds tasks to a board calls this
+async function checkWipLimit(store, venture, lane) {
+    const limit = SmartStartTasks.wipLimits(await store.getTaskWipLimits(venture.id))[lane];
+    if (!limit) return;
+
+    const laneTasks = await store.getVentureTasks(venture.id, lane);
+    if (laneTasks.length >= limit) {
+        throw new ApiError(409, `${SmartStartTasks.laneLabel(lane)} is at its WIP limit of ${limit}`, {
+            lane,
+            wipLimit: limit
+        });
+    }
+}
+
+function createTaskRoutes(store) {
+    const router = express.Router({ mergeParams: true });
+
+    // The founder and the venture's active team members can be assigned tasks
+    async function getAssignees(venture) {
+        const founder = await store.getUserById(venture.founder_id);
+        const members = (await store.getVentureCollaborations(venture.id))
+            .filter(member => member.status === 'active' && member.user_id !== venture.founder_id);
+
+        return [
+            ...(founder ? [{ id: founder.id, name: displayName(founder), role: 'founder' }] : []),
+            ...members.map(member => ({ id: member.user_id, name: displayName(member), role: member.role }))
+        ];
+    }
+
+    async function checkAssignee(venture, assigneeId) {
+        if (assigneeId === null || assigneeId === undefined) return null;
+
+        const assignees = await getAssignees(venture);
+        const assignee = assignees.find(candidate => candidate.id === Number(assigneeId));
+        if (!assignee) {
+            throw new ApiError(400, 'Assignee must be a member of the venture team', {
+                fields: { assignee_id: 'Choose someone on the venture team' }
+            });
+        }
+        return assignee;
+    }
+
+    async function loadTask(req, venture) {
+        const task = await store.getTask(Number(req.params.taskId));
+        if (!task || task.venture_id !== venture.id) {
+            throw new ApiError(404, 'Task not found');
+        }
+        return task;
+    }
+
+    router.get('/board', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'read');
+        const tasks = await store.getVentureTasks(venture.id);
+        const limits = SmartStartTasks.wipLimits(await store.getTaskWipLimits(venture.id));
+
+        sendSuccess(res, {
+            lanes: SmartStartTasks.LANES.map(lane => ({
+                ...lane,
+                wipLimit: limits[lane.value],
+                count: tasks.filter(task => task.lane === lane.value).length
+            })),
+            tasks: tasks.map(serializeTask),
+            assignees: await getAssignees(venture),
+            permissions: {
+                canEdit: await canAccessVenture(store, req.user, venture, 'contribute'),
+                canManage: await canAccessVenture(store, req.user, venture, 'update')
+            }
+        });
+    }));
+
+    // Body: { limits: { doing: 3, review: null } }; null or 0 removes a lane's limit
+    router.put('/board/wip-limits', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'update');
+        const limits = (req.body && req.body.limits) || {};
+
+        const entries = Object.entries(limits);
+        entries.forEach(([lane, value]) => {
+            if (!SmartStartTasks.laneValues().includes(lane)) {
+                throw new ApiError(400, `Invalid lane: ${lane}`);
+            }
+            if (value !== null && !(Number.isInteger(Number(value)) && Number(value) >= 0)) {
+                throw new ApiError(400, 'WIP limits must be whole numbers of zero or more');
+            }
+        });
+
+        for (const [lane, value] of entries) {
+            await store.setTaskWipLimit(venture.id, lane, value === null ? null : Number(value) || null);
+        }
+        const updated = SmartStartTasks.wipLimits(await store.getTaskWipLimits(venture.id));
+        await recordVentureActivity(store, {
+            ventureId: venture.id,
+            user: req.user,
+            type: 'wip_limits_updated',
+            message: `${displayName(req.user)} changed the board's WIP limits`,
+            data: { limits: updated }
+        });
+        sendSuccess(res, updated);
+    }));
+
+    router.post('/tasks', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'contribute');
+        const fields = pick(req.body || {}, TASK_FIELDS);
+        validateTaskFields(fields, { requireTitle: true });
+
+        const lane = fields.lane || 'backlog';
+        const assignee = await checkAssignee(venture, fields.assignee_id);
+        await checkWipLimit(store, venture, lane);
+
+        const laneTasks = await store.getVentureTasks(venture.id, lane);
+        const task = await store.createTask({
+            ...toTaskColumns(fields),
+            venture_id: venture.id,
+            lane,
+            assignee_id: assignee ? assignee.id : null,
+            position: laneTasks.length,
+            created_by: req.user.id,
+            completed_at: lane === 'done' ? new Date().toISOString() : null
+        });
+
+        await recordVentureActivity(store, {
+            ventureId: venture.id,
+            user: req.user,
+            type: 'task_created',
+            message: `${displayName(req.user)} added “${task.title}” to ${SmartStartTasks.laneLabel(lane)}`
+                + (assignee ? ` for ${assignee.name}` : ''),
+            data: { taskId: task.id, lane }
+        });
+        sendSuccess(res, serializeTask(task), 201);
+    }));
+
+    // Edits task details; lanes change through /move so every move is recorded
+    router.put('/tasks/:taskId', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'contribute');
+        const task = await loadTask(req, venture);
+        const fields = pick(req.body || {}, TASK_FIELDS.filter(field => field !== 'lane'));
+        validateTaskFields(fields);
+
+        const assigneeId = fields.assignee_id === null || fields.assignee_id === '' ? null : Number(fields.assignee_id);
+        const assigneeChanged = fields.assignee_id !== undefined && assigneeId !== task.assignee_id;
+        const assignee = assigneeChanged ? await checkAssignee(venture, assigneeId) : null;
+
+        const columns = toTaskColumns(fields);
+        if (assigneeChanged) columns.assignee_id = assignee ? assignee.id : null;
+        const updated = await store.updateTask(task.id, columns);
+
+        await recordVentureActivity(store, {
+            ventureId: venture.id,
+            user: req.user,
+            type: assigneeChanged ? 'task_assigned' : 'task_updated',
+            message: assigneeChanged
+                ? `${displayName(req.user)} ${assignee ? `assigned “${updated.title}” to ${assignee.name}` : `unassigned “${updated.title}”`}`
+                : `${displayName(req.user)} updated “${updated.title}”`,
+            data: { taskId: task.id, assigneeId: updated.assignee_id }
+        });
+        sendSuccess(res, serializeTask(updated));
+    }));
+
+    // Body: { lane, position } with position counted from 0 within the lane
+    router.post('/tasks/:taskId/move', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'contribute');
+        const task = await loadTask(req, venture);
+        const body = req.body || {};
+        const lane = body.lane || task.lane;
+        validateTaskFields({ lane });
+
+        const position = body.position === undefined ? Infinity : Number(body.position);
+        if (Number.isNaN(position)) {
+            throw new ApiError(400, 'Position must be a number');
+        }
+        if (lane !== task.lane) {
+            await checkWipLimit(store, venture, lane);
+        }
+
+        const moved = await store.moveTask(task.id, lane, position);
+        await recordVentureActivity(store, {
+            ventureId: venture.id,
+            user: req.user,
+            type: 'task_moved',
+            message: lane === task.lane
+                ? `${displayName(req.user)} reordered “${task.title}” in ${SmartStartTasks.laneLabel(lane)}`
+                : `${displayName(req.user)} moved “${task.title}” from ${SmartStartTasks.laneLabel(task.lane)} to ${SmartStartTasks.laneLabel(lane)}`,
+            data: { taskId: task.id, from: task.lane, to: lane, position: moved.position }
+        });
+        sendSuccess(res, serializeTask(moved));
+    }));
+
+    router.delete('/tasks/:taskId', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'contribute');
+        const task = await loadTask(req, venture);
+        await store.deleteTask(task.id);
+
+        await recordVentureActivity(store, {
+            ventureId: venture.id,
+            user: req.user,
+            type: 'task_deleted',
+            message: `${displayName(req.user)} removed “${task.title}” from ${SmartStartTasks.laneLabel(task.lane)}`,
+            data: { taskId: task.id, lane: task.lane }
+        });
+        sendSuccess(res, { id: task.id });
+    }));
+
+    router.get('/activity', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'read');
+        const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+        const activity = await store.getVentureActivity(venture.id, limit);
+        sendSuccess(res, activity.map(serializeActivity));
+    }));
+
+    return router;
+}
+
+module.exports = { createTaskRoutes, checkWipLimit };
@@ -0,0 +1,134 @@
+/**
+ * Team invitation routes
+ * The signed-in user's side of venture teams: the invitations sent to their email, and reading,
+ * accepting or declining an invitation link. Founders manage their teams through
+ * /ventures/:id/team (routes/team.js).
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const { serializeTeamMember } = require('../serializers');
+const { recordAuditEvent } = require('../audit');
+const { displayName, recordVentureActivity } = require('../activity');
+const { INVITE_TOKEN_PATTERN } = require('../tokens');
+const SmartStartTeam = require('../../../website/assets/js/team');
+
+function createTeamInvitationRoutes(store) {
+    const router = express.Router();
+
+    // Links of members who left or were removed no longer work, so they are not found either
+    async function loadInvitation(req) {
+        const member = INVITE_TOKEN_PATTERN.test(req.params.token)
+            ? await store.getCollaborationByToken(req.params.token)
+            : null;
+        if (!member || member.status === 'left') {
+            throw new ApiError(404, 'Invitation not found');
+        }
+        return member;
+    }
+
+    async function describeInvitation(member) {
+        const venture = await store.getVenture(member.venture_id);
+        const founder = await store.getUserById(venture.founder_id);
+        return {
+            ...serializeTeamMember(await store.getCollaborationById(member.id)),
+            venture: { id: venture.id, name: venture.name, description: venture.description },
+            founder: founder ? displayName(founder) : null
+        };
+    }
+
+    router.get('/invitations', asyncHandler(async (req, res) => {
+        const invitations = [];
+        for (const member of await store.getUserTeamInvitations(req.user)) {
+            invitations.push({ ...(await describeInvitation(member)), token: member.token });
+        }
+        sendSuccess(res, invitations);
+    }));
+
+    router.get('/invitations/:token', asyncHandler(async (req, res) => {
+        sendSuccess(res, await describeInvitation(await loadInvitation(req)));
+    }));
+
+    // An invitation is used once; accepting it again as the same user is a no-op
+    router.post('/invitations/:token/accept', asyncHandler(async (req, res) => {
+        const member = await loadInvitation(req);
+        if (member.status === 'active' && member.user_id === req.user.id) {
+            return sendSuccess(res, await describeInvitation(member));
+        }
+        if (member.status !== 'invited') {
+            throw new ApiError(409, 'This invitation was already used');
+        }
+        const venture = await store.getVenture(member.venture_id);
+        if (venture.founder_id === req.user.id) {
+            throw new ApiError(409, 'You founded this venture, so you are already on its team');
+        }
+
+        // Someone with an older membership (they left, or were invited at another address) keeps one row
+        const previous = await store.getCollaboration(venture.id, req.user.id);
+        if (previous && previous.id !== member.id) {
+            if (previous.status === 'active') {
+                throw new ApiError(409, 'You are already on this venture\'s team');
+            }
+            await store.deleteCollaboration(previous.id);
+        }
+
+        await store.updateCollaboration(member.id, {
+            user_id: req.user.id,
+            status: 'active',
+            joined_at: new Date().toISOString(),
+            left_at: null
+        });
+        await recordAuditEvent(store, req, {
+            type: 'team.invitation_accepted',
+            actor: req.user,
+            ventureId: venture.id,
+            targetType: 'team_member',
+            targetId: member.id,
+            summary: `Joined the team of “${venture.name}” as ${SmartStartTeam.roleLabel(member.role)}`,
+            data: { role: member.role, email: member.invite_email }
+        });
+        await recordVentureActivity(store, {
+            ventureId: venture.id,
+            user: req.user,
+            type: 'team_member_joined',
+            message: `${displayName(req.user)} joined the team as ${SmartStartTeam.roleLabel(member.role)}`,
+            data: { memberId: member.id, role: member.role }
+        });
+        sendSuccess(res, await describeInvitation(member));
+    }));
+
+    // Only invitations sent to the user's own email can be declined; doing so withdraws them
+    router.post('/invitations/:token/decline', asyncHandler(async (req, res) => {
+        const member = await loadInvitation(req);
+        if (member.status !== 'invited') {
+            throw new ApiError(409, 'This invitation was already used');
+        }
+        if (!member.invite_email || member.invite_email !== String(req.user.email).toLowerCase()) {
+            throw new ApiError(403, 'Only the person this invitation was sent to can decline it');
+        }
+        const described = await describeInvitation(member);
+        await store.deleteCollaboration(member.id);
+
+        await recordAuditEvent(store, req, {
+            type: 'team.invitation_declined',
+            actor: req.user,
+            ventureId: member.venture_id,
+            targetType: 'team_member',
+            targetId: member.id,
+            summary: `Declined to join the team of “${described.venture.name}”`,
+            data: { role: member.role, email: member.invite_email }
+        });
+        await recordVentureActivity(store, {
+            ventureId: member.venture_id,
+            user: req.user,
+            type: 'team_invitation_declined',
+            message: `${displayName(req.user)} declined the invitation to join the team`,
+            data: { memberId: member.id }
+        });
+        sendSuccess(res, { ...described, status: 'declined' });
+    }));
+
+    return router;
+}
+
+module.exports = { createTeamInvitationRoutes };
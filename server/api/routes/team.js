@@ -0,0 +1,245 @@
+/**
+ * Venture team routes
+ * Mounted under /ventures/:id: the founder and members of the venture's team, inviting people
+ * by email or with an invitation link, changing a member's role and status, removing members,
+ * and leaving the team. Invitees answer their invitations through /team (routes/team-invitations.js).
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const { pick } = require('../validation');
+const { serializeTeamMember } = require('../serializers');
+const { loadVenture, canAccessVenture } = require('../venture-access');
+const { recordAuditEvent } = require('../audit');
+const { displayName, recordVentureActivity } = require('../activity');
+const { generateInviteToken } = require('../tokens');
+const { teamInviteUrl } = require('../team');
+const SmartStartTeam = require('../../../website/assets/js/team');
+
+function throwFieldErrors(errors) {
+    const messages = Object.values(errors);
+    if (messages.length > 0) {
+        throw new ApiError(400, messages[0], { fields: errors });
+    }
+}
+
+// How a member is named in the activity feed and audit log before they have an account
+function memberName(member) {
+    return member.user_id ? displayName(member) : (member.invite_email || 'an invitation link');
+}
+
+function createTeamRoutes(store) {
+    const router = express.Router({ mergeParams: true });
+
+    async function loadMember(req, venture) {
+        const member = await store.getCollaborationById(Number(req.params.memberId));
+        if (!member || member.venture_id !== venture.id) {
+            throw new ApiError(404, 'Team member not found');
+        }
+        return member;
+    }
+
+    function serializeForManager(req, member) {
+        return serializeTeamMember(member, member.status === 'invited' ? { inviteUrl: teamInviteUrl(req, member) } : {});
+    }
+
+    // The founder, then every member; managers also get the links of open invitations
+    router.get('/team', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'read');
+        const canManage = await canAccessVenture(store, req.user, venture, 'update');
+        const founder = await store.getUserById(venture.founder_id);
+        const members = await store.getVentureCollaborations(venture.id);
+        const own = members.find(member => member.user_id === req.user.id && member.status === 'active');
+
+        sendSuccess(res, {
+            founder: founder ? { id: founder.id, name: displayName(founder), email: founder.email } : null,
+            members: members.map(member => (canManage ? serializeForManager(req, member) : serializeTeamMember(member))),
+            counts: SmartStartTeam.statusValues().reduce((counts, status) => ({
+                ...counts,
+                [status]: members.filter(member => member.status === status).length
+            }), {}),
+            permissions: {
+                canManage,
+                canLeave: Boolean(own)
+            }
+        });
+    }));
+
+    /**
+     * Body: { email?, role? }. With an email the invitation shows up on that person's
+     * dashboard too; without one it is a link for whoever the founder sends it to. Someone who
+     * left can be invited again by email.
+     */
+    router.post('/team/invitations', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'update');
+        const fields = pick(req.body || {}, ['email', 'role']);
+        throwFieldErrors(SmartStartTeam.validateInvitation(fields));
+
+        const email = fields.email ? String(fields.email).trim().toLowerCase() : null;
+        const role = fields.role || SmartStartTeam.DEFAULT_ROLE;
+        let existing = null;
+        if (email) {
+            const founder = await store.getUserById(venture.founder_id);
+            if (founder && founder.email.toLowerCase() === email) {
+                throwFieldErrors({ email: 'The founder is already on the team' });
+            }
+            existing = await store.getCollaborationByEmail(venture.id, email);
+            if (existing && existing.status !== 'left') {
+                throw new ApiError(409, `${email} is already ${existing.status === 'active' ? 'on the team' : 'invited'}`);
+            }
+        }
+
+        const invitation = {
+            invite_email: email,
+            role,
+            status: 'invited',
+            token: generateInviteToken(),
+            invited_by: req.user.id,
+            invited_at: new Date().toISOString(),
+            joined_at: null,
+            left_at: null
+        };
+        const member = existing
+            ? await store.updateCollaboration(existing.id, invitation)
+            : await store.getCollaborationById((await store.createCollaboration({ ...invitation, venture_id: venture.id })).id);
+
+        const roleLabel = SmartStartTeam.roleLabel(role);
+        await recordAuditEvent(store, req, {
+            type: 'team.member_invited',
+            actor: req.user,
+            ventureId: venture.id,
+            targetType: 'team_member',
+            targetId: member.id,
+            summary: `Invited ${email || 'someone with a link'} to the team of “${venture.name}” as ${roleLabel}`,
+            data: { email, role }
+        });
+        await recordVentureActivity(store, {
+            ventureId: venture.id,
+            user: req.user,
+            type: 'team_member_invited',
+            message: `${displayName(req.user)} invited ${email || 'someone with a link'} to the team as ${roleLabel}`,
+            data: { memberId: member.id, role }
+        });
+        sendSuccess(res, serializeForManager(req, member), 201);
+    }));
+
+    /**
+     * Body: { role?, status? } as checked by SmartStartTeam.validateChange. Leaving voids the
+     * invitation link; inviting a member who left again gives them a new one.
+     */
+    router.put('/team/:memberId', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'update');
+        const member = await loadMember(req, venture);
+        const fields = pick(req.body || {}, ['role', 'status']);
+        throwFieldErrors(SmartStartTeam.validateChange(member, fields));
+
+        const changes = {};
+        if (fields.role !== undefined) changes.role = fields.role;
+        if (fields.status !== undefined && fields.status !== member.status) {
+            const timestamp = new Date().toISOString();
+            changes.status = fields.status;
+            if (fields.status === 'left') {
+                Object.assign(changes, { token: null, left_at: timestamp });
+            } else if (fields.status === 'active') {
+                Object.assign(changes, { joined_at: timestamp, left_at: null });
+            } else {
+                Object.assign(changes, { token: generateInviteToken(), invited_by: req.user.id, invited_at: timestamp, left_at: null });
+            }
+        }
+        if (Object.keys(changes).length === 0) {
+            return sendSuccess(res, serializeForManager(req, member));
+        }
+        const updated = await store.updateCollaboration(member.id, changes);
+
+        const described = [
+            changes.role && changes.role !== member.role ? `role to ${SmartStartTeam.roleLabel(changes.role)}` : null,
+            changes.status ? `status to ${SmartStartTeam.statusLabel(changes.status)}` : null
+        ].filter(Boolean).join(' and ');
+        if (described) {
+            await recordAuditEvent(store, req, {
+                type: 'team.member_updated',
+                actor: req.user,
+                ventureId: venture.id,
+                targetType: 'team_member',
+                targetId: member.id,
+                summary: `Changed ${memberName(member)}'s ${described} on “${venture.name}”`,
+                data: {
+                    from: { role: member.role, status: member.status },
+                    to: { role: updated.role, status: updated.status }
+                }
+            });
+            await recordVentureActivity(store, {
+                ventureId: venture.id,
+                user: req.user,
+                type: 'team_member_updated',
+                message: `${displayName(req.user)} changed ${memberName(member)}'s ${described}`,
+                data: { memberId: member.id, role: updated.role, status: updated.status }
+            });
+        }
+        sendSuccess(res, serializeForManager(req, updated));
+    }));
+
+    // Removing a member deletes their row, and with it any open invitation link
+    router.delete('/team/:memberId', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'update');
+        const member = await loadMember(req, venture);
+        await store.deleteCollaboration(member.id);
+
+        await recordAuditEvent(store, req, {
+            type: 'team.member_removed',
+            actor: req.user,
+            ventureId: venture.id,
+            targetType: 'team_member',
+            targetId: member.id,
+            summary: `Removed ${memberName(member)} from the team of “${venture.name}”`,
+            data: { userId: member.user_id, email: member.email || member.invite_email, role: member.role, status: member.status }
+        });
+        await recordVentureActivity(store, {
+            ventureId: venture.id,
+            user: req.user,
+            type: 'team_member_removed',
+            message: `${displayName(req.user)} removed ${memberName(member)} from the team`,
+            data: { memberId: member.id }
+        });
+        sendSuccess(res, { id: member.id });
+    }));
+
+    // An active member leaves the team; the founder cannot leave their own venture
+    router.post('/team/leave', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(store, req.user, req.params.id, 'read');
+        if (venture.founder_id === req.user.id) {
+            throw new ApiError(409, 'The founder cannot leave their own venture');
+        }
+        const member = await store.getCollaboration(venture.id, req.user.id);
+        if (!member || member.status !== 'active') {
+            throw new ApiError(404, 'You are not on this venture\'s team');
+        }
+        const updated = await store.updateCollaboration(member.id, {
+            status: 'left',
+            token: null,
+            left_at: new Date().toISOString()
+        });
+
+        await recordAuditEvent(store, req, {
+            type: 'team.member_left',
+            actor: req.user,
+            ventureId: venture.id,
+            targetType: 'team_member',
+            targetId: member.id,
+            summary: `Left the team of “${venture.name}”`,
+            data: { role: member.role }
+        });
+        await recordVentureActivity(store, {
+            ventureId: venture.id,
+            user: req.user,
+            type: 'team_member_left',
+            message: `${displayName(req.user)} left the team`,
+            data: { memberId: member.id }
+        });
+        sendSuccess(res, serializeTeamMember(updated));
+    }));
+
+    return router;
+}
+
+module.exports = { createTeamRoutes };
@@ -0,0 +1,89 @@
+/**
+ * User profile routes
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const { requireFields, pick } = require('../validation');
+const { serializeUser } = require('../serializers');
+const { requirePermission } = require('../middleware/permissions');
+const SmartStartRoles = require('../../../website/assets/js/roles');
+const { recordAuditEvent } = require('../audit');
+const { displayName } = require('../activity');
+
+const USER_FIELDS = ['first_name', 'last_name', 'company'];
+const PROFILE_FIELDS = ['bio', 'skills', 'experience_level', 'interests', 'avatar_url', 'linkedin_url', 'github_url', 'portfolio_url'];
+
+function createUserRoutes(store) {
+    const router = express.Router();
+
+    async function loadProfile(user) {
+        const profile = await store.getUserProfile(user.id);
+        const customer = await store.getBillingCustomer(user.id);
+        return {
+            ...serializeUser(user),
+            profile: profile ? pick(profile, PROFILE_FIELDS) : {},
+            quickbooks_customer_id: customer ? customer.external_id : null
+        };
+    }
+
+    router.get('/profile', asyncHandler(async (req, res) => {
+        sendSuccess(res, await loadProfile(req.user));
+    }));
+
+    router.put('/profile', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const userFields = pick(body, USER_FIELDS);
+        const profileFields = pick(body.profile || {}, PROFILE_FIELDS);
+
+        let user = req.user;
+        if (Object.keys(userFields).length > 0) {
+            user = await store.updateUser(user.id, userFields);
+        }
+        if (Object.keys(profileFields).length > 0) {
+            await store.saveUserProfile(user.id, profileFields);
+        }
+
+        sendSuccess(res, await loadProfile(user));
+    }));
+
+    // Role management (founder/admin only)
+    router.get('/', requirePermission('users:manage'), asyncHandler(async (req, res) => {
+        const users = await store.listUsers();
+        sendSuccess(res, users.map(serializeUser));
+    }));
+
+    router.put('/:id/role', requirePermission('users:manage'), asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        requireFields(body, ['role']);
+
+        if (!SmartStartRoles.isRole(body.role)) {
+            throw new ApiError(400, `Invalid role. Expected one of: ${Object.keys(SmartStartRoles.ROLES).join(', ')}`);
+        }
+
+        const userId = Number(req.params.id);
+        const user = Number.isInteger(userId) ? await store.getUserById(userId) : null;
+        if (!user) {
+            throw new ApiError(404, 'User not found');
+        }
+        // Keeps at least one admin able to manage roles
+        if (user.id === req.user.id && !SmartStartRoles.can({ role: body.role }, 'users:manage')) {
+            throw new ApiError(400, 'You cannot remove your own admin role');
+        }
+
+        const updated = await store.updateUser(user.id, { role: body.role });
+        await recordAuditEvent(store, req, {
+            type: 'user.role_changed',
+            actor: req.user,
+            targetType: 'user',
+            targetId: user.id,
+            summary: `Changed ${displayName(user)}'s role to ${SmartStartRoles.label(body.role)}`,
+            data: { from: SmartStartRoles.normalize(user.role), to: body.role }
+        });
+        sendSuccess(res, serializeUser(updated));
+    }));
+
+    return router;
+}
+
+module.exports = { createUserRoutes };
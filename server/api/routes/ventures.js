@@ -0,0 +1,255 @@
+/**
+ * Venture CRUD routes
+ */
+
+const express = require('express');
+const { ApiError, sendSuccess, asyncHandler } = require('../response');
+const { pick } = require('../validation');
+const { serializeVenture, serializePipelineTemplate } = require('../serializers');
+const { requirePermission } = require('../middleware/permissions');
+const { loadVenture: loadVentureForUser, listUserVentures } = require('../venture-access');
+const { createTaskRoutes } = require('./tasks');
+const { createPipelineRoutes } = require('./pipeline');
+const { createDecisionGateRoutes } = require('./decision-gate');
+const { createBetaTestRoutes } = require('./beta-tests');
+const { createFeedbackAnalysisRoutes } = require('./feedback-analysis');
+const { createTeamRoutes } = require('./team');
+const { createEquityRoutes } = require('./equity');
+const {
+    loadVentureTemplate,
+    loadVentureTemplates,
+    loadScheduleOverviews,
+    openStage,
+    refreshStageMilestones
+} = require('../pipeline');
+const { recordJourneyEvent } = require('../journey-events');
+const { recordAuditEvent } = require('../audit');
+const SmartStartRoles = require('../../../website/assets/js/roles');
+const SmartStartVentures = require('../../../website/assets/js/ventures');
+const SmartStartPipeline = require('../../../website/assets/js/pipeline');
+
+const VENTURE_FIELDS = ['name', 'description', 'problem_statement', 'target_market', 'status', 'stage'];
+const VENTURE_STATUSES = SmartStartVentures.statusValues();
+const VENTURE_STAGES = SmartStartVentures.stageValues();
+
+// Field errors go in details.fields so forms can show them next to each input
+function validateVentureFields(fields, options = {}) {
+    const errors = SmartStartVentures.validate(fields, options);
+    const messages = Object.values(errors);
+    if (messages.length > 0) {
+        throw new ApiError(400, messages[0], { fields: errors });
+    }
+}
+
+// Ventures move only between the stages of the pipeline template they run
+function checkTemplateStage(stage, template) {
+    if (stage === undefined || stage === SmartStartPipeline.COMPLETED_STAGE || SmartStartPipeline.isPipelineStage(stage, template)) {
+        return;
+    }
+    const message = `Stage must be one of the ${template.name} stages: ${SmartStartPipeline.stageValues(template).join(', ')}`;
+    throw new ApiError(400, message, { fields: { stage: message } });
+}
+
+// Position of a stage in the pipeline, counting the completed pipeline as one past the last stage
+function stagePosition(stage, template) {
+    return stage === SmartStartPipeline.COMPLETED_STAGE
+        ? SmartStartPipeline.stages(template).length
+        : SmartStartPipeline.indexOf(stage, template);
+}
+
+/**
+ * Later stages are reached by completing the stages before them, which their milestones gate.
+ * Editing a venture may only move it back; only admins may start a venture past the first stage.
+ */
+function checkStageMove(user, stage, currentStage, template) {
+    if (stage === undefined) return;
+
+    let message = null;
+    if (currentStage === undefined) {
+        if (stagePosition(stage, template) > 0 && !SmartStartRoles.can(user, 'pipelines:override')) {
+            message = `New ventures start at the ${template.stages[0].name} stage`;
+        }
+    } else {
+        const currentPosition = stagePosition(currentStage, template);
+        if (currentPosition !== -1 && stagePosition(stage, template) > currentPosition) {
+            message = `Complete the ${template.stages[currentPosition].name} stage to move on`;
+        }
+    }
+    if (message) {
+        throw new ApiError(400, message, { fields: { stage: message } });
+    }
+}
+
+function createVentureRoutes(store) {
+    const router = express.Router();
+
+    // Load the venture named in the URL and make sure the caller may perform `action` on it
+    function loadVenture(req, action) {
+        return loadVentureForUser(store, req.user, req.params.id, action);
+    }
+
+    // Each venture with its pipeline template and where it stands against its schedule
+    async function serializeVentures(ventures) {
+        const templates = await loadVentureTemplates(store, ventures);
+        const schedules = await loadScheduleOverviews(store, ventures, templates);
+        return ventures.map(venture => ({
+            ...serializeVenture(venture, templates.get(venture.pipeline_template_id)),
+            schedule: schedules.get(venture.id),
+            // Set on ventures the user works on as a team member rather than founded
+            ...(venture.team_role ? { team_role: venture.team_role } : {})
+        }));
+    }
+
+    async function serializeOne(venture) {
+        return (await serializeVentures([venture]))[0];
+    }
+
+    // New ventures run the latest version of the template they name, or of the default template
+    async function resolveTemplate(key) {
+        const templateKey = key === undefined || key === null || key === '' ? SmartStartPipeline.DEFAULT_TEMPLATE_KEY : String(key);
+        const template = await store.getPipelineTemplateVersion(templateKey);
+        if (!template) {
+            throw new ApiError(400, 'Unknown pipeline template', {
+                fields: { pipeline_template: 'Choose one of the available pipeline templates' }
+            });
+        }
+        return serializePipelineTemplate(template);
+    }
+
+    // The user's own ventures and those they are an active team member of; ?scope=all lists
+    // every venture for roles that may read them
+    router.get('/', asyncHandler(async (req, res) => {
+        if (req.query.scope === 'all' && !SmartStartRoles.can(req.user, 'ventures:read:any')) {
+            throw new ApiError(403, 'You do not have permission to perform this action');
+        }
+        const ventures = req.query.scope === 'all'
+            ? await store.getAllVentures()
+            : await listUserVentures(store, req.user);
+        sendSuccess(res, await serializeVentures(ventures));
+    }));
+
+    router.post('/', requirePermission('ventures:create'), asyncHandler(async (req, res) => {
+        const fields = pick(req.body || {}, VENTURE_FIELDS);
+        validateVentureFields(fields, { requireName: true });
+        const template = await resolveTemplate((req.body || {}).pipeline_template);
+        checkTemplateStage(fields.stage, template);
+        checkStageMove(req.user, fields.stage, undefined, template);
+
+        const stage = fields.stage || template.stages[0].stage;
+        const venture = await store.createVenture({
+            ...fields,
+            stage,
+            progress_percentage: SmartStartPipeline.progressFor(stage, template),
+            pipeline_template_id: template.id,
+            founder_id: req.user.id
+        });
+        await recordJourneyEvent(store, {
+            ventureId: venture.id,
+            userId: req.user.id,
+            type: 'pipeline_started',
+            stage,
+            data: { template: { key: template.key, version: template.version } }
+        });
+        await openStage(store, venture, template, req.user.id);
+        await recordAuditEvent(store, req, {
+            type: 'venture.created',
+            actor: req.user,
+            ventureId: venture.id,
+            targetType: 'venture',
+            targetId: venture.id,
+            summary: `Created venture “${venture.name}”`,
+            data: { ...fields, pipelineTemplate: { key: template.key, version: template.version } }
+        });
+        sendSuccess(res, await serializeOne(venture), 201);
+    }));
+
+    router.get('/:id', asyncHandler(async (req, res) => {
+        sendSuccess(res, await serializeOne(await loadVenture(req, 'read')));
+    }));
+
+    router.put('/:id', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(req, 'update');
+        const fields = pick(req.body || {}, VENTURE_FIELDS);
+        validateVentureFields(fields);
+        const template = await loadVentureTemplate(store, venture);
+        checkTemplateStage(fields.stage, template);
+        checkStageMove(req.user, fields.stage, venture.stage, template);
+
+        // Moving a venture back to an earlier stage keeps its progress in step with the pipeline
+        const columns = fields.stage === undefined
+            ? fields
+            : { ...fields, progress_percentage: SmartStartPipeline.progressFor(fields.stage, template) };
+        const updated = await store.updateVenture(venture.id, columns);
+        if (updated.stage !== venture.stage) {
+            await recordJourneyEvent(store, {
+                ventureId: venture.id,
+                userId: req.user.id,
+                type: 'stage_moved',
+                stage: updated.stage,
+                data: { from: venture.stage, to: updated.stage }
+            });
+            await openStage(store, updated, template, req.user.id);
+        } else if (String(updated.problem_statement ?? '') !== String(venture.problem_statement ?? '')) {
+            await refreshStageMilestones(store, updated);
+        }
+        const changes = Object.keys(fields)
+            .filter(field => String(venture[field] ?? '') !== String(updated[field] ?? ''))
+            .reduce((result, field) => ({ ...result, [field]: { from: venture[field], to: updated[field] } }), {});
+        if (Object.keys(changes).length > 0) {
+            await recordAuditEvent(store, req, {
+                type: 'venture.updated',
+                actor: req.user,
+                ventureId: venture.id,
+                targetType: 'venture',
+                targetId: venture.id,
+                summary: `Updated venture “${updated.name}” (${Object.keys(changes).join(', ')})`,
+                data: { changes }
+            });
+        }
+        sendSuccess(res, await serializeOne(updated));
+    }));
+
+    router.delete('/:id', asyncHandler(async (req, res) => {
+        const venture = await loadVenture(req, 'delete');
+        await store.deleteVenture(venture.id);
+        await recordAuditEvent(store, req, {
+            type: 'venture.deleted',
+            actor: req.user,
+            ventureId: venture.id,
+            targetType: 'venture',
+            targetId: venture.id,
+            summary: `Deleted venture “${venture.name}”`,
+            data: { name: venture.name }
+        });
+        sendSuccess(res, { id: venture.id });
+    }));
+
+    // Task board and activity feed: /:id/board, /:id/tasks, /:id/activity
+    router.use('/:id', createTaskRoutes(store));
+
+    // Pipeline stages: /:id/pipeline, /:id/pipeline/complete
+    router.use('/:id', createPipelineRoutes(store));
+
+    // Decision Gate scorecard: /:id/decision-gate, /:id/decision-gate/decision
+    router.use('/:id', createDecisionGateRoutes(store));
+
+    // Beta test: /:id/beta, /:id/beta/testers, /:id/beta/scripts, /:id/beta/sessions, /:id/beta/feedback
+    router.use('/:id', createBetaTestRoutes(store));
+
+    // Feedback analysis: /:id/beta/analysis, /:id/beta/analysis/tasks
+    router.use('/:id', createFeedbackAnalysisRoutes(store));
+
+    // Venture team: /:id/team, /:id/team/invitations, /:id/team/leave, /:id/team/:memberId
+    router.use('/:id', createTeamRoutes(store));
+
+    // Cap table: /:id/equity, /:id/equity/transactions
+    router.use('/:id', createEquityRoutes(store));
+
+    return router;
+}
+
+module.exports = {
+    createVentureRoutes,
+    VENTURE_STATUSES,
+    VENTURE_STAGES
+};
@@ -0,0 +1,324 @@
+/**
+ * Shape database rows into the objects the website clients read
+ */
+
+const SmartStartRoles = require('../../website/assets/js/roles');
+const SmartStartPipeline = require('../../website/assets/js/pipeline');
+
+function serializeUser(user) {
+    if (!user) return null;
+    return {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        name: `${user.first_name} ${user.last_name}`.trim(),
+        company: user.company,
+        role: SmartStartRoles.normalize(user.role),
+        subscriptionStatus: user.subscription_status,
+        createdAt: user.created_at
+    };
+}
+
+// `template` is the pipeline template version the venture runs, when the caller loaded it
+function serializeVenture(venture, template) {
+    if (!venture) return null;
+    return {
+        id: venture.id,
+        name: venture.name,
+        description: venture.description,
+        problem_statement: venture.problem_statement,
+        target_market: venture.target_market,
+        status: venture.status,
+        stage: venture.stage,
+        founder_id: venture.founder_id,
+        progress_percentage: venture.progress_percentage || 0,
+        pipeline_template_id: venture.pipeline_template_id,
+        ...(template ? { pipeline_template: serializePipelineTemplate(template) } : {}),
+        created_at: venture.created_at,
+        updated_at: venture.updated_at
+    };
+}
+
+function serializePipelineTemplate(template) {
+    if (!template) return null;
+    return {
+        id: template.id,
+        key: template.template_key,
+        version: template.version,
+        name: template.name,
+        description: template.description,
+        stages: JSON.parse(template.stages || '[]'),
+        created_by: template.created_by,
+        created_at: template.created_at
+    };
+}
+
+function serializeJourney(journey) {
+    if (!journey) return null;
+    return {
+        ...journey,
+        stage_data: JSON.parse(journey.stage_data || '{}')
+    };
+}
+
+function serializeJourneyEvent(event) {
+    if (!event) return null;
+    return {
+        id: event.id,
+        venture_id: event.venture_id,
+        user_id: event.user_id,
+        user_name: `${event.first_name || ''} ${event.last_name || ''}`.trim() || null,
+        sequence: event.sequence,
+        event_type: event.event_type,
+        stage: event.stage,
+        data: JSON.parse(event.data || '{}'),
+        created_at: event.created_at
+    };
+}
+
+// `auto` milestones are checked against the venture; the others are checked off by the team
+function serializeMilestone(milestone) {
+    if (!milestone) return null;
+    const requirement = JSON.parse(milestone.requirement || '{}');
+    const type = SmartStartPipeline.milestoneType(milestone.milestone_type);
+    return {
+        id: milestone.id,
+        journey_id: milestone.journey_id,
+        type: milestone.milestone_type,
+        title: milestone.title,
+        document_id: requirement.documentId || null,
+        auto: Boolean(type && type.auto),
+        completed: Boolean(milestone.completed),
+        completed_at: milestone.completed_at,
+        completed_by: milestone.completed_by,
+        evidence: milestone.evidence
+    };
+}
+
+// Open scorecards have no decision yet; decided ones keep the evaluation they were decided on
+function serializeDecisionScorecard(scorecard) {
+    if (!scorecard) return null;
+    return {
+        id: scorecard.id,
+        venture_id: scorecard.venture_id,
+        ratings: JSON.parse(scorecard.ratings || '{}'),
+        feature_adoption: scorecard.feature_adoption,
+        decision: scorecard.decision,
+        rationale: scorecard.rationale,
+        score: scorecard.score,
+        recommendation: scorecard.recommendation,
+        evaluation: scorecard.evaluation ? JSON.parse(scorecard.evaluation) : null,
+        decided_by: scorecard.decided_by,
+        decided_at: scorecard.decided_at,
+        created_by: scorecard.created_by,
+        created_at: scorecard.created_at,
+        updated_at: scorecard.updated_at
+    };
+}
+
+// The invitation token is the tester's link; only the venture team is shown it
+function serializeBetaTester(tester, options = {}) {
+    if (!tester) return null;
+    const serialized = {
+        id: tester.id,
+        venture_id: tester.venture_id,
+        email: tester.email,
+        name: tester.name,
+        user_id: tester.user_id,
+        status: tester.status,
+        invited_by: tester.invited_by,
+        invited_at: tester.invited_at,
+        responded_at: tester.responded_at
+    };
+    if (options.inviteUrl) {
+        serialized.invite_url = options.inviteUrl;
+    }
+    return serialized;
+}
+
+// `inviteUrl` is only passed to the venture's managers, for members who are still invited
+function serializeTeamMember(member, options = {}) {
+    if (!member) return null;
+    const serialized = {
+        id: member.id,
+        venture_id: member.venture_id,
+        user_id: member.user_id,
+        name: `${member.first_name || ''} ${member.last_name || ''}`.trim() || null,
+        email: member.email || member.invite_email || null,
+        role: member.role,
+        status: member.status,
+        invited_by: member.invited_by,
+        invited_at: member.invited_at,
+        joined_at: member.joined_at,
+        left_at: member.left_at
+    };
+    if (options.inviteUrl) {
+        serialized.invite_url = options.inviteUrl;
+    }
+    return serialized;
+}
+
+function serializeEquityTransaction(transaction) {
+    if (!transaction) return null;
+    return {
+        id: transaction.id,
+        venture_id: transaction.venture_id,
+        type: transaction.type,
+        effective_date: transaction.effective_date,
+        note: transaction.note,
+        changes: JSON.parse(transaction.changes || '[]'),
+        stakes: JSON.parse(transaction.stakes || '{}'),
+        created_by: transaction.created_by,
+        created_at: transaction.created_at
+    };
+}
+
+function serializeBetaScript(script) {
+    if (!script) return null;
+    return {
+        id: script.id,
+        venture_id: script.venture_id,
+        title: script.title,
+        instructions: script.instructions,
+        steps: JSON.parse(script.steps || '[]'),
+        features: JSON.parse(script.features || '[]'),
+        created_by: script.created_by,
+        created_at: script.created_at,
+        updated_at: script.updated_at
+    };
+}
+
+function serializeBetaSession(session) {
+    if (!session) return null;
+    return {
+        id: session.id,
+        venture_id: session.venture_id,
+        tester_id: session.tester_id,
+        script_id: session.script_id,
+        scheduled_at: session.scheduled_at,
+        duration_minutes: session.duration_minutes,
+        location: session.location,
+        status: session.status,
+        notes: session.notes,
+        feedback_id: session.feedback_id || null,
+        created_by: session.created_by,
+        created_at: session.created_at,
+        updated_at: session.updated_at
+    };
+}
+
+// Structured beta feedback: the overall rating and the other answers, feature reactions and triage
+function serializeFeedback(feedback) {
+    if (!feedback) return null;
+    return {
+        id: feedback.id,
+        venture_id: feedback.venture_id,
+        reviewer_id: feedback.reviewer_id,
+        reviewer_name: `${feedback.first_name || ''} ${feedback.last_name || ''}`.trim() || feedback.email || null,
+        tester_id: feedback.tester_id,
+        session_id: feedback.session_id,
+        rating: feedback.rating,
+        ratings: JSON.parse(feedback.ratings || '{}'),
+        reactions: JSON.parse(feedback.feature_reactions || '{}'),
+        type: feedback.feedback_type,
+        text: feedback.feedback_text,
+        tags: JSON.parse(feedback.tags || '[]'),
+        priority: feedback.priority,
+        status: feedback.status,
+        triaged_by: feedback.triaged_by,
+        created_at: feedback.created_at,
+        updated_at: feedback.updated_at
+    };
+}
+
+function serializeSubscription(subscription) {
+    if (!subscription) return null;
+    return {
+        id: subscription.id,
+        plan: subscription.plan,
+        price: subscription.price,
+        billingCycle: subscription.billing_cycle,
+        status: subscription.status,
+        startDate: subscription.start_date,
+        nextBillingDate: subscription.next_billing_date,
+        cancelledAt: subscription.cancelled_at || null
+    };
+}
+
+function serializeTask(task) {
+    if (!task) return null;
+    return {
+        id: task.id,
+        venture_id: task.venture_id,
+        title: task.title,
+        description: task.description,
+        lane: task.lane,
+        position: task.position,
+        assignee_id: task.assignee_id,
+        due_date: task.due_date,
+        labels: JSON.parse(task.labels || '[]'),
+        feedback_key: task.feedback_key || null,
+        created_by: task.created_by,
+        completed_at: task.completed_at,
+        created_at: task.created_at,
+        updated_at: task.updated_at
+    };
+}
+
+function serializeActivity(activity) {
+    if (!activity) return null;
+    return {
+        id: activity.id,
+        venture_id: activity.venture_id,
+        user_id: activity.user_id,
+        user_name: `${activity.first_name || ''} ${activity.last_name || ''}`.trim() || null,
+        type: activity.type,
+        message: activity.message,
+        data: JSON.parse(activity.data || '{}'),
+        created_at: activity.created_at
+    };
+}
+
+// IP address and user agent are only included for roles that read the whole log
+function serializeAuditEvent(event, options = {}) {
+    if (!event) return null;
+    const serialized = {
+        id: event.id,
+        event_type: event.event_type,
+        category: event.category,
+        actor_id: event.actor_id,
+        actor_name: event.actor_id ? `${event.first_name || ''} ${event.last_name || ''}`.trim() || event.email : null,
+        venture_id: event.venture_id,
+        target_type: event.target_type,
+        target_id: event.target_id,
+        summary: event.summary,
+        data: JSON.parse(event.data || '{}'),
+        created_at: event.created_at
+    };
+    if (options.includeClient) {
+        serialized.ip_address = event.ip_address;
+        serialized.user_agent = event.user_agent;
+    }
+    return serialized;
+}
+
+module.exports = {
+    serializeUser,
+    serializeVenture,
+    serializePipelineTemplate,
+    serializeJourney,
+    serializeJourneyEvent,
+    serializeMilestone,
+    serializeDecisionScorecard,
+    serializeBetaTester,
+    serializeBetaScript,
+    serializeBetaSession,
+    serializeFeedback,
+    serializeTeamMember,
+    serializeEquityTransaction,
+    serializeSubscription,
+    serializeTask,
+    serializeActivity,
+    serializeAuditEvent
+};
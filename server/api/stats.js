@@ -0,0 +1,118 @@
+/**
+ * Dashboard statistics
+ * Aggregates a user's ventures (their own and those whose team they are on, as the venture
+ * list shows them), team collaborations, journey progress and signed legal documents into the
+ * numbers the dashboard widgets show.
+ */
+
+const SmartStartPipeline = require('../../website/assets/js/pipeline');
+const { LEGAL_DOCUMENTS } = require('./legal-catalog');
+const { listUserVentures } = require('./venture-access');
+const { loadVentureTemplates } = require('./pipeline');
+const { serializePipelineTemplate } = require('./serializers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function countBy(rows, key) {
+    return rows.reduce((counts, row) => {
+        counts[row[key]] = (counts[row[key]] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+/**
+ * Per-stage journey progress across the user's ventures. Each venture is counted against the
+ * stages of the template version it runs; the list holds every stage of those templates in
+ * pipeline order. A venture has completed a stage when a journey entry records it, or when the
+ * venture has already moved past it.
+ */
+function stageProgress(ventures, templates, completedStages) {
+    // A stage only some templates have goes right after the stage before it in its template
+    const stages = [];
+    ventures.forEach((venture) => {
+        let position = -1;
+        SmartStartPipeline.stages(templates.get(venture.pipeline_template_id)).forEach((step) => {
+            const index = stages.findIndex(stage => stage.stage === step.stage);
+            if (index === -1) {
+                position += 1;
+                stages.splice(position, 0, { stage: step.stage, name: step.name });
+            } else {
+                position = index;
+            }
+        });
+    });
+
+    return stages.map(({ stage, name }) => {
+        const running = ventures.filter(venture =>
+            SmartStartPipeline.isPipelineStage(stage, templates.get(venture.pipeline_template_id))
+        );
+        const completedVentures = running.filter((venture) => {
+            const template = templates.get(venture.pipeline_template_id);
+            return completedStages.has(`${venture.id}:${stage}`)
+                || venture.stage === SmartStartPipeline.COMPLETED_STAGE
+                || SmartStartPipeline.indexOf(venture.stage, template) > SmartStartPipeline.indexOf(stage, template);
+        }).length;
+        return {
+            stage,
+            name,
+            totalVentures: running.length,
+            completedVentures,
+            currentVentures: running.filter(venture => venture.stage === stage).length
+        };
+    });
+}
+
+async function computeDashboardStats(store, user) {
+    const [ventures, collaborations, journeys, signatures] = await Promise.all([
+        listUserVentures(store, user),
+        store.getUserCollaborations(user.id),
+        store.getUserJourneys(user.id),
+        store.getUserSignatures(user.id)
+    ]);
+
+    // Journeys of a team's venture belong to its founder, so they are loaded per venture
+    const ventureJourneys = [];
+    for (const venture of ventures) {
+        ventureJourneys.push(...await store.getVentureJourneys(venture.id));
+    }
+    const templateRows = await loadVentureTemplates(store, ventures);
+    const templates = new Map(
+        [...templateRows].map(([templateId, row]) => [templateId, serializePipelineTemplate(row)])
+    );
+
+    const completedStages = new Set(
+        [...journeys, ...ventureJourneys]
+            .filter(journey => journey.completed_at)
+            .map(journey => `${journey.venture_id}:${journey.stage}`)
+    );
+    const requiredDocuments = LEGAL_DOCUMENTS.filter(doc => doc.required).map(doc => doc.id);
+    const signedDocuments = new Set(signatures.map(signature => signature.document_id));
+
+    return {
+        ventures: {
+            total: ventures.length,
+            byStatus: countBy(ventures, 'status'),
+            byStage: countBy(ventures, 'stage')
+        },
+        journey: {
+            completedStages: completedStages.size,
+            stages: stageProgress(ventures, templates, completedStages)
+        },
+        collaborations: {
+            total: collaborations.length,
+            active: collaborations.filter(collaboration => collaboration.status === 'active').length
+        },
+        documents: {
+            required: requiredDocuments.length,
+            signed: signedDocuments.size,
+            requiredSigned: requiredDocuments.filter(id => signedDocuments.has(id)).length
+        },
+        activity: {
+            memberSince: user.created_at,
+            daysActive: Math.max(1, Math.ceil((Date.now() - new Date(user.created_at).getTime()) / DAY_MS))
+        },
+        generatedAt: new Date().toISOString()
+    };
+}
+
+module.exports = { computeDashboardStats };
@@ -0,0 +1,16 @@
+/**
+ * Venture teams
+ * Shared by the founder's team routes and the invitees' own routes. A founder invites someone
+ * by email, or creates an invitation link for whoever they send it to; either way the member
+ * row carries a random token, and opening its link signed in joins the team with the role the
+ * founder chose. The rules live in website/assets/js/team.js.
+ */
+
+const { siteOrigin } = require('./response');
+
+// The dashboard link an invitee opens to join the team
+function teamInviteUrl(req, member) {
+    return `${siteOrigin(req)}/dashboard.html?teamInvite=${member.token}`;
+}
+
+module.exports = { teamInviteUrl };
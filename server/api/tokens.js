@@ -0,0 +1,58 @@
+/**
+ * Signed tokens for the SmartStart API
+ *
+ * A token is "<payload>.<signature>": the base64url JSON payload followed by its
+ * HMAC-SHA256 signature. Payloads carry an `exp` in seconds since the epoch, and a token
+ * is rejected once that has passed or when its signature does not match.
+ *
+ * Invitation links (beta testers, venture teams) carry plain random tokens instead: they are
+ * looked up in the database, so they can be voided by replacing them.
+ */
+
+const crypto = require('crypto');
+
+function sign(encodedPayload, secret) {
+    return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+function signToken(payload, secret) {
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encodedPayload}.${sign(encodedPayload, secret)}`;
+}
+
+/**
+ * Return the payload of a valid, unexpired token, or null
+ */
+function verifyToken(token, secret) {
+    const [encodedPayload, signature, extra] = String(token || '').split('.');
+    if (!encodedPayload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(encodedPayload, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        if (!payload || typeof payload.exp !== 'number' || payload.exp * 1000 <= Date.now()) {
+            return null;
+        }
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+const INVITE_TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+
+function generateInviteToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = {
+    signToken,
+    verifyToken,
+    INVITE_TOKEN_PATTERN,
+    generateInviteToken
+};
@@ -0,0 +1,45 @@
+/**
+ * Input validation shared by the API routes
+ * Rules mirror the ones used by the browser databases
+ */
+
+const { ApiError } = require('./response');
+
+function isValidEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return typeof email === 'string' && emailRegex.test(email);
+}
+
+function isStrongPassword(password) {
+    if (typeof password !== 'string') return false;
+    if (password.length < 8) return false;
+    if (!/[a-z]/.test(password)) return false;
+    if (!/[A-Z]/.test(password)) return false;
+    if (!/[0-9]/.test(password)) return false;
+    if (!/[^A-Za-z0-9]/.test(password)) return false;
+    return true;
+}
+
+function requireFields(body, fields) {
+    const missing = fields.filter(field => body[field] === undefined || body[field] === null || body[field] === '');
+    if (missing.length > 0) {
+        throw new ApiError(400, `Missing required fields: ${missing.join(', ')}`);
+    }
+}
+
+// Keep only the keys a route allows clients to set
+function pick(source, allowed) {
+    return allowed.reduce((result, key) => {
+        if (source[key] !== undefined) {
+            result[key] = source[key];
+        }
+        return result;
+    }, {});
+}
+
+module.exports = {
+    isValidEmail,
+    isStrongPassword,
+    requireFields,
+    pick
+};
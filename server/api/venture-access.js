@@ -0,0 +1,53 @@
+/**
+ * Venture access checks shared by the venture routes and their sub-resources (task board,
+ * activity feed). Role permissions come from website/assets/js/roles.js; active members of
+ * a venture's team may also read it and work on its board.
+ */
+
+const { ApiError } = require('./response');
+const SmartStartRoles = require('../../website/assets/js/roles');
+
+async function isActiveMember(store, user, venture) {
+    const collaboration = await store.getCollaboration(venture.id, user.id);
+    return Boolean(collaboration && collaboration.status === 'active');
+}
+
+/**
+ * Whether `user` may perform `action` on `venture`: 'read', 'update' or 'delete' as granted
+ * by their role, or 'contribute' (work on the task board), which the update permission and
+ * active team membership both allow. Active members may also read the venture.
+ */
+async function canAccessVenture(store, user, venture, action) {
+    const roleAction = action === 'contribute' ? 'update' : action;
+    if (SmartStartRoles.canOnVenture(user, roleAction, venture)) {
+        return true;
+    }
+    if (action === 'read' || action === 'contribute') {
+        return isActiveMember(store, user, venture);
+    }
+    return false;
+}
+
+// The user's own ventures and those they are an active team member of, as the dashboard lists them
+async function listUserVentures(store, user) {
+    return [...await store.getUserVentures(user.id), ...await store.getMemberVentures(user.id)];
+}
+
+// Load a venture for `action`; throws 404 for unknown ventures and 403 when access is denied
+async function loadVenture(store, user, ventureId, action = 'read') {
+    const id = Number(ventureId);
+    const venture = Number.isInteger(id) ? await store.getVenture(id) : null;
+    if (!venture) {
+        throw new ApiError(404, 'Venture not found');
+    }
+    if (!(await canAccessVenture(store, user, venture, action))) {
+        throw new ApiError(403, 'You do not have access to this venture');
+    }
+    return venture;
+}
+
+module.exports = {
+    canAccessVenture,
+    listUserVentures,
+    loadVenture
+};
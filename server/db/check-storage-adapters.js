@@ -0,0 +1,60 @@
+/**
+ * Run the storage conformance suite against every adapter available under Node
+ *
+ * Usage: npm run check:storage
+ *
+ * IndexedDB has no Node implementation; run website/test-storage-conformance.html
+ * in a browser to check that adapter.
+ */
+
+const express = require('express');
+const initSqlJs = require('sql.js');
+const SmartStartStorage = require('../../website/database/storage');
+const SmartStartStorageConformance = require('../../website/database/storage-conformance');
+const SqlJsStorageAdapter = require('../../website/database/adapters/sqljs-adapter');
+const LocalStorageAdapter = require('../../website/database/adapters/localstorage-adapter');
+const RemoteApiAdapter = require('../../website/database/adapters/remote-api-adapter');
+const { createApiRouter } = require('../api');
+
+const { MemoryStorage } = SmartStartStorage;
+
+// Serve the built-in API with a throwaway in-memory database on a free port
+function startApiServer() {
+    const app = express();
+    app.use('/api', createApiRouter({ databasePath: ':memory:', sessionSecret: 'storage-conformance' }));
+    return new Promise((resolve) => {
+        const server = app.listen(0, () => resolve(server));
+    });
+}
+
+async function main() {
+    const SQL = await initSqlJs();
+    const server = await startApiServer();
+    const baseUrl = `http://localhost:${server.address().port}/api`;
+
+    const adapters = [
+        ['SqlJsStorageAdapter', () => new SqlJsStorageAdapter({ SQL, sessionStorage: new MemoryStorage() })],
+        ['LocalStorageAdapter', () => new LocalStorageAdapter({ storage: new MemoryStorage() })],
+        ['RemoteApiAdapter', () => new RemoteApiAdapter({ baseUrl, sessionStorage: new MemoryStorage() })]
+    ];
+
+    let failed = 0;
+    for (const [name, createAdapter] of adapters) {
+        console.log(`\n${name}`);
+        const report = await SmartStartStorageConformance.run(createAdapter, { log: console.log });
+        console.log(`  ${report.passed} passed, ${report.failed} failed`);
+        failed += report.failed;
+    }
+
+    console.log('\nIndexedDBAdapter\n  skipped: run website/test-storage-conformance.html in a browser');
+    server.close();
+
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch((error) => {
+    console.error('Storage conformance run failed:', error);
+    process.exitCode = 1;
+});
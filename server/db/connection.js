@@ -0,0 +1,127 @@
+/**
+ * SQLite connection for the SmartStart server
+ * Uses SQL.js (the same engine as the browser database) and persists to a file on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+const MEMORY = ':memory:';
+
+// SQL.js only binds numbers, strings, null and byte arrays
+function normalizeParams(params) {
+    return params.map((value) => {
+        if (value === undefined) return null;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (value instanceof Date) return value.toISOString();
+        return value;
+    });
+}
+
+class SqliteConnection {
+    constructor(db, filename) {
+        this.db = db;
+        this.filename = filename;
+        this.transactionDepth = 0;
+        this.pendingWrite = null;
+    }
+
+    /**
+     * Open a database file, creating it if needed. Pass ':memory:' for a
+     * throwaway database that is never written to disk.
+     */
+    static async open(filename = MEMORY) {
+        const SQL = await initSqlJs();
+        let data = null;
+        if (filename !== MEMORY && fs.existsSync(filename)) {
+            data = fs.readFileSync(filename);
+        }
+        return new SqliteConnection(new SQL.Database(data), filename);
+    }
+
+    get isMemory() {
+        return this.filename === MEMORY;
+    }
+
+    all(sql, params = []) {
+        const stmt = this.db.prepare(sql);
+        try {
+            stmt.bind(normalizeParams(params));
+            const rows = [];
+            while (stmt.step()) {
+                rows.push(stmt.getAsObject());
+            }
+            return rows;
+        } finally {
+            stmt.free();
+        }
+    }
+
+    get(sql, params = []) {
+        return this.all(sql, params)[0] || null;
+    }
+
+    run(sql, params = []) {
+        this.db.run(sql, normalizeParams(params));
+        const changes = this.db.getRowsModified();
+        const lastInsertRowid = this.db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+        this.persist();
+        return { changes, lastInsertRowid };
+    }
+
+    exec(sql) {
+        this.db.exec(sql);
+        this.persist();
+    }
+
+    /**
+     * Run `work` inside a transaction. Nothing is written before it commits.
+     */
+    transaction(work) {
+        this.db.run('BEGIN');
+        this.transactionDepth++;
+        try {
+            const result = work();
+            this.transactionDepth--;
+            this.db.run('COMMIT');
+            this.persist();
+            return result;
+        } catch (error) {
+            this.transactionDepth--;
+            this.db.run('ROLLBACK');
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule writing the file. Every statement a request runs before it next waits on I/O
+     * lands in one write, instead of exporting the whole database after each statement.
+     */
+    persist() {
+        if (this.isMemory || this.transactionDepth > 0 || this.pendingWrite) return;
+        this.pendingWrite = setImmediate(() => this.flush());
+    }
+
+    // Write the file now if changes are waiting for it
+    flush() {
+        if (!this.pendingWrite) return;
+        clearImmediate(this.pendingWrite);
+        this.pendingWrite = null;
+
+        fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        const tempFile = `${this.filename}.tmp`;
+        fs.writeFileSync(tempFile, Buffer.from(this.db.export()));
+        fs.renameSync(tempFile, this.filename);
+    }
+
+    close() {
+        this.flush();
+        this.db.close();
+    }
+}
+
+module.exports = {
+    SqliteConnection,
+    MEMORY
+};
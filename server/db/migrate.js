@@ -0,0 +1,55 @@
+/**
+ * Database migration command
+ *
+ * Usage:
+ *   node server/db/migrate.js status
+ *   node server/db/migrate.js up [targetVersion]
+ *   node server/db/migrate.js down [steps]
+ *
+ * Operates on DATABASE_PATH (default data/smartstart.sqlite).
+ */
+
+const path = require('path');
+const SmartStartMigrations = require('../../website/database/migrations');
+const { SqliteConnection } = require('./connection');
+const { MIGRATIONS } = require('./migrations');
+
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'smartstart.sqlite');
+
+function printStatus(db) {
+    SmartStartMigrations.status(db, { migrations: MIGRATIONS }).forEach((migration) => {
+        const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`  ${String(migration.version).padStart(4)}  ${migration.name.padEnd(28)} ${state}`);
+    });
+}
+
+async function main() {
+    const [command = 'status', argument] = process.argv.slice(2);
+    const connection = await SqliteConnection.open(DATABASE_PATH);
+    const db = connection.db;
+
+    console.log(`Database: ${DATABASE_PATH}`);
+
+    if (command === 'up') {
+        const targetVersion = argument === undefined ? undefined : Number(argument);
+        const applied = SmartStartMigrations.migrate(db, { migrations: MIGRATIONS, targetVersion });
+        applied.forEach(migration => console.log(`⬆️  Applied ${migration.version} ${migration.name}`));
+        if (applied.length === 0) console.log('Database is up to date');
+    } else if (command === 'down') {
+        const steps = argument === undefined ? 1 : Number(argument);
+        const rolledBack = SmartStartMigrations.rollback(db, { migrations: MIGRATIONS, steps });
+        rolledBack.forEach(migration => console.log(`⬇️  Rolled back ${migration.version} ${migration.name}`));
+        if (rolledBack.length === 0) console.log('Nothing to roll back');
+    } else if (command !== 'status') {
+        throw new Error(`Unknown command "${command}". Use status, up [version] or down [steps].`);
+    }
+
+    connection.persist();
+    printStatus(db);
+    connection.close();
+}
+
+main().catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,739 @@
+/**
+ * Server-only schema migrations
+ * Tables that hold API state and never live in the browser database. Versions share one
+ * sequence with website/database/migrations.js: take the next free number across both files.
+ */
+
+const SmartStartMigrations = require('../../website/database/migrations');
+/*
+ * The built-in pipeline templates as versions 6 and 7 write them. Migrations keep their own
+ * copy so that they insert the same rows however website/assets/js/pipeline.js changes later;
+ * changing a built-in template takes a new migration that adds a template version.
+ */
+const DEFAULT_TEMPLATE_KEY_V6 = 'smartstart-30-day';
+
+const BUILT_IN_TEMPLATES_V6 = [
+    {
+        key: 'smartstart-30-day',
+        name: 'SmartStart 30-Day Pipeline',
+        description: 'From discovery to the go/no-go decision in six stages',
+        stages: [
+            {
+                stage: 'discovery',
+                name: 'Discovery',
+                description: 'Platform exploration and account creation',
+                days: 2,
+                deliverables: ['Completed founder profile', 'Venture idea logged'],
+                entryCriteria: ['Account created'],
+                exitCriteria: ['Required legal documents signed']
+            },
+            {
+                stage: 'problem_statement',
+                name: 'Problem Statement',
+                description: 'Market validation and problem definition',
+                days: 3,
+                deliverables: ['Problem statement', 'Target market definition'],
+                entryCriteria: ['Venture idea logged'],
+                exitCriteria: ['Problem validated with at least five potential customers']
+            },
+            {
+                stage: 'sprint_0',
+                name: 'Sprint 0',
+                description: 'MVP scoping and team building',
+                days: 2,
+                deliverables: ['MVP scope', 'Task board with the first sprint'],
+                entryCriteria: ['Validated problem statement'],
+                exitCriteria: ['Team assembled', 'MVP scope agreed']
+            },
+            {
+                stage: 'mvp_build',
+                name: 'MVP Build',
+                description: 'Development phase and collaboration',
+                days: 18,
+                deliverables: ['Working MVP'],
+                entryCriteria: ['MVP scope agreed'],
+                exitCriteria: ['MVP ready for beta users']
+            },
+            {
+                stage: 'beta_test',
+                name: 'Beta Testing',
+                description: 'User testing and feedback collection',
+                days: 3,
+                deliverables: ['Beta feedback summary'],
+                entryCriteria: ['MVP ready for beta users'],
+                exitCriteria: ['Feedback collected from beta users']
+            },
+            {
+                stage: 'decision_gate',
+                name: 'Decision Gate',
+                description: 'Go/no-go decision and scaling strategy',
+                days: 2,
+                deliverables: ['Scale, pause or kill decision'],
+                entryCriteria: ['Beta feedback summary'],
+                exitCriteria: ['Decision recorded']
+            }
+        ]
+    },
+    {
+        key: 'venture-funnel',
+        name: 'Venture Funnel',
+        description: 'The five-stage funnel from problem statement to the scale/kill decision',
+        stages: [
+            {
+                stage: 'problem_statement',
+                name: 'Problem Statement',
+                description: 'Define the pain point and validate the problem exists in the market',
+                days: 3,
+                deliverables: ['Problem statement'],
+                entryCriteria: ['Idea tagged "Problem" for review'],
+                exitCriteria: ['Problem validated in the market']
+            },
+            {
+                stage: 'sprint_0',
+                name: 'Sprint 0',
+                description: 'Validate idea, scope MVP with market research and feasibility analysis',
+                days: 4,
+                deliverables: ['Market research', 'Feasibility analysis', 'MVP scope'],
+                entryCriteria: ['Problem validated in the market'],
+                exitCriteria: ['Venture board set up with tasks assigned']
+            },
+            {
+                stage: 'mvp_build',
+                name: 'MVP Build',
+                description: 'Working product development using AliceSolutionsGroup templates and playbooks',
+                days: 18,
+                deliverables: ['Working MVP'],
+                entryCriteria: ['Venture board set up with tasks assigned'],
+                exitCriteria: ['MVP ready for beta users']
+            },
+            {
+                stage: 'beta_test',
+                name: 'Beta Test',
+                description: 'Test with real users, often inside LGM or friendly clients for feedback',
+                days: 3,
+                deliverables: ['Beta feedback summary'],
+                entryCriteria: ['MVP ready for beta users'],
+                exitCriteria: ['Feedback collected from real users']
+            },
+            {
+                stage: 'decision_gate',
+                name: 'Scale/Kill Decision',
+                description: 'Keep pushing OR sunset and recycle learnings for future ventures',
+                days: 2,
+                deliverables: ['Scale or kill decision'],
+                entryCriteria: ['Beta feedback summary'],
+                exitCriteria: ['Decision recorded']
+            }
+        ]
+    }
+];
+
+// The milestones gating each stage, by template key and stage
+const BUILT_IN_MILESTONES_V7 = {
+    'smartstart-30-day': {
+        discovery: [
+            {
+                type: 'document_signed',
+                documentId: 'contributor',
+                title: 'Contributor agreement signed'
+            }
+        ],
+        problem_statement: [
+            { type: 'problem_statement', title: 'Problem statement written' }
+        ],
+        sprint_0: [
+            { type: 'deliverable', title: 'MVP scope agreed with the team' }
+        ],
+        mvp_build: [
+            { type: 'deliverable', title: 'MVP ready for beta users' }
+        ],
+        beta_test: [
+            { type: 'deliverable', title: 'Beta feedback summary shared' }
+        ],
+        decision_gate: [
+            { type: 'deliverable', title: 'Scale, pause or kill decision recorded' }
+        ]
+    },
+    'venture-funnel': {
+        problem_statement: [
+            { type: 'problem_statement', title: 'Problem statement written' }
+        ],
+        sprint_0: [
+            {
+                type: 'document_signed',
+                documentId: 'contributor',
+                title: 'Contributor agreement signed'
+            },
+            { type: 'deliverable', title: 'Venture board set up with tasks assigned' }
+        ],
+        mvp_build: [
+            { type: 'deliverable', title: 'MVP ready for beta users' }
+        ],
+        beta_test: [
+            { type: 'deliverable', title: 'Feedback collected from real users' }
+        ],
+        decision_gate: [
+            { type: 'deliverable', title: 'Scale or kill decision recorded' }
+        ]
+    }
+};
+
+const SERVER_MIGRATIONS = [
+    {
+        version: 3,
+        name: 'server_api_tables',
+        up(db) {
+            db.run(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                token TEXT UNIQUE NOT NULL,
+                user_id INTEGER NOT NULL,
+                expires_at DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id)
+            )
+            `);
+            db.run(`
+            CREATE TABLE IF NOT EXISTS document_signatures (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                document_id TEXT NOT NULL,
+                document_version TEXT,
+                signer_name TEXT,
+                signer_email TEXT,
+                ip_address TEXT,
+                user_agent TEXT,
+                signed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, document_id),
+                FOREIGN KEY (user_id) REFERENCES users (id)
+            )
+            `);
+            db.run(`
+            CREATE TABLE IF NOT EXISTS billing_customers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER UNIQUE NOT NULL,
+                external_id TEXT NOT NULL,
+                address TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id)
+            )
+            `);
+            db.run(`
+            CREATE TABLE IF NOT EXISTS subscriptions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                plan TEXT NOT NULL,
+                price REAL NOT NULL,
+                billing_cycle TEXT NOT NULL,
+                status TEXT DEFAULT 'active',
+                start_date DATETIME,
+                next_billing_date DATETIME,
+                cancelled_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id)
+            )
+            `);
+        },
+        down(db) {
+            ['subscriptions', 'billing_customers', 'document_signatures', 'sessions'].forEach((table) => {
+                db.run(`DROP TABLE IF EXISTS ${table}`);
+            });
+        }
+    },
+    {
+        version: 4,
+        name: 'venture_task_board',
+        up(db) {
+            db.run(`
+            CREATE TABLE IF NOT EXISTS tasks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                venture_id INTEGER NOT NULL,
+                title TEXT NOT NULL,
+                description TEXT,
+                lane TEXT NOT NULL DEFAULT 'backlog',
+                position INTEGER NOT NULL DEFAULT 0,
+                assignee_id INTEGER,
+                due_date TEXT,
+                labels TEXT,
+                created_by INTEGER NOT NULL,
+                completed_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (venture_id) REFERENCES ventures (id),
+                FOREIGN KEY (assignee_id) REFERENCES users (id),
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            )
+            `);
+            db.run('CREATE INDEX IF NOT EXISTS idx_tasks_venture_lane ON tasks (venture_id, lane, position)');
+            db.run(`
+            CREATE TABLE IF NOT EXISTS task_wip_limits (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                venture_id INTEGER NOT NULL,
+                lane TEXT NOT NULL,
+                wip_limit INTEGER,
+                UNIQUE (venture_id, lane),
+                FOREIGN KEY (venture_id) REFERENCES ventures (id)
+            )
+            `);
+            db.run(`
+            CREATE TABLE IF NOT EXISTS venture_activity (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                venture_id INTEGER NOT NULL,
+                user_id INTEGER,
+                type TEXT NOT NULL,
+                message TEXT NOT NULL,
+                data TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (venture_id) REFERENCES ventures (id),
+                FOREIGN KEY (user_id) REFERENCES users (id)
+            )
+            `);
+            db.run('CREATE INDEX IF NOT EXISTS idx_venture_activity_venture ON venture_activity (venture_id, id)');
+        },
+        down(db) {
+            ['venture_activity', 'task_wip_limits', 'tasks'].forEach((table) => {
+                db.run(`DROP TABLE IF EXISTS ${table}`);
+            });
+        }
+    },
+    {
+        version: 5,
+        name: 'audit_log',
+        // Append-only: triggers reject any UPDATE or DELETE of recorded events
+        up(db) {
+            db.run(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_type TEXT NOT NULL,
+                category TEXT NOT NULL,
+                actor_id INTEGER,
+                venture_id INTEGER,
+                target_type TEXT,
+                target_id TEXT,
+                summary TEXT NOT NULL,
+                data TEXT,
+                ip_address TEXT,
+                user_agent TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+            `);
+            db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_category ON audit_log (category, id)');
+            db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_venture ON audit_log (venture_id, id)');
+            db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_id, id)');
+            db.run(`
+            CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+            BEGIN
+                SELECT RAISE(ABORT, 'audit_log is append-only');
+            END
+            `);
+            db.run(`
+            CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+            BEGIN
+                SELECT RAISE(ABORT, 'audit_log is append-only');
+            END
+            `);
+        },
+        down(db) {
+            db.run('DROP TRIGGER IF EXISTS audit_log_no_delete');
+            db.run('DROP TRIGGER IF EXISTS audit_log_no_update');
+            db.run('DROP TABLE IF EXISTS audit_log');
+        }
+    },
+    {
+        version: 6,
+        name: 'pipeline_templates',
+        // Template versions are immutable: changing a template means adding a version. Existing
+        // ventures and journeys ran the pipeline that becomes version 1 of the default template,
+        // which predates stage milestones (see version 7).
+        up(db) {
+            db.run(`
+            CREATE TABLE IF NOT EXISTS pipeline_templates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                template_key TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                description TEXT,
+                stages TEXT NOT NULL,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (template_key, version),
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            )
+            `);
+            db.run(`
+            CREATE TRIGGER IF NOT EXISTS pipeline_templates_no_update BEFORE UPDATE ON pipeline_templates
+            BEGIN
+                SELECT RAISE(ABORT, 'pipeline template versions are immutable');
+            END
+            `);
+            BUILT_IN_TEMPLATES_V6.forEach((template) => {
+                db.run(
+                    `INSERT INTO pipeline_templates (template_key, version, name, description, stages, created_at)
+                     VALUES (?, 1, ?, ?, ?, ?)`,
+                    [
+                        template.key,
+                        template.name,
+                        template.description,
+                        JSON.stringify(template.stages),
+                        new Date().toISOString()
+                    ]
+                );
+            });
+
+            db.run('ALTER TABLE ventures ADD COLUMN pipeline_template_id INTEGER');
+            db.run('ALTER TABLE user_journeys ADD COLUMN pipeline_template_id INTEGER');
+            ['ventures', 'user_journeys'].forEach((table) => {
+                db.run(
+                    `UPDATE ${table} SET pipeline_template_id =
+                     (SELECT id FROM pipeline_templates WHERE template_key = ? AND version = 1)`,
+                    [DEFAULT_TEMPLATE_KEY_V6]
+                );
+            });
+        },
+        down(db) {
+            db.run('ALTER TABLE user_journeys DROP COLUMN pipeline_template_id');
+            db.run('ALTER TABLE ventures DROP COLUMN pipeline_template_id');
+            db.run('DROP TRIGGER IF EXISTS pipeline_templates_no_update');
+            db.run('DROP TABLE IF EXISTS pipeline_templates');
+        }
+    },
+    {
+        version: 7,
+        name: 'journey_stage_milestones',
+        // Stages declare the milestones that gate their completion. Each journey_milestones row
+        // is one requirement of an open stage, with the definition it was created from. Built-in
+        // templates whose latest version has no milestones get a version that adds them; ventures
+        // stay on the version they run. A venture's current stage is opened here, dated when its
+        // previous stage was completed; from now on stages open when the venture enters them.
+        up(db) {
+            db.run('ALTER TABLE journey_milestones ADD COLUMN requirement TEXT');
+            db.run('ALTER TABLE journey_milestones ADD COLUMN completed_by INTEGER');
+            db.run('ALTER TABLE journey_milestones ADD COLUMN evidence TEXT');
+            db.run('CREATE INDEX IF NOT EXISTS idx_journey_milestones_journey ON journey_milestones (journey_id)');
+
+            const latestVersion = db.prepare(
+                'SELECT * FROM pipeline_templates WHERE template_key = ? ORDER BY version DESC LIMIT 1'
+            );
+            Object.entries(BUILT_IN_MILESTONES_V7).forEach(([templateKey, milestones]) => {
+                latestVersion.bind([templateKey]);
+                const latest = latestVersion.step() ? latestVersion.getAsObject() : null;
+                latestVersion.reset();
+                if (!latest) return;
+
+                const stages = JSON.parse(latest.stages);
+                if (stages.some(step => step.milestones)) return;
+                const withMilestones = stages.map(step => ({ ...step, milestones: milestones[step.stage] || [] }));
+                db.run(
+                    `INSERT INTO pipeline_templates (template_key, version, name, description, stages, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?)`,
+                    [templateKey, latest.version + 1, latest.name, latest.description, JSON.stringify(withMilestones), new Date().toISOString()]
+                );
+            });
+            latestVersion.free();
+
+            const templates = new Map(
+                SmartStartMigrations.selectAll(db, 'SELECT id, stages FROM pipeline_templates').map(row => [row.id, row])
+            );
+            const [defaultTemplate] = SmartStartMigrations.selectAll(
+                db,
+                'SELECT id, stages FROM pipeline_templates WHERE template_key = ? ORDER BY version DESC LIMIT 1',
+                [DEFAULT_TEMPLATE_KEY_V6]
+            );
+            SmartStartMigrations.selectAll(db, 'SELECT * FROM ventures ORDER BY id').forEach((venture) => {
+                const template = templates.get(venture.pipeline_template_id) || defaultTemplate;
+                const step = template && JSON.parse(template.stages).find(item => item.stage === venture.stage);
+                if (!step) return;
+
+                const [previous] = SmartStartMigrations.selectAll(
+                    db,
+                    'SELECT MAX(completed_at) AS completed_at FROM user_journeys WHERE venture_id = ?',
+                    [venture.id]
+                );
+                const openedAt = previous.completed_at || venture.created_at || new Date().toISOString();
+                db.run(
+                    `INSERT INTO user_journeys (user_id, venture_id, stage, stage_data, pipeline_template_id, created_at)
+                     VALUES (?, ?, ?, '{}', ?, ?)`,
+                    [venture.founder_id, venture.id, venture.stage, template.id, openedAt]
+                );
+                const [{ id: journeyId }] = SmartStartMigrations.selectAll(db, 'SELECT last_insert_rowid() AS id');
+                (step.milestones || []).forEach((milestone) => {
+                    db.run(
+                        `INSERT INTO journey_milestones (journey_id, milestone_type, title, requirement, completed, created_at)
+                         VALUES (?, ?, ?, ?, 0, ?)`,
+                        [journeyId, milestone.type, milestone.title, JSON.stringify(milestone), openedAt]
+                    );
+                });
+            });
+        },
+        down(db) {
+            // Venture journeys were only recorded once completed before stages could be open
+            const openStages = 'SELECT id FROM user_journeys WHERE venture_id IS NOT NULL AND completed_at IS NULL';
+            db.run(`DELETE FROM journey_milestones WHERE journey_id IN (${openStages})`);
+            db.run('DELETE FROM user_journeys WHERE venture_id IS NOT NULL AND completed_at IS NULL');
+            db.run(
+                `DELETE FROM pipeline_templates WHERE version > 1 AND created_by IS NULL
+                 AND id = (SELECT MAX(id) FROM pipeline_templates AS newer WHERE newer.template_key = pipeline_templates.template_key)
+                 AND id NOT IN (SELECT pipeline_template_id FROM ventures WHERE pipeline_template_id IS NOT NULL)`
+            );
+            db.run('DROP INDEX IF EXISTS idx_journey_milestones_journey');
+            db.run('ALTER TABLE journey_milestones DROP COLUMN evidence');
+            db.run('ALTER TABLE journey_milestones DROP COLUMN completed_by');
+            db.run('ALTER TABLE journey_milestones DROP COLUMN requirement');
+        }
+    },
+    {
+        version: 10,
+        name: 'calendar_feeds',
+        // Calendar apps cannot send bearer tokens, so each user's pipeline calendar is served at
+        // a URL carrying a random token of its own. Replacing the token revokes the old URL.
+        up(db) {
+            db.run(`
+            CREATE TABLE IF NOT EXISTS calendar_feeds (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER UNIQUE NOT NULL,
+                token TEXT UNIQUE NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_fetched_at DATETIME,
+                FOREIGN KEY (user_id) REFERENCES users (id)
+            )
+            `);
+        },
+        down(db) {
+            db.run('DROP TABLE IF EXISTS calendar_feeds');
+        }
+    },
+    {
+        version: 11,
+        name: 'decision_scorecards',
+        // A venture's Decision Gate scorecard: the team's ratings while it is open, then the
+        // decision, its rationale and the evaluation it was made on. A venture that comes back
+        // to the gate starts a new scorecard; decided ones are kept as its history.
+        up(db) {
+            db.run(`
+            CREATE TABLE IF NOT EXISTS decision_scorecards (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                venture_id INTEGER NOT NULL,
+                ratings TEXT NOT NULL DEFAULT '{}',
+                feature_adoption REAL,
+                decision TEXT,
+                rationale TEXT,
+                score INTEGER,
+                recommendation TEXT,
+                evaluation TEXT,
+                decided_by INTEGER,
+                decided_at DATETIME,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (venture_id) REFERENCES ventures (id),
+                FOREIGN KEY (decided_by) REFERENCES users (id),
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            )
+            `);
+            db.run('CREATE INDEX IF NOT EXISTS idx_decision_scorecards_venture ON decision_scorecards (venture_id)');
+        },
+        down(db) {
+            db.run('DROP INDEX IF EXISTS idx_decision_scorecards_venture');
+            db.run('DROP TABLE IF EXISTS decision_scorecards');
+        }
+    },
+    {
+        version: 12,
+        name: 'beta_testing',
+        // A venture's beta test: invited testers (the token is their invitation link until they
+        // accept it with an account), test scripts, scheduled sessions, and structured feedback
+        // in feedback_reviews with the team's inbox triage.
+        up(db) {
+            db.run(`
+            CREATE TABLE IF NOT EXISTS beta_testers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                venture_id INTEGER NOT NULL,
+                email TEXT NOT NULL,
+                name TEXT,
+                user_id INTEGER,
+                token TEXT UNIQUE NOT NULL,
+                status TEXT NOT NULL DEFAULT 'invited',
+                invited_by INTEGER,
+                invited_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                responded_at DATETIME,
+                UNIQUE (venture_id, email),
+                FOREIGN KEY (venture_id) REFERENCES ventures (id),
+                FOREIGN KEY (user_id) REFERENCES users (id),
+                FOREIGN KEY (invited_by) REFERENCES users (id)
+            )
+            `);
+            db.run(`
+            CREATE TABLE IF NOT EXISTS beta_scripts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                venture_id INTEGER NOT NULL,
+                title TEXT NOT NULL,
+                instructions TEXT,
+                steps TEXT NOT NULL DEFAULT '[]',
+                features TEXT NOT NULL DEFAULT '[]',
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (venture_id) REFERENCES ventures (id),
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            )
+            `);
+            db.run(`
+            CREATE TABLE IF NOT EXISTS beta_sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                venture_id INTEGER NOT NULL,
+                tester_id INTEGER NOT NULL,
+                script_id INTEGER,
+                scheduled_at DATETIME NOT NULL,
+                duration_minutes INTEGER NOT NULL DEFAULT 30,
+                location TEXT,
+                status TEXT NOT NULL DEFAULT 'scheduled',
+                notes TEXT,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (venture_id) REFERENCES ventures (id),
+                FOREIGN KEY (tester_id) REFERENCES beta_testers (id),
+                FOREIGN KEY (script_id) REFERENCES beta_scripts (id),
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            )
+            `);
+            db.run('CREATE INDEX IF NOT EXISTS idx_beta_testers_venture ON beta_testers (venture_id)');
+            db.run('CREATE INDEX IF NOT EXISTS idx_beta_sessions_venture ON beta_sessions (venture_id, scheduled_at)');
+
+            db.run('ALTER TABLE feedback_reviews ADD COLUMN tester_id INTEGER');
+            db.run('ALTER TABLE feedback_reviews ADD COLUMN session_id INTEGER');
+            db.run('ALTER TABLE feedback_reviews ADD COLUMN ratings TEXT');
+            db.run('ALTER TABLE feedback_reviews ADD COLUMN feature_reactions TEXT');
+            db.run("ALTER TABLE feedback_reviews ADD COLUMN tags TEXT NOT NULL DEFAULT '[]'");
+            db.run('ALTER TABLE feedback_reviews ADD COLUMN priority TEXT');
+            db.run("ALTER TABLE feedback_reviews ADD COLUMN status TEXT NOT NULL DEFAULT 'new'");
+            db.run('ALTER TABLE feedback_reviews ADD COLUMN triaged_by INTEGER');
+            db.run('ALTER TABLE feedback_reviews ADD COLUMN updated_at DATETIME');
+            db.run('CREATE INDEX IF NOT EXISTS idx_feedback_reviews_venture ON feedback_reviews (venture_id)');
+        },
+        down(db) {
+            db.run('DROP INDEX IF EXISTS idx_feedback_reviews_venture');
+            ['updated_at', 'triaged_by', 'status', 'priority', 'tags', 'feature_reactions', 'ratings', 'session_id', 'tester_id']
+                .forEach(column => db.run(`ALTER TABLE feedback_reviews DROP COLUMN ${column}`));
+            db.run('DROP INDEX IF EXISTS idx_beta_sessions_venture');
+            db.run('DROP INDEX IF EXISTS idx_beta_testers_venture');
+            db.run('DROP TABLE IF EXISTS beta_sessions');
+            db.run('DROP TABLE IF EXISTS beta_scripts');
+            db.run('DROP TABLE IF EXISTS beta_testers');
+        }
+    },
+    {
+        version: 13,
+        name: 'feedback_backlog_tasks',
+        // Tasks made from the feedback analysis backlog remember the item they came from, so the
+        // item shows its task instead of being offered again until the task is deleted.
+        up(db) {
+            db.run('ALTER TABLE tasks ADD COLUMN feedback_key TEXT');
+            db.run('CREATE INDEX IF NOT EXISTS idx_tasks_feedback_key ON tasks (venture_id, feedback_key)');
+        },
+        down(db) {
+            db.run('DROP INDEX IF EXISTS idx_tasks_feedback_key');
+            db.run('ALTER TABLE tasks DROP COLUMN feedback_key');
+        }
+    },
+    {
+        version: 14,
+        name: 'team_invitations',
+        // Venture teams: a team_collaborations row is a member (invited, active or left). An
+        // invitation has no user until it is accepted, so user_id becomes nullable and the table
+        // is rebuilt; invitations sent by email keep the address, and every invitation carries
+        // the token of its link.
+        up(db) {
+            db.run(`
+            CREATE TABLE team_collaborations_next (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                venture_id INTEGER NOT NULL,
+                user_id INTEGER,
+                invite_email TEXT,
+                role TEXT NOT NULL,
+                equity_percentage REAL,
+                status TEXT NOT NULL DEFAULT 'active',
+                token TEXT UNIQUE,
+                invited_by INTEGER,
+                invited_at DATETIME,
+                joined_at DATETIME,
+                left_at DATETIME,
+                updated_at DATETIME,
+                FOREIGN KEY (venture_id) REFERENCES ventures (id),
+                FOREIGN KEY (user_id) REFERENCES users (id),
+                FOREIGN KEY (invited_by) REFERENCES users (id)
+            )
+            `);
+            db.run(`
+            INSERT INTO team_collaborations_next (id, venture_id, user_id, role, equity_percentage, status, joined_at, updated_at)
+            SELECT id, venture_id, user_id, role, equity_percentage, COALESCE(status, 'active'), joined_at, joined_at
+            FROM team_collaborations
+            `);
+            db.run('DROP TABLE team_collaborations');
+            db.run('ALTER TABLE team_collaborations_next RENAME TO team_collaborations');
+            db.run('CREATE INDEX IF NOT EXISTS idx_team_collaborations_venture ON team_collaborations (venture_id)');
+            db.run('CREATE INDEX IF NOT EXISTS idx_team_collaborations_user ON team_collaborations (user_id)');
+        },
+        // Invitations nobody accepted have no user and are dropped
+        down(db) {
+            db.run(`
+            CREATE TABLE team_collaborations_previous (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                venture_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                role TEXT NOT NULL,
+                equity_percentage REAL,
+                joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                status TEXT DEFAULT 'active',
+                FOREIGN KEY (venture_id) REFERENCES ventures (id),
+                FOREIGN KEY (user_id) REFERENCES users (id)
+            )
+            `);
+            db.run(`
+            INSERT INTO team_collaborations_previous (id, venture_id, user_id, role, equity_percentage, joined_at, status)
+            SELECT id, venture_id, user_id, role, equity_percentage, COALESCE(joined_at, invited_at), status
+            FROM team_collaborations WHERE user_id IS NOT NULL
+            `);
+            db.run('DROP TABLE team_collaborations');
+            db.run('ALTER TABLE team_collaborations_previous RENAME TO team_collaborations');
+        }
+    },
+    {
+        version: 15,
+        name: 'equity_transactions',
+        // A venture's cap table as a ledger: each transaction is dated, lists the stakes it
+        // changed and keeps the whole table after it, so the latest one is the current table.
+        // ventures.equity_distribution and team_collaborations.equity_percentage mirror it.
+        up(db) {
+            db.run(`
+            CREATE TABLE IF NOT EXISTS equity_transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                venture_id INTEGER NOT NULL,
+                type TEXT NOT NULL,
+                effective_date DATE NOT NULL,
+                note TEXT,
+                changes TEXT NOT NULL,
+                stakes TEXT NOT NULL,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (venture_id) REFERENCES ventures (id),
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            )
+            `);
+            db.run('CREATE INDEX IF NOT EXISTS idx_equity_transactions_venture ON equity_transactions (venture_id, effective_date)');
+        },
+        down(db) {
+            db.run('DROP INDEX IF EXISTS idx_equity_transactions_venture');
+            db.run('DROP TABLE IF EXISTS equity_transactions');
+        }
+    }
+];
+
+// Every migration the server database runs, in version order
+const MIGRATIONS = SmartStartMigrations.sorted(SmartStartMigrations.migrations.concat(SERVER_MIGRATIONS));
+
+module.exports = {
+    SERVER_MIGRATIONS,
+    MIGRATIONS
+};
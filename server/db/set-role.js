@@ -0,0 +1,44 @@
+/**
+ * Assign a role to a user account
+ *
+ * Usage:
+ *   node server/db/set-role.js <email> <role>
+ *
+ * Roles: member, core_builder, advisor, admin. Use it to appoint the first founder/admin;
+ * after that admins manage roles through PUT /api/users/:id/role.
+ * Operates on DATABASE_PATH (default data/smartstart.sqlite); run it while the server is stopped,
+ * since a running server keeps its own copy of the database and would overwrite the change.
+ */
+
+const path = require('path');
+const SmartStartRoles = require('../../website/assets/js/roles');
+const { SqliteStore } = require('./store');
+
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', '..', 'data', 'smartstart.sqlite');
+
+async function main() {
+    const [email, role] = process.argv.slice(2);
+    if (!email || !role) {
+        throw new Error('Usage: node server/db/set-role.js <email> <role>');
+    }
+    if (!SmartStartRoles.isRole(role)) {
+        throw new Error(`Unknown role "${role}". Use one of: ${Object.keys(SmartStartRoles.ROLES).join(', ')}.`);
+    }
+
+    const store = new SqliteStore({ filename: DATABASE_PATH });
+    await store.ready;
+
+    const user = await store.getUserByEmail(email.trim().toLowerCase());
+    if (!user) {
+        throw new Error(`No user with email ${email}`);
+    }
+
+    await store.updateUser(user.id, { role });
+    console.log(`${user.email} is now ${SmartStartRoles.label(role)} (${role})`);
+    await store.close();
+}
+
+main().catch((error) => {
+    console.error('Role change failed:', error.message);
+    process.exit(1);
+});
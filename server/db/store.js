@@ -0,0 +1,858 @@
+/**
+ * SQLite data-access layer for the SmartStart API
+ * Same schema as the browser SmartStartDatabase, persisted on the server
+ */
+
+const SmartStartMigrations = require('../../website/database/migrations');
+const { SqliteConnection, MEMORY } = require('./connection');
+const { MIGRATIONS } = require('./migrations');
+
+function now() {
+    return new Date().toISOString();
+}
+
+class SqliteStore {
+    constructor(options = {}) {
+        this.filename = options.filename || MEMORY;
+        this.connection = null;
+        this.ready = this.init();
+    }
+
+    async init() {
+        this.connection = await SqliteConnection.open(this.filename);
+        const applied = SmartStartMigrations.migrate(this.connection.db, { migrations: MIGRATIONS });
+        if (applied.length > 0) {
+            console.log(`Applied database migrations: ${applied.map(migration => migration.version).join(', ')}`);
+            this.connection.persist();
+        }
+        return this;
+    }
+
+    async db() {
+        await this.ready;
+        return this.connection;
+    }
+
+    async insert(table, fields) {
+        const db = await this.db();
+        const columns = Object.keys(fields);
+        const placeholders = columns.map(() => '?').join(', ');
+        const { lastInsertRowid } = db.run(
+            `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`,
+            Object.values(fields)
+        );
+        return db.get(`SELECT * FROM ${table} WHERE id = ?`, [lastInsertRowid]);
+    }
+
+    async update(table, id, fields, options = {}) {
+        const db = await this.db();
+        const values = { ...fields };
+        if (options.touch !== false) {
+            values.updated_at = now();
+        }
+        const setClause = Object.keys(values).map((column) => `${column} = ?`).join(', ');
+        db.run(`UPDATE ${table} SET ${setClause} WHERE id = ?`, [...Object.values(values), id]);
+        return db.get(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+    }
+
+    async close() {
+        const db = await this.db();
+        db.close();
+    }
+
+    // User management
+    async createUser(userData) {
+        if (await this.getUserByEmail(userData.email)) {
+            const error = new Error('Email already exists');
+            error.code = 'DUPLICATE_EMAIL';
+            throw error;
+        }
+        return this.insert('users', { ...userData, created_at: now(), updated_at: now() });
+    }
+
+    async getUserById(userId) {
+        const db = await this.db();
+        return db.get('SELECT * FROM users WHERE id = ?', [userId]);
+    }
+
+    async getUserByEmail(email) {
+        const db = await this.db();
+        return db.get('SELECT * FROM users WHERE email = ?', [email]);
+    }
+
+    async listUsers() {
+        const db = await this.db();
+        return db.all('SELECT * FROM users ORDER BY id');
+    }
+
+    async updateUser(userId, fields) {
+        return this.update('users', userId, fields);
+    }
+
+    async getUserProfile(userId) {
+        const db = await this.db();
+        return db.get('SELECT * FROM user_profiles WHERE user_id = ?', [userId]);
+    }
+
+    async saveUserProfile(userId, fields) {
+        const profile = await this.getUserProfile(userId);
+        if (profile) {
+            return this.update('user_profiles', profile.id, fields);
+        }
+        return this.insert('user_profiles', { user_id: userId, ...fields, created_at: now(), updated_at: now() });
+    }
+
+    // Sessions - the token column holds the session id named inside signed bearer tokens
+    async createSession(sessionId, userId, expiresAt) {
+        return this.insert('sessions', { token: sessionId, user_id: userId, expires_at: expiresAt, created_at: now() });
+    }
+
+    async getSession(sessionId) {
+        const db = await this.db();
+        return db.get('SELECT * FROM sessions WHERE token = ?', [sessionId]);
+    }
+
+    async deleteSession(sessionId) {
+        const db = await this.db();
+        db.run('DELETE FROM sessions WHERE token = ?', [sessionId]);
+    }
+
+    // Ventures
+    async createVenture(ventureData) {
+        return this.insert('ventures', { ...ventureData, created_at: now(), updated_at: now() });
+    }
+
+    async getVenture(ventureId) {
+        const db = await this.db();
+        return db.get('SELECT * FROM ventures WHERE id = ?', [ventureId]);
+    }
+
+    async getUserVentures(userId) {
+        const db = await this.db();
+        return db.all('SELECT * FROM ventures WHERE founder_id = ? ORDER BY id DESC', [userId]);
+    }
+
+    async getAllVentures() {
+        const db = await this.db();
+        return db.all('SELECT * FROM ventures ORDER BY id DESC');
+    }
+
+    async updateVenture(ventureId, fields) {
+        return this.update('ventures', ventureId, fields);
+    }
+
+    // The venture's journey events stay: the log is append-only, and the stream of a deleted
+    // venture can no longer be read
+    async deleteVenture(ventureId) {
+        const db = await this.db();
+        return db.transaction(() => {
+            db.run(
+                'DELETE FROM journey_milestones WHERE journey_id IN (SELECT id FROM user_journeys WHERE venture_id = ?)',
+                [ventureId]
+            );
+            [
+                'user_journeys', 'journey_snapshots',
+                'tasks', 'task_wip_limits', 'venture_activity', 'decision_scorecards',
+                'feedback_reviews', 'beta_sessions', 'beta_scripts', 'beta_testers', 'team_collaborations',
+                'equity_transactions'
+            ].forEach((table) => {
+                db.run(`DELETE FROM ${table} WHERE venture_id = ?`, [ventureId]);
+            });
+            return db.run('DELETE FROM ventures WHERE id = ?', [ventureId]).changes > 0;
+        });
+    }
+
+    // Journeys
+    async createUserJourney(journeyData) {
+        return this.insert('user_journeys', { ...journeyData, created_at: now() });
+    }
+
+    // Completed stages only; a venture's open stage is not part of anyone's journey yet
+    async getUserJourneys(userId, ventureId) {
+        const db = await this.db();
+        if (ventureId === undefined) {
+            return db.all(
+                'SELECT * FROM user_journeys WHERE user_id = ? AND completed_at IS NOT NULL ORDER BY id DESC',
+                [userId]
+            );
+        }
+        return db.all(
+            'SELECT * FROM user_journeys WHERE user_id = ? AND venture_id IS ? AND completed_at IS NOT NULL ORDER BY id DESC',
+            [userId, ventureId]
+        );
+    }
+
+    // Every journey entry recorded for a venture, whoever on the team completed it
+    async getVentureJourneys(ventureId) {
+        const db = await this.db();
+        return db.all('SELECT * FROM user_journeys WHERE venture_id = ? ORDER BY id', [ventureId]);
+    }
+
+    async updateUserJourney(journeyId, fields) {
+        return this.update('user_journeys', journeyId, fields, { touch: false });
+    }
+
+    // The entry of the stage a venture is working on, which completing the stage closes
+    async getOpenStageJourney(ventureId, stage) {
+        const db = await this.db();
+        return db.get(
+            'SELECT * FROM user_journeys WHERE venture_id = ? AND stage = ? AND completed_at IS NULL ORDER BY id DESC LIMIT 1',
+            [ventureId, stage]
+        );
+    }
+
+    // Opens a stage together with the milestones that gate its completion
+    async openStageJourney(journeyData, milestones) {
+        const db = await this.db();
+        return db.transaction(() => {
+            const createdAt = now();
+            const { lastInsertRowid } = db.run(
+                `INSERT INTO user_journeys (user_id, venture_id, stage, stage_data, pipeline_template_id, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [journeyData.user_id, journeyData.venture_id, journeyData.stage, journeyData.stage_data, journeyData.pipeline_template_id, createdAt]
+            );
+            milestones.forEach((milestone) => {
+                db.run(
+                    `INSERT INTO journey_milestones (journey_id, milestone_type, title, requirement, completed, created_at)
+                     VALUES (?, ?, ?, ?, 0, ?)`,
+                    [lastInsertRowid, milestone.milestone_type, milestone.title, milestone.requirement, createdAt]
+                );
+            });
+            return db.get('SELECT * FROM user_journeys WHERE id = ?', [lastInsertRowid]);
+        });
+    }
+
+    async getJourneyMilestones(journeyId) {
+        const db = await this.db();
+        return db.all('SELECT * FROM journey_milestones WHERE journey_id = ? ORDER BY id', [journeyId]);
+    }
+
+    async getJourneyMilestone(milestoneId) {
+        const db = await this.db();
+        return db.get('SELECT * FROM journey_milestones WHERE id = ?', [milestoneId]);
+    }
+
+    async updateJourneyMilestone(milestoneId, fields) {
+        return this.update('journey_milestones', milestoneId, fields, { touch: false });
+    }
+
+    // Journey events - an append-only log per stream ('venture:<id>' or 'user:<id>')
+    async appendJourneyEvent(eventData) {
+        const db = await this.db();
+        return db.transaction(() => {
+            const { sequence } = db.get(
+                'SELECT COALESCE(MAX(sequence), 0) + 1 AS sequence FROM journey_events WHERE stream = ?',
+                [eventData.stream]
+            );
+            const { lastInsertRowid } = db.run(
+                `INSERT INTO journey_events (stream, venture_id, user_id, sequence, event_type, stage, data, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [eventData.stream, eventData.venture_id, eventData.user_id, sequence, eventData.event_type,
+                    eventData.stage, eventData.data, now()]
+            );
+            return db.get('SELECT * FROM journey_events WHERE id = ?', [lastInsertRowid]);
+        });
+    }
+
+    // Events in sequence order, after a sequence number when `after` is given
+    async getJourneyEvents(stream, options = {}) {
+        const db = await this.db();
+        return db.all(
+            'SELECT * FROM journey_events WHERE stream = ? AND sequence > ? ORDER BY sequence LIMIT ?',
+            [stream, options.after || 0, options.limit || -1]
+        );
+    }
+
+    // Newest first with the names of whoever caused each event; `before` is a sequence number
+    async getJourneyTimeline(stream, options = {}) {
+        const db = await this.db();
+        return db.all(
+            `SELECT journey_events.*, users.first_name, users.last_name
+             FROM journey_events LEFT JOIN users ON users.id = journey_events.user_id
+             WHERE journey_events.stream = ? AND journey_events.sequence < ?
+             ORDER BY journey_events.sequence DESC LIMIT ?`,
+            [stream, options.before || Number.MAX_SAFE_INTEGER, options.limit || 20]
+        );
+    }
+
+    async getJourneySnapshot(stream) {
+        const db = await this.db();
+        return db.get('SELECT * FROM journey_snapshots WHERE stream = ?', [stream]);
+    }
+
+    async saveJourneySnapshot(snapshotData) {
+        const db = await this.db();
+        db.run(
+            `INSERT INTO journey_snapshots (stream, venture_id, user_id, sequence, state, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT (stream) DO UPDATE SET sequence = excluded.sequence, state = excluded.state, updated_at = excluded.updated_at`,
+            [snapshotData.stream, snapshotData.venture_id, snapshotData.user_id, snapshotData.sequence, snapshotData.state, now()]
+        );
+        return this.getJourneySnapshot(snapshotData.stream);
+    }
+
+    // Pipeline templates - each version is immutable; a change adds the next version
+    async createPipelineTemplate(templateData) {
+        const db = await this.db();
+        return db.transaction(() => {
+            const latest = db.get(
+                'SELECT MAX(version) AS version FROM pipeline_templates WHERE template_key = ?',
+                [templateData.template_key]
+            );
+            const { lastInsertRowid } = db.run(
+                `INSERT INTO pipeline_templates (template_key, version, name, description, stages, created_by, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    templateData.template_key,
+                    (latest.version || 0) + 1,
+                    templateData.name,
+                    templateData.description,
+                    templateData.stages,
+                    templateData.created_by,
+                    now()
+                ]
+            );
+            return db.get('SELECT * FROM pipeline_templates WHERE id = ?', [lastInsertRowid]);
+        });
+    }
+
+    async getPipelineTemplate(templateId) {
+        const db = await this.db();
+        return db.get('SELECT * FROM pipeline_templates WHERE id = ?', [templateId]);
+    }
+
+    // A specific version of a template, or its latest version when `version` is omitted
+    async getPipelineTemplateVersion(templateKey, version) {
+        const db = await this.db();
+        if (version === undefined) {
+            return db.get(
+                'SELECT * FROM pipeline_templates WHERE template_key = ? ORDER BY version DESC LIMIT 1',
+                [templateKey]
+            );
+        }
+        return db.get('SELECT * FROM pipeline_templates WHERE template_key = ? AND version = ?', [templateKey, version]);
+    }
+
+    async getPipelineTemplateVersions(templateKey) {
+        const db = await this.db();
+        return db.all('SELECT * FROM pipeline_templates WHERE template_key = ? ORDER BY version DESC', [templateKey]);
+    }
+
+    // The latest version of every template
+    async getPipelineTemplates() {
+        const db = await this.db();
+        return db.all(
+            `SELECT * FROM pipeline_templates
+             WHERE version = (SELECT MAX(version) FROM pipeline_templates AS newer
+                              WHERE newer.template_key = pipeline_templates.template_key)
+             ORDER BY id`
+        );
+    }
+
+    // Team collaborations: a venture's members, from invitation (no user yet) to leaving
+    async createCollaboration(collaborationData) {
+        const timestamp = now();
+        return this.insert('team_collaborations', { invited_at: timestamp, updated_at: timestamp, ...collaborationData });
+    }
+
+    async getCollaborationById(collaborationId) {
+        const db = await this.db();
+        return db.get(
+            `SELECT team_collaborations.*, users.first_name, users.last_name, users.email
+             FROM team_collaborations LEFT JOIN users ON users.id = team_collaborations.user_id
+             WHERE team_collaborations.id = ?`,
+            [collaborationId]
+        );
+    }
+
+    async getCollaborationByToken(token) {
+        const db = await this.db();
+        return db.get('SELECT * FROM team_collaborations WHERE token = ?', [token]);
+    }
+
+    // The member row of a user, or of an email address invited before they accepted
+    async getCollaborationByEmail(ventureId, email) {
+        const db = await this.db();
+        return db.get(
+            `SELECT team_collaborations.* FROM team_collaborations
+             LEFT JOIN users ON users.id = team_collaborations.user_id
+             WHERE team_collaborations.venture_id = ?
+               AND (LOWER(users.email) = LOWER(?) OR team_collaborations.invite_email = LOWER(?))
+             ORDER BY team_collaborations.id DESC LIMIT 1`,
+            [ventureId, email, email]
+        );
+    }
+
+    // Every membership the user has, and every member of the ventures they founded
+    async getUserCollaborations(userId) {
+        const db = await this.db();
+        return db.all(
+            `SELECT team_collaborations.* FROM team_collaborations
+             JOIN ventures ON ventures.id = team_collaborations.venture_id
+             WHERE team_collaborations.user_id = ? OR ventures.founder_id = ?
+             ORDER BY team_collaborations.id`,
+            [userId, userId]
+        );
+    }
+
+    // Open team invitations sent to the user's email, with the venture's name
+    async getUserTeamInvitations(user) {
+        const db = await this.db();
+        return db.all(
+            `SELECT team_collaborations.*, ventures.name AS venture_name
+             FROM team_collaborations JOIN ventures ON ventures.id = team_collaborations.venture_id
+             WHERE team_collaborations.status = 'invited' AND team_collaborations.invite_email = LOWER(?)
+             ORDER BY team_collaborations.id`,
+            [user.email]
+        );
+    }
+
+    async getVentureCollaborations(ventureId) {
+        const db = await this.db();
+        return db.all(
+            `SELECT team_collaborations.*, users.first_name, users.last_name, users.email
+             FROM team_collaborations LEFT JOIN users ON users.id = team_collaborations.user_id
+             WHERE team_collaborations.venture_id = ? ORDER BY team_collaborations.id`,
+            [ventureId]
+        );
+    }
+
+    async getCollaboration(ventureId, userId) {
+        const db = await this.db();
+        return db.get(
+            'SELECT * FROM team_collaborations WHERE venture_id = ? AND user_id = ? ORDER BY id DESC LIMIT 1',
+            [ventureId, userId]
+        );
+    }
+
+    async updateCollaboration(collaborationId, fields) {
+        await this.update('team_collaborations', collaborationId, fields);
+        return this.getCollaborationById(collaborationId);
+    }
+
+    async deleteCollaboration(collaborationId) {
+        const db = await this.db();
+        return db.run('DELETE FROM team_collaborations WHERE id = ?', [collaborationId]).changes > 0;
+    }
+
+    // Ventures the user is an active team member of, newest first
+    async getMemberVentures(userId) {
+        const db = await this.db();
+        return db.all(
+            `SELECT ventures.*, team_collaborations.role AS team_role
+             FROM ventures JOIN team_collaborations ON team_collaborations.venture_id = ventures.id
+             WHERE team_collaborations.user_id = ? AND team_collaborations.status = 'active'
+             ORDER BY ventures.id DESC`,
+            [userId]
+        );
+    }
+
+    // Tasks
+    async createTask(taskData) {
+        return this.insert('tasks', { ...taskData, created_at: now(), updated_at: now() });
+    }
+
+    async getTask(taskId) {
+        const db = await this.db();
+        return db.get('SELECT * FROM tasks WHERE id = ?', [taskId]);
+    }
+
+    async getVentureTasks(ventureId, lane) {
+        const db = await this.db();
+        if (lane === undefined) {
+            return db.all('SELECT * FROM tasks WHERE venture_id = ? ORDER BY lane, position, id', [ventureId]);
+        }
+        return db.all('SELECT * FROM tasks WHERE venture_id = ? AND lane = ? ORDER BY position, id', [ventureId, lane]);
+    }
+
+    // Tasks made from feedback analysis backlog items, by the item's key
+    async getFeedbackTasks(ventureId) {
+        const db = await this.db();
+        return db.all('SELECT * FROM tasks WHERE venture_id = ? AND feedback_key IS NOT NULL ORDER BY id', [ventureId]);
+    }
+
+    async updateTask(taskId, fields) {
+        return this.update('tasks', taskId, fields);
+    }
+
+    /**
+     * Put a task at `position` (0-based) in `lane`, renumbering the lane it joins.
+     * Tasks entering the done lane get a completed_at; tasks leaving it lose it.
+     */
+    async moveTask(taskId, lane, position) {
+        const db = await this.db();
+        return db.transaction(() => {
+            const task = db.get('SELECT * FROM tasks WHERE id = ?', [taskId]);
+            const laneTasks = db.all(
+                'SELECT id FROM tasks WHERE venture_id = ? AND lane = ? AND id != ? ORDER BY position, id',
+                [task.venture_id, lane, taskId]
+            );
+            const index = Math.max(0, Math.min(position, laneTasks.length));
+            laneTasks.splice(index, 0, { id: taskId });
+
+            const completedAt = lane === 'done' ? (task.completed_at || now()) : null;
+            db.run('UPDATE tasks SET lane = ?, completed_at = ?, updated_at = ? WHERE id = ?', [lane, completedAt, now(), taskId]);
+            laneTasks.forEach((laneTask, order) => {
+                db.run('UPDATE tasks SET position = ? WHERE id = ?', [order, laneTask.id]);
+            });
+            return db.get('SELECT * FROM tasks WHERE id = ?', [taskId]);
+        });
+    }
+
+    async deleteTask(taskId) {
+        const db = await this.db();
+        return db.run('DELETE FROM tasks WHERE id = ?', [taskId]).changes > 0;
+    }
+
+    async getTaskWipLimits(ventureId) {
+        const db = await this.db();
+        return db.all('SELECT * FROM task_wip_limits WHERE venture_id = ?', [ventureId]);
+    }
+
+    async setTaskWipLimit(ventureId, lane, wipLimit) {
+        const db = await this.db();
+        db.run(
+            `INSERT INTO task_wip_limits (venture_id, lane, wip_limit) VALUES (?, ?, ?)
+             ON CONFLICT (venture_id, lane) DO UPDATE SET wip_limit = excluded.wip_limit`,
+            [ventureId, lane, wipLimit]
+        );
+    }
+
+    // Venture activity feed
+    async addVentureActivity(activityData) {
+        return this.insert('venture_activity', { ...activityData, created_at: now() });
+    }
+
+    async getVentureActivity(ventureId, limit = 50) {
+        const db = await this.db();
+        return db.all(
+            `SELECT venture_activity.*, users.first_name, users.last_name
+             FROM venture_activity LEFT JOIN users ON users.id = venture_activity.user_id
+             WHERE venture_activity.venture_id = ? ORDER BY venture_activity.id DESC LIMIT ?`,
+            [ventureId, limit]
+        );
+    }
+
+    // Audit log - append-only, so there is no update or delete
+    async appendAuditEvent(eventData) {
+        return this.insert('audit_log', { ...eventData, created_at: now() });
+    }
+
+    /**
+     * Audit events, newest first. Filters: category, ventureId, actorId, and `before` (an event id)
+     * to page backwards. `visibleTo` limits the results to what a user may see:
+     * { userId, anyVenture } - their own actions, events about them, and events on ventures they
+     * founded or work on (every venture when anyVenture is set). Omit it for the whole log.
+     */
+    async getAuditEvents(options = {}) {
+        const db = await this.db();
+        const conditions = [];
+        const params = [];
+
+        if (options.category) {
+            conditions.push('audit_log.category = ?');
+            params.push(options.category);
+        }
+        if (options.ventureId !== undefined) {
+            conditions.push('audit_log.venture_id = ?');
+            params.push(options.ventureId);
+        }
+        if (options.actorId !== undefined) {
+            conditions.push('audit_log.actor_id = ?');
+            params.push(options.actorId);
+        }
+        if (options.before !== undefined) {
+            conditions.push('audit_log.id < ?');
+            params.push(options.before);
+        }
+        if (options.visibleTo) {
+            const { userId, anyVenture } = options.visibleTo;
+            const ventureCondition = anyVenture
+                ? 'audit_log.venture_id IS NOT NULL'
+                : `(audit_log.venture_id IN (SELECT id FROM ventures WHERE founder_id = ?)
+                    OR audit_log.venture_id IN (SELECT venture_id FROM team_collaborations WHERE user_id = ? AND status = 'active'))`;
+            conditions.push(`(audit_log.actor_id = ?
+                OR (audit_log.target_type = 'user' AND audit_log.target_id = ?)
+                OR ${ventureCondition})`);
+            params.push(userId, String(userId), ...(anyVenture ? [] : [userId, userId]));
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return db.all(
+            `SELECT audit_log.*, users.first_name, users.last_name, users.email
+             FROM audit_log LEFT JOIN users ON users.id = audit_log.actor_id
+             ${where} ORDER BY audit_log.id DESC LIMIT ?`,
+            [...params, options.limit || 20]
+        );
+    }
+
+    // Feedback and reviews, with the reviewer's name
+    async createFeedbackReview(reviewData) {
+        return this.insert('feedback_reviews', { ...reviewData, created_at: now(), updated_at: now() });
+    }
+
+    async getFeedbackReview(feedbackId) {
+        const db = await this.db();
+        return db.get(
+            `SELECT feedback_reviews.*, users.first_name, users.last_name, users.email
+             FROM feedback_reviews LEFT JOIN users ON users.id = feedback_reviews.reviewer_id
+             WHERE feedback_reviews.id = ?`,
+            [feedbackId]
+        );
+    }
+
+    async getVentureFeedback(ventureId) {
+        const db = await this.db();
+        return db.all(
+            `SELECT feedback_reviews.*, users.first_name, users.last_name, users.email
+             FROM feedback_reviews LEFT JOIN users ON users.id = feedback_reviews.reviewer_id
+             WHERE feedback_reviews.venture_id = ? ORDER BY feedback_reviews.id DESC`,
+            [ventureId]
+        );
+    }
+
+    async getSessionFeedback(sessionId) {
+        const db = await this.db();
+        return db.get('SELECT * FROM feedback_reviews WHERE session_id = ?', [sessionId]);
+    }
+
+    async updateFeedbackReview(feedbackId, fields) {
+        await this.update('feedback_reviews', feedbackId, fields);
+        return this.getFeedbackReview(feedbackId);
+    }
+
+    // Beta testers - invitations by email, accepted with an account
+    async createBetaTester(testerData) {
+        return this.insert('beta_testers', { ...testerData, invited_at: now() });
+    }
+
+    async getBetaTester(testerId) {
+        const db = await this.db();
+        return db.get('SELECT * FROM beta_testers WHERE id = ?', [testerId]);
+    }
+
+    async getBetaTesterByToken(token) {
+        const db = await this.db();
+        return db.get('SELECT * FROM beta_testers WHERE token = ?', [token]);
+    }
+
+    async getBetaTesterByEmail(ventureId, email) {
+        const db = await this.db();
+        return db.get('SELECT * FROM beta_testers WHERE venture_id = ? AND email = ?', [ventureId, email]);
+    }
+
+    async getVentureBetaTesters(ventureId) {
+        const db = await this.db();
+        return db.all('SELECT * FROM beta_testers WHERE venture_id = ? ORDER BY id', [ventureId]);
+    }
+
+    // A user's beta tests: the invitations they accepted and the open ones sent to their email
+    async getUserBetaTesters(user) {
+        const db = await this.db();
+        return db.all(
+            `SELECT beta_testers.*, ventures.name AS venture_name
+             FROM beta_testers JOIN ventures ON ventures.id = beta_testers.venture_id
+             WHERE (beta_testers.user_id = ? AND beta_testers.status = 'accepted')
+                OR (beta_testers.email = LOWER(?) AND beta_testers.status = 'invited')
+             ORDER BY beta_testers.id`,
+            [user.id, user.email]
+        );
+    }
+
+    async updateBetaTester(testerId, fields) {
+        return this.update('beta_testers', testerId, fields, { touch: false });
+    }
+
+    // Beta test scripts
+    async createBetaScript(scriptData) {
+        return this.insert('beta_scripts', { ...scriptData, created_at: now(), updated_at: now() });
+    }
+
+    async getBetaScript(scriptId) {
+        const db = await this.db();
+        return db.get('SELECT * FROM beta_scripts WHERE id = ?', [scriptId]);
+    }
+
+    async getVentureBetaScripts(ventureId) {
+        const db = await this.db();
+        return db.all('SELECT * FROM beta_scripts WHERE venture_id = ? ORDER BY id', [ventureId]);
+    }
+
+    async updateBetaScript(scriptId, fields) {
+        return this.update('beta_scripts', scriptId, fields);
+    }
+
+    // Sessions that used a script keep it, so only unused scripts can be deleted
+    async deleteBetaScript(scriptId) {
+        const db = await this.db();
+        return db.run('DELETE FROM beta_scripts WHERE id = ?', [scriptId]).changes > 0;
+    }
+
+    // Beta test sessions, soonest first
+    async createBetaSession(sessionData) {
+        const session = await this.insert('beta_sessions', { ...sessionData, created_at: now(), updated_at: now() });
+        return this.getBetaSession(session.id);
+    }
+
+    async getBetaSession(sessionId) {
+        const db = await this.db();
+        return db.get(
+            `SELECT beta_sessions.*, feedback_reviews.id AS feedback_id
+             FROM beta_sessions LEFT JOIN feedback_reviews ON feedback_reviews.session_id = beta_sessions.id
+             WHERE beta_sessions.id = ?`,
+            [sessionId]
+        );
+    }
+
+    async getBetaSessions(options = {}) {
+        const db = await this.db();
+        const conditions = [];
+        const params = [];
+        if (options.ventureId) {
+            conditions.push('beta_sessions.venture_id = ?');
+            params.push(options.ventureId);
+        }
+        if (options.testerIds) {
+            if (options.testerIds.length === 0) return [];
+            conditions.push(`beta_sessions.tester_id IN (${options.testerIds.map(() => '?').join(', ')})`);
+            params.push(...options.testerIds);
+        }
+        if (options.scriptId) {
+            conditions.push('beta_sessions.script_id = ?');
+            params.push(options.scriptId);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return db.all(
+            `SELECT beta_sessions.*, feedback_reviews.id AS feedback_id
+             FROM beta_sessions LEFT JOIN feedback_reviews ON feedback_reviews.session_id = beta_sessions.id
+             ${where} ORDER BY beta_sessions.scheduled_at, beta_sessions.id`,
+            params
+        );
+    }
+
+    async updateBetaSession(sessionId, fields) {
+        await this.update('beta_sessions', sessionId, fields);
+        return this.getBetaSession(sessionId);
+    }
+
+    // Decision Gate scorecards, newest first
+    async getDecisionScorecards(ventureId) {
+        const db = await this.db();
+        return db.all('SELECT * FROM decision_scorecards WHERE venture_id = ? ORDER BY id DESC', [ventureId]);
+    }
+
+    async createDecisionScorecard(scorecardData) {
+        return this.insert('decision_scorecards', { ...scorecardData, created_at: now(), updated_at: now() });
+    }
+
+    async updateDecisionScorecard(scorecardId, fields) {
+        return this.update('decision_scorecards', scorecardId, fields);
+    }
+
+    // Equity - a venture's cap table transactions, oldest first
+    async getEquityTransactions(ventureId) {
+        const db = await this.db();
+        return db.all(
+            'SELECT * FROM equity_transactions WHERE venture_id = ? ORDER BY effective_date, id',
+            [ventureId]
+        );
+    }
+
+    /**
+     * Record a transaction and mirror the table it leaves: the venture's equity_distribution
+     * holds it as JSON, and each team member's equity_percentage their stake (null for none).
+     * `memberStakes` maps user ids to stakes.
+     */
+    async recordEquityTransaction(transactionData, memberStakes) {
+        const db = await this.db();
+        return db.transaction(() => {
+            const { lastInsertRowid } = db.run(
+                `INSERT INTO equity_transactions (venture_id, type, effective_date, note, changes, stakes, created_by, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [transactionData.venture_id, transactionData.type, transactionData.effective_date, transactionData.note,
+                    transactionData.changes, transactionData.stakes, transactionData.created_by, now()]
+            );
+            db.run('UPDATE ventures SET equity_distribution = ? WHERE id = ?', [transactionData.stakes, transactionData.venture_id]);
+            db.run('UPDATE team_collaborations SET equity_percentage = NULL WHERE venture_id = ?', [transactionData.venture_id]);
+            Object.entries(memberStakes).forEach(([userId, stake]) => {
+                db.run(
+                    'UPDATE team_collaborations SET equity_percentage = ? WHERE venture_id = ? AND user_id = ?',
+                    [stake, transactionData.venture_id, Number(userId)]
+                );
+            });
+            return db.get('SELECT * FROM equity_transactions WHERE id = ?', [lastInsertRowid]);
+        });
+    }
+
+    // Calendar feeds - one subscription URL per user
+    async getCalendarFeed(userId) {
+        const db = await this.db();
+        return db.get('SELECT * FROM calendar_feeds WHERE user_id = ?', [userId]);
+    }
+
+    async getCalendarFeedByToken(token) {
+        const db = await this.db();
+        return db.get('SELECT * FROM calendar_feeds WHERE token = ?', [token]);
+    }
+
+    // A new token replaces the user's previous one
+    async saveCalendarFeed(userId, token) {
+        const db = await this.db();
+        db.run(
+            `INSERT INTO calendar_feeds (user_id, token, created_at) VALUES (?, ?, ?)
+             ON CONFLICT (user_id) DO UPDATE SET token = excluded.token, created_at = excluded.created_at, last_fetched_at = NULL`,
+            [userId, token, now()]
+        );
+        return this.getCalendarFeed(userId);
+    }
+
+    async touchCalendarFeed(feedId) {
+        return this.update('calendar_feeds', feedId, { last_fetched_at: now() }, { touch: false });
+    }
+
+    async deleteCalendarFeed(userId) {
+        const db = await this.db();
+        return db.run('DELETE FROM calendar_feeds WHERE user_id = ?', [userId]).changes > 0;
+    }
+
+    // Legal document signatures
+    async getUserSignatures(userId) {
+        const db = await this.db();
+        return db.all('SELECT * FROM document_signatures WHERE user_id = ? ORDER BY id', [userId]);
+    }
+
+    async createSignature(signatureData) {
+        return this.insert('document_signatures', { ...signatureData, signed_at: now() });
+    }
+
+    // Billing
+    async getBillingCustomer(userId) {
+        const db = await this.db();
+        return db.get('SELECT * FROM billing_customers WHERE user_id = ?', [userId]);
+    }
+
+    async createBillingCustomer(customerData) {
+        return this.insert('billing_customers', { ...customerData, created_at: now() });
+    }
+
+    async getUserSubscriptions(userId) {
+        const db = await this.db();
+        return db.all('SELECT * FROM subscriptions WHERE user_id = ? ORDER BY id DESC', [userId]);
+    }
+
+    async getSubscription(subscriptionId) {
+        const db = await this.db();
+        return db.get('SELECT * FROM subscriptions WHERE id = ?', [subscriptionId]);
+    }
+
+    async createSubscription(subscriptionData) {
+        return this.insert('subscriptions', { ...subscriptionData, created_at: now(), updated_at: now() });
+    }
+
+    async updateSubscription(subscriptionId, fields) {
+        return this.update('subscriptions', subscriptionId, fields);
+    }
+}
+
+module.exports = { SqliteStore };
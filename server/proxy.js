@@ -0,0 +1,105 @@
+/**
+ * SmartStart API reverse proxy
+ * Streams /api requests from the website server to the backend API
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+const DEFAULT_BACKEND_URL = 'http://localhost:3344';
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Headers that only apply to a single connection and must not be forwarded
+const HOP_BY_HOP_HEADERS = [
+    'connection',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade'
+];
+
+function stripHopByHopHeaders(headers) {
+    const result = { ...headers };
+    HOP_BY_HOP_HEADERS.forEach(header => delete result[header]);
+    return result;
+}
+
+function sendProxyError(res, status, error, message) {
+    if (res.headersSent) {
+        res.destroy();
+        return;
+    }
+    res.status(status).json({ error, message });
+}
+
+/**
+ * Create an Express middleware that proxies requests to `target`.
+ * The full original URL (including the /api prefix and query string) is
+ * appended to the target path, so the backend sees the same route.
+ */
+function createApiProxy(options = {}) {
+    const target = new URL(options.target || DEFAULT_BACKEND_URL);
+    const timeout = Number(options.timeout) || DEFAULT_TIMEOUT_MS;
+    const transport = target.protocol === 'https:' ? https : http;
+    const basePath = target.pathname.replace(/\/$/, '');
+
+    return (req, res) => {
+        const headers = stripHopByHopHeaders(req.headers);
+        headers.host = target.host;
+        headers['x-forwarded-for'] = [req.headers['x-forwarded-for'], req.socket.remoteAddress]
+            .filter(Boolean)
+            .join(', ');
+        headers['x-forwarded-proto'] = req.protocol;
+        headers['x-forwarded-host'] = req.headers.host;
+
+        const proxyReq = transport.request({
+            protocol: target.protocol,
+            hostname: target.hostname,
+            port: target.port,
+            method: req.method,
+            path: `${basePath}${req.originalUrl}`,
+            headers
+        });
+
+        proxyReq.setTimeout(timeout, () => {
+            const error = new Error(`Backend did not respond within ${timeout}ms`);
+            error.code = 'ETIMEDOUT';
+            proxyReq.destroy(error);
+        });
+
+        proxyReq.on('response', (proxyRes) => {
+            res.status(proxyRes.statusCode);
+            Object.entries(stripHopByHopHeaders(proxyRes.headers)).forEach(([name, value]) => {
+                res.setHeader(name, value);
+            });
+            proxyRes.pipe(res);
+        });
+
+        proxyReq.on('error', (error) => {
+            console.error(`API proxy error: ${req.method} ${req.originalUrl} -> ${target.origin}:`, error.message);
+            if (error.code === 'ETIMEDOUT') {
+                sendProxyError(res, 504, 'Gateway timeout', 'API backend did not respond in time');
+            } else {
+                sendProxyError(res, 502, 'Bad gateway', 'API backend is unavailable');
+            }
+        });
+
+        // Abort the backend request if the client goes away
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                proxyReq.destroy();
+            }
+        });
+
+        req.pipe(proxyReq);
+    };
+}
+
+module.exports = {
+    createApiProxy,
+    DEFAULT_BACKEND_URL
+};
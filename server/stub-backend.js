@@ -0,0 +1,56 @@
+/**
+ * SmartStart stub API backend
+ * Minimal local backend for developing the website without the real API
+ */
+
+const express = require('express');
+
+function createStubBackend() {
+    const app = express();
+
+    app.use(express.json());
+
+    app.get('/api/health', (req, res) => {
+        res.json({ success: true, data: { status: 'ok', stub: true } });
+    });
+
+    // Echo back what the proxy forwarded, useful when debugging headers and cookies
+    app.all('/api/echo', (req, res) => {
+        res.json({
+            success: true,
+            data: {
+                method: req.method,
+                path: req.path,
+                query: req.query,
+                headers: req.headers,
+                body: req.body
+            }
+        });
+    });
+
+    // Answer after ?ms= milliseconds, for trying out the proxy timeout
+    app.get('/api/slow', (req, res) => {
+        const timer = setTimeout(() => {
+            res.json({ success: true, data: { delayed: true } });
+        }, Number(req.query.ms) || 0);
+        res.on('close', () => clearTimeout(timer));
+    });
+
+    app.all('/api/*', (req, res) => {
+        res.status(404).json({
+            success: false,
+            error: { message: `Stub backend has no handler for ${req.method} ${req.path}` }
+        });
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    const port = process.env.STUB_API_PORT || 3344;
+    createStubBackend().listen(port, () => {
+        console.log(`🧪 SmartStart stub API backend running on port ${port}`);
+    });
+}
+
+module.exports = { createStubBackend };
@@ -0,0 +1,85 @@
+/**
+ * Bearer tokens: only an untampered, unexpired access token of a live session gets through
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SqliteStore } = require('../server/db/store');
+const { signToken, verifyToken } = require('../server/api/tokens');
+const { issueSession, resolveSession, requireAuth } = require('../server/api/middleware/auth');
+
+const SECRET = 'auth-test-secret';
+
+async function signedIn() {
+    const store = new SqliteStore();
+    const user = await store.createUser({
+        email: 'casey@example.com',
+        password_hash: 'not used',
+        first_name: 'Casey',
+        last_name: 'Tester'
+    });
+    return { store, user, session: await issueSession(store, user.id, SECRET) };
+}
+
+// Run requireAuth for a request carrying `token`; resolves with the status and the user it set
+function authenticate(store, token) {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    return new Promise((resolve, reject) => {
+        const res = {
+            status(code) {
+                return { json: () => resolve({ status: code, user: null }) };
+            }
+        };
+        requireAuth(store, SECRET)(req, res, (error) => {
+            if (error) reject(error);
+            else resolve({ status: 200, user: req.user });
+        });
+    });
+}
+
+function tamper(token) {
+    const [payload, signature] = token.split('.');
+    const flipped = signature[0] === 'A' ? 'B' : 'A';
+    return `${payload}.${flipped}${signature.slice(1)}`;
+}
+
+test('a valid access token authenticates its user', async () => {
+    const { store, user, session } = await signedIn();
+    const result = await authenticate(store, session.token);
+    assert.equal(result.status, 200);
+    assert.equal(result.user.id, user.id);
+});
+
+test('a token whose signature was tampered with is rejected', async () => {
+    const { store, session } = await signedIn();
+    assert.equal(verifyToken(tamper(session.token), SECRET), null);
+    assert.equal((await authenticate(store, tamper(session.token))).status, 401);
+});
+
+test('a token with a changed payload no longer matches its signature', async () => {
+    const { store, session } = await signedIn();
+    const [payload, signature] = session.token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const forged = `${Buffer.from(JSON.stringify({ ...claims, sub: claims.sub + 1 })).toString('base64url')}.${signature}`;
+    assert.equal((await authenticate(store, forged)).status, 401);
+});
+
+test('an expired access token is rejected while its session is still live', async () => {
+    const { store, user, session } = await signedIn();
+    const expired = signToken({ typ: 'access', sid: session.sessionId, sub: user.id, exp: Math.floor(Date.now() / 1000) - 1 }, SECRET);
+    assert.equal(verifyToken(expired, SECRET), null);
+    assert.equal((await authenticate(store, expired)).status, 401);
+    assert.ok(await resolveSession(store, session.refreshToken, SECRET, 'refresh'));
+});
+
+test('a refresh token cannot be used as an access token', async () => {
+    const { store, session } = await signedIn();
+    assert.equal(await resolveSession(store, session.refreshToken, SECRET), null);
+    assert.equal((await authenticate(store, session.refreshToken)).status, 401);
+});
+
+test('a token signed with another secret is rejected', async () => {
+    const { store, user, session } = await signedIn();
+    const foreign = signToken({ typ: 'access', sid: session.sessionId, sub: user.id, exp: Math.floor(Date.now() / 1000) + 60 }, 'another-secret');
+    assert.equal((await authenticate(store, foreign)).status, 401);
+});
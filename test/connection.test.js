@@ -0,0 +1,60 @@
+/**
+ * SQLite connection: writes reach the database file once per batch of statements
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SqliteConnection } = require('../server/db/connection');
+
+function tempDatabase(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'smartstart-connection-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return path.join(directory, 'smartstart.db');
+}
+
+function nextTurn() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+test('statements run together are written to the file once', async (t) => {
+    const filename = tempDatabase(t);
+    const connection = await SqliteConnection.open(filename);
+    const writes = t.mock.method(fs, 'writeFileSync');
+
+    connection.run('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)');
+    connection.run('INSERT INTO notes (body) VALUES (?)', ['first']);
+    connection.run('INSERT INTO notes (body) VALUES (?)', ['second']);
+    assert.equal(writes.mock.callCount(), 0);
+
+    await nextTurn();
+    assert.equal(writes.mock.callCount(), 1);
+    connection.close();
+
+    const reopened = await SqliteConnection.open(filename);
+    assert.deepEqual(reopened.all('SELECT body FROM notes ORDER BY id').map(row => row.body), ['first', 'second']);
+    reopened.close();
+});
+
+test('closing writes changes that are still waiting', async (t) => {
+    const filename = tempDatabase(t);
+    const connection = await SqliteConnection.open(filename);
+    connection.exec('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)');
+    connection.run('INSERT INTO notes (body) VALUES (?)', ['kept']);
+    connection.close();
+
+    const reopened = await SqliteConnection.open(filename);
+    assert.equal(reopened.get('SELECT body FROM notes').body, 'kept');
+    reopened.close();
+});
+
+test('in-memory databases are never written', async (t) => {
+    const connection = await SqliteConnection.open();
+    const writes = t.mock.method(fs, 'writeFileSync');
+    connection.run('CREATE TABLE notes (id INTEGER PRIMARY KEY)');
+    await nextTurn();
+    assert.equal(writes.mock.callCount(), 0);
+    connection.close();
+});
@@ -0,0 +1,110 @@
+/**
+ * Decision Gate scoring: scores from data and ratings, the weighted score and the recommendation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SmartStartDecisionGate = require('../website/assets/js/decision-gate');
+
+const NO_DATA = SmartStartDecisionGate.metrics();
+
+// The team's rating of each criterion, e.g. ratings({ risk: 2 })
+function ratings(values) {
+    return Object.fromEntries(Object.entries(values).map(([key, rating]) => [key, { rating }]));
+}
+
+test('criterion weights add up to 100', () => {
+    assert.equal(SmartStartDecisionGate.CRITERIA.reduce((sum, criterion) => sum + criterion.weight, 0), 100);
+});
+
+test('ratings map 1-5 onto 0-100', () => {
+    assert.equal(SmartStartDecisionGate.ratingScore(1), 0);
+    assert.equal(SmartStartDecisionGate.ratingScore(3), 50);
+    assert.equal(SmartStartDecisionGate.ratingScore(4), 75);
+    assert.equal(SmartStartDecisionGate.ratingScore(5), 100);
+});
+
+test('the venture\'s data suggests scores', () => {
+    const metrics = SmartStartDecisionGate.metrics({
+        reviews: [
+            { reviewer_id: 1, rating: 5 },
+            { reviewer_id: 2, rating: 4 },
+            { reviewer_id: 2, rating: 2 },
+            { reviewer_id: 3, rating: null }
+        ],
+        tasks: { done: 3, total: 4 },
+        teamSize: 3,
+        slipDays: 2,
+        featureAdoption: 55
+    });
+    assert.equal(metrics.testers, 3);
+    assert.equal(metrics.averageRating, 3.7);
+    assert.equal(metrics.positivePercent, 67);
+
+    assert.deepEqual(SmartStartDecisionGate.suggestedScores(metrics), {
+        // 67% positive (half), a 3.7 rating scoring 68 (30%) and 3 of 10 testers (20%)
+        market_validation: 60,
+        technical_feasibility: 65,
+        team_dynamics: 88,
+        financials: null,
+        risk: null
+    });
+});
+
+test('a rating wins over the data', () => {
+    const metrics = SmartStartDecisionGate.metrics({ tasks: { done: 3, total: 4 } });
+    const result = SmartStartDecisionGate.evaluate(metrics, ratings({ technical_feasibility: 1 }));
+    const criterion = result.criteria.find(item => item.key === 'technical_feasibility');
+    assert.equal(criterion.suggested, 75);
+    assert.equal(criterion.score, 0);
+    assert.equal(criterion.source, 'rating');
+});
+
+test('the score is weighted over the criteria that have one', () => {
+    const result = SmartStartDecisionGate.evaluate(NO_DATA, ratings({ market_validation: 5, technical_feasibility: 3, financials: 3 }));
+    // (100 * 30 + 50 * 20 + 50 * 20) / 70
+    assert.equal(result.score, 71);
+    assert.equal(result.coverage, 70);
+    assert.equal(result.recommendation, 'scale');
+});
+
+test('too little evidence recommends a pause', () => {
+    const empty = SmartStartDecisionGate.evaluate(NO_DATA);
+    assert.equal(empty.score, null);
+    assert.equal(empty.coverage, 0);
+    assert.equal(empty.recommendation, 'pause');
+
+    const thin = SmartStartDecisionGate.evaluate(NO_DATA, ratings({ market_validation: 5, technical_feasibility: 5 }));
+    assert.equal(thin.score, 100);
+    assert.equal(thin.coverage, 50);
+    assert.equal(thin.recommendation, 'pause');
+    assert.ok(thin.reasons.some(reason => reason.includes('still missing: Team dynamics, Financials, Risk')));
+});
+
+test('a low score recommends killing the venture', () => {
+    const result = SmartStartDecisionGate.evaluate(NO_DATA, ratings({
+        market_validation: 3, technical_feasibility: 1, team_dynamics: 1, financials: 1, risk: 1
+    }));
+    assert.equal(result.score, 15);
+    assert.equal(result.recommendation, 'kill');
+});
+
+test('a high score with a red flag recommends a pause', () => {
+    const result = SmartStartDecisionGate.evaluate(NO_DATA, ratings({
+        market_validation: 5, technical_feasibility: 5, team_dynamics: 5, financials: 5, risk: 1
+    }));
+    assert.equal(result.score, 85);
+    assert.equal(result.recommendation, 'pause');
+    assert.ok(result.reasons.includes('Risk is a red flag at 0/100'));
+    assert.ok(result.reasons.includes('Address the red flags before scaling'));
+});
+
+test('ratings and decisions are validated', () => {
+    assert.deepEqual(SmartStartDecisionGate.validateRatings({ ratings: ratings({ risk: 4 }), featureAdoption: 40 }), {});
+    assert.match(SmartStartDecisionGate.validateRatings({ ratings: ratings({ risk: 6 }) })['ratings.risk'], /1 to 5/);
+    assert.match(SmartStartDecisionGate.validateRatings({ ratings: ratings({ vibes: 3 }) })['ratings.vibes'], /must be one of/);
+    assert.ok(SmartStartDecisionGate.validateRatings({ featureAdoption: 101 }).featureAdoption);
+
+    assert.deepEqual(SmartStartDecisionGate.validateDecision({ decision: 'scale', rationale: 'Testers keep coming back every week' }), {});
+    assert.deepEqual(Object.keys(SmartStartDecisionGate.validateDecision({ decision: 'pivot', rationale: 'Too short' })), ['decision', 'rationale']);
+});
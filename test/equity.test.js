@@ -0,0 +1,103 @@
+/**
+ * Cap tables: the 100% total, the studio's stake and the transactions that change them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SmartStartEquity = require('../website/assets/js/equity');
+
+const FOUNDER = 'user:1';
+const MEMBER = 'user:2';
+const ELIGIBLE = [SmartStartEquity.STUDIO_KEY, FOUNDER, MEMBER];
+
+function grant(stakes) {
+    return { type: 'grant', stakes };
+}
+
+test('a table of exactly 100% with the studio in range is valid', () => {
+    assert.deepEqual(SmartStartEquity.validateTable(SmartStartEquity.initialStakes(FOUNDER)), {});
+    assert.deepEqual(SmartStartEquity.validateTable({ studio: 15, [FOUNDER]: 42.5, [MEMBER]: 42.5 }), {});
+});
+
+test('stakes must total exactly 100%', () => {
+    const errors = SmartStartEquity.validateTable({ studio: 20, [FOUNDER]: 79.99 });
+    assert.match(errors.total, /they total 99\.99%/);
+    assert.equal(errors.studio, undefined);
+
+    // Decimal stakes add up without floating point drift
+    assert.deepEqual(SmartStartEquity.validateTable({ studio: 20.1, [FOUNDER]: 69.7, [MEMBER]: 10.2 }), {});
+});
+
+test('the studio keeps between 15% and 30%', () => {
+    assert.match(SmartStartEquity.validateTable({ studio: 14.99, [FOUNDER]: 85.01 }).studio, /between 15% and 30%/);
+    assert.match(SmartStartEquity.validateTable({ studio: 31, [FOUNDER]: 69 }).studio, /gives it 31%/);
+    assert.match(SmartStartEquity.validateTable({ [FOUNDER]: 100 }).studio, /gives it 0%/);
+    assert.deepEqual(SmartStartEquity.validateTable({ studio: 30, [FOUNDER]: 70 }), {});
+});
+
+test('the initial allocation opens the table once', () => {
+    const issue = { type: 'issue', stakes: [{ holder: 'studio', stake: 20 }, { holder: FOUNDER, stake: 80 }] };
+    assert.deepEqual(SmartStartEquity.validateTransaction(issue, null, { eligible: ELIGIBLE }), {});
+    assert.match(SmartStartEquity.validateTransaction(issue, { studio: 20, [FOUNDER]: 80 }, { eligible: ELIGIBLE }).type, /already/);
+    assert.match(SmartStartEquity.validateTransaction(grant(issue.stakes), null, { eligible: ELIGIBLE }).type, /initial allocation first/);
+});
+
+test('a transaction must leave a valid table', () => {
+    const current = { studio: 20, [FOUNDER]: 80 };
+    const context = { eligible: ELIGIBLE };
+
+    assert.deepEqual(SmartStartEquity.validateTransaction(
+        grant([{ holder: FOUNDER, stake: 72.5 }, { holder: MEMBER, stake: 7.5 }]), current, context), {});
+    assert.match(SmartStartEquity.validateTransaction(
+        grant([{ holder: MEMBER, stake: 7.5 }]), current, context).stakes, /must total 100%/);
+    assert.match(SmartStartEquity.validateTransaction(
+        grant([{ holder: 'studio', stake: 35 }, { holder: FOUNDER, stake: 65 }]), current, context).stakes, /between 15% and 30%/);
+    assert.match(SmartStartEquity.validateTransaction(
+        grant([{ holder: FOUNDER, stake: 80 }]), current, context).stakes, /does not change/);
+});
+
+test('stakes are percentages with at most two decimals, one per holder', () => {
+    const current = { studio: 20, [FOUNDER]: 80 };
+    const context = { eligible: ELIGIBLE };
+
+    assert.match(SmartStartEquity.validateTransaction(
+        grant([{ holder: MEMBER, stake: -1 }]), current, context).stakes, /from 0 to 100/);
+    assert.match(SmartStartEquity.validateTransaction(
+        grant([{ holder: MEMBER, stake: '5' }]), current, context).stakes, /from 0 to 100/);
+    assert.match(SmartStartEquity.validateTransaction(
+        grant([{ holder: FOUNDER, stake: 79.995 }, { holder: MEMBER, stake: 0.005 }]), current, context).stakes, /2 decimals/);
+    assert.match(SmartStartEquity.validateTransaction(
+        grant([{ holder: MEMBER, stake: 5 }, { holder: MEMBER, stake: 5 }]), current, context).stakes, /only be listed once/);
+});
+
+test('only eligible holders receive stake; those who left may only give it up', () => {
+    const current = { studio: 20, [FOUNDER]: 70, 'user:3': 10 };
+    const context = { eligible: ELIGIBLE };
+
+    assert.match(SmartStartEquity.validateTransaction(
+        grant([{ holder: FOUNDER, stake: 65 }, { holder: 'user:4', stake: 5 }]), current, context).stakes, /active members/);
+    assert.match(SmartStartEquity.validateTransaction(
+        grant([{ holder: FOUNDER, stake: 65 }, { holder: 'user:3', stake: 15 }]), current, context).stakes, /can only give up stake/);
+    assert.deepEqual(SmartStartEquity.validateTransaction(
+        { type: 'transfer', stakes: [{ holder: FOUNDER, stake: 80 }, { holder: 'user:3', stake: 0 }] }, current, context), {});
+});
+
+test('transactions are dated in order and never in the future', () => {
+    const current = { studio: 20, [FOUNDER]: 80 };
+    const context = { eligible: ELIGIBLE, latestDate: '2026-03-10', today: '2026-03-20' };
+    const stakes = [{ holder: FOUNDER, stake: 75 }, { holder: MEMBER, stake: 5 }];
+
+    assert.deepEqual(SmartStartEquity.validateTransaction({ ...grant(stakes), effective_date: '2026-03-10' }, current, context), {});
+    assert.match(SmartStartEquity.validateTransaction({ ...grant(stakes), effective_date: '2026-03-09' }, current, context).effective_date, /date order/);
+    assert.match(SmartStartEquity.validateTransaction({ ...grant(stakes), effective_date: '2026-03-21' }, current, context).effective_date, /future/);
+    assert.match(SmartStartEquity.validateTransaction({ ...grant(stakes), effective_date: '2026-13-01' }, current, context).effective_date, /YYYY-MM-DD/);
+});
+
+test('applying a transaction removes holders whose stake drops to 0', () => {
+    const next = SmartStartEquity.apply({ studio: 20, [FOUNDER]: 70, [MEMBER]: 10 }, [{ holder: FOUNDER, stake: 80 }, { holder: MEMBER, stake: 0 }]);
+    assert.deepEqual(next, { studio: 20, [FOUNDER]: 80 });
+    assert.deepEqual(SmartStartEquity.changesBetween({ studio: 20, [FOUNDER]: 70, [MEMBER]: 10 }, next), [
+        { holder: FOUNDER, from: 70, to: 80 },
+        { holder: MEMBER, from: 10, to: 0 }
+    ]);
+});
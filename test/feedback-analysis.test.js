@@ -0,0 +1,50 @@
+/**
+ * Feedback analysis: sentiment, near-duplicates and the improvement backlog
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SmartStartFeedbackAnalysis = require('../website/assets/js/feedback-analysis');
+
+const REVIEWS = [
+    { id: 1, reviewer_id: 1, rating: 2, feedback_type: 'bug', priority: 'high', feedback_text: 'The export to CSV keeps failing with an error' },
+    { id: 2, reviewer_id: 2, rating: 2, feedback_type: 'bug', priority: 'medium', feedback_text: 'Export to CSV keeps failing, error every time' },
+    { id: 3, reviewer_id: 3, rating: 5, feedback_type: 'general', priority: 'low', feedback_text: 'Love the dashboard, really fast' }
+];
+
+test('text sentiment follows the lexicon, and negation flips it', () => {
+    assert.equal(SmartStartFeedbackAnalysis.sentiment('The onboarding is great and fast').label, 'positive');
+    assert.equal(SmartStartFeedbackAnalysis.sentiment('The onboarding is not great').label, 'negative');
+    assert.deepEqual(SmartStartFeedbackAnalysis.sentiment('The onboarding has five steps'), { score: 0, label: 'neutral', words: 0 });
+});
+
+test('a review\'s sentiment averages its rating with its text', () => {
+    assert.equal(SmartStartFeedbackAnalysis.reviewSentiment({ rating: 5 }).score, 1);
+    assert.equal(SmartStartFeedbackAnalysis.reviewSentiment({ rating: 3 }).score, 0);
+    const mixed = SmartStartFeedbackAnalysis.reviewSentiment({ rating: 5, feedback_text: 'The onboarding is not great' });
+    assert.ok(mixed.score > 0 && mixed.score < 1);
+});
+
+test('reviews that say nearly the same thing are grouped under the oldest', () => {
+    const { duplicates } = SmartStartFeedbackAnalysis.analyze(REVIEWS);
+    assert.equal(duplicates.length, 1);
+    assert.deepEqual(duplicates[0].ids, [1, 2]);
+    assert.equal(duplicates[0].primaryId, 1);
+    assert.ok(duplicates[0].keywords.includes('csv'));
+});
+
+test('the backlog ranks negative themes and leaves praise out', () => {
+    const analysis = SmartStartFeedbackAnalysis.analyze(REVIEWS);
+    assert.deepEqual(analysis.sentiment.counts, { positive: 1, neutral: 0, negative: 2 });
+    assert.ok(analysis.backlog.length > 0);
+    assert.ok(analysis.backlog.some(item => item.theme === 'reliability'));
+    assert.ok(analysis.backlog.every(item => !item.ids.includes(3)));
+    assert.deepEqual(analysis.backlog.map(item => item.score), [...analysis.backlog.map(item => item.score)].sort((a, b) => b - a));
+});
+
+test('no reviews give an empty analysis', () => {
+    const analysis = SmartStartFeedbackAnalysis.analyze([]);
+    assert.equal(analysis.total, 0);
+    assert.equal(analysis.sentiment.average, null);
+    assert.deepEqual(analysis.backlog, []);
+});
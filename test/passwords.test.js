@@ -0,0 +1,35 @@
+/**
+ * Server password hashing: scrypt hashes, browser PBKDF2 hashes, and no shortcut for unknown accounts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { hashPassword, verifyPassword } = require('../server/api/passwords');
+const SmartStartPasswords = require('../website/database/passwords');
+
+test('a new hash verifies its password only', async () => {
+    const stored = await hashPassword('correct horse');
+    assert.match(stored, /^\$scrypt\$ln=15,r=8,p=1\$/);
+    assert.deepEqual(await verifyPassword('correct horse', stored), { valid: true, needsRehash: false });
+    assert.equal((await verifyPassword('wrong horse', stored)).valid, false);
+});
+
+test('browser PBKDF2 hashes verify and ask to be re-hashed', async () => {
+    const stored = await SmartStartPasswords.hashPassword('correct horse');
+    assert.deepEqual(await verifyPassword('correct horse', stored), { valid: true, needsRehash: true });
+});
+
+test('bare "salt:hash" strings are not accepted', async () => {
+    const salt = 'legacysalt';
+    const stored = `${salt}:${crypto.scryptSync('correct horse', salt, 64).toString('hex')}`;
+    assert.deepEqual(await verifyPassword('correct horse', stored), { valid: false, needsRehash: false });
+});
+
+test('an unknown account is checked against a dummy scrypt hash and never verifies', async (t) => {
+    const parse = t.mock.method(SmartStartPasswords, 'parse');
+    assert.deepEqual(await verifyPassword('correct horse', null), { valid: false, needsRehash: false });
+    assert.equal(parse.mock.callCount(), 1);
+    assert.equal(parse.mock.calls[0].result.algorithm, 'scrypt');
+    assert.equal(parse.mock.calls[0].result.params.ln, 15);
+});
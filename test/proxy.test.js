@@ -0,0 +1,54 @@
+/**
+ * API proxy: forwards to the backend, and answers 502 or 504 when the backend fails it
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createApiProxy } = require('../server/proxy');
+const { createStubBackend } = require('../server/stub-backend');
+
+async function listen(t, app) {
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+// A website server that proxies /api to `target`; resolves with its origin
+async function startProxy(t, target, timeout) {
+    const app = express();
+    app.use('/api', createApiProxy({ target, timeout }));
+    return listen(t, app);
+}
+
+test('requests reach the backend with their path and query', async (t) => {
+    const origin = await startProxy(t, await listen(t, createStubBackend()));
+    const response = await fetch(`${origin}/api/echo?page=2`);
+    assert.equal(response.status, 200);
+    const { data } = await response.json();
+    assert.equal(data.path, '/api/echo');
+    assert.deepEqual(data.query, { page: '2' });
+    assert.equal(data.headers['x-forwarded-host'], new URL(origin).host);
+});
+
+test('a backend that is down gives 502', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    // Take a free port, then close it so nothing listens there
+    const server = createStubBackend().listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const target = `http://127.0.0.1:${server.address().port}`;
+    await new Promise(resolve => server.close(resolve));
+
+    const response = await fetch(`${await startProxy(t, target)}/api/health`);
+    assert.equal(response.status, 502);
+    assert.deepEqual(await response.json(), { error: 'Bad gateway', message: 'API backend is unavailable' });
+});
+
+test('a backend that does not answer in time gives 504', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const origin = await startProxy(t, await listen(t, createStubBackend()), 50);
+    const response = await fetch(`${origin}/api/slow?ms=2000`);
+    assert.equal(response.status, 504);
+    assert.deepEqual(await response.json(), { error: 'Gateway timeout', message: 'API backend did not respond in time' });
+});
@@ -0,0 +1,92 @@
+/**
+ * Roles: the API refuses admin actions to lower roles and scopes what they can read
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createApiRouter } = require('../server/api');
+const { SqliteStore } = require('../server/db/store');
+const { issueSession } = require('../server/api/middleware/auth');
+const { recordAuditEvent } = require('../server/api/audit');
+
+const SECRET = 'roles-test-secret';
+const LOWER_ROLES = ['member', 'core_builder', 'advisor'];
+
+const TEMPLATE = {
+    key: 'studio',
+    name: 'Studio',
+    stages: [{ stage: 'discovery', name: 'Discovery', days: 7 }]
+};
+
+// An API on a free port with one signed-in user per role
+async function startApi(t) {
+    const store = new SqliteStore();
+    const app = express();
+    app.use('/api', createApiRouter({ store, sessionSecret: SECRET, demoMode: false }));
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const users = {};
+    for (const role of [...LOWER_ROLES, 'admin']) {
+        const user = await store.createUser({
+            email: `${role}@example.com`,
+            password_hash: 'not used',
+            first_name: role,
+            last_name: 'Tester',
+            role
+        });
+        const { token } = await issueSession(store, user.id, SECRET);
+        users[role] = { ...user, token };
+    }
+
+    const request = async (role, method, path, body) => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/api${path}`, {
+            method,
+            headers: { authorization: `Bearer ${users[role].token}`, 'content-type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    return { store, users, request };
+}
+
+test('only admins may list users and change roles', async (t) => {
+    const { users, request } = await startApi(t);
+    for (const role of LOWER_ROLES) {
+        assert.equal((await request(role, 'GET', '/users')).status, 403, role);
+        assert.equal((await request(role, 'PUT', `/users/${users[role].id}/role`, { role: 'admin' })).status, 403, role);
+    }
+    assert.equal((await request('admin', 'GET', '/users')).status, 200);
+});
+
+test('only admins may create pipeline templates or publish versions', async (t) => {
+    const { request } = await startApi(t);
+    for (const role of LOWER_ROLES) {
+        assert.equal((await request(role, 'POST', '/pipeline-templates', TEMPLATE)).status, 403, role);
+    }
+    assert.equal((await request('admin', 'POST', '/pipeline-templates', TEMPLATE)).status, 201);
+    for (const role of LOWER_ROLES) {
+        const response = await request(role, 'POST', `/pipeline-templates/${TEMPLATE.key}/versions`, { stages: TEMPLATE.stages });
+        assert.equal(response.status, 403, role);
+    }
+    assert.equal((await request('member', 'GET', `/pipeline-templates/${TEMPLATE.key}`)).status, 200);
+});
+
+test('lower roles read only their own part of the audit log', async (t) => {
+    const { store, users, request } = await startApi(t);
+    await recordAuditEvent(store, null, { type: 'user.role_changed', actor: users.admin, targetType: 'user', targetId: users.admin.id, summary: 'Admin event' });
+    await recordAuditEvent(store, null, { type: 'auth.login', actor: users.member, summary: 'Member event' });
+
+    for (const role of LOWER_ROLES) {
+        const response = await request(role, 'GET', `/audit?actorId=${users.admin.id}`);
+        assert.equal(response.status, 200, role);
+        assert.deepEqual(response.body.data.events, [], role);
+    }
+    const own = await request('member', 'GET', '/audit');
+    assert.deepEqual(own.body.data.events.map(event => event.summary), ['Member event']);
+    const all = await request('admin', 'GET', '/audit');
+    assert.deepEqual(all.body.data.events.map(event => event.summary), ['Member event', 'Admin event']);
+});
@@ -0,0 +1,89 @@
+/**
+ * Pipeline schedule: working days, pauses and the plan laid out from them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SmartStartSchedule = require('../website/assets/js/schedule');
+
+// 2026-03-06 is a Friday
+const STAGES = [
+    { stage: 'first', name: 'First', days: 2 },
+    { stage: 'second', name: 'Second', days: 3 }
+];
+
+test('working days skip weekends in both directions', () => {
+    assert.equal(SmartStartSchedule.workingDaysBetween('2026-03-06', '2026-03-09'), 1);
+    assert.equal(SmartStartSchedule.workingDaysBetween('2026-03-09', '2026-03-06'), -1);
+    assert.equal(SmartStartSchedule.workingDaysBetween('2026-03-06', '2026-03-06'), 0);
+    assert.equal(SmartStartSchedule.workingDaysBetween('2026-03-02', '2026-03-16'), 10);
+});
+
+test('adding working days starts from the next open day', () => {
+    assert.equal(SmartStartSchedule.addWorkingDays('2026-03-06', 1), '2026-03-09');
+    assert.equal(SmartStartSchedule.addWorkingDays('2026-03-07', 0), '2026-03-09');
+    assert.equal(SmartStartSchedule.addWorkingDays('2026-03-06', 1, new Set(['2026-03-09'])), '2026-03-10');
+});
+
+test('a pause blocks its working days up to the day it ended', () => {
+    const blocked = SmartStartSchedule.pausedDays([{ from: '2026-03-04T15:00:00Z', to: '2026-03-10T09:00:00Z' }], '2026-03-20');
+    assert.deepEqual([...blocked], ['2026-03-04', '2026-03-05', '2026-03-06', '2026-03-09']);
+});
+
+test('a pause still running blocks the days through today', () => {
+    const blocked = SmartStartSchedule.pausedDays([{ from: '2026-03-09T08:00:00Z', to: null }], '2026-03-10');
+    assert.deepEqual([...blocked], ['2026-03-09', '2026-03-10']);
+});
+
+test('the plan lays stages out back to back in working days', () => {
+    const plan = SmartStartSchedule.plan(STAGES, '2026-03-05T12:00:00Z');
+    assert.deepEqual(plan.map(step => [step.stage, step.plannedStart, step.plannedEnd]), [
+        ['first', '2026-03-05', '2026-03-06'],
+        ['second', '2026-03-09', '2026-03-11']
+    ]);
+});
+
+test('paused days move every later deadline back', () => {
+    const plan = SmartStartSchedule.plan(STAGES, '2026-03-05', new Set(['2026-03-06']));
+    assert.deepEqual(plan.map(step => [step.stage, step.plannedStart, step.plannedEnd]), [
+        ['first', '2026-03-05', '2026-03-09'],
+        ['second', '2026-03-10', '2026-03-12']
+    ]);
+});
+
+test('a stage due today is at risk once its pause is over', () => {
+    const schedule = SmartStartSchedule.describe(STAGES, {
+        startedAt: '2026-03-02T09:00:00Z',
+        pauses: [{ from: '2026-03-03', to: '2026-03-05' }]
+    }, { now: '2026-03-05T12:00:00Z' });
+
+    assert.equal(schedule.pausedDays, 2);
+    assert.equal(schedule.currentStage, 'first');
+    assert.equal(schedule.currentDue, '2026-03-05');
+    assert.equal(schedule.status, 'at_risk');
+});
+
+test('an overdue stage pushes the forecast past the planned end', () => {
+    const schedule = SmartStartSchedule.describe(STAGES, { startedAt: '2026-03-02' }, { now: '2026-03-10' });
+
+    assert.equal(schedule.status, 'overdue');
+    assert.equal(schedule.plannedEnd, '2026-03-06');
+    assert.equal(schedule.forecastEnd, '2026-03-13');
+    assert.equal(schedule.slipDays, 5);
+});
+
+test('a completed pipeline ends on its last completion', () => {
+    const schedule = SmartStartSchedule.describe(STAGES, {
+        startedAt: '2026-03-02',
+        completed: true,
+        completedStages: ['first', 'second'],
+        stages: {
+            first: { openedAt: '2026-03-02', completedAt: '2026-03-03' },
+            second: { openedAt: '2026-03-03', completedAt: '2026-03-09' }
+        }
+    }, { now: '2026-03-20' });
+
+    assert.equal(schedule.status, 'completed');
+    assert.equal(schedule.forecastEnd, '2026-03-09');
+    assert.deepEqual(schedule.stages.map(row => row.varianceDays), [0, 1]);
+});
@@ -0,0 +1,29 @@
+/**
+ * Venture teams: invitations and the changes a membership may go through
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SmartStartTeam = require('../website/assets/js/team');
+
+test('an invitation needs a valid email or none at all', () => {
+    assert.deepEqual(SmartStartTeam.validateInvitation({ email: 'mo@example.com', role: 'engineer' }), {});
+    assert.deepEqual(SmartStartTeam.validateInvitation({}), {});
+    assert.ok(SmartStartTeam.validateInvitation({ email: 'not an email' }).email);
+    assert.ok(SmartStartTeam.validateInvitation({ role: 'boss' }).role);
+});
+
+test('only someone who accepted can be made active', () => {
+    assert.ok(SmartStartTeam.validateChange({ status: 'invited', user_id: null }, { status: 'active' }).status);
+    assert.deepEqual(SmartStartTeam.validateChange({ status: 'left', user_id: 7 }, { status: 'active' }), {});
+});
+
+test('only members who left can be invited again', () => {
+    assert.ok(SmartStartTeam.validateChange({ status: 'active', user_id: 7 }, { status: 'invited' }).status);
+    assert.deepEqual(SmartStartTeam.validateChange({ status: 'left', user_id: 7 }, { status: 'invited' }), {});
+});
+
+test('keeping the status or changing the role is always allowed', () => {
+    assert.deepEqual(SmartStartTeam.validateChange({ status: 'invited', user_id: null }, { status: 'invited', role: 'designer' }), {});
+    assert.ok(SmartStartTeam.validateChange({ status: 'active', user_id: 7 }, { status: 'gone' }).status);
+});
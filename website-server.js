@@ -4,9 +4,42 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const path = require('path');
+const { createApiProxy } = require('./server/proxy');
+const { createApiRouter } = require('./server/api');
+const { isDemoModeEnabled } = require('./server/api/demo');
 
 const app = express();
 const PORT = process.env.PORT || 3346;
+const API_BACKEND_URL = process.env.API_BACKEND_URL;
+const API_PROXY_TIMEOUT_MS = process.env.API_PROXY_TIMEOUT_MS || 30000;
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, 'data', 'smartstart.sqlite');
+const DEMO_MODE = !API_BACKEND_URL && isDemoModeEnabled();
+
+/**
+ * What is wrong with PUBLIC_URL, the address the built-in API puts in invitation links and
+ * calendar feeds, or null. Outside production it may be left out and the request's host is used;
+ * production cannot trust that header, so it needs the address.
+ */
+function checkPublicUrl(value) {
+    if (!value) {
+        return process.env.NODE_ENV === 'production'
+            ? 'PUBLIC_URL must be set in production, e.g. https://smartstart.example.com'
+            : null;
+    }
+    try {
+        new URL(value);
+        return null;
+    } catch (error) {
+        return `PUBLIC_URL is not a valid URL: ${value}`;
+    }
+}
+
+// Refuse to start rather than fail each request that builds a link
+const PUBLIC_URL_ERROR = API_BACKEND_URL ? null : checkPublicUrl(process.env.PUBLIC_URL);
+if (PUBLIC_URL_ERROR) {
+    console.error(`❌ ${PUBLIC_URL_ERROR}`);
+    process.exit(1);
+}
 
 // Security middleware
 app.use(helmet({
@@ -40,6 +73,17 @@ app.use(compression());
 // Logging middleware
 app.use(morgan('combined'));
 
+// API: proxy to an external backend when one is configured, otherwise serve the built-in API.
+// Mounted before the body parsers so proxied request bodies are streamed through untouched.
+if (API_BACKEND_URL) {
+    app.use('/api', createApiProxy({
+        target: API_BACKEND_URL,
+        timeout: API_PROXY_TIMEOUT_MS
+    }));
+} else {
+    app.use('/api', createApiRouter({ databasePath: DATABASE_PATH, demoMode: DEMO_MODE }));
+}
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -66,14 +110,6 @@ app.get('/favicon.ico', (req, res) => {
     res.sendFile(path.join(__dirname, 'website', 'favicon.ico'));
 });
 
-// API proxy to backend
-app.use('/api', (req, res, next) => {
-    // Proxy API requests to backend server
-    const backendUrl = `http://localhost:3344${req.originalUrl}`;
-    console.log(`Proxying API request: ${req.method} ${req.originalUrl} -> ${backendUrl}`);
-    next();
-});
-
 // Serve website pages
 app.get('*', (req, res) => {
     // Check if it's an API request
@@ -106,11 +142,14 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(PORT, () => {
     console.log(`🌐 SmartStart Website Server running on port ${PORT}`);
+    if (DEMO_MODE) {
+        console.log('🧪 Demo mode: demo sessions use an in-memory sandbox');
+    }
     if (process.env.NODE_ENV === 'production') {
         console.log(`🚀 Production deployment ready`);
     } else {
         console.log(`📱 Website: http://localhost:${PORT}`);
-        console.log(`🔗 API Backend: http://localhost:3344`);
+        console.log(`🔗 API Backend: ${API_BACKEND_URL || `built-in (http://localhost:${PORT}/api)`}`);
         console.log(`📊 App Server: http://localhost:3345`);
     }
 });
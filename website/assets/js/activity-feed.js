@@ -0,0 +1,171 @@
+/**
+ * Activity Feed
+ * The dashboard's "Recent Activity" widget: pages through the audit log (GET /api/audit)
+ * newest first, with filters by event type, venture and actor.
+ *
+ *   const feed = new ActivityFeed({ api: smartStartApi, container, currentUser });
+ *   feed.setVentures(ventures);
+ */
+
+class ActivityFeed {
+  /**
+   * @param {Object} options
+   * @param {SmartStartApiClient} options.api - client for the audit endpoint
+   * @param {HTMLElement} options.container - where the filters and the feed are rendered
+   * @param {Object} options.currentUser - signed-in user; admins may filter by any user
+   * @param {number} [options.pageSize] - events per page
+   */
+  constructor(options = {}) {
+    this.api = options.api;
+    this.container = options.container;
+    this.currentUser = options.currentUser;
+    this.pageSize = options.pageSize || 10;
+    this.filters = { type: '', ventureId: '', actorId: '' };
+    this.events = [];
+    this.nextCursor = null;
+    this.ventures = [];
+    this.users = [];
+
+    this.render();
+  }
+
+  render() {
+    const typeOptions = SmartStartAudit.CATEGORIES
+      .map(category => `<option value="${category.value}">${category.label}</option>`)
+      .join('');
+
+    this.container.innerHTML = `
+      <div class="activity-filters">
+        <select data-filter="type" aria-label="Activity type">
+          <option value="">All activity</option>
+          ${typeOptions}
+        </select>
+        <select data-filter="ventureId" aria-label="Venture">
+          <option value="">All ventures</option>
+        </select>
+        <select data-filter="actorId" aria-label="Who">
+          <option value="">Anyone</option>
+          <option value="me">Me</option>
+        </select>
+      </div>
+      <div class="activity-list"></div>
+      <button class="btn-small activity-more" hidden>Load more</button>
+    `;
+
+    this.list = this.container.querySelector('.activity-list');
+    this.moreButton = this.container.querySelector('.activity-more');
+    this.moreButton.addEventListener('click', () => this.load({ append: true }));
+
+    this.container.querySelectorAll('[data-filter]').forEach((select) => {
+      select.addEventListener('change', () => {
+        this.filters[select.dataset.filter] = select.value;
+        this.load();
+      });
+    });
+
+    if (SmartStartRoles.can(this.currentUser, 'audit:read:any')) {
+      this.loadUsers();
+    }
+  }
+
+  // Admins may filter by anyone; the list comes from the user management endpoint
+  async loadUsers() {
+    const result = await this.api.request('GET', '/users');
+    if (!result.success) return;
+
+    this.users = result.data.filter(user => String(user.id) !== String(this.currentUser.id));
+    const select = this.container.querySelector('[data-filter="actorId"]');
+    select.insertAdjacentHTML('beforeend', this.users
+      .map(user => `<option value="${user.id}">${SmartStartComponents.escapeHtml(user.name || user.email)}</option>`)
+      .join(''));
+  }
+
+  /**
+   * Offer these ventures in the venture filter and reload the first page
+   */
+  setVentures(ventures) {
+    this.ventures = ventures || [];
+    const select = this.container.querySelector('[data-filter="ventureId"]');
+    select.innerHTML = '<option value="">All ventures</option>' + this.ventures
+      .map(venture => `<option value="${venture.id}">${SmartStartComponents.escapeHtml(venture.name)}</option>`)
+      .join('');
+
+    if (!this.ventures.some(venture => String(venture.id) === this.filters.ventureId)) {
+      this.filters.ventureId = '';
+    }
+    select.value = this.filters.ventureId;
+    return this.load();
+  }
+
+  query(before) {
+    const params = new URLSearchParams({ limit: String(this.pageSize) });
+    Object.entries(this.filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    if (before) params.set('before', before);
+    return `/audit?${params.toString()}`;
+  }
+
+  async load(options = {}) {
+    const append = options.append && this.nextCursor;
+    if (!append) {
+      this.list.setAttribute('aria-busy', 'true');
+      this.list.innerHTML = '<div class="skeleton skeleton-row"></div>'.repeat(3);
+      this.moreButton.hidden = true;
+    } else {
+      this.moreButton.disabled = true;
+    }
+
+    const result = await this.api.request('GET', this.query(append ? this.nextCursor : null));
+    this.list.removeAttribute('aria-busy');
+    this.moreButton.disabled = false;
+
+    if (!result.success) {
+      if (append) {
+        this.moreButton.textContent = 'Retry loading more';
+        return;
+      }
+      this.list.innerHTML = `
+        <div class="widget-error">
+          <p>Could not load activity: ${SmartStartComponents.escapeHtml(result.error)}</p>
+          <button class="btn-small" data-action="retry">Retry</button>
+        </div>
+      `;
+      this.list.querySelector('[data-action="retry"]').addEventListener('click', () => this.load());
+      return;
+    }
+
+    this.events = append ? this.events.concat(result.data.events) : result.data.events;
+    this.nextCursor = result.data.nextCursor;
+    this.moreButton.textContent = 'Load more';
+    this.moreButton.hidden = !this.nextCursor;
+    this.renderEvents();
+  }
+
+  renderEvents() {
+    if (this.events.length === 0) {
+      this.list.innerHTML = `
+        <div style="text-align: center; padding: 1rem; color: var(--text-secondary);">
+          <p>No recent activity</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.list.innerHTML = this.events.map((event) => {
+      const actor = String(event.actor_id) === String(this.currentUser.id) ? 'You' : event.actor_name;
+      return `
+        <div class="progress-item">
+          <div class="progress-icon">${SmartStartAudit.icon(event.category)}</div>
+          <div class="progress-content">
+            <h4>${SmartStartComponents.escapeHtml(event.summary)}</h4>
+            <p>${actor ? `${SmartStartComponents.escapeHtml(actor)} · ` : ''}<time datetime="${event.created_at}">${new Date(event.created_at).toLocaleString()}</time></p>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+}
+
+// Export for use in other modules
+window.ActivityFeed = ActivityFeed;
@@ -0,0 +1,295 @@
+/**
+ * SmartStart API Client
+ * Shared by every page that talks to /api. Keeps the signed-in session (access and refresh
+ * tokens) in localStorage, attaches the access token to requests, refreshes it shortly before
+ * it expires or when the API answers 401, and revokes the session on logout.
+ *
+ * The stored session follows the storage contract (database/storage.js):
+ *   { id, userId, user, token, refreshToken, createdAt, expiresAt, accessExpiresAt, demo }
+ * where expiresAt is when the refresh token, and so the whole session, runs out, and demo
+ * marks sessions in the server's demo sandbox.
+ */
+
+class SmartStartApiClient {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl] - API root, defaults to the same-origin /api
+   * @param {Function} [options.fetch] - fetch implementation, defaults to the global fetch
+   * @param {Storage} [options.storage] - where the session is kept, defaults to localStorage
+   * @param {string} [options.sessionKey] - storage key for the session
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || '/api').replace(/\/$/, '');
+    this.fetchImpl = options.fetch || ((...args) => fetch(...args));
+    this.storage = options.storage || localStorage;
+    this.sessionKey = options.sessionKey || 'smartstart_session';
+    this.refreshing = null;
+  }
+
+  // Refresh this long before the access token expires
+  static get REFRESH_MARGIN_MS() {
+    return 60 * 1000;
+  }
+
+  // Session storage
+  getSession() {
+    try {
+      const session = JSON.parse(this.storage.getItem(this.sessionKey));
+      if (!session) return null;
+
+      if (!session.expiresAt || new Date(session.expiresAt) < new Date()) {
+        this.clearSession();
+        return null;
+      }
+      return session;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store the session from a login, register, demo or refresh response
+   * ({ user, sessionId, token, expiresAt, refreshToken, refreshExpiresAt, demo })
+   */
+  setSession(authData) {
+    const session = {
+      id: authData.sessionId,
+      userId: authData.user.id,
+      user: authData.user,
+      token: authData.token,
+      refreshToken: authData.refreshToken,
+      createdAt: new Date().toISOString(),
+      expiresAt: authData.refreshExpiresAt,
+      accessExpiresAt: authData.expiresAt,
+      demo: authData.demo === true
+    };
+    this.storage.setItem(this.sessionKey, JSON.stringify(session));
+    return session;
+  }
+
+  clearSession() {
+    this.storage.removeItem(this.sessionKey);
+  }
+
+  getCurrentUser() {
+    const session = this.getSession();
+    return session ? session.user : null;
+  }
+
+  isAuthenticated() {
+    return this.getSession() !== null;
+  }
+
+  // True while signed in to the demo sandbox
+  isDemo() {
+    const session = this.getSession();
+    return Boolean(session && session.demo);
+  }
+
+  /**
+   * A usable access token, refreshed first when it is about to expire.
+   * Resolves with null when there is no session left.
+   */
+  async getAccessToken() {
+    const session = this.getSession();
+    if (!session) return null;
+
+    const expiresIn = new Date(session.accessExpiresAt).getTime() - Date.now();
+    if (!session.accessExpiresAt || expiresIn < SmartStartApiClient.REFRESH_MARGIN_MS) {
+      return (await this.refresh()) ? this.getSession().token : null;
+    }
+    return session.token;
+  }
+
+  /**
+   * Trade the refresh token for a new pair. Concurrent callers share one request.
+   * Resolves with true on success; on failure the session is cleared.
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.performRefresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async performRefresh() {
+    const session = this.getSession();
+    if (!session || !session.refreshToken) return false;
+
+    try {
+      const response = await this.fetchImpl(`${this.baseUrl}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: session.refreshToken })
+      });
+      const result = await response.json();
+      if (response.ok && result.success) {
+        this.setSession(result.data);
+        return true;
+      }
+
+      // Another tab may have used the refresh token first and stored the new pair
+      const current = this.getSession();
+      if (current && current.refreshToken !== session.refreshToken) {
+        return true;
+      }
+      // Rejected refresh tokens are dead; network errors leave the session for a retry
+      this.clearSession();
+      return false;
+    } catch (error) {
+      console.warn('Session refresh failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * fetch() with the access token attached. Retries once after a refresh
+   * when the API answers 401. Resolves with the raw Response.
+   */
+  async fetch(endpoint, options = {}) {
+    const send = async () => {
+      const token = await this.getAccessToken();
+      const headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+      return this.fetchImpl(`${this.baseUrl}${endpoint}`, { ...options, headers });
+    };
+
+    const response = await send();
+    if (response.status === 401 && this.getSession() && (await this.refresh())) {
+      return send();
+    }
+    return response;
+  }
+
+  /**
+   * Call the API and unwrap its { success, data, error: { message } } envelope.
+   * Resolves with { success, status, data } or { success: false, status, error, details }.
+   */
+  async request(method, endpoint, data = null) {
+    const options = { method };
+    if (data && method !== 'GET') {
+      options.body = JSON.stringify(data);
+    }
+
+    try {
+      const response = await this.fetch(endpoint, options);
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        return {
+          success: false,
+          status: response.status,
+          error: (result.error && result.error.message) || 'API request failed',
+          details: result.error && result.error.details
+        };
+      }
+      return { success: true, status: response.status, data: result.data };
+    } catch (error) {
+      return { success: false, status: 0, error: error.message };
+    }
+  }
+
+  /**
+   * GET a document the API serves as something other than JSON, such as an .ics calendar.
+   * Resolves with { success, status, text } or { success: false, status, error }.
+   */
+  async requestText(endpoint) {
+    try {
+      const response = await this.fetch(endpoint, { method: 'GET' });
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        return {
+          success: false,
+          status: response.status,
+          error: (result.error && result.error.message) || 'API request failed'
+        };
+      }
+      return { success: true, status: response.status, text: await response.text() };
+    } catch (error) {
+      return { success: false, status: 0, error: error.message };
+    }
+  }
+
+  // Authentication
+  async login(email, password) {
+    const result = await this.request('POST', '/auth/login', { email, password });
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    const session = this.setSession(result.data);
+    return { success: true, user: result.data.user, session };
+  }
+
+  async register(userData) {
+    const result = await this.request('POST', '/auth/register', userData);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    const session = this.setSession(result.data);
+    return { success: true, user: result.data.user, session };
+  }
+
+  // Sign in to the demo sandbox (only offered when GET /config reports demoMode)
+  async startDemo() {
+    const result = await this.request('POST', '/demo/session');
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    const session = this.setSession(result.data);
+    return { success: true, user: result.data.user, session };
+  }
+
+  /**
+   * Ask the server whether the session is still valid.
+   * Resolves with the current user, or null after clearing a rejected session.
+   */
+  async verify() {
+    if (!this.getSession()) return null;
+
+    const result = await this.request('GET', '/auth/verify');
+    if (!result.success) {
+      if (result.status === 401) this.clearSession();
+      return null;
+    }
+
+    const session = this.getSession();
+    if (session) {
+      this.storage.setItem(this.sessionKey, JSON.stringify({ ...session, user: result.data.user }));
+    }
+    return result.data.user;
+  }
+
+  /**
+   * Forget the session locally right away, then revoke it on the server
+   */
+  async logout() {
+    const session = this.getSession();
+    this.clearSession();
+    if (!session) return;
+
+    try {
+      await this.fetchImpl(`${this.baseUrl}/auth/logout`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${session.token}`
+        },
+        body: JSON.stringify({ refreshToken: session.refreshToken })
+      });
+    } catch (error) {
+      console.warn('Logout request failed:', error);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartApiClient;
+} else {
+  window.SmartStartApiClient = SmartStartApiClient;
+  // One instance per page, so concurrent requests share a single refresh
+  window.smartStartApi = new SmartStartApiClient();
+}
@@ -0,0 +1,42 @@
+/**
+ * SmartStart Audit Log
+ * Categories of recorded events, shared by the API, which records and filters them, and by
+ * the dashboard activity feed, which offers them as filters.
+ */
+
+const SmartStartAudit = {
+  CATEGORIES: [
+    { value: 'venture', label: 'Ventures', icon: '🚀' },
+    { value: 'journey', label: 'Journey stages', icon: '🧭' },
+    { value: 'decision', label: 'Decision Gate', icon: '⚖️' },
+    { value: 'beta', label: 'Beta testing', icon: '🧪' },
+    { value: 'team', label: 'Venture teams', icon: '🤝' },
+    { value: 'equity', label: 'Cap tables', icon: '📊' },
+    { value: 'pipeline', label: 'Pipeline templates', icon: '🗺️' },
+    { value: 'document', label: 'Documents', icon: '📝' },
+    { value: 'subscription', label: 'Subscriptions', icon: '💳' },
+    { value: 'auth', label: 'Sign-ins', icon: '🔑' },
+    { value: 'user', label: 'User roles', icon: '👤' }
+  ],
+
+  categoryValues() {
+    return this.CATEGORIES.map((category) => category.value);
+  },
+
+  // 'venture.updated' -> 'venture'
+  categoryOf(eventType) {
+    return String(eventType).split('.')[0];
+  },
+
+  icon(category) {
+    const match = this.CATEGORIES.find((item) => item.value === category);
+    return match ? match.icon : '📊';
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartAudit;
+} else {
+  window.SmartStartAudit = SmartStartAudit;
+}
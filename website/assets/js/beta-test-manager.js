@@ -0,0 +1,519 @@
+/**
+ * Beta Test Manager Modal
+ * A venture team's beta test: the feedback inbox (tags, priority and status), the feedback
+ * analysis and its improvement backlog, the testers and their invitation links, the test
+ * scripts, and the scheduled sessions. Reads and writes /api/ventures/:id/beta; the rules live
+ * in beta-testing.js and feedback-analysis.js.
+ *
+ *   const manager = new BetaTestManagerModal({ api: smartStartApi, notify: (message, type) => {} });
+ *   manager.open(venture);
+ */
+
+class BetaTestManagerModal {
+  /**
+   * @param {Object} options
+   * @param {SmartStartApiClient} options.api - client for the beta test endpoints
+   * @param {Function} [options.notify] - called with (message, type) after actions
+   */
+  constructor(options = {}) {
+    this.api = options.api;
+    this.notify = options.notify || (() => {});
+    this.venture = null;
+    this.beta = null;
+    this.inbox = null;
+    this.analysis = null;
+    this.tab = 'inbox';
+    this.filters = { status: '', priority: '', tag: '' };
+    this.editingScript = null;
+    this.element = null;
+    this.saving = false;
+  }
+
+  static options(list, selected, empty = null) {
+    const escape = SmartStartComponents.escapeHtml;
+    return [
+      ...(empty !== null ? [`<option value="">${escape(empty)}</option>`] : []),
+      ...list.map(item => `<option value="${escape(item.value)}" ${item.value === selected ? 'selected' : ''}>${escape(item.label)}</option>`)
+    ].join('');
+  }
+
+  get endpoint() {
+    return `/ventures/${this.venture.id}/beta`;
+  }
+
+  async open(venture) {
+    this.venture = venture;
+    this.tab = 'inbox';
+    this.filters = { status: '', priority: '', tag: '' };
+    this.editingScript = null;
+    const error = await this.load();
+    if (error) {
+      this.notify(`Could not load the beta test: ${error}`, 'error');
+      return;
+    }
+
+    this.render();
+    document.body.appendChild(this.element);
+    this.element.querySelector('.beta-manager-close').focus();
+  }
+
+  close() {
+    if (this.element && this.element.parentElement) {
+      this.element.remove();
+    }
+    this.element = null;
+  }
+
+  // Load the overview, the filtered inbox and, on its tab, the analysis; resolves with an error message on failure
+  async load() {
+    const query = Object.entries(this.filters)
+      .filter(([, value]) => value)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+    const [beta, inbox, analysis] = await Promise.all([
+      this.api.request('GET', this.endpoint),
+      this.api.request('GET', `${this.endpoint}/feedback${query ? `?${query}` : ''}`),
+      this.tab === 'analysis' ? this.api.request('GET', `${this.endpoint}/analysis`) : null
+    ]);
+    if (!beta.success) return beta.error;
+    if (!inbox.success) return inbox.error;
+    if (analysis && !analysis.success) return analysis.error;
+
+    this.beta = beta.data;
+    this.inbox = inbox.data;
+    this.analysis = analysis ? analysis.data : null;
+    return null;
+  }
+
+  async reload() {
+    const error = await this.load();
+    this.render();
+    if (error) this.showError(error);
+  }
+
+  render() {
+    const escape = SmartStartComponents.escapeHtml;
+    const summary = this.beta.summary;
+    const tabs = [
+      { value: 'inbox', label: `Inbox (${summary.feedback.new} new)` },
+      { value: 'analysis', label: 'Analysis' },
+      { value: 'testers', label: `Testers (${summary.testers.accepted}/${summary.testers.invited + summary.testers.accepted})` },
+      { value: 'scripts', label: `Scripts (${this.beta.scripts.length})` },
+      { value: 'sessions', label: `Sessions (${summary.sessions.scheduled} upcoming)` }
+    ];
+
+    const previous = this.element;
+    this.element = document.createElement('div');
+    this.element.className = 'beta-manager-overlay';
+    this.element.innerHTML = `
+      <div class="beta-manager-modal" role="dialog" aria-modal="true" aria-labelledby="beta-manager-title">
+        <div class="beta-manager-header">
+          <h2 id="beta-manager-title">${escape(this.venture.name)}: Beta Test</h2>
+          <button type="button" class="beta-manager-close" aria-label="Close">×</button>
+        </div>
+        <div class="beta-manager-tabs" role="tablist">
+          ${tabs.map(tab => `
+            <button type="button" role="tab" data-tab="${tab.value}" aria-selected="${tab.value === this.tab}"
+              class="${tab.value === this.tab ? 'active' : ''}">${escape(tab.label)}</button>`).join('')}
+        </div>
+        <div class="beta-manager-body">
+          <div class="beta-manager-error" role="alert" hidden></div>
+          ${this[`render${this.tab.charAt(0).toUpperCase()}${this.tab.slice(1)}`]()}
+        </div>
+      </div>
+    `;
+
+    this.element.querySelector('.beta-manager-close').addEventListener('click', () => this.close());
+    this.element.addEventListener('click', (event) => {
+      if (event.target === this.element) this.close();
+    });
+    this.element.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.close();
+    });
+    this.element.querySelectorAll('[data-tab]').forEach((button) => {
+      button.addEventListener('click', () => {
+        this.tab = button.dataset.tab;
+        // The analysis is only loaded when its tab is opened
+        if (this.tab === 'analysis') {
+          this.reload();
+        } else {
+          this.render();
+        }
+      });
+    });
+    this.element.querySelectorAll('[data-action]').forEach((control) => {
+      control.addEventListener(control.tagName === 'SELECT' ? 'change' : 'click', () => {
+        // Selects hand themselves over; buttons hand over the id of what they act on
+        this[control.dataset.action](control.tagName === 'SELECT' ? control : Number(control.dataset.id));
+      });
+    });
+    this.element.querySelectorAll('form[data-submit]').forEach((form) => {
+      form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        this[form.dataset.submit](form);
+      });
+    });
+    this.element.querySelectorAll('.beta-manager-link input').forEach((input) => {
+      input.addEventListener('focus', () => input.select());
+    });
+
+    if (previous && previous.parentElement) previous.replaceWith(this.element);
+  }
+
+  testerName(testerId) {
+    const tester = this.beta.testers.find(item => item.id === testerId);
+    return tester ? tester.name || tester.email : 'Former tester';
+  }
+
+  renderInbox() {
+    const escape = SmartStartComponents.escapeHtml;
+    const Beta = SmartStartBetaTesting;
+    const canTriage = this.inbox.permissions.canTriage;
+    const features = this.beta.summary.features;
+
+    const filters = `
+      <div class="beta-manager-filters">
+        <select data-filter="status" data-action="filter" aria-label="Status">${BetaTestManagerModal.options(Beta.INBOX_STATUSES, this.filters.status, 'Any status')}</select>
+        <select data-filter="priority" data-action="filter" aria-label="Priority">${BetaTestManagerModal.options(Beta.PRIORITIES, this.filters.priority, 'Any priority')}</select>
+        <select data-filter="tag" data-action="filter" aria-label="Tag">${BetaTestManagerModal.options(
+          this.inbox.tags.map(tag => ({ value: tag.name, label: `#${tag.name} (${tag.count})` })), this.filters.tag, 'Any tag')}</select>
+      </div>
+    `;
+
+    const reactions = features.length === 0 ? '' : `
+      <table class="beta-manager-features">
+        <thead><tr><th>Feature</th>${Beta.REACTIONS.map(reaction => `<th title="${escape(reaction.label)}">${reaction.icon}</th>`).join('')}<th>Positive</th></tr></thead>
+        <tbody>${features.map(feature => `
+          <tr>
+            <td>${escape(feature.feature)}</td>
+            ${Beta.REACTIONS.map(reaction => `<td>${feature.counts[reaction.value] || ''}</td>`).join('')}
+            <td>${Math.round((feature.positive / feature.total) * 100)}%</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+      <p class="beta-manager-hint">Feature adoption: ${this.beta.summary.featureAdoption === null ? '—' : `${this.beta.summary.featureAdoption}%`} of reactions are positive. The Decision Gate uses it unless the team enters its own figure.</p>
+    `;
+
+    const items = this.inbox.feedback.map(item => `
+      <li class="beta-manager-feedback priority-${escape(item.priority)} ${item.status}">
+        <div class="beta-manager-feedback-head">
+          <strong>${'★'.repeat(item.rating || 0)}${'☆'.repeat(Beta.RATING_MAX - (item.rating || 0))}</strong>
+          <span class="beta-manager-chip">${escape(Beta.label(Beta.FEEDBACK_TYPES, item.type))}</span>
+          <small>${escape(item.reviewer_name || 'Tester')} · ${escape(new Date(item.created_at).toLocaleString())}${item.session_id ? ' · from a session' : ''}</small>
+        </div>
+        ${item.text ? `<p>${escape(item.text)}</p>` : ''}
+        ${Object.keys(item.ratings).length > 0 ? `<small>${Beta.RATING_QUESTIONS.filter(question => item.ratings[question.key])
+          .map(question => `${escape(question.label)} ${item.ratings[question.key]}/5`).join(' · ')}</small>` : ''}
+        ${Object.keys(item.reactions).length > 0 ? `<div class="beta-manager-reactions">${Object.entries(item.reactions).map(([feature, entry]) => {
+          const reaction = Beta.reaction(entry.reaction);
+          return `<span class="beta-manager-chip" title="${escape(entry.comment)}">${reaction ? reaction.icon : ''} ${escape(feature)}${entry.comment ? ': ' + escape(entry.comment) : ''}</span>`;
+        }).join('')}</div>` : ''}
+        ${canTriage ? `
+          <form class="beta-manager-triage" data-submit="triage" data-id="${item.id}">
+            <select name="priority" aria-label="Priority">${BetaTestManagerModal.options(Beta.PRIORITIES, item.priority)}</select>
+            <select name="status" aria-label="Status">${BetaTestManagerModal.options(Beta.INBOX_STATUSES, item.status)}</select>
+            <input type="text" name="tags" value="${escape(item.tags.join(', '))}" placeholder="Tags, comma separated" aria-label="Tags">
+            <button type="submit" class="btn-small">Save</button>
+          </form>` : `
+          <small>${escape(Beta.label(Beta.PRIORITIES, item.priority))} · ${escape(Beta.label(Beta.INBOX_STATUSES, item.status))}${item.tags.map(tag => ` #${escape(tag)}`).join('')}</small>`}
+      </li>`).join('');
+
+    return `
+      ${reactions}
+      ${filters}
+      ${this.inbox.feedback.length === 0
+        ? `<p class="beta-manager-hint">${this.inbox.total === 0 ? 'No feedback yet. Testers send it from their dashboard after a session.' : 'No feedback matches these filters.'}</p>`
+        : `<ul class="beta-manager-list">${items}</ul>`}
+    `;
+  }
+
+  renderAnalysis() {
+    const escape = SmartStartComponents.escapeHtml;
+    const Analysis = SmartStartFeedbackAnalysis;
+    const analysis = this.analysis;
+    if (!analysis) return '<p class="beta-manager-hint">Loading the analysis…</p>';
+    if (analysis.total === 0) return '<p class="beta-manager-hint">No feedback to analyze yet. Dismissed feedback is left out.</p>';
+
+    const sentiment = (value) => {
+      const item = Analysis.SENTIMENTS.find(entry => entry.value === value);
+      return item ? `<span class="beta-manager-chip sentiment-${item.value}">${item.icon} ${escape(item.label)}</span>` : '';
+    };
+    const score = value => `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+    const counts = analysis.sentiment.counts;
+
+    const backlog = analysis.backlog.length === 0 ? '<p class="beta-manager-hint">Nothing to improve yet: no theme or feature has negative feedback.</p>' : `
+      <ol class="beta-manager-list beta-manager-backlog">${analysis.backlog.map((item, index) => `
+        <li class="beta-manager-feedback priority-${escape(item.priority)}">
+          <div class="beta-manager-feedback-head">
+            <strong>${escape(item.title)}</strong>
+            <span class="beta-manager-chip">${escape(SmartStartBetaTesting.label(SmartStartBetaTesting.PRIORITIES, item.priority))}</span>
+            <small>Score ${item.score} · ${item.mentions} ${item.mentions === 1 ? 'report' : 'reports'} by ${item.testers} ${item.testers === 1 ? 'tester' : 'testers'}</small>
+            ${item.task
+              ? `<span class="beta-manager-chip status-accepted">Task in ${escape(SmartStartTasks.laneLabel(item.task.lane))}</span>`
+              : (analysis.permissions.canCreateTasks ? `<button type="button" class="btn-small" data-action="createTask" data-id="${index}">Create task</button>` : '')}
+          </div>
+          ${item.quotes.map(quote => `<p><small>“${escape(quote)}”</small></p>`).join('')}
+        </li>`).join('')}
+      </ol>`;
+
+    const themes = analysis.themes.length === 0 ? '' : `
+      <h3>Themes</h3>
+      <table class="beta-manager-features">
+        <thead><tr><th>Theme</th><th>Feedback</th><th>Sentiment</th></tr></thead>
+        <tbody>${analysis.themes.map(theme => `
+          <tr><td>${escape(theme.label)}</td><td>${theme.count}</td><td>${sentiment(theme.sentiment)} <small>${score(theme.score)}</small></td></tr>`).join('')}
+        </tbody>
+      </table>`;
+
+    const features = analysis.features.length === 0 ? '' : `
+      <h3>Feature sentiment</h3>
+      <table class="beta-manager-features">
+        <thead><tr><th>Feature</th><th>Mentions</th><th>🙂 / 😐 / 🙁</th><th>Sentiment</th></tr></thead>
+        <tbody>${analysis.features.map(feature => `
+          <tr>
+            <td>${escape(feature.feature)}</td>
+            <td>${feature.mentions}</td>
+            <td>${feature.positive} / ${feature.neutral} / ${feature.negative}</td>
+            <td>${sentiment(feature.label)} <small>${score(feature.score)}</small></td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+
+    const keywords = analysis.keywords.length === 0 ? '' : `
+      <h3>Recurring words</h3>
+      <div class="beta-manager-reactions">${analysis.keywords.map(keyword => `<span class="beta-manager-chip">${escape(keyword.keyword)} ×${keyword.count}</span>`).join('')}</div>`;
+
+    const duplicates = analysis.duplicates.length === 0 ? '' : `
+      <h3>Near-duplicates</h3>
+      <p class="beta-manager-hint">These say nearly the same thing and count once per tester in the backlog. Dismiss the extras in the inbox if they are repeats.</p>
+      <ul class="beta-manager-list">${analysis.duplicates.map(group => `
+        <li>${group.quotes.map(quote => `<p><small>“${escape(quote)}”</small></p>`).join('')}</li>`).join('')}
+      </ul>`;
+
+    return `
+      <p class="beta-manager-hint">
+        ${analysis.total} pieces of feedback: ${sentiment(analysis.sentiment.label)} on average (${score(analysis.sentiment.average)}),
+        ${counts.positive} positive, ${counts.neutral} neutral, ${counts.negative} negative.
+      </p>
+      <h3>Improvement backlog</h3>
+      ${backlog}
+      ${themes}
+      ${features}
+      ${keywords}
+      ${duplicates}
+    `;
+  }
+
+  renderTesters() {
+    const escape = SmartStartComponents.escapeHtml;
+    const Beta = SmartStartBetaTesting;
+    const canManage = this.beta.permissions.canManage;
+    const testers = this.beta.testers.filter(tester => tester.status !== 'removed');
+
+    return `
+      ${canManage ? `
+        <form class="beta-manager-form inline" data-submit="invite">
+          <input type="email" name="email" required placeholder="tester@example.com" aria-label="Email">
+          <input type="text" name="name" maxlength="${Beta.MAX_NAME_LENGTH}" placeholder="Name (optional)" aria-label="Name">
+          <button type="submit" class="btn-primary">Invite</button>
+        </form>
+        <p class="beta-manager-hint">Send each tester their invitation link. They accept it signed in to their own account.</p>` : ''}
+      ${testers.length === 0 ? '<p class="beta-manager-hint">No testers yet.</p>' : `
+        <ul class="beta-manager-list">${testers.map(tester => `
+          <li>
+            <div class="beta-manager-feedback-head">
+              <strong>${escape(tester.name || tester.email)}</strong>
+              <span class="beta-manager-chip status-${tester.status}">${escape(Beta.label(Beta.TESTER_STATUSES, tester.status))}</span>
+              <small>${escape(tester.email)} · invited ${escape(new Date(tester.invited_at).toLocaleDateString())}</small>
+              ${canManage ? `<button type="button" class="btn-small btn-danger" data-action="removeTester" data-id="${tester.id}">Remove</button>` : ''}
+            </div>
+            ${tester.invite_url ? `
+              <label class="beta-manager-link">Invitation link
+                <input type="text" readonly value="${escape(tester.invite_url)}">
+              </label>` : ''}
+          </li>`).join('')}
+        </ul>`}
+    `;
+  }
+
+  renderScripts() {
+    const escape = SmartStartComponents.escapeHtml;
+    const Beta = SmartStartBetaTesting;
+    const canManage = this.beta.permissions.canManage;
+    const editing = this.editingScript;
+
+    return `
+      ${this.beta.scripts.length === 0 ? '<p class="beta-manager-hint">No test scripts yet. A script lists the steps testers follow and the features they react to.</p>' : `
+        <ul class="beta-manager-list">${this.beta.scripts.map(script => `
+          <li>
+            <div class="beta-manager-feedback-head">
+              <strong>${escape(script.title)}</strong>
+              ${canManage ? `
+                <button type="button" class="btn-small" data-action="editScript" data-id="${script.id}">Edit</button>
+                <button type="button" class="btn-small btn-danger" data-action="deleteScript" data-id="${script.id}">Delete</button>` : ''}
+            </div>
+            ${script.instructions ? `<p>${escape(script.instructions)}</p>` : ''}
+            ${script.steps.length > 0 ? `<ol>${script.steps.map(step => `<li>${escape(step)}</li>`).join('')}</ol>` : ''}
+            ${script.features.length > 0 ? `<div class="beta-manager-reactions">${script.features.map(feature => `<span class="beta-manager-chip">${escape(feature)}</span>`).join('')}</div>` : ''}
+          </li>`).join('')}
+        </ul>`}
+      ${canManage ? `
+        <form class="beta-manager-form" data-submit="saveScript">
+          <h3>${editing ? `Edit "${escape(editing.title)}"` : 'New test script'}</h3>
+          <label>Title <input type="text" name="title" required maxlength="${Beta.MAX_TITLE_LENGTH}" value="${escape(editing ? editing.title : '')}"></label>
+          <label>Instructions <textarea name="instructions" rows="2" maxlength="${Beta.MAX_INSTRUCTIONS_LENGTH}">${escape(editing ? editing.instructions : '')}</textarea></label>
+          <label>Steps, one per line <textarea name="steps" rows="4">${escape(editing ? editing.steps.join('\n') : '')}</textarea></label>
+          <label>Features testers react to, one per line <textarea name="features" rows="3">${escape(editing ? editing.features.join('\n') : '')}</textarea></label>
+          <div class="beta-manager-actions">
+            ${editing ? '<button type="button" class="btn-secondary" data-action="cancelScript">Cancel</button>' : ''}
+            <button type="submit" class="btn-primary">${editing ? 'Save script' : 'Add script'}</button>
+          </div>
+        </form>` : ''}
+    `;
+  }
+
+  renderSessions() {
+    const escape = SmartStartComponents.escapeHtml;
+    const Beta = SmartStartBetaTesting;
+    const canManage = this.beta.permissions.canManage;
+    const testers = this.beta.testers.filter(tester => ['invited', 'accepted'].includes(tester.status));
+    const scriptTitle = (scriptId) => {
+      const script = this.beta.scripts.find(item => item.id === scriptId);
+      return script ? script.title : 'No script';
+    };
+
+    return `
+      ${this.beta.sessions.length === 0 ? '<p class="beta-manager-hint">No sessions scheduled.</p>' : `
+        <table class="beta-manager-sessions">
+          <thead><tr><th>When</th><th>Tester</th><th>Script</th><th>Where</th><th>Status</th></tr></thead>
+          <tbody>${this.beta.sessions.map(session => `
+            <tr>
+              <td>${escape(new Date(session.scheduled_at).toLocaleString())}<small>${session.duration_minutes} min</small></td>
+              <td>${escape(this.testerName(session.tester_id))}</td>
+              <td>${escape(scriptTitle(session.script_id))}</td>
+              <td>${escape(session.location || '—')}</td>
+              <td>${canManage
+                ? `<select data-action="setSessionStatus" data-id="${session.id}" aria-label="Session status">${BetaTestManagerModal.options(Beta.SESSION_STATUSES, session.status)}</select>`
+                : escape(Beta.label(Beta.SESSION_STATUSES, session.status))}
+                ${session.feedback_id ? '<small>Feedback received</small>' : ''}
+              </td>
+            </tr>`).join('')}
+          </tbody>
+        </table>`}
+      ${canManage ? (testers.length === 0 ? '<p class="beta-manager-hint">Invite testers before scheduling sessions.</p>' : `
+        <form class="beta-manager-form" data-submit="schedule">
+          <h3>Schedule a session</h3>
+          <label>Tester <select name="tester_id" required>${BetaTestManagerModal.options(testers.map(tester => ({ value: String(tester.id), label: tester.name || tester.email })), '')}</select></label>
+          <label>Script <select name="script_id">${BetaTestManagerModal.options(this.beta.scripts.map(script => ({ value: String(script.id), label: script.title })), '', 'No script')}</select></label>
+          <label>When <input type="datetime-local" name="scheduled_at" required></label>
+          <label>Minutes <input type="number" name="duration_minutes" min="${Beta.MIN_SESSION_MINUTES}" max="${Beta.MAX_SESSION_MINUTES}" value="${Beta.DEFAULT_SESSION_MINUTES}"></label>
+          <label>Where <input type="text" name="location" maxlength="${Beta.MAX_LOCATION_LENGTH}" placeholder="Video call link or address"></label>
+          <div class="beta-manager-actions">
+            <button type="submit" class="btn-primary">Schedule</button>
+          </div>
+        </form>`) : ''}
+    `;
+  }
+
+  showError(message) {
+    const element = this.element && this.element.querySelector('.beta-manager-error');
+    if (!element) return;
+    element.textContent = message;
+    element.hidden = !message;
+  }
+
+  // Send a change and reload; resolves with the result, or null when the API refused it
+  async submit(method, endpoint, body = null, success = null) {
+    if (this.saving) return null;
+    this.saving = true;
+    try {
+      const result = await this.api.request(method, `${this.endpoint}${endpoint}`, body);
+      if (!result.success) {
+        this.showError(result.error);
+        return null;
+      }
+      await this.reload();
+      if (success) this.notify(success, 'success');
+      return result;
+    } finally {
+      this.saving = false;
+    }
+  }
+
+  async filter(select) {
+    this.filters[select.dataset.filter] = select.value;
+    await this.reload();
+  }
+
+  async triage(form) {
+    await this.submit('PUT', `/feedback/${form.dataset.id}`, {
+      priority: form.elements.priority.value,
+      status: form.elements.status.value,
+      tags: form.elements.tags.value
+    });
+  }
+
+  async createTask(index) {
+    const item = this.analysis.backlog[index];
+    await this.submit('POST', '/analysis/tasks', { key: item.key }, `Added "${item.title}" to the task board's backlog`);
+  }
+
+  async invite(form) {
+    const email = form.elements.email.value.trim();
+    const result = await this.submit('POST', '/testers', { email, name: form.elements.name.value.trim() || undefined });
+    if (result) this.notify(`Invited ${email}; send them the invitation link`, 'success');
+  }
+
+  async removeTester(testerId) {
+    if (!window.confirm(`Remove ${this.testerName(testerId)} from the beta test? Their link stops working and their upcoming sessions are cancelled.`)) return;
+    await this.submit('DELETE', `/testers/${testerId}`);
+  }
+
+  editScript(scriptId) {
+    this.editingScript = this.beta.scripts.find(script => script.id === scriptId) || null;
+    this.render();
+  }
+
+  cancelScript() {
+    this.editingScript = null;
+    this.render();
+  }
+
+  async saveScript(form) {
+    const body = {
+      title: form.elements.title.value,
+      instructions: form.elements.instructions.value,
+      steps: form.elements.steps.value,
+      features: form.elements.features.value
+    };
+    const editing = this.editingScript;
+    this.editingScript = null;
+    const result = editing
+      ? await this.submit('PUT', `/scripts/${editing.id}`, body)
+      : await this.submit('POST', '/scripts', body);
+    if (!result) this.editingScript = editing;
+  }
+
+  async deleteScript(scriptId) {
+    if (!window.confirm('Delete this test script?')) return;
+    await this.submit('DELETE', `/scripts/${scriptId}`);
+  }
+
+  async schedule(form) {
+    const when = new Date(form.elements.scheduled_at.value);
+    await this.submit('POST', '/sessions', {
+      tester_id: Number(form.elements.tester_id.value),
+      script_id: form.elements.script_id.value ? Number(form.elements.script_id.value) : null,
+      scheduled_at: Number.isNaN(when.getTime()) ? '' : when.toISOString(),
+      duration_minutes: Number(form.elements.duration_minutes.value),
+      location: form.elements.location.value.trim() || null
+    }, 'Session scheduled');
+  }
+
+  async setSessionStatus(select) {
+    await this.submit('PUT', `/sessions/${select.dataset.id}`, { status: select.value });
+  }
+}
+
+// Export for use in other modules
+window.BetaTestManagerModal = BetaTestManagerModal;
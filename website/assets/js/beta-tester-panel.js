@@ -0,0 +1,230 @@
+/**
+ * Beta Tester Panel
+ * The dashboard's "Beta Testing" widget for testers: invitations to answer (sent to their
+ * email, or opened from an invitation link as ?betaInvite=<token>), the sessions of the tests
+ * they joined, and the feedback form. Reads and writes /api/beta; the rules live in
+ * beta-testing.js.
+ *
+ *   const panel = new BetaTesterPanel({ api: smartStartApi, container });
+ */
+
+class BetaTesterPanel {
+  /**
+   * @param {Object} options
+   * @param {SmartStartApiClient} options.api - client for the beta tester endpoints
+   * @param {HTMLElement} options.container - where the panel is rendered
+   * @param {Function} [options.notify] - called with (message, type) after actions
+   * @param {string} [options.inviteToken] - an invitation link's token to show first
+   */
+  constructor(options = {}) {
+    this.api = options.api;
+    this.container = options.container;
+    this.notify = options.notify || (() => {});
+    this.inviteToken = options.inviteToken || null;
+    this.invitations = [];
+    this.tests = [];
+    this.form = null;
+
+    this.load();
+  }
+
+  async load() {
+    const result = await this.api.request('GET', '/beta/tests');
+    if (!result.success) {
+      this.render(`Could not load your beta tests: ${result.error}`);
+      return;
+    }
+    this.invitations = result.data.invitations;
+    this.tests = result.data.tests;
+
+    // An invitation link may be for another email address than the account's
+    let error = '';
+    if (this.inviteToken && !this.invitations.some(invitation => invitation.token === this.inviteToken)) {
+      const invitation = await this.api.request('GET', `/beta/invitations/${encodeURIComponent(this.inviteToken)}`);
+      if (invitation.success && invitation.data.status === 'invited') {
+        this.invitations.unshift({ ...invitation.data, token: this.inviteToken });
+      } else if (!invitation.success) {
+        error = `This invitation link does not work: ${invitation.error}`;
+      }
+    }
+    this.render(error);
+  }
+
+  render(error = '') {
+    const escape = SmartStartComponents.escapeHtml;
+    const upcoming = (test) => test.sessions.filter(session => session.status === 'scheduled' || (session.status === 'completed' && !session.feedback_id));
+
+    this.container.innerHTML = `
+      ${this.invitations.map(invitation => `
+        <div class="beta-tester-invitation">
+          <p><strong>${escape(invitation.venture.name)}</strong> invited you to its beta test${invitation.email ? ` (as ${escape(invitation.email)})` : ''}.</p>
+          ${invitation.venture.description ? `<small>${escape(invitation.venture.description)}</small>` : ''}
+          <div class="beta-tester-actions">
+            <button type="button" class="btn-small" data-action="accept" data-token="${escape(invitation.token)}">Join</button>
+            <button type="button" class="btn-small" data-action="decline" data-token="${escape(invitation.token)}">Decline</button>
+          </div>
+        </div>`).join('')}
+      ${this.tests.length === 0 && this.invitations.length === 0
+        ? '<p class="beta-tester-hint">You are not testing any ventures. Teams send their testers an invitation link.</p>'
+        : ''}
+      ${this.tests.map(test => `
+        <div class="beta-tester-test">
+          <h4>${escape(test.venture.name)}</h4>
+          ${upcoming(test).length === 0 ? '<p class="beta-tester-hint">No sessions coming up.</p>' : `
+            <ul>${upcoming(test).map(session => `
+              <li>
+                <span>${escape(new Date(session.scheduled_at).toLocaleString())}${session.script ? ` · ${escape(session.script.title)}` : ''}${session.location ? ` · ${escape(session.location)}` : ''}</span>
+                <button type="button" class="btn-small" data-action="openForm" data-venture="${test.venture.id}" data-session="${session.id}">Give feedback</button>
+              </li>`).join('')}
+            </ul>`}
+          <button type="button" class="btn-small" data-action="openForm" data-venture="${test.venture.id}">Send other feedback</button>
+        </div>`).join('')}
+      <p class="beta-tester-error" role="alert" ${error ? '' : 'hidden'}>${escape(error)}</p>
+    `;
+
+    this.container.querySelectorAll('[data-action]').forEach((button) => {
+      button.addEventListener('click', () => this[button.dataset.action](button.dataset));
+    });
+  }
+
+  async answer(token, answer) {
+    const result = await this.api.request('POST', `/beta/invitations/${encodeURIComponent(token)}/${answer}`);
+    if (!result.success) {
+      this.render(`Could not answer the invitation: ${result.error}`);
+      return;
+    }
+    if (token === this.inviteToken) this.inviteToken = null;
+    this.notify(answer === 'accept'
+      ? `You joined the beta test of "${result.data.venture.name}"`
+      : `Declined the beta test of "${result.data.venture.name}"`, 'success');
+    await this.load();
+  }
+
+  accept({ token }) {
+    return this.answer(token, 'accept');
+  }
+
+  decline({ token }) {
+    return this.answer(token, 'decline');
+  }
+
+  /**
+   * The feedback form, for a session (its script's steps and features) or for the test as a
+   * whole (every feature its scripts cover)
+   */
+  openForm({ venture, session }) {
+    const escape = SmartStartComponents.escapeHtml;
+    const Beta = SmartStartBetaTesting;
+    const test = this.tests.find(item => String(item.venture.id) === String(venture));
+    if (!test) return;
+    const chosen = session ? test.sessions.find(item => String(item.id) === String(session)) : null;
+    const script = chosen ? chosen.script : null;
+    const features = script ? script.features : test.features;
+
+    this.closeForm();
+    this.form = document.createElement('div');
+    this.form.className = 'beta-tester-overlay';
+    this.form.innerHTML = `
+      <form class="beta-tester-modal" role="dialog" aria-modal="true" aria-labelledby="beta-tester-title">
+        <div class="beta-tester-header">
+          <h2 id="beta-tester-title">Feedback on ${escape(test.venture.name)}</h2>
+          <button type="button" class="beta-tester-close" aria-label="Close">×</button>
+        </div>
+        <div class="beta-tester-body">
+          ${script ? `
+            <h3>${escape(script.title)}</h3>
+            ${script.instructions ? `<p>${escape(script.instructions)}</p>` : ''}
+            ${script.steps.length > 0 ? `<ol>${script.steps.map(step => `<li>${escape(step)}</li>`).join('')}</ol>` : ''}` : ''}
+          ${Beta.RATING_QUESTIONS.map(question => `
+            <fieldset class="beta-tester-rating">
+              <legend>${escape(question.label)}${question.required ? ' *' : ''}</legend>
+              ${[1, 2, 3, 4, 5].map(value => `
+                <label><input type="radio" name="rating-${question.key}" value="${value}" ${question.required ? 'required' : ''}> ${value}</label>`).join('')}
+            </fieldset>`).join('')}
+          ${features.length > 0 ? `
+            <h3>How did you find each feature?</h3>
+            ${features.map((feature, index) => `
+              <div class="beta-tester-feature">
+                <label for="beta-feature-${index}">${escape(feature)}</label>
+                <select id="beta-feature-${index}" data-feature="${escape(feature)}">
+                  <option value="">Did not try it</option>
+                  ${Beta.REACTIONS.map(reaction => `<option value="${reaction.value}">${reaction.icon} ${escape(reaction.label)}</option>`).join('')}
+                </select>
+                <input type="text" data-comment maxlength="${Beta.MAX_COMMENT_LENGTH}" placeholder="Comment (optional)" aria-label="${escape(feature)} comment">
+              </div>`).join('')}` : ''}
+          <label class="beta-tester-field">Kind of feedback
+            <select name="type">${Beta.FEEDBACK_TYPES.map(type => `<option value="${type.value}">${escape(type.label)}</option>`).join('')}</select>
+          </label>
+          <label class="beta-tester-field">Anything else?
+            <textarea name="text" rows="4" maxlength="${Beta.MAX_FEEDBACK_LENGTH}"></textarea>
+          </label>
+          <p class="beta-tester-error" role="alert" hidden></p>
+          <div class="beta-tester-actions">
+            <button type="button" class="btn-secondary" data-close>Cancel</button>
+            <button type="submit" class="btn-primary">Send feedback</button>
+          </div>
+        </div>
+      </form>
+    `;
+
+    const form = this.form.querySelector('form');
+    this.form.querySelectorAll('.beta-tester-close, [data-close]').forEach(button => button.addEventListener('click', () => this.closeForm()));
+    this.form.addEventListener('click', (event) => {
+      if (event.target === this.form) this.closeForm();
+    });
+    this.form.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.closeForm();
+    });
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.send(form, chosen ? { sessionId: chosen.id } : { ventureId: test.venture.id });
+    });
+    document.body.appendChild(this.form);
+    this.form.querySelector('.beta-tester-close').focus();
+  }
+
+  closeForm() {
+    if (this.form && this.form.parentElement) {
+      this.form.remove();
+    }
+    this.form = null;
+  }
+
+  async send(form, target) {
+    const ratings = {};
+    SmartStartBetaTesting.RATING_QUESTIONS.forEach((question) => {
+      const checked = form.querySelector(`[name="rating-${question.key}"]:checked`);
+      if (checked) ratings[question.key] = Number(checked.value);
+    });
+    const reactions = {};
+    form.querySelectorAll('[data-feature]').forEach((select) => {
+      if (!select.value) return;
+      const comment = select.parentElement.querySelector('[data-comment]').value.trim();
+      reactions[select.dataset.feature] = { reaction: select.value, comment };
+    });
+
+    const submit = form.querySelector('[type="submit"]');
+    submit.disabled = true;
+    const result = await this.api.request('POST', '/beta/feedback', {
+      ...target,
+      ratings,
+      reactions,
+      type: form.elements.type.value,
+      text: form.elements.text.value.trim()
+    });
+    submit.disabled = false;
+    if (!result.success) {
+      const error = form.querySelector('.beta-tester-error');
+      error.textContent = result.error;
+      error.hidden = false;
+      return;
+    }
+
+    this.closeForm();
+    this.notify('Thanks! Your feedback was sent to the team', 'success');
+    await this.load();
+  }
+}
+
+// Export for use in other modules
+window.BetaTesterPanel = BetaTesterPanel;
@@ -0,0 +1,337 @@
+/**
+ * SmartStart Beta Testing
+ * The rules of a venture's beta test: tester invitations, test scripts (steps to follow and
+ * the features testers react to), scheduled sessions, the structured feedback form and the
+ * team's feedback inbox (tags, priority, status). Shared by the API, which enforces them, and
+ * by the dashboard's beta test manager and tester panel, which render them.
+ */
+
+const SmartStartBetaTesting = {
+  TESTER_STATUSES: [
+    { value: 'invited', label: 'Invited' },
+    { value: 'accepted', label: 'Accepted' },
+    { value: 'declined', label: 'Declined' },
+    { value: 'removed', label: 'Removed' }
+  ],
+
+  SESSION_STATUSES: [
+    { value: 'scheduled', label: 'Scheduled' },
+    { value: 'completed', label: 'Completed' },
+    { value: 'cancelled', label: 'Cancelled' },
+    { value: 'no_show', label: 'No-show' }
+  ],
+
+  // Stored in feedback_reviews.feedback_type
+  FEEDBACK_TYPES: [
+    { value: 'general', label: 'General' },
+    { value: 'bug', label: 'Bug' },
+    { value: 'usability', label: 'Usability' },
+    { value: 'feature_request', label: 'Feature request' },
+    { value: 'praise', label: 'Praise' }
+  ],
+
+  // A tester's reaction to each feature a script covers; positive ones count as adoption
+  REACTIONS: [
+    { value: 'love', label: 'Love it', icon: '😍', positive: true },
+    { value: 'like', label: 'Like it', icon: '🙂', positive: true },
+    { value: 'neutral', label: 'Neutral', icon: '😐', positive: false },
+    { value: 'confused', label: 'Confusing', icon: '😕', positive: false },
+    { value: 'broken', label: 'Broken', icon: '🐞', positive: false }
+  ],
+
+  // 1-5 questions on the feedback form; the overall rating is the review's rating
+  RATING_QUESTIONS: [
+    { key: 'overall', label: 'Overall, how would you rate the product?', required: true },
+    { key: 'ease', label: 'How easy was it to use?', required: false },
+    { key: 'usefulness', label: 'How useful is it to you?', required: false }
+  ],
+
+  // Lower rank comes first in the inbox
+  PRIORITIES: [
+    { value: 'critical', label: 'Critical', rank: 0 },
+    { value: 'high', label: 'High', rank: 1 },
+    { value: 'medium', label: 'Medium', rank: 2 },
+    { value: 'low', label: 'Low', rank: 3 }
+  ],
+
+  // Dismissed feedback (spam, duplicates) is left out of the Decision Gate metrics
+  INBOX_STATUSES: [
+    { value: 'new', label: 'New' },
+    { value: 'triaged', label: 'Triaged' },
+    { value: 'resolved', label: 'Resolved' },
+    { value: 'dismissed', label: 'Dismissed' }
+  ],
+
+  RATING_MIN: 1,
+  RATING_MAX: 5,
+
+  DEFAULT_SESSION_MINUTES: 30,
+  MIN_SESSION_MINUTES: 5,
+  MAX_SESSION_MINUTES: 480,
+
+  MAX_NAME_LENGTH: 100,
+  MAX_TITLE_LENGTH: 140,
+  MAX_INSTRUCTIONS_LENGTH: 2000,
+  MAX_STEPS: 20,
+  MAX_STEP_LENGTH: 300,
+  MAX_FEATURES: 12,
+  MAX_FEATURE_LENGTH: 60,
+  MAX_LOCATION_LENGTH: 300,
+  MAX_NOTES_LENGTH: 2000,
+  MAX_FEEDBACK_LENGTH: 4000,
+  MAX_COMMENT_LENGTH: 500,
+  MAX_TAGS: 8,
+  MAX_TAG_LENGTH: 24,
+
+  values(list) {
+    return list.map((item) => item.value);
+  },
+
+  label(list, value) {
+    const item = list.find((entry) => entry.value === value);
+    return item ? item.label : value;
+  },
+
+  reaction(value) {
+    return this.REACTIONS.find((reaction) => reaction.value === value) || null;
+  },
+
+  priorityRank(value) {
+    const priority = this.PRIORITIES.find((item) => item.value === value);
+    return priority ? priority.rank : this.PRIORITIES.length;
+  },
+
+  // Steps and features arrive as an array or one entry per line; keep them trimmed and unique
+  normalizeList(list) {
+    const entries = Array.isArray(list) ? list : String(list || '').split('\n');
+    return [...new Set(entries.map((entry) => String(entry).trim()).filter(Boolean))];
+  },
+
+  // Tags arrive as an array or a comma-separated string; kept lower case, trimmed and unique
+  normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))];
+  },
+
+  // Feedback rows keep their JSON columns as text; accept either form
+  parse(value, fallback) {
+    if (value === null || value === undefined || value === '') return fallback;
+    if (typeof value !== 'string') return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  },
+
+  isRating(value) {
+    return Number.isInteger(value) && value >= this.RATING_MIN && value <= this.RATING_MAX;
+  },
+
+  /**
+   * Check an invitation: { email, name? }. Returns { field: message }, empty when valid.
+   */
+  validateInvitation(fields) {
+    const errors = {};
+    const email = String(fields.email || '').trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      errors.email = 'A valid email address is required';
+    }
+    if (fields.name && String(fields.name).trim().length > this.MAX_NAME_LENGTH) {
+      errors.name = `Must be ${this.MAX_NAME_LENGTH} characters or fewer`;
+    }
+    return errors;
+  },
+
+  /**
+   * Check test script fields: { title, instructions, steps, features }. Only fields that are
+   * present are checked, except that `requireTitle` insists on a title (for new scripts).
+   */
+  validateScript(fields, options = {}) {
+    const errors = {};
+    if (fields.title !== undefined || options.requireTitle) {
+      const title = String(fields.title || '').trim();
+      if (!title) {
+        errors.title = 'Script title is required';
+      } else if (title.length > this.MAX_TITLE_LENGTH) {
+        errors.title = `Must be ${this.MAX_TITLE_LENGTH} characters or fewer`;
+      }
+    }
+    if (fields.instructions && String(fields.instructions).length > this.MAX_INSTRUCTIONS_LENGTH) {
+      errors.instructions = `Must be ${this.MAX_INSTRUCTIONS_LENGTH} characters or fewer`;
+    }
+    if (fields.steps !== undefined) {
+      const steps = this.normalizeList(fields.steps);
+      if (steps.length > this.MAX_STEPS) {
+        errors.steps = `Use at most ${this.MAX_STEPS} steps`;
+      } else if (steps.some((step) => step.length > this.MAX_STEP_LENGTH)) {
+        errors.steps = `Steps must be ${this.MAX_STEP_LENGTH} characters or fewer`;
+      }
+    }
+    if (fields.features !== undefined) {
+      const features = this.normalizeList(fields.features);
+      if (features.length > this.MAX_FEATURES) {
+        errors.features = `Use at most ${this.MAX_FEATURES} features`;
+      } else if (features.some((feature) => feature.length > this.MAX_FEATURE_LENGTH)) {
+        errors.features = `Features must be ${this.MAX_FEATURE_LENGTH} characters or fewer`;
+      }
+    }
+    return errors;
+  },
+
+  /**
+   * Check session fields: { tester_id, script_id, scheduled_at, duration_minutes, location,
+   * status, notes }. Only fields that are present are checked, except that `requireSchedule`
+   * insists on a tester and a time (for new sessions).
+   */
+  validateSession(fields, options = {}) {
+    const errors = {};
+    if (options.requireSchedule && (fields.tester_id === undefined || fields.tester_id === null || fields.tester_id === '')) {
+      errors.tester_id = 'Choose a tester';
+    }
+    if (fields.scheduled_at !== undefined || options.requireSchedule) {
+      if (!fields.scheduled_at || Number.isNaN(new Date(fields.scheduled_at).getTime())) {
+        errors.scheduled_at = 'A valid date and time is required';
+      }
+    }
+    if (fields.duration_minutes !== undefined && fields.duration_minutes !== null) {
+      const minutes = Number(fields.duration_minutes);
+      if (!Number.isInteger(minutes) || minutes < this.MIN_SESSION_MINUTES || minutes > this.MAX_SESSION_MINUTES) {
+        errors.duration_minutes = `Sessions last ${this.MIN_SESSION_MINUTES} to ${this.MAX_SESSION_MINUTES} minutes`;
+      }
+    }
+    if (fields.location && String(fields.location).length > this.MAX_LOCATION_LENGTH) {
+      errors.location = `Must be ${this.MAX_LOCATION_LENGTH} characters or fewer`;
+    }
+    if (fields.status !== undefined && !this.values(this.SESSION_STATUSES).includes(fields.status)) {
+      errors.status = `Invalid status. Expected one of: ${this.values(this.SESSION_STATUSES).join(', ')}`;
+    }
+    if (fields.notes && String(fields.notes).length > this.MAX_NOTES_LENGTH) {
+      errors.notes = `Must be ${this.MAX_NOTES_LENGTH} characters or fewer`;
+    }
+    return errors;
+  },
+
+  /**
+   * Check a feedback form: { ratings: { overall, ease?, usefulness? }, reactions?: { feature:
+   * { reaction, comment? } }, type?, text? }. `features` are the ones the tester's script
+   * covers; reactions to anything else are refused.
+   */
+  validateFeedback(body, features = []) {
+    const errors = {};
+    const ratings = body.ratings && typeof body.ratings === 'object' ? body.ratings : {};
+    this.RATING_QUESTIONS.forEach((question) => {
+      const value = ratings[question.key];
+      if (value === undefined || value === null) {
+        if (question.required) errors[`ratings.${question.key}`] = 'Choose a rating';
+      } else if (!this.isRating(value)) {
+        errors[`ratings.${question.key}`] = `Ratings are whole numbers from ${this.RATING_MIN} to ${this.RATING_MAX}`;
+      }
+    });
+
+    const reactions = body.reactions || {};
+    if (typeof reactions !== 'object' || Array.isArray(reactions)) {
+      errors.reactions = 'reactions must be an object keyed by feature';
+    } else {
+      Object.entries(reactions).forEach(([feature, entry]) => {
+        if (!features.includes(feature)) {
+          errors[`reactions.${feature}`] = 'This feature is not part of the test script';
+        } else if (!entry || !this.reaction(entry.reaction)) {
+          errors[`reactions.${feature}`] = `Reaction must be one of: ${this.values(this.REACTIONS).join(', ')}`;
+        } else if (entry.comment && String(entry.comment).length > this.MAX_COMMENT_LENGTH) {
+          errors[`reactions.${feature}`] = `Comments must be ${this.MAX_COMMENT_LENGTH} characters or fewer`;
+        }
+      });
+    }
+
+    if (body.type !== undefined && !this.values(this.FEEDBACK_TYPES).includes(body.type)) {
+      errors.type = `Invalid type. Expected one of: ${this.values(this.FEEDBACK_TYPES).join(', ')}`;
+    }
+    if (body.text && String(body.text).length > this.MAX_FEEDBACK_LENGTH) {
+      errors.text = `Must be ${this.MAX_FEEDBACK_LENGTH} characters or fewer`;
+    }
+    return errors;
+  },
+
+  // Check an inbox update: { tags?, priority?, status? }
+  validateTriage(fields) {
+    const errors = {};
+    if (fields.tags !== undefined) {
+      const tags = this.normalizeTags(fields.tags);
+      if (tags.length > this.MAX_TAGS) {
+        errors.tags = `Use at most ${this.MAX_TAGS} tags`;
+      } else if (tags.some((tag) => tag.length > this.MAX_TAG_LENGTH)) {
+        errors.tags = `Tags must be ${this.MAX_TAG_LENGTH} characters or fewer`;
+      }
+    }
+    if (fields.priority !== undefined && !this.values(this.PRIORITIES).includes(fields.priority)) {
+      errors.priority = `Invalid priority. Expected one of: ${this.values(this.PRIORITIES).join(', ')}`;
+    }
+    if (fields.status !== undefined && !this.values(this.INBOX_STATUSES).includes(fields.status)) {
+      errors.status = `Invalid status. Expected one of: ${this.values(this.INBOX_STATUSES).join(', ')}`;
+    }
+    return errors;
+  },
+
+  /**
+   * The priority new feedback lands in the inbox with, until the team triages it: broken
+   * features reported as bugs are critical, other bugs and broken features high, low ratings
+   * and confusing features medium, everything else low.
+   */
+  suggestPriority({ rating, type, reactions = {} }) {
+    const values = Object.values(reactions).map((entry) => entry && entry.reaction);
+    const broken = values.includes('broken');
+    if (broken && type === 'bug') return 'critical';
+    if (broken || type === 'bug') return 'high';
+    if ((rating !== null && rating !== undefined && rating <= 2) || values.includes('confused')) return 'medium';
+    return 'low';
+  },
+
+  // Inbox order: open before resolved or dismissed, then by priority, then newest first
+  compareInbox(a, b) {
+    const closed = (item) => (item.status === 'resolved' || item.status === 'dismissed' ? 1 : 0);
+    return closed(a) - closed(b) ||
+      this.priorityRank(a.priority) - this.priorityRank(b.priority) ||
+      String(b.created_at).localeCompare(String(a.created_at)) ||
+      b.id - a.id;
+  },
+
+  /**
+   * Reactions per feature across feedback rows (feature_reactions as stored):
+   * [{ feature, total, positive, counts: { love, like, ... } }], most reacted to first.
+   */
+  featureSummary(reviews) {
+    const features = new Map();
+    reviews.forEach((review) => {
+      Object.entries(this.parse(review.feature_reactions, {})).forEach(([feature, entry]) => {
+        const reaction = this.reaction(entry && entry.reaction);
+        if (!reaction) return;
+        if (!features.has(feature)) {
+          const counts = {};
+          this.REACTIONS.forEach((item) => { counts[item.value] = 0; });
+          features.set(feature, { feature, total: 0, positive: 0, counts });
+        }
+        const summary = features.get(feature);
+        summary.total += 1;
+        summary.counts[reaction.value] += 1;
+        if (reaction.positive) summary.positive += 1;
+      });
+    });
+    return [...features.values()].sort((a, b) => b.total - a.total || a.feature.localeCompare(b.feature));
+  },
+
+  // Share (%) of feature reactions that are positive; null while there are none
+  featureAdoption(reviews) {
+    const summary = this.featureSummary(reviews);
+    const total = summary.reduce((sum, feature) => sum + feature.total, 0);
+    if (total === 0) return null;
+    return Math.round((summary.reduce((sum, feature) => sum + feature.positive, 0) / total) * 100);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartBetaTesting;
+} else {
+  window.SmartStartBetaTesting = SmartStartBetaTesting;
+}
@@ -0,0 +1,158 @@
+/**
+ * SmartStart Pipeline Calendar
+ * iCalendar (RFC 5545) feeds of venture pipelines, built from their schedules (schedule.js):
+ * the start and due date of every stage still ahead and the Decision Gate meeting. Events keep
+ * their UIDs from one feed to the next, so calendars that import or subscribe again move them
+ * when the schedule shifts and drop them once a stage is completed. Shared by the API, which
+ * serves downloads and subscription feeds, and by the journey tracker.
+ */
+
+const SmartStartCalendar = {
+  PRODUCT_ID: '-//SmartStart//Venture Pipelines//EN',
+
+  UID_DOMAIN: 'smartstart',
+
+  // Stage whose due date is the Decision Gate meeting
+  DECISION_GATE_STAGE: 'decision_gate',
+
+  // How often subscribed calendars should fetch the feed again
+  REFRESH_INTERVAL: 'PT1H',
+
+  // Escape a TEXT value: backslashes, commas, semicolons and line breaks
+  escapeText(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  },
+
+  // Lines longer than 75 octets continue on lines that start with a space
+  foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    const encoder = new TextEncoder();
+    for (const character of line) {
+      const size = encoder.encode(character).length;
+      if (octets + size > (parts.length === 0 ? 75 : 74)) {
+        parts.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += character;
+      octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  },
+
+  // 'YYYY-MM-DD' -> 'YYYYMMDD'
+  formatDate(day) {
+    return day.replace(/-/g, '');
+  },
+
+  // A UTC timestamp, e.g. '20260304T101500Z'
+  formatTimestamp(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  },
+
+  nextDay(day) {
+    return new Date(new Date(`${day}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  },
+
+  /**
+   * The events of one venture's pipeline: `venture` is { id, name }, `schedule` as from
+   * SmartStartSchedule.describe(). Options: `url`, a page to link from each event.
+   */
+  ventureEvents(venture, schedule, options = {}) {
+    const uid = (suffix) => `venture-${venture.id}-${suffix}@${this.UID_DOMAIN}`;
+    const status = schedule.paused ? 'TENTATIVE' : 'CONFIRMED';
+    const note = schedule.paused
+      ? 'The pipeline is paused; these dates move back until it is resumed.'
+      : `Forecast to finish ${schedule.forecastEnd}.`;
+
+    const events = [];
+    schedule.stages
+      .filter((row) => row.status !== 'completed')
+      .forEach((row) => {
+        if (row.status === 'upcoming') {
+          events.push({
+            uid: uid(`${row.stage}-start`),
+            day: row.plannedStart,
+            summary: `${venture.name}: ${row.name} starts`,
+            description: `${row.name} runs ${row.days} working day${row.days === 1 ? '' : 's'}, due ${row.plannedEnd}. ${note}`,
+            status,
+            url: options.url
+          });
+        }
+        events.push({
+          uid: uid(`${row.stage}-due`),
+          day: row.plannedEnd,
+          summary: `${venture.name}: ${row.name} due`,
+          description: `Last working day of ${row.name}. ${note}`,
+          status,
+          url: options.url
+        });
+      });
+
+    const gate = schedule.stages.find((row) => row.stage === this.DECISION_GATE_STAGE && row.status !== 'completed');
+    if (gate) {
+      events.push({
+        uid: uid('decision-gate-meeting'),
+        day: gate.plannedEnd,
+        summary: `${venture.name}: Decision Gate meeting`,
+        description: `Decide whether to scale, pause or stop ${venture.name}. ${note}`,
+        status,
+        url: options.url
+      });
+    }
+    return events;
+  },
+
+  /**
+   * A VCALENDAR document of all-day events ({ uid, day, summary, description, status, url }),
+   * with CRLF line endings. Options: `name` of the calendar and `now` for the DTSTAMP.
+   */
+  build(events, options = {}) {
+    const stamp = this.formatTimestamp(options.now || new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(options.name || 'SmartStart pipelines')}`,
+      `REFRESH-INTERVAL;VALUE=DURATION:${this.REFRESH_INTERVAL}`,
+      `X-PUBLISHED-TTL:${this.REFRESH_INTERVAL}`
+    ];
+    events.forEach((event) => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${this.formatDate(event.day)}`,
+        `DTEND;VALUE=DATE:${this.formatDate(this.nextDay(event.day))}`,
+        `SUMMARY:${this.escapeText(event.summary)}`
+      );
+      if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+      if (event.url) lines.push(`URL:${event.url}`);
+      lines.push(`STATUS:${event.status || 'CONFIRMED'}`, 'TRANSP:TRANSPARENT', 'END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map((line) => this.foldLine(line)).join('\r\n') + '\r\n';
+  },
+
+  // File name for a download, e.g. 'smartstart-acme-pipeline.ics'
+  fileName(name) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `smartstart-${slug || 'ventures'}-pipeline.ics`;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartCalendar;
+} else {
+  window.SmartStartCalendar = SmartStartCalendar;
+}
@@ -0,0 +1,338 @@
+/**
+ * Cap Table Modal
+ * A venture's cap table: who owns what today as a table and a ring chart, how ownership moved
+ * with each transaction, the transaction ledger, and the form that records the next one.
+ * Reads and writes /api/ventures/:id/equity; the rules live in equity.js.
+ *
+ *   const capTable = new CapTableModal({ api: smartStartApi, notify: (message, type) => {} });
+ *   capTable.open(venture);
+ */
+
+class CapTableModal {
+  /**
+   * @param {Object} options
+   * @param {SmartStartApiClient} options.api - client for the cap table endpoints
+   * @param {Function} [options.notify] - called with (message, type) after actions
+   * @param {Function} [options.onChanged] - called with (capTable, venture) after a transaction
+   */
+  constructor(options = {}) {
+    this.api = options.api;
+    this.notify = options.notify || (() => {});
+    this.onChanged = options.onChanged || (() => {});
+    this.venture = null;
+    this.capTable = null;
+    this.element = null;
+    this.saving = false;
+  }
+
+  get endpoint() {
+    return `/ventures/${this.venture.id}/equity`;
+  }
+
+  // The stakes after the latest transaction, or null before the initial allocation
+  get stakes() {
+    const latest = this.capTable.transactions[0];
+    return latest ? latest.stakes : null;
+  }
+
+  async open(venture) {
+    this.venture = venture;
+    const result = await this.api.request('GET', this.endpoint);
+    if (!result.success) {
+      this.notify(`Could not load the cap table: ${result.error}`, 'error');
+      return;
+    }
+
+    this.capTable = result.data;
+    this.render();
+    document.body.appendChild(this.element);
+    this.element.querySelector('.cap-table-close').focus();
+  }
+
+  close() {
+    if (this.element && this.element.parentElement) {
+      this.element.remove();
+    }
+    this.element = null;
+  }
+
+  // Every holder that ever had a stake, in the order of the current holders, with its name
+  // from the ledger when they are no longer listed
+  holderList() {
+    const holders = this.capTable.holders.map(holder => ({ key: holder.key, name: holder.name }));
+    this.capTable.transactions.slice().reverse().forEach((transaction) => {
+      transaction.changes.forEach((change) => {
+        if (!holders.some(holder => holder.key === change.holder)) {
+          holders.push({ key: change.holder, name: change.name });
+        }
+      });
+    });
+    return holders;
+  }
+
+  // Holders keep their color across the charts; the studio always gets the first
+  color(key) {
+    const palette = [
+      'var(--color-neon-teal)',
+      'var(--color-neon-purple)',
+      'var(--color-neon-green)',
+      'var(--color-neon-yellow)',
+      '#60a5fa',
+      '#f472b6',
+      '#fb923c',
+      '#94a3b8'
+    ];
+    const index = this.holderList().findIndex(holder => holder.key === key);
+    return palette[Math.max(index, 0) % palette.length];
+  }
+
+  render() {
+    const escape = SmartStartComponents.escapeHtml;
+    const Equity = SmartStartEquity;
+    const { studio, table, transactions } = this.capTable;
+
+    const previous = this.element;
+    this.element = document.createElement('div');
+    this.element.className = 'cap-table-overlay';
+    this.element.innerHTML = `
+      <div class="cap-table-modal" role="dialog" aria-modal="true" aria-labelledby="cap-table-title">
+        <div class="cap-table-header">
+          <h2 id="cap-table-title">${escape(this.venture.name)}: Cap table</h2>
+          <button type="button" class="cap-table-close" aria-label="Close">×</button>
+        </div>
+        <div class="cap-table-body">
+          <p class="cap-table-hint">
+            ${this.stakes
+              ? `${escape(studio.name)} holds ${Equity.format(studio.stake)} (${studio.min}-${studio.max}% per venture).
+                 ${table.length} holders; last changed ${escape(transactions[0].effective_date)}.`
+              : `No cap table yet. It opens with an initial allocation; ${escape(studio.name)} keeps ${studio.min}-${studio.max}% of each venture.`}
+          </p>
+          ${this.stakes ? `
+            <div class="cap-table-current">
+              ${this.renderRing()}
+              ${this.renderTable()}
+            </div>
+            <h3>Ownership over time</h3>
+            ${this.renderHistory()}
+            <h3>Transactions</h3>
+            ${this.renderLedger()}` : ''}
+          ${this.capTable.permissions.canRecord ? this.renderForm() : ''}
+        </div>
+      </div>
+    `;
+
+    this.element.querySelector('.cap-table-close').addEventListener('click', () => this.close());
+    this.element.addEventListener('click', (event) => {
+      if (event.target === this.element) this.close();
+    });
+    this.element.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.close();
+    });
+    const form = this.element.querySelector('form');
+    if (form) {
+      form.addEventListener('input', () => this.updateTotal(form));
+      form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        this.record(form);
+      });
+      this.updateTotal(form);
+    }
+
+    if (previous && previous.parentElement) previous.replaceWith(this.element);
+  }
+
+  // Current ownership as an SVG ring, one arc per holder
+  renderRing() {
+    const radius = 60;
+    const circumference = 2 * Math.PI * radius;
+    let offset = 0;
+    const arcs = this.capTable.table.map((row) => {
+      const length = (row.stake / SmartStartEquity.TOTAL) * circumference;
+      const arc = `<circle r="${radius}" cx="80" cy="80" style="stroke: ${this.color(row.key)}"
+        stroke-dasharray="${length.toFixed(2)} ${(circumference - length).toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}" />`;
+      offset += length;
+      return arc;
+    });
+    return `
+      <svg class="cap-table-ring" viewBox="0 0 160 160" role="img"
+        aria-label="${SmartStartComponents.escapeHtml(this.capTable.table.map(row => `${row.name} ${SmartStartEquity.format(row.stake)}`).join(', '))}">
+        <g transform="rotate(-90 80 80)">${arcs.join('')}</g>
+      </svg>
+    `;
+  }
+
+  renderTable() {
+    const escape = SmartStartComponents.escapeHtml;
+    const Equity = SmartStartEquity;
+    return `
+      <table class="cap-table-table">
+        <thead><tr><th>Holder</th><th>Type</th><th>Stake</th></tr></thead>
+        <tbody>${this.capTable.table.map(row => `
+          <tr>
+            <td><span class="cap-table-swatch" style="background: ${this.color(row.key)}"></span>${escape(row.name)}</td>
+            <td>${escape(Equity.label(Equity.HOLDER_TYPES, row.type))}${row.role ? ` · ${escape(SmartStartTeam.roleLabel(row.role))}` : ''}${row.status === 'left' ? ' (left)' : ''}</td>
+            <td>${Equity.format(row.stake)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  // One stacked bar per transaction, oldest at the top, each holder's share in its color
+  renderHistory() {
+    const escape = SmartStartComponents.escapeHtml;
+    const width = 560;
+    const bar = 18;
+    const gap = 10;
+    const label = 90;
+    const transactions = this.capTable.transactions.slice().reverse();
+    const holders = this.holderList();
+    const height = transactions.length * (bar + gap);
+
+    const rows = transactions.map((transaction, index) => {
+      const y = index * (bar + gap);
+      let x = label;
+      const segments = holders
+        .filter(holder => transaction.stakes[holder.key])
+        .map((holder) => {
+          const segment = ((transaction.stakes[holder.key] / SmartStartEquity.TOTAL) * (width - label));
+          const rect = `<rect x="${x.toFixed(2)}" y="${y}" width="${segment.toFixed(2)}" height="${bar}" style="fill: ${this.color(holder.key)}">
+            <title>${escape(holder.name)}: ${SmartStartEquity.format(transaction.stakes[holder.key])}</title></rect>`;
+          x += segment;
+          return rect;
+        });
+      return `<text x="0" y="${y + bar - 5}">${escape(transaction.effective_date)}</text>${segments.join('')}`;
+    });
+
+    return `
+      <svg class="cap-table-history" viewBox="0 0 ${width} ${height}" role="img" aria-label="Ownership after each transaction">
+        ${rows.join('')}
+      </svg>
+      <div class="cap-table-legend">${holders.map(holder => `
+        <span><span class="cap-table-swatch" style="background: ${this.color(holder.key)}"></span>${escape(holder.name)}</span>`).join('')}
+      </div>
+    `;
+  }
+
+  renderLedger() {
+    const escape = SmartStartComponents.escapeHtml;
+    const Equity = SmartStartEquity;
+    return `
+      <ul class="cap-table-ledger">${this.capTable.transactions.map(transaction => `
+        <li>
+          <div class="cap-table-ledger-head">
+            <strong>${escape(Equity.label(Equity.TRANSACTION_TYPES, transaction.type))}</strong>
+            <small>${escape(transaction.effective_date)}</small>
+          </div>
+          ${transaction.note ? `<p>${escape(transaction.note)}</p>` : ''}
+          <ul>${transaction.changes.map(change => `
+            <li>${escape(change.name)}: ${Equity.format(change.from)} → ${Equity.format(change.to)}</li>`).join('')}
+          </ul>
+        </li>`).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * The next transaction: a stake field per holder, filled with their current stake (or the
+   * suggested split for the initial allocation). Holders who left can only give stake up.
+   */
+  renderForm() {
+    const escape = SmartStartComponents.escapeHtml;
+    const Equity = SmartStartEquity;
+    const stakes = this.stakes;
+    const values = stakes || this.capTable.suggested || {};
+    const types = Equity.TRANSACTION_TYPES.filter(type => (stakes ? type.value !== 'issue' : type.value === 'issue'));
+    const holders = this.capTable.holders.filter(holder => holder.eligible || (stakes && stakes[holder.key]));
+    const latest = this.capTable.transactions[0];
+    const today = new Date().toISOString().slice(0, 10);
+
+    return `
+      <form class="cap-table-form">
+        <h3>${stakes ? 'Record a transaction' : 'Initial allocation'}</h3>
+        <div class="cap-table-form-row">
+          <label>Type <select name="type">${types.map(type => `<option value="${type.value}">${escape(type.label)}</option>`).join('')}</select></label>
+          <label>Date <input type="date" name="effective_date" value="${today}" max="${today}" ${latest ? `min="${escape(latest.effective_date)}"` : ''} required></label>
+        </div>
+        <table class="cap-table-table">
+          <thead><tr><th>Holder</th><th>Now</th><th>New stake (%)</th></tr></thead>
+          <tbody>${holders.map(holder => `
+            <tr>
+              <td>${escape(holder.name)}</td>
+              <td>${stakes ? Equity.format(stakes[holder.key] || 0) : '—'}</td>
+              <td><input type="number" data-holder="${escape(holder.key)}" min="0" step="0.01"
+                max="${holder.eligible ? Equity.TOTAL : stakes[holder.key]}" value="${values[holder.key] || 0}"
+                aria-label="New stake of ${escape(holder.name)}" ${holder.eligible ? '' : 'title="No longer on the team: their stake can only go down"'}></td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+        <p class="cap-table-total" role="status"></p>
+        <label>Note <input type="text" name="note" maxlength="${Equity.MAX_NOTE_LENGTH}" placeholder="Agreement, vesting or reason (optional)"></label>
+        <p class="cap-table-error" role="alert" hidden></p>
+        <div class="cap-table-actions">
+          <button type="submit" class="btn-primary">Record</button>
+        </div>
+      </form>
+    `;
+  }
+
+  // The stakes the form would leave, as { holder: stake }
+  formStakes(form) {
+    const stakes = {};
+    form.querySelectorAll('[data-holder]').forEach((input) => {
+      stakes[input.dataset.holder] = Number(input.value) || 0;
+    });
+    return stakes;
+  }
+
+  // Show the total as the founder types, and what is still wrong with it
+  updateTotal(form) {
+    const Equity = SmartStartEquity;
+    const stakes = this.formStakes(form);
+    const errors = Equity.validateTable(stakes);
+    const element = form.querySelector('.cap-table-total');
+    element.textContent = `Total ${Equity.format(Equity.total(stakes))} · ${Equity.STUDIO_NAME} ${Equity.format(stakes[Equity.STUDIO_KEY] || 0)}`
+      + (errors.total || errors.studio ? ` · ${errors.total || errors.studio}` : '');
+    element.classList.toggle('invalid', Boolean(errors.total || errors.studio));
+  }
+
+  showError(message) {
+    const element = this.element && this.element.querySelector('.cap-table-error');
+    if (!element) return;
+    element.textContent = message;
+    element.hidden = !message;
+  }
+
+  // Only the stakes that change are sent
+  async record(form) {
+    if (this.saving) return;
+    const current = this.stakes || {};
+    const stakes = Object.entries(this.formStakes(form))
+      .filter(([holder, stake]) => SmartStartEquity.toUnits(stake) !== SmartStartEquity.toUnits(current[holder] || 0))
+      .map(([holder, stake]) => ({ holder, stake }));
+
+    this.saving = true;
+    try {
+      const result = await this.api.request('POST', `${this.endpoint}/transactions`, {
+        type: form.elements.type.value,
+        effective_date: form.elements.effective_date.value,
+        note: form.elements.note.value.trim() || undefined,
+        stakes
+      });
+      if (!result.success) {
+        this.showError(result.error);
+        return;
+      }
+
+      this.capTable = result.data;
+      this.render();
+      this.notify('Cap table updated', 'success');
+      this.onChanged(this.capTable, this.venture);
+    } finally {
+      this.saving = false;
+    }
+  }
+}
+
+// Export for use in other modules
+window.CapTableModal = CapTableModal;
@@ -111,17 +111,63 @@ function highlightCurrentPage() {
     });
 }
 
+// Function to escape text for use in HTML markup and attribute values; the dashboard
+// components build their markup with it
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Function to show the demo banner while signed in to the demo sandbox (pages with api-client.js)
+function injectDemoBanner() {
+    if (!window.smartStartApi || !window.smartStartApi.isDemo() || document.getElementById('demo-banner')) {
+        return;
+    }
+
+    const banner = document.createElement('div');
+    banner.id = 'demo-banner';
+    banner.setAttribute('role', 'status');
+    banner.style.cssText = `
+        position: sticky;
+        top: 0;
+        z-index: 2000;
+        padding: 0.6rem 1rem;
+        text-align: center;
+        font-size: 0.9rem;
+        background: var(--color-neon-teal, #14b8a6);
+        color: var(--color-bg-dark, #0f172a);
+    `;
+    banner.innerHTML = `
+        <strong>Demo mode</strong> — you are exploring sample data in a sandbox. Changes are never saved to real accounts.
+        <a href="#" id="demo-banner-exit" style="color: inherit; margin-left: 0.75rem; text-decoration: underline;">Exit demo</a>
+    `;
+    document.body.prepend(banner);
+
+    document.getElementById('demo-banner-exit').addEventListener('click', async (event) => {
+        event.preventDefault();
+        await window.smartStartApi.logout();
+        window.location.href = '/index.html';
+    });
+}
+
 // Initialize components when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
     injectGlobalComponents();
     highlightCurrentPage();
+    injectDemoBanner();
 });
 
 // Export functions for external use
 window.SmartStartComponents = {
     injectGlobalComponents,
     updateLogoLinks,
-    highlightCurrentPage
+    highlightCurrentPage,
+    injectDemoBanner,
+    escapeHtml
 };
 
 } // End of SmartStartComponents check
@@ -5,11 +5,25 @@
 
 class SmartStartDashboard {
   constructor() {
-    this.apiBaseUrl = 'http://localhost:3344/api';
+    this.api = window.smartStartApi;
     this.currentUser = null;
-    this.authToken = null;
     this.ventures = [];
     this.stats = null;
+    this.ventureForm = null;
+    this.taskBoard = null;
+    this.activityFeed = null;
+    this.pipelineTemplates = null;
+    this.templateManager = null;
+    this.stageChecklist = null;
+    this.journeyTimeline = null;
+    this.pipelineSchedule = null;
+    this.pipelineCalendar = null;
+    this.decisionScorecard = null;
+    this.betaTestManager = null;
+    this.betaTesterPanel = null;
+    this.teamManager = null;
+    this.teamInvitations = null;
+    this.capTable = null;
     
     this.init();
   }
@@ -19,8 +33,8 @@ class SmartStartDashboard {
    */
   async init() {
     try {
-      // Check authentication
-      await this.checkAuth();
+      // Check authentication; stop here when redirecting to login
+      if (!(await this.checkAuth())) return;
       
       // Load dashboard data
       await this.loadDashboardData();
@@ -36,156 +50,133 @@ class SmartStartDashboard {
   }
 
   /**
-   * Check user authentication
+   * Check user authentication with the server; expired, tampered or
+   * revoked sessions are sent back to the login page
    */
   async checkAuth() {
-    const token = localStorage.getItem('smartstart_token');
-    const user = localStorage.getItem('user');
-    
-    console.log('Checking auth - Token:', token, 'User:', user);
-    console.log('All localStorage keys:', Object.keys(localStorage));
-    console.log('All localStorage values:', Object.values(localStorage));
-    
-    // If no token or user, wait a bit for login data to be stored
-    if (!token || !user) {
-      console.log('No token or user found, waiting 500ms for login data...');
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      const retryToken = localStorage.getItem('smartstart_token');
-      const retryUser = localStorage.getItem('user');
-      
-      if (!retryToken || !retryUser) {
-        console.log('Still no token or user found, redirecting to login');
-        // For testing, let's add a bypass
-        if (window.location.search.includes('bypass=true')) {
-          console.log('Bypass mode enabled, using demo data');
-          this.authToken = 'demo_bypass_token';
-          this.currentUser = { 
-            email: 'demo@test.com', 
-            name: 'Demo User',
-            firstName: 'Demo',
-            lastName: 'User'
-          };
-          this.updateUserInfo();
-          console.log('Bypass authentication successful');
-          return;
-        }
-        window.location.href = 'auth/login.html';
-        return;
-      }
-      
-      // Use the retry values
-      this.authToken = retryToken;
-      this.currentUser = JSON.parse(retryUser);
-      this.updateUserInfo();
-      console.log('Demo authentication successful for:', this.currentUser.email);
-      return;
-    }
-
-    this.authToken = token;
-    
-    try {
-      // For demo purposes, use stored user data
-      this.currentUser = JSON.parse(user);
-      this.updateUserInfo();
-      console.log('Demo authentication successful for:', this.currentUser.email);
-    } catch (error) {
-      console.error('Auth check failed:', error);
-      localStorage.removeItem('smartstart_token');
-      localStorage.removeItem('user');
+    const user = this.api.isAuthenticated() ? await this.api.verify() : null;
+    if (!user) {
+      // Keep beta test and team invitation links across signing in
+      const params = new URLSearchParams(window.location.search);
+      ['betaInvite', 'teamInvite'].forEach((key) => {
+        if (params.get(key)) sessionStorage.setItem(key, params.get(key));
+      });
       window.location.href = 'auth/login.html';
+      return false;
     }
+
+    this.currentUser = user;
+    this.updateUserInfo();
+    return true;
   }
 
   /**
-   * Load dashboard data
+   * Load dashboard data. Each widget shows a skeleton while loading and its own
+   * error state if its request fails; `refresh` bypasses the server's stats cache.
    */
-  async loadDashboardData() {
-    try {
-      // For demo purposes, use mock data
-      this.stats = {
-        ventures: {
-          total: 3,
-          byStage: {
-            idea: 1,
-            development: 1,
-            launch: 1
-          }
-        },
-        activity: {
-          totalCollaborations: 5,
-          daysActive: 15
-        },
-        documents: {
-          total: 12,
-          signed: 8
-        }
-      };
-      
-      this.ventures = [
-        {
-          id: 1,
-          name: 'SmartStart Platform',
-          status: 'development',
-          stage: 'development',
-          progress: 75,
-          progress_percentage: 75,
-          description: 'Building the next generation venture platform'
-        },
-        {
-          id: 2,
-          name: 'AI Assistant',
-          status: 'idea',
-          stage: 'idea',
-          progress: 25,
-          progress_percentage: 25,
-          description: 'Intelligent assistant for entrepreneurs'
-        }
-      ];
-      
+  async loadDashboardData(options = {}) {
+    this.showWidgetSkeletons(['stats', 'journeyProgress', 'venturesList', 'taskBoard']);
+
+    const [stats, ventures] = await Promise.allSettled([
+      this.loadStats(options.refresh),
+      this.loadVentures()
+    ]);
+
+    if (stats.status === 'fulfilled') {
+      this.stats = stats.value;
       this.updateStats();
+    } else {
+      console.error('Failed to load dashboard stats:', stats.reason);
+      this.showWidgetError(['stats'], 'Could not load your stats.');
+    }
+
+    if (ventures.status === 'fulfilled') {
+      this.ventures = ventures.value;
+      this.updateJourneyProgress();
       this.updateVenturesList();
-      this.updateRecentActivity({
-        auditTrail: [
-          { action: 'Created new venture', time: '2 hours ago', type: 'venture', updated_at: new Date(Date.now() - 2 * 60 * 60 * 1000) },
-          { action: 'Completed user journey', time: '1 day ago', type: 'journey', updated_at: new Date(Date.now() - 24 * 60 * 60 * 1000) },
-          { action: 'Signed document', time: '2 days ago', type: 'document', updated_at: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) }
-        ],
-        ventures: this.ventures
+      this.updateTaskBoard();
+    } else {
+      console.error('Failed to load ventures:', ventures.reason);
+      this.showWidgetError(['journeyProgress', 'venturesList', 'taskBoard'], 'Could not load your ventures.');
+    }
+
+    // The feed loads on its own; without ventures it simply offers no venture filter
+    this.updateActivityFeed();
+    this.updatePipelineCalendar();
+    this.updateTeamInvitationsPanel();
+    this.updateBetaTesterPanel();
+    this.updateTemplateManager();
+  }
+
+  /**
+   * Load aggregated dashboard stats; the server caches them briefly unless `refresh` is set
+   */
+  async loadStats(refresh = false) {
+    const response = await this.apiCall(`/stats/dashboard${refresh ? '?refresh=true' : ''}`);
+    return response.data;
+  }
+
+  /**
+   * Widget containers by name; 'stats' covers the four stat cards
+   */
+  getWidgetElements(widget) {
+    if (widget === 'stats') {
+      return ['totalVentures', 'completedStages', 'activeCollaborations', 'daysActive']
+        .map(id => document.getElementById(id))
+        .filter(Boolean);
+    }
+    const element = document.getElementById(widget);
+    return element ? [element] : [];
+  }
+
+  /**
+   * Replace widgets with loading placeholders
+   */
+  showWidgetSkeletons(widgets) {
+    widgets.forEach(widget => {
+      this.getWidgetElements(widget).forEach(element => {
+        element.setAttribute('aria-busy', 'true');
+        element.innerHTML = widget === 'stats'
+          ? '<span class="skeleton skeleton-number"></span>'
+          : '<div class="skeleton skeleton-row"></div>'.repeat(3);
       });
-      this.updateJourneyProgress({
-        progress: [
-          {
-            stage: 'discovery',
-            name: 'Discovery',
-            totalVentures: 3,
-            completedVentures: 1,
-            isCompleted: true,
-            isInProgress: false
-          },
-          {
-            stage: 'development',
-            name: 'Development',
-            totalVentures: 3,
-            completedVentures: 1,
-            isCompleted: false,
-            isInProgress: true
-          },
-          {
-            stage: 'launch',
-            name: 'Launch',
-            totalVentures: 3,
-            completedVentures: 0,
-            isCompleted: false,
-            isInProgress: false
-          }
-        ]
+    });
+  }
+
+  /**
+   * Show an error with a retry button in place of widgets that failed to load
+   */
+  showWidgetError(widgets, message) {
+    widgets.forEach(widget => {
+      this.getWidgetElements(widget).forEach(element => {
+        element.removeAttribute('aria-busy');
+        element.innerHTML = widget === 'stats'
+          ? '<span class="widget-error" title="Failed to load">–</span>'
+          : `
+            <div class="widget-error">
+              <p>${message}</p>
+              <button class="btn-small" onclick="dashboard.loadDashboardData()">Retry</button>
+            </div>
+          `;
       });
+    });
+  }
 
-    } catch (error) {
-      console.error('Failed to load dashboard data:', error);
-      this.showError('Failed to load dashboard data');
-    }
+  /**
+   * Load ventures from the API: every venture for roles that may read
+   * them all, otherwise the user's own and those whose team they are on
+   */
+  async loadVentures() {
+    const scope = SmartStartRoles.can(this.currentUser, 'ventures:read:any') ? '?scope=all' : '';
+    const response = await this.apiCall(`/ventures${scope}`);
+    return response.data;
+  }
+
+  /**
+   * Whether the current user's role allows an action ('update' or 'delete') on a venture
+   */
+  canManageVenture(action, venture) {
+    return SmartStartRoles.canOnVenture(this.currentUser, action, venture);
   }
 
   /**
@@ -206,6 +197,13 @@ class SmartStartDashboard {
     
     if (userAvatar) {
       userAvatar.textContent = userName.charAt(0).toUpperCase();
+      userAvatar.title = SmartStartRoles.label(this.currentUser.role);
+    }
+
+    // Only roles that may create ventures see the create action
+    const createVentureLink = document.getElementById('createVentureLink');
+    if (createVentureLink) {
+      createVentureLink.style.display = SmartStartRoles.can(this.currentUser, 'ventures:create') ? '' : 'none';
     }
   }
 
@@ -217,14 +215,15 @@ class SmartStartDashboard {
 
     const elements = {
       totalVentures: this.stats.ventures.total,
-      completedStages: this.stats.ventures.byStage.launch || 0,
-      activeCollaborations: this.stats.activity.totalCollaborations,
+      completedStages: this.stats.journey.completedStages,
+      activeCollaborations: this.stats.collaborations.active,
       daysActive: this.stats.activity.daysActive
     };
 
     Object.entries(elements).forEach(([id, value]) => {
       const element = document.getElementById(id);
       if (element) {
+        element.removeAttribute('aria-busy');
         element.textContent = value;
       }
     });
@@ -236,14 +235,17 @@ class SmartStartDashboard {
   updateVenturesList() {
     const container = document.getElementById('venturesList');
     if (!container) return;
+    container.removeAttribute('aria-busy');
 
     if (this.ventures.length === 0) {
+      const canCreate = SmartStartRoles.can(this.currentUser, 'ventures:create');
       container.innerHTML = `
         <div style="text-align: center; padding: 2rem; color: var(--text-secondary);">
-          <p>No ventures yet. Create your first venture to get started!</p>
+          <p>${canCreate ? 'No ventures yet. Create your first venture to get started!' : 'No ventures yet.'}</p>
+          ${canCreate ? `
           <button class="btn-primary" onclick="dashboard.createNewVenture()" style="margin-top: 1rem;">
             Create Venture
-          </button>
+          </button>` : ''}
         </div>
       `;
       return;
@@ -252,88 +254,342 @@ class SmartStartDashboard {
     container.innerHTML = '';
 
     this.ventures.forEach(venture => {
+      // Actions the user's role does not allow are left out rather than disabled
+      const actions = [
+        `<button class="btn-small" onclick="dashboard.openTeamManager('${venture.id}')" title="Members, roles and invitations">Team</button>`,
+        `<button class="btn-small" onclick="dashboard.openCapTable('${venture.id}')" title="Stakes, ownership charts and equity transactions">Equity</button>`,
+        `<button class="btn-small" onclick="dashboard.openBetaTestManager('${venture.id}')" title="Testers, scripts, sessions and the feedback inbox">Beta Test</button>`
+      ];
+      if (this.canManageVenture('update', venture)) {
+        actions.push(`<button class="btn-small" onclick="dashboard.editVenture('${venture.id}')">Edit</button>`);
+      }
+      if (this.canManageVenture('delete', venture)) {
+        actions.push(`<button class="btn-small btn-danger" onclick="dashboard.deleteVenture('${venture.id}')">Delete</button>`);
+      }
+
+      // Ventures come from other users too (teams, admins' ?scope=all), so their fields go in as text
       const ventureItem = document.createElement('div');
       ventureItem.className = 'venture-item';
       ventureItem.innerHTML = `
         <div class="venture-icon">🚀</div>
         <div class="venture-content">
-          <h4>${venture.name}</h4>
-          <p>${venture.description || 'No description available'}</p>
-          <small>Progress: ${venture.progress_percentage}% - ${venture.stage.replace('_', ' ')}</small>
-        </div>
-        <div class="venture-status ${venture.status}">${venture.status}</div>
-        <div class="venture-actions">
-          <button class="btn-small" onclick="dashboard.editVenture('${venture.id}')">Edit</button>
-          <button class="btn-small btn-danger" onclick="dashboard.deleteVenture('${venture.id}')">Delete</button>
+          <h4></h4>
+          <p></p>
+          <small></small>
         </div>
+        <div class="venture-status"></div>
+        ${actions.length > 0 ? `<div class="venture-actions">${actions.join('\n')}</div>` : ''}
       `;
+      ventureItem.querySelector('h4').textContent = venture.name;
+      ventureItem.querySelector('p').textContent = venture.description || 'No description available';
+      ventureItem.querySelector('small').textContent = `Progress: ${venture.progress_percentage}% - ${venture.stage.replace('_', ' ')}`
+        + (venture.team_role ? ` · You are ${SmartStartTeam.roleLabel(venture.team_role)}` : '');
+      const status = ventureItem.querySelector('.venture-status');
+      status.className = `venture-status ${venture.status}`;
+      status.textContent = venture.status;
       container.appendChild(ventureItem);
     });
   }
 
   /**
-   * Update recent activity
+   * Show the task board for the loaded ventures
    */
-  updateRecentActivity(activity) {
-    const container = document.getElementById('recentActivity');
+  updateTaskBoard() {
+    const container = document.getElementById('taskBoard');
     if (!container) return;
 
-    const activities = [
-      ...activity.auditTrail.slice(0, 3),
-      ...activity.ventures.slice(0, 2)
-    ].sort((a, b) => new Date(b.updated_at || b.created_at) - new Date(a.updated_at || a.created_at));
-
-    if (activities.length === 0) {
-      container.innerHTML = `
-        <div style="text-align: center; padding: 1rem; color: var(--text-secondary);">
-          <p>No recent activity</p>
-        </div>
-      `;
-      return;
+    if (!this.taskBoard) {
+      this.taskBoard = new TaskBoard({
+        api: this.api,
+        container,
+        ventureSelect: document.getElementById('taskBoardVenture'),
+        notify: (message, type) => this.showNotification(message, type)
+      });
     }
+    this.taskBoard.setVentures(this.ventures);
+  }
 
-    container.innerHTML = '';
+  /**
+   * Show the calendar download and subscription URL; the panel loads its own data once
+   */
+  updatePipelineCalendar() {
+    const container = document.getElementById('pipelineCalendar');
+    if (!container || this.pipelineCalendar) return;
+
+    this.pipelineCalendar = new PipelineCalendarPanel({
+      api: this.api,
+      container,
+      notify: (message, type) => this.showNotification(message, type)
+    });
+  }
 
-    activities.slice(0, 5).forEach(activity => {
-      const activityItem = document.createElement('div');
-      activityItem.className = 'progress-item';
-      activityItem.innerHTML = `
-        <div class="progress-icon">📊</div>
-        <div class="progress-content">
-          <h4>${activity.event || activity.name || 'Activity'}</h4>
-          <p>${new Date(activity.created_at || activity.updated_at).toLocaleDateString()}</p>
-        </div>
-      `;
-      container.appendChild(activityItem);
+  /**
+   * Show the signed-in user's invitations to venture teams; an invitation link opens the
+   * dashboard with ?teamInvite=<token>. Joining a team adds its venture to the dashboard.
+   */
+  updateTeamInvitationsPanel() {
+    const container = document.getElementById('teamInvitations');
+    if (!container || this.teamInvitations) return;
+
+    const inviteToken = new URLSearchParams(window.location.search).get('teamInvite') || sessionStorage.getItem('teamInvite');
+    sessionStorage.removeItem('teamInvite');
+    this.teamInvitations = new TeamInvitationsPanel({
+      api: this.api,
+      container,
+      inviteToken,
+      notify: (message, type) => this.showNotification(message, type),
+      onJoined: () => this.loadDashboardData({ refresh: true })
     });
   }
 
   /**
-   * Update journey progress
+   * Show the signed-in user's beta test invitations and sessions; an invitation link opens
+   * the dashboard with ?betaInvite=<token>
+   */
+  updateBetaTesterPanel() {
+    const container = document.getElementById('betaTesting');
+    if (!container || this.betaTesterPanel) return;
+
+    const inviteToken = new URLSearchParams(window.location.search).get('betaInvite') || sessionStorage.getItem('betaInvite');
+    sessionStorage.removeItem('betaInvite');
+    this.betaTesterPanel = new BetaTesterPanel({
+      api: this.api,
+      container,
+      inviteToken,
+      notify: (message, type) => this.showNotification(message, type)
+    });
+  }
+
+  /**
+   * Show the audit log feed in the "Recent Activity" widget
+   */
+  updateActivityFeed() {
+    const container = document.getElementById('recentActivity');
+    if (!container) return;
+
+    if (!this.activityFeed) {
+      this.activityFeed = new ActivityFeed({
+        api: this.api,
+        container,
+        currentUser: this.currentUser
+      });
+    }
+    this.activityFeed.setVentures(this.ventures);
+  }
+
+  /**
+   * Update journey progress: one pipeline per venture, each at its own stage
    */
-  updateJourneyProgress(journeyData) {
+  updateJourneyProgress() {
     const container = document.getElementById('journeyProgress');
     if (!container) return;
+    container.removeAttribute('aria-busy');
+
+    if (this.ventures.length === 0) {
+      container.innerHTML = `
+        <div style="text-align: center; padding: 1rem; color: var(--text-secondary);">
+          <p>Each venture runs its own pipeline. Create a venture to start one.</p>
+        </div>
+      `;
+      return;
+    }
 
     container.innerHTML = '';
 
-    journeyData.progress.forEach(stage => {
+    // Call out ventures past or about to miss their current stage's due date
+    const flagged = this.ventures.filter(venture => venture.schedule && ['overdue', 'at_risk'].includes(venture.schedule.status));
+    if (flagged.length > 0) {
+      const alert = document.createElement('p');
+      alert.className = 'schedule-alert';
+      alert.setAttribute('role', 'status');
+      alert.textContent = `${flagged.length} venture${flagged.length === 1 ? ' needs' : 's need'} attention: ${flagged
+        .map(venture => `${venture.name} (${SmartStartSchedule.status(venture.schedule.status).label.toLowerCase()})`)
+        .join(', ')}`;
+      container.appendChild(alert);
+    }
+
+    this.ventures.forEach(venture => {
+      // Each venture follows the stages of the template version it runs
+      const template = venture.pipeline_template || SmartStartPipeline.defaultTemplate();
+      const stages = SmartStartPipeline.stages(template);
+      const index = SmartStartPipeline.indexOf(venture.stage, template);
+      const completed = venture.stage === SmartStartPipeline.COMPLETED_STAGE;
+      const step = stages[index];
+      const summary = completed
+        ? `${SmartStartComponents.escapeHtml(template.name)} complete`
+        : step
+          ? `Stage ${index + 1} of ${stages.length}: ${SmartStartComponents.escapeHtml(step.name)} · ${SmartStartPipeline.dayRange(step.stage, template)}`
+          : SmartStartVentures.label(SmartStartVentures.STAGES, venture.stage);
+
+      const track = stages.map((stage, stageIndex) => {
+        const state = completed || stageIndex < index ? 'completed' : stageIndex === index ? 'current' : '';
+        return `<span class="pipeline-step ${state}" title="${SmartStartComponents.escapeHtml(stage.name)}"></span>`;
+      }).join('');
+
+      const canAdvance = step && this.canManageVenture('update', venture);
       const progressItem = document.createElement('div');
       progressItem.className = 'progress-item';
       progressItem.innerHTML = `
-        <div class="progress-icon">${this.getStageIcon(stage.stage)}</div>
+        <div class="progress-icon">${this.getStageIcon(venture.stage)}</div>
         <div class="progress-content">
-          <h4>${stage.name}</h4>
-          <p>${stage.totalVentures} ventures, ${stage.completedVentures} completed</p>
-        </div>
-        <div class="progress-status ${stage.isCompleted ? 'completed' : stage.isInProgress ? 'in-progress' : 'pending'}">
-          ${stage.isCompleted ? 'Completed' : stage.isInProgress ? 'In Progress' : 'Pending'}
+          <h4>${SmartStartComponents.escapeHtml(venture.name)}</h4>
+          <p>${summary}</p>
+          ${venture.schedule && !completed
+            ? `<span class="schedule-flag ${venture.schedule.status}">${SmartStartComponents.escapeHtml(SmartStartSchedule.summary(venture.schedule))}</span>`
+            : ''}
+          <div class="pipeline-track" aria-label="${SmartStartPipeline.progressFor(venture.stage, template)}% of the pipeline complete">${track}</div>
         </div>
+        ${canAdvance
+          ? `<button class="btn-small progress-action" onclick="dashboard.openStageChecklist('${venture.id}')">Complete ${SmartStartComponents.escapeHtml(step.name)}</button>`
+          : `<div class="progress-status ${completed ? 'completed' : 'in-progress'}">${completed ? 'Completed' : 'In Progress'}</div>`}
+        ${venture.stage === SmartStartDecisionGate.STAGE
+          ? `<button class="btn-small progress-history" onclick="dashboard.openDecisionScorecard('${venture.id}')" title="Score the venture and record the scale, pause or kill decision">Decision Gate</button>`
+          : ''}
+        <button class="btn-small progress-history" onclick="dashboard.openPipelineSchedule('${venture.id}')" title="Planned and actual dates, and the burndown">Schedule</button>
+        <button class="btn-small progress-history" onclick="dashboard.openJourneyTimeline('${venture.id}')" title="Every transition of this pipeline">History</button>
       `;
       container.appendChild(progressItem);
     });
   }
 
+  /**
+   * Open the checklist of a venture's current stage; the stage is completed from there once
+   * its milestones are met
+   */
+  openStageChecklist(ventureId) {
+    const venture = this.ventures.find(v => String(v.id) === String(ventureId));
+    if (!venture) return;
+
+    if (!this.stageChecklist) {
+      this.stageChecklist = new StageChecklistModal({
+        api: this.api,
+        notify: (message, type) => this.showNotification(message, type),
+        onCompleted: async (pipeline, completedVenture) => {
+          const next = pipeline.stages.find(stage => stage.status === 'current');
+          this.showSuccess(pipeline.completed
+            ? `"${completedVenture.name}" completed its pipeline!`
+            : `"${completedVenture.name}" moved on to ${next.name}`);
+          await this.loadDashboardData({ refresh: true });
+        }
+      });
+    }
+    this.stageChecklist.open(venture);
+  }
+
+  /**
+   * Open the history of a venture's pipeline, read from its journey events
+   */
+  openJourneyTimeline(ventureId) {
+    const venture = this.ventures.find(v => String(v.id) === String(ventureId));
+    if (!venture) return;
+
+    if (!this.journeyTimeline) {
+      this.journeyTimeline = new JourneyTimelineModal({
+        api: this.api,
+        notify: (message, type) => this.showNotification(message, type)
+      });
+    }
+    this.journeyTimeline.open(venture);
+  }
+
+  /**
+   * Open the schedule of a venture's pipeline, where it can also be paused or resumed
+   */
+  openPipelineSchedule(ventureId) {
+    const venture = this.ventures.find(v => String(v.id) === String(ventureId));
+    if (!venture) return;
+
+    if (!this.pipelineSchedule) {
+      this.pipelineSchedule = new PipelineScheduleModal({
+        api: this.api,
+        notify: (message, type) => this.showNotification(message, type),
+        onChanged: async (schedule, changedVenture) => {
+          this.showSuccess(schedule.paused
+            ? `Paused the pipeline of "${changedVenture.name}"`
+            : `Resumed "${changedVenture.name}"; it is now due ${schedule.forecastEnd}`);
+          await this.loadDashboardData({ refresh: true });
+        }
+      });
+    }
+    this.pipelineSchedule.open(venture);
+  }
+
+  /**
+   * Open the Decision Gate scorecard of a venture, where its team rates it and the decision
+   * is recorded
+   */
+  openDecisionScorecard(ventureId) {
+    const venture = this.ventures.find(v => String(v.id) === String(ventureId));
+    if (!venture) return;
+
+    if (!this.decisionScorecard) {
+      this.decisionScorecard = new DecisionScorecardModal({
+        api: this.api,
+        notify: (message, type) => this.showNotification(message, type),
+        onDecided: async (gate, decidedVenture) => {
+          const decision = SmartStartDecisionGate.decision(gate.scorecard.decision);
+          this.showSuccess(`Recorded the decision to ${decision.label.toLowerCase()} "${decidedVenture.name}"`);
+          await this.loadDashboardData({ refresh: true });
+        }
+      });
+    }
+    this.decisionScorecard.open(venture);
+  }
+
+  /**
+   * Open a venture's team: its members, their roles and statuses, and invitations. The
+   * "Active Collaborations" stat counts active memberships, so it is refreshed after changes.
+   */
+  openTeamManager(ventureId) {
+    const venture = this.ventures.find(v => String(v.id) === String(ventureId));
+    if (!venture) return;
+
+    if (!this.teamManager) {
+      this.teamManager = new TeamManagerModal({
+        api: this.api,
+        notify: (message, type) => this.showNotification(message, type),
+        onChanged: async () => {
+          this.stats = await this.loadStats(true);
+          this.updateStats();
+        },
+        onLeft: () => this.loadDashboardData({ refresh: true })
+      });
+    }
+    this.teamManager.open(venture);
+  }
+
+  /**
+   * Open a venture's cap table: its stakes, how they changed, and recording a transaction
+   */
+  openCapTable(ventureId) {
+    const venture = this.ventures.find(v => String(v.id) === String(ventureId));
+    if (!venture) return;
+
+    if (!this.capTable) {
+      this.capTable = new CapTableModal({
+        api: this.api,
+        notify: (message, type) => this.showNotification(message, type)
+      });
+    }
+    this.capTable.open(venture);
+  }
+
+  /**
+   * Open a venture's beta test: its feedback inbox, testers, scripts and sessions
+   */
+  openBetaTestManager(ventureId) {
+    const venture = this.ventures.find(v => String(v.id) === String(ventureId));
+    if (!venture) return;
+
+    if (!this.betaTestManager) {
+      this.betaTestManager = new BetaTestManagerModal({
+        api: this.api,
+        notify: (message, type) => this.showNotification(message, type)
+      });
+    }
+    this.betaTestManager.open(venture);
+  }
+
   /**
    * Get icon for journey stage
    */
@@ -350,74 +606,84 @@ class SmartStartDashboard {
     return icons[stage] || '📊';
   }
 
+  /**
+   * Venture create/edit form, built on first use
+   */
+  getVentureForm() {
+    if (!this.ventureForm) {
+      this.ventureForm = new VentureFormModal({
+        api: this.api,
+        canSkipStages: SmartStartRoles.can(this.currentUser, 'pipelines:override'),
+        onSaved: async (venture, mode) => {
+          this.showSuccess(mode === 'edit' ? 'Venture updated successfully!' : 'Venture created successfully!');
+          await this.loadDashboardData({ refresh: true });
+        },
+        onDraftSaved: () => this.showNotification('Draft saved', 'info')
+      });
+    }
+    return this.ventureForm;
+  }
+
   /**
    * Create new venture
    */
   async createNewVenture() {
-    const name = prompt('Enter venture name:');
-    if (!name) return;
-
-    const description = prompt('Enter venture description:');
-    const problemStatement = prompt('Enter problem statement:');
-    const targetMarket = prompt('Enter target market:');
+    const form = this.getVentureForm();
+    form.templates = await this.loadPipelineTemplates();
+    form.open();
+  }
 
-    try {
-      const response = await this.apiCall('/ventures', 'POST', {
-        name,
-        description: description || '',
-        problem_statement: problemStatement || '',
-        target_market: targetMarket || ''
-      });
+  /**
+   * Pipeline templates new ventures may run, loaded once; without them the form offers
+   * the built-in default
+   */
+  async loadPipelineTemplates() {
+    if (!this.pipelineTemplates) {
+      const result = await this.api.request('GET', '/pipeline-templates');
+      if (!result.success) return [];
+      this.pipelineTemplates = result.data;
+    }
+    return this.pipelineTemplates;
+  }
 
-      if (response.success) {
-        this.showSuccess('Venture created successfully!');
-        await this.loadDashboardData();
-      } else {
-        this.showError('Failed to create venture: ' + response.error.message);
+  /**
+   * Show the pipeline template manager to roles that may manage templates
+   */
+  updateTemplateManager() {
+    const card = document.getElementById('pipelineTemplatesCard');
+    if (!card) return;
+
+    const canManage = SmartStartRoles.can(this.currentUser, 'pipelines:manage');
+    card.hidden = !canManage;
+    if (!canManage || this.templateManager) return;
+
+    this.templateManager = new PipelineTemplateManager({
+      api: this.api,
+      container: document.getElementById('pipelineTemplates'),
+      notify: (message, type) => this.showNotification(message, type),
+      // New versions are offered to the next venture created
+      onChange: () => {
+        this.pipelineTemplates = null;
       }
-    } catch (error) {
-      console.error('Error creating venture:', error);
-      this.showError('An error occurred while creating the venture');
-    }
+    });
+    this.templateManager.load();
   }
 
   /**
    * Edit venture
    */
-  async editVenture(ventureId) {
-    const venture = this.ventures.find(v => v.id === ventureId);
+  editVenture(ventureId) {
+    const venture = this.ventures.find(v => String(v.id) === String(ventureId));
     if (!venture) return;
 
-    const name = prompt('Enter venture name:', venture.name);
-    if (!name) return;
-
-    const description = prompt('Enter venture description:', venture.description || '');
-    const status = prompt('Enter status (idea, development, beta, launched):', venture.status);
-
-    try {
-      const response = await this.apiCall(`/ventures/${ventureId}`, 'PUT', {
-        name,
-        description,
-        status
-      });
-
-      if (response.success) {
-        this.showSuccess('Venture updated successfully!');
-        await this.loadDashboardData();
-      } else {
-        this.showError('Failed to update venture: ' + response.error.message);
-      }
-    } catch (error) {
-      console.error('Error updating venture:', error);
-      this.showError('An error occurred while updating the venture');
-    }
+    this.getVentureForm().open(venture);
   }
 
   /**
    * Delete venture
    */
   async deleteVenture(ventureId) {
-    const venture = this.ventures.find(v => v.id === ventureId);
+    const venture = this.ventures.find(v => String(v.id) === String(ventureId));
     if (!venture) return;
 
     if (!confirm(`Are you sure you want to delete "${venture.name}"?`)) {
@@ -425,17 +691,12 @@ class SmartStartDashboard {
     }
 
     try {
-      const response = await this.apiCall(`/ventures/${ventureId}`, 'DELETE');
-
-      if (response.success) {
-        this.showSuccess('Venture deleted successfully!');
-        await this.loadDashboardData();
-      } else {
-        this.showError('Failed to delete venture: ' + response.error.message);
-      }
+      await this.apiCall(`/ventures/${ventureId}`, 'DELETE');
+      this.showSuccess('Venture deleted successfully!');
+      await this.loadDashboardData({ refresh: true });
     } catch (error) {
       console.error('Error deleting venture:', error);
-      this.showError('An error occurred while deleting the venture');
+      this.showError('Failed to delete venture: ' + error.message);
     }
   }
 
@@ -449,19 +710,18 @@ class SmartStartDashboard {
       logoutBtn.addEventListener('click', () => this.logout());
     }
 
-    // Refresh button (if exists)
+    // Refresh button
     const refreshBtn = document.getElementById('refreshBtn');
     if (refreshBtn) {
-      refreshBtn.addEventListener('click', () => this.loadDashboardData());
+      refreshBtn.addEventListener('click', () => this.loadDashboardData({ refresh: true }));
     }
   }
 
   /**
    * Logout user
    */
-  logout() {
-    localStorage.removeItem('smartstart_token');
-    sessionStorage.removeItem('smartstart_token');
+  async logout() {
+    await this.api.logout();
     window.location.href = 'auth/login.html';
   }
 
@@ -469,32 +729,12 @@ class SmartStartDashboard {
    * Make API call
    */
   async apiCall(endpoint, method = 'GET', data = null) {
-    const url = `${this.apiBaseUrl}${endpoint}`;
-    const options = {
-      method,
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.authToken}`
-      }
-    };
-
-    if (data && method !== 'GET') {
-      options.body = JSON.stringify(data);
-    }
-
-    try {
-      const response = await fetch(url, options);
-      const result = await response.json();
-
-      if (!response.ok) {
-        throw new Error(result.error?.message || 'API request failed');
-      }
-
-      return result;
-    } catch (error) {
-      console.error('API call failed:', error);
-      throw error;
+    const result = await this.api.request(method, endpoint, data);
+    if (!result.success) {
+      console.error('API call failed:', result.error);
+      throw new Error(result.error);
     }
+    return { success: true, data: result.data };
   }
 
   /**
@@ -512,7 +752,8 @@ class SmartStartDashboard {
   }
 
   /**
-   * Show notification
+   * Show notification. The message is plain text: callers pass venture and user names as
+   * they are, and they are never read as markup.
    */
   showNotification(message, type = 'info') {
     // Create notification element
@@ -520,10 +761,11 @@ class SmartStartDashboard {
     notification.className = `notification notification-${type}`;
     notification.innerHTML = `
       <div class="notification-content">
-        <span class="notification-message">${message}</span>
+        <span class="notification-message"></span>
         <button class="notification-close" onclick="this.parentElement.parentElement.remove()">×</button>
       </div>
     `;
+    notification.querySelector('.notification-message').textContent = message;
 
     // Add to page
     document.body.appendChild(notification);
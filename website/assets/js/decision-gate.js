@@ -0,0 +1,264 @@
+/**
+ * SmartStart Decision Gate
+ * The scorecard a venture is judged on at its Decision Gate. Each criterion is scored 0-100,
+ * from the venture's own data where there is some (beta feedback, tasks, team, schedule) or
+ * from the team's rating of it on a 1-5 scale, which wins when given. The weighted score and
+ * any red flags give a scale, pause or kill recommendation with its reasons; the decision
+ * itself is always recorded by a person, with a rationale. Shared by the API, which records
+ * scorecards and decisions, and by the dashboard scorecard.
+ */
+
+const SmartStartDecisionGate = {
+  // Weights add up to 100
+  CRITERIA: [
+    {
+      key: 'market_validation',
+      label: 'Market validation',
+      weight: 30,
+      description: 'Beta feedback: share of positive reviews, average rating and number of testers'
+    },
+    {
+      key: 'technical_feasibility',
+      label: 'Technical feasibility',
+      weight: 20,
+      description: 'MVP delivery: tasks done and feature adoption'
+    },
+    {
+      key: 'team_dynamics',
+      label: 'Team dynamics',
+      weight: 15,
+      description: 'Team size and delivery against the schedule'
+    },
+    {
+      key: 'financials',
+      label: 'Financials',
+      weight: 20,
+      description: 'Revenue potential, costs and runway, as rated by the team'
+    },
+    {
+      key: 'risk',
+      label: 'Risk',
+      weight: 15,
+      description: 'How well the main risks are understood and mitigated; higher is safer'
+    }
+  ],
+
+  DECISIONS: [
+    { value: 'scale', label: 'Scale', icon: '🚀' },
+    { value: 'pause', label: 'Pause', icon: '⏸️' },
+    { value: 'kill', label: 'Kill', icon: '🪦' }
+  ],
+
+  // Stage at which decisions are recorded
+  STAGE: 'decision_gate',
+
+  RATING_MIN: 1,
+  RATING_MAX: 5,
+
+  // Weighted score from which to scale, and below which to kill
+  SCALE_THRESHOLD: 70,
+  KILL_THRESHOLD: 45,
+
+  // A criterion scoring below this holds a venture back from scaling
+  RED_FLAG_SCORE: 30,
+
+  // Share of the weights (%) that needs a score before a venture can be scaled or killed
+  MIN_EVIDENCE: 60,
+
+  // Reviews rated this or higher count as positive
+  POSITIVE_RATING: 4,
+
+  // Beta testers and team members at which those parts of a score max out
+  TARGET_TESTERS: 10,
+  TARGET_TEAM_SIZE: 3,
+
+  // Points a team loses per working day its pipeline slipped
+  SLIP_PENALTY: 10,
+
+  RATIONALE_MIN_LENGTH: 20,
+  RATIONALE_MAX_LENGTH: 2000,
+  NOTE_MAX_LENGTH: 500,
+
+  criterion(key) {
+    return this.CRITERIA.find((criterion) => criterion.key === key) || null;
+  },
+
+  criterionKeys() {
+    return this.CRITERIA.map((criterion) => criterion.key);
+  },
+
+  decision(value) {
+    return this.DECISIONS.find((decision) => decision.value === value) || { value, label: value, icon: '⚖️' };
+  },
+
+  decisionValues() {
+    return this.DECISIONS.map((decision) => decision.value);
+  },
+
+  // A 1-5 rating as a 0-100 score
+  ratingScore(rating) {
+    return Math.round(((rating - this.RATING_MIN) / (this.RATING_MAX - this.RATING_MIN)) * 100);
+  },
+
+  /**
+   * What a venture's data says, from its feedback_reviews rows and counts gathered by the
+   * caller: { reviews, tasks: { done, total }, teamSize, slipDays, featureAdoption }.
+   */
+  metrics({ reviews = [], tasks = { done: 0, total: 0 }, teamSize = 1, slipDays = null, featureAdoption = null } = {}) {
+    const rated = reviews.filter((review) => review.rating !== null && review.rating !== undefined);
+    const ratingSum = rated.reduce((sum, review) => sum + Number(review.rating), 0);
+    return {
+      reviews: reviews.length,
+      testers: new Set(reviews.map((review) => review.reviewer_id)).size,
+      averageRating: rated.length > 0 ? Math.round((ratingSum / rated.length) * 10) / 10 : null,
+      positivePercent: rated.length > 0
+        ? Math.round((rated.filter((review) => Number(review.rating) >= this.POSITIVE_RATING).length / rated.length) * 100)
+        : null,
+      tasksDone: tasks.done,
+      tasksTotal: tasks.total,
+      featureAdoption: featureAdoption === null || featureAdoption === undefined ? null : Number(featureAdoption),
+      teamSize,
+      slipDays
+    };
+  },
+
+  // Scores the data supports, by criterion; null where there is nothing to go on
+  suggestedScores(metrics) {
+    const scores = { market_validation: null, technical_feasibility: null, team_dynamics: null, financials: null, risk: null };
+
+    if (metrics.positivePercent !== null) {
+      const testers = Math.min(metrics.testers / this.TARGET_TESTERS, 1) * 100;
+      const rating = this.ratingScore(metrics.averageRating);
+      scores.market_validation = Math.round(metrics.positivePercent * 0.5 + rating * 0.3 + testers * 0.2);
+    }
+
+    const parts = [];
+    if (metrics.tasksTotal > 0) parts.push((metrics.tasksDone / metrics.tasksTotal) * 100);
+    if (metrics.featureAdoption !== null) parts.push(metrics.featureAdoption);
+    if (parts.length > 0) {
+      scores.technical_feasibility = Math.round(parts.reduce((sum, part) => sum + part, 0) / parts.length);
+    }
+
+    if (metrics.slipDays !== null) {
+      const delivery = Math.max(100 - Math.max(metrics.slipDays, 0) * this.SLIP_PENALTY, 0);
+      const team = Math.min(metrics.teamSize / this.TARGET_TEAM_SIZE, 1) * 100;
+      scores.team_dynamics = Math.round(delivery * 0.6 + team * 0.4);
+    }
+    return scores;
+  },
+
+  /**
+   * Score a venture: `metrics` as from metrics(), `ratings` the team's { criterion: { rating,
+   * note } }. Returns { criteria: [...], score, coverage, recommendation, reasons }, where
+   * score is null while no criterion has one and coverage is the share of the weights scored.
+   */
+  evaluate(metrics, ratings = {}) {
+    const suggested = this.suggestedScores(metrics);
+    const criteria = this.CRITERIA.map((criterion) => {
+      const entry = ratings[criterion.key] || {};
+      const rating = entry.rating === null || entry.rating === undefined ? null : Number(entry.rating);
+      const score = rating !== null ? this.ratingScore(rating) : suggested[criterion.key];
+      return {
+        ...criterion,
+        suggested: suggested[criterion.key],
+        rating,
+        note: entry.note || '',
+        score,
+        source: rating !== null ? 'rating' : score !== null ? 'data' : null
+      };
+    });
+
+    const scored = criteria.filter((criterion) => criterion.score !== null);
+    const totalWeight = this.CRITERIA.reduce((sum, criterion) => sum + criterion.weight, 0);
+    const scoredWeight = scored.reduce((sum, criterion) => sum + criterion.weight, 0);
+    const score = scoredWeight > 0
+      ? Math.round(scored.reduce((sum, criterion) => sum + criterion.score * criterion.weight, 0) / scoredWeight)
+      : null;
+    const coverage = Math.round((scoredWeight / totalWeight) * 100);
+
+    const { recommendation, reasons } = this.recommend(criteria, score, coverage, metrics);
+    return { criteria, score, coverage, recommendation, reasons };
+  },
+
+  recommend(criteria, score, coverage, metrics) {
+    const reasons = [];
+    if (metrics.positivePercent !== null) {
+      reasons.push(`${metrics.positivePercent}% of ${metrics.reviews} review${metrics.reviews === 1 ? ' is' : 's are'} positive, averaging ${metrics.averageRating}/5 from ${metrics.testers} tester${metrics.testers === 1 ? '' : 's'}`);
+    } else {
+      reasons.push('No beta feedback has been collected');
+    }
+
+    if (score === null || coverage < this.MIN_EVIDENCE) {
+      const missing = criteria.filter((criterion) => criterion.score === null).map((criterion) => criterion.label);
+      reasons.push(`Only ${coverage}% of the scorecard is backed by data or ratings; still missing: ${missing.join(', ')}`);
+      return { recommendation: 'pause', reasons };
+    }
+
+    const redFlags = criteria.filter((criterion) => criterion.score !== null && criterion.score < this.RED_FLAG_SCORE);
+    const ranked = criteria.filter((criterion) => criterion.score !== null).sort((a, b) => b.score - a.score);
+    reasons.push(`Weighted score ${score}/100 (scale from ${this.SCALE_THRESHOLD}, kill below ${this.KILL_THRESHOLD})`);
+    reasons.push(`Strongest: ${ranked[0].label} (${ranked[0].score}); weakest: ${ranked[ranked.length - 1].label} (${ranked[ranked.length - 1].score})`);
+    redFlags.forEach((criterion) => {
+      reasons.push(`${criterion.label} is a red flag at ${criterion.score}/100`);
+    });
+
+    if (score < this.KILL_THRESHOLD) return { recommendation: 'kill', reasons };
+    if (score >= this.SCALE_THRESHOLD && redFlags.length === 0) return { recommendation: 'scale', reasons };
+    if (score >= this.SCALE_THRESHOLD) {
+      reasons.push('Address the red flags before scaling');
+    }
+    return { recommendation: 'pause', reasons };
+  },
+
+  /**
+   * Check a scorecard update: { ratings?: { criterion: { rating, note } }, featureAdoption? }.
+   * Returns { field: message }, empty when everything is valid.
+   */
+  validateRatings(body) {
+    const errors = {};
+    if (body.ratings !== undefined) {
+      if (!body.ratings || typeof body.ratings !== 'object' || Array.isArray(body.ratings)) {
+        errors.ratings = 'ratings must be an object keyed by criterion';
+      } else {
+        Object.entries(body.ratings).forEach(([key, entry]) => {
+          if (!this.criterion(key)) {
+            errors[`ratings.${key}`] = `Criterion must be one of: ${this.criterionKeys().join(', ')}`;
+            return;
+          }
+          const rating = entry ? entry.rating : null;
+          if (rating !== null && rating !== undefined &&
+              (!Number.isInteger(rating) || rating < this.RATING_MIN || rating > this.RATING_MAX)) {
+            errors[`ratings.${key}`] = `Rating must be a whole number from ${this.RATING_MIN} to ${this.RATING_MAX}`;
+          } else if (entry && entry.note && String(entry.note).length > this.NOTE_MAX_LENGTH) {
+            errors[`ratings.${key}`] = `Notes must be at most ${this.NOTE_MAX_LENGTH} characters`;
+          }
+        });
+      }
+    }
+    const adoption = body.featureAdoption;
+    if (adoption !== undefined && adoption !== null && (typeof adoption !== 'number' || adoption < 0 || adoption > 100)) {
+      errors.featureAdoption = 'Feature adoption must be a percentage from 0 to 100';
+    }
+    return errors;
+  },
+
+  // Check a decision: { decision, rationale }; returns { field: message }
+  validateDecision(body) {
+    const errors = {};
+    if (!this.decisionValues().includes(body.decision)) {
+      errors.decision = `Decision must be one of: ${this.decisionValues().join(', ')}`;
+    }
+    const rationale = String(body.rationale || '').trim();
+    if (rationale.length < this.RATIONALE_MIN_LENGTH || rationale.length > this.RATIONALE_MAX_LENGTH) {
+      errors.rationale = `Give a rationale of ${this.RATIONALE_MIN_LENGTH} to ${this.RATIONALE_MAX_LENGTH} characters`;
+    }
+    return errors;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartDecisionGate;
+} else {
+  window.SmartStartDecisionGate = SmartStartDecisionGate;
+}
@@ -0,0 +1,256 @@
+/**
+ * Decision Scorecard Modal
+ * A venture's Decision Gate: the metrics its data gives, the weighted criteria the team rates,
+ * the scale/pause/kill recommendation with its reasons, and recording the decision. Reads and
+ * writes /api/ventures/:id/decision-gate; the rules live in decision-gate.js.
+ *
+ *   const scorecard = new DecisionScorecardModal({ api: smartStartApi, onDecided: () => {} });
+ *   scorecard.open(venture);
+ */
+
+class DecisionScorecardModal {
+  /**
+   * @param {Object} options
+   * @param {SmartStartApiClient} options.api - client for the Decision Gate endpoints
+   * @param {Function} [options.onDecided] - called with (gate, venture) after a decision is recorded
+   * @param {Function} [options.notify] - called with (message, type) when loading fails
+   */
+  constructor(options = {}) {
+    this.api = options.api;
+    this.onDecided = options.onDecided || (() => {});
+    this.notify = options.notify || (() => {});
+    this.venture = null;
+    this.gate = null;
+    this.element = null;
+    this.saving = false;
+  }
+
+  get decided() {
+    return Boolean(this.gate.scorecard && this.gate.scorecard.decision);
+  }
+
+  async open(venture) {
+    this.venture = venture;
+    const result = await this.api.request('GET', `/ventures/${venture.id}/decision-gate`);
+    if (!result.success) {
+      this.notify(`Could not load the Decision Gate: ${result.error}`, 'error');
+      return;
+    }
+
+    this.gate = result.data;
+    this.render();
+    document.body.appendChild(this.element);
+    this.element.querySelector('.decision-scorecard-close').focus();
+  }
+
+  close() {
+    if (this.element && this.element.parentElement) {
+      this.element.remove();
+    }
+    this.element = null;
+  }
+
+  render() {
+    const escape = SmartStartComponents.escapeHtml;
+    const previous = this.element;
+    this.element = document.createElement('div');
+    this.element.className = 'decision-scorecard-overlay';
+    this.element.innerHTML = `
+      <div class="decision-scorecard-modal" role="dialog" aria-modal="true" aria-labelledby="decision-scorecard-title">
+        <div class="decision-scorecard-header">
+          <h2 id="decision-scorecard-title">${escape(this.venture.name)}: Decision Gate</h2>
+          <button type="button" class="decision-scorecard-close" aria-label="Close">×</button>
+        </div>
+        <div class="decision-scorecard-body">
+          ${this.renderMetrics()}
+          ${this.renderCriteria()}
+          ${this.renderRecommendation()}
+          <div class="decision-scorecard-error" role="alert" hidden></div>
+          ${this.decided ? '' : this.renderDecisionForm()}
+          ${this.renderHistory()}
+        </div>
+      </div>
+    `;
+
+    this.element.querySelector('.decision-scorecard-close').addEventListener('click', () => this.close());
+    this.element.addEventListener('click', (event) => {
+      if (event.target === this.element) this.close();
+    });
+    this.element.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.close();
+    });
+    const save = this.element.querySelector('[data-action="save"]');
+    if (save) save.addEventListener('click', () => this.saveRatings());
+    const decide = this.element.querySelector('[data-action="decide"]');
+    if (decide) decide.addEventListener('click', () => this.decide());
+
+    if (previous && previous.parentElement) previous.replaceWith(this.element);
+  }
+
+  renderMetrics() {
+    const metrics = this.gate.metrics;
+    const value = (number, suffix = '') => (number === null || number === undefined ? '—' : `${number}${suffix}`);
+    return `
+      <div class="decision-scorecard-metrics">
+        <div><strong>${value(metrics.positivePercent, '%')}</strong><span>Positive feedback</span></div>
+        <div><strong>${metrics.testers}</strong><span>Beta testers</span></div>
+        <div><strong>${value(metrics.averageRating, '/5')}</strong><span>User rating</span></div>
+        <div><strong>${value(metrics.featureAdoption, '%')}</strong><span>Feature adoption</span></div>
+        <div><strong>${metrics.tasksDone}/${metrics.tasksTotal}</strong><span>Tasks done</span></div>
+        <div><strong>${value(metrics.slipDays)}</strong><span>Working days slipped</span></div>
+      </div>
+    `;
+  }
+
+  renderCriteria() {
+    const escape = SmartStartComponents.escapeHtml;
+    const editable = !this.decided && this.gate.permissions.canRate;
+    const scorecard = this.gate.scorecard;
+    const ratingOptions = (selected) => {
+      const options = ['<option value="">From data</option>'];
+      for (let rating = SmartStartDecisionGate.RATING_MIN; rating <= SmartStartDecisionGate.RATING_MAX; rating++) {
+        options.push(`<option value="${rating}" ${selected === rating ? 'selected' : ''}>${rating}</option>`);
+      }
+      return options.join('');
+    };
+
+    return `
+      <table class="decision-scorecard-table">
+        <thead>
+          <tr><th>Criterion</th><th>Weight</th><th>From data</th><th>Team rating (1-5)</th><th>Score</th></tr>
+        </thead>
+        <tbody>${this.gate.evaluation.criteria.map(criterion => `
+          <tr>
+            <td>${escape(criterion.label)}<small>${escape(criterion.description)}</small></td>
+            <td>${criterion.weight}%</td>
+            <td>${criterion.suggested === null ? '—' : criterion.suggested}</td>
+            <td>${editable
+              ? `<select data-rating="${criterion.key}" aria-label="${escape(criterion.label)} rating">${ratingOptions(criterion.rating)}</select>
+                 <input type="text" data-note="${criterion.key}" maxlength="${SmartStartDecisionGate.NOTE_MAX_LENGTH}" value="${escape(criterion.note)}" placeholder="Note" aria-label="${escape(criterion.label)} note">`
+              : `${criterion.rating === null ? '—' : criterion.rating}${criterion.note ? `<small>${escape(criterion.note)}</small>` : ''}`}
+            </td>
+            <td><strong>${criterion.score === null ? '—' : criterion.score}</strong></td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+      ${editable ? `
+        <div class="decision-scorecard-actions">
+          <label>Feature adoption (%)
+            <input type="number" name="feature_adoption" min="0" max="100"
+              value="${scorecard && scorecard.feature_adoption !== null ? scorecard.feature_adoption : ''}"
+              placeholder="${this.gate.metrics.featureAdoption === null ? '' : this.gate.metrics.featureAdoption}"
+              title="Leave empty to use the feature reactions in beta feedback">
+          </label>
+          <button type="button" class="btn-secondary" data-action="save">Save ratings</button>
+        </div>` : ''}
+    `;
+  }
+
+  renderRecommendation() {
+    const escape = SmartStartComponents.escapeHtml;
+    const evaluation = this.gate.evaluation;
+    const recommendation = SmartStartDecisionGate.decision(evaluation.recommendation);
+    return `
+      <div class="decision-scorecard-recommendation ${evaluation.recommendation}">
+        <h3>${recommendation.icon} Recommendation: ${escape(recommendation.label)}
+          <span>${evaluation.score === null ? 'no score yet' : `${evaluation.score}/100`} · ${evaluation.coverage}% of the scorecard backed</span>
+        </h3>
+        <ul>${evaluation.reasons.map(reason => `<li>${escape(reason)}</li>`).join('')}</ul>
+      </div>
+    `;
+  }
+
+  renderDecisionForm() {
+    if (!this.gate.permissions.canDecide) return '';
+    if (!this.gate.atGate) {
+      return '<p class="decision-scorecard-hint">The decision is recorded once the venture reaches its Decision Gate stage.</p>';
+    }
+
+    const recommended = this.gate.evaluation.recommendation;
+    return `
+      <fieldset class="decision-scorecard-decision">
+        <legend>Record the decision</legend>
+        ${SmartStartDecisionGate.DECISIONS.map(decision => `
+          <label><input type="radio" name="decision" value="${decision.value}" ${decision.value === recommended ? 'checked' : ''}>
+            ${decision.icon} ${decision.label}</label>`).join('')}
+        <label class="decision-scorecard-rationale">Rationale
+          <textarea name="rationale" rows="3" minlength="${SmartStartDecisionGate.RATIONALE_MIN_LENGTH}" maxlength="${SmartStartDecisionGate.RATIONALE_MAX_LENGTH}"
+            placeholder="Why this decision, especially if it differs from the recommendation"></textarea>
+        </label>
+        <div class="decision-scorecard-actions">
+          <button type="button" class="btn-primary" data-action="decide">Record decision</button>
+        </div>
+      </fieldset>
+    `;
+  }
+
+  renderHistory() {
+    const escape = SmartStartComponents.escapeHtml;
+    if (this.gate.history.length === 0) return '';
+    return `
+      <h3>Decisions</h3>
+      <ul class="decision-scorecard-history">${this.gate.history.map(scorecard => {
+        const decision = SmartStartDecisionGate.decision(scorecard.decision);
+        return `
+          <li>
+            <strong>${decision.icon} ${escape(decision.label)}</strong>
+            <small>${escape(new Date(scorecard.decided_at).toLocaleString())} · score ${scorecard.score === null ? '—' : scorecard.score} · recommended ${escape(SmartStartDecisionGate.decision(scorecard.recommendation).label)}</small>
+            <p>${escape(scorecard.rationale)}</p>
+          </li>`;
+      }).join('')}</ul>
+    `;
+  }
+
+  showError(message) {
+    const element = this.element && this.element.querySelector('.decision-scorecard-error');
+    if (!element) return;
+    element.textContent = message;
+    element.hidden = !message;
+  }
+
+  // Send the result of a change; resolves with false when the API refused it
+  async submit(method, endpoint, body) {
+    if (this.saving) return false;
+    this.saving = true;
+    try {
+      const result = await this.api.request(method, `/ventures/${this.venture.id}${endpoint}`, body);
+      if (!result.success) {
+        this.showError(result.error);
+        return false;
+      }
+      this.gate = result.data;
+      this.render();
+      return true;
+    } finally {
+      this.saving = false;
+    }
+  }
+
+  async saveRatings() {
+    const ratings = {};
+    this.element.querySelectorAll('[data-rating]').forEach((select) => {
+      const key = select.dataset.rating;
+      ratings[key] = {
+        rating: select.value ? Number(select.value) : null,
+        note: this.element.querySelector(`[data-note="${key}"]`).value.trim()
+      };
+    });
+    const adoption = this.element.querySelector('[name="feature_adoption"]').value;
+    await this.submit('PUT', '/decision-gate', { ratings, featureAdoption: adoption === '' ? null : Number(adoption) });
+  }
+
+  async decide() {
+    const choice = this.element.querySelector('[name="decision"]:checked');
+    const rationale = this.element.querySelector('[name="rationale"]').value.trim();
+    if (rationale.length < SmartStartDecisionGate.RATIONALE_MIN_LENGTH) {
+      this.showError(`Give a rationale of at least ${SmartStartDecisionGate.RATIONALE_MIN_LENGTH} characters`);
+      return;
+    }
+    if (await this.submit('POST', '/decision-gate/decision', { decision: choice ? choice.value : null, rationale })) {
+      this.onDecided(this.gate, this.venture);
+    }
+  }
+}
+
+// Export for use in other modules
+window.DecisionScorecardModal = DecisionScorecardModal;
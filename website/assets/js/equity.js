@@ -0,0 +1,205 @@
+/**
+ * SmartStart Equity
+ * A venture's cap table: who owns what share of it. Holders are the studio
+ * (AliceSolutionsGroup), the founder and contributors from the venture's team, keyed as
+ * 'studio' and 'user:<id>'. The table only changes through dated transactions, each of which
+ * must leave the stakes totalling exactly 100% with the studio's stake within 15-30%. Shared by
+ * the API, which records transactions, and by the dashboard cap table, which renders them.
+ */
+
+const SmartStartEquity = {
+  STUDIO_KEY: 'studio',
+  STUDIO_NAME: 'AliceSolutionsGroup',
+
+  // The studio's stake in every venture, in percent
+  STUDIO_MIN: 15,
+  STUDIO_MAX: 30,
+  DEFAULT_STUDIO_STAKE: 20,
+
+  TOTAL: 100,
+
+  // Stakes are kept to hundredths of a percent
+  DECIMALS: 2,
+
+  MAX_NOTE_LENGTH: 500,
+
+  HOLDER_TYPES: [
+    { value: 'studio', label: 'Studio' },
+    { value: 'founder', label: 'Founder' },
+    { value: 'contributor', label: 'Contributor' }
+  ],
+
+  // An initial allocation opens the cap table; every later change is one of the others
+  TRANSACTION_TYPES: [
+    { value: 'issue', label: 'Initial allocation' },
+    { value: 'grant', label: 'Grant' },
+    { value: 'transfer', label: 'Transfer' },
+    { value: 'adjustment', label: 'Adjustment' }
+  ],
+
+  label(list, value) {
+    const item = list.find((entry) => entry.value === value);
+    return item ? item.label : value;
+  },
+
+  transactionTypeValues() {
+    return this.TRANSACTION_TYPES.map((type) => type.value);
+  },
+
+  userKey(userId) {
+    return `user:${userId}`;
+  },
+
+  // The user id of a 'user:<id>' holder key, or null for the studio
+  userIdOf(key) {
+    const match = /^user:(\d+)$/.exec(String(key));
+    return match ? Number(match[1]) : null;
+  },
+
+  // Percentages as whole hundredths, so totals add up exactly
+  toUnits(percentage) {
+    return Math.round(Number(percentage) * 10 ** this.DECIMALS);
+  },
+
+  fromUnits(units) {
+    return units / 10 ** this.DECIMALS;
+  },
+
+  // 12.5 -> '12.5%'
+  format(percentage) {
+    return `${Number(Number(percentage).toFixed(this.DECIMALS))}%`;
+  },
+
+  total(stakes) {
+    return this.fromUnits(Object.values(stakes).reduce((sum, stake) => sum + this.toUnits(stake), 0));
+  },
+
+  // The cap table a venture opens with: the default studio stake and the rest for the founder
+  initialStakes(founderKey) {
+    return {
+      [this.STUDIO_KEY]: this.DEFAULT_STUDIO_STAKE,
+      [founderKey]: this.TOTAL - this.DEFAULT_STUDIO_STAKE
+    };
+  },
+
+  /**
+   * The stakes after a transaction: `changes` is a list of { holder, stake } with each
+   * holder's new stake. Holders left out keep theirs; a stake of 0 takes a holder off the table.
+   */
+  apply(stakes, changes) {
+    const next = { ...(stakes || {}) };
+    changes.forEach(({ holder, stake }) => {
+      const units = this.toUnits(stake);
+      if (units === 0) {
+        delete next[holder];
+      } else {
+        next[holder] = this.fromUnits(units);
+      }
+    });
+    return next;
+  },
+
+  // Each holder whose stake differs between two tables: [{ holder, from, to }]
+  changesBetween(before, after) {
+    const holders = [...new Set([...Object.keys(before || {}), ...Object.keys(after)])];
+    return holders
+      .map(holder => ({ holder, from: (before || {})[holder] || 0, to: after[holder] || 0 }))
+      .filter(change => this.toUnits(change.from) !== this.toUnits(change.to));
+  },
+
+  /**
+   * Check a cap table: stakes total 100% and the studio's is within its range. Returns
+   * { field: message }, empty when the table is valid.
+   */
+  validateTable(stakes) {
+    const errors = {};
+    const studio = stakes[this.STUDIO_KEY] || 0;
+    const total = this.total(stakes);
+    if (this.toUnits(total) !== this.toUnits(this.TOTAL)) {
+      errors.total = `Stakes must total ${this.TOTAL}%; they total ${this.format(total)}`;
+    }
+    if (studio < this.STUDIO_MIN || studio > this.STUDIO_MAX) {
+      errors.studio = `${this.STUDIO_NAME} keeps between ${this.STUDIO_MIN}% and ${this.STUDIO_MAX}% of each venture; this gives it ${this.format(studio)}`;
+    }
+    return errors;
+  },
+
+  /**
+   * Check a transaction: { type, effective_date?, note?, stakes: [{ holder, stake }] } against
+   * the current table (null before the initial allocation). `context` holds the holders that
+   * may receive a stake (`eligible`), the date of the latest transaction (`latestDate`) and
+   * `today`; transactions are dated in order and never ahead of today. Holders who are no
+   * longer eligible, such as members who left, keep their stakes and may only give them up.
+   * Returns { field: message }, empty when the transaction is valid.
+   */
+  validateTransaction(body, current, context = {}) {
+    const errors = {};
+    const eligible = context.eligible || [];
+
+    if (!this.transactionTypeValues().includes(body.type)) {
+      errors.type = `Invalid transaction type. Expected one of: ${this.transactionTypeValues().join(', ')}`;
+    } else if (body.type === 'issue' && current) {
+      errors.type = 'The cap table already has its initial allocation';
+    } else if (body.type !== 'issue' && !current) {
+      errors.type = 'Record the initial allocation first';
+    }
+
+    const date = body.effective_date;
+    if (date !== undefined && date !== null && date !== '') {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+        errors.effective_date = 'Date must be a date (YYYY-MM-DD)';
+      } else if (context.today && date > context.today) {
+        errors.effective_date = 'Transactions cannot be dated in the future';
+      } else if (context.latestDate && date < context.latestDate) {
+        errors.effective_date = `Transactions are recorded in date order; the latest is dated ${context.latestDate}`;
+      }
+    }
+
+    if (body.note !== undefined && body.note !== null && String(body.note).length > this.MAX_NOTE_LENGTH) {
+      errors.note = `Note must be at most ${this.MAX_NOTE_LENGTH} characters`;
+    }
+
+    const changes = body.stakes;
+    if (!Array.isArray(changes) || changes.length === 0) {
+      errors.stakes = 'List the new stake of each holder that changes';
+      return errors;
+    }
+    const seen = new Set();
+    for (const change of changes) {
+      const stake = change ? change.stake : undefined;
+      const holder = change ? change.holder : undefined;
+      const held = current && current[holder] ? current[holder] : 0;
+      if (typeof stake !== 'number' || !Number.isFinite(stake) || stake < 0 || stake > this.TOTAL) {
+        errors.stakes = `Each stake must be a percentage from 0 to ${this.TOTAL}`;
+      } else if (Math.abs(this.toUnits(stake) - stake * 10 ** this.DECIMALS) > 1e-6) {
+        errors.stakes = `Stakes have at most ${this.DECIMALS} decimals`;
+      } else if (seen.has(holder)) {
+        errors.stakes = 'Each holder can only be listed once';
+      } else if (!eligible.includes(holder) && this.toUnits(stake) > this.toUnits(held)) {
+        errors.stakes = held > 0
+          ? 'Holders who left the team can only give up stake'
+          : 'Stakes go to the studio, the founder or active members of the venture\'s team';
+      }
+      if (errors.stakes) return errors;
+      seen.add(holder);
+    }
+
+    const next = this.apply(current, changes);
+    if (this.changesBetween(current, next).length === 0) {
+      errors.stakes = 'This transaction does not change any stake';
+      return errors;
+    }
+    const tableErrors = this.validateTable(next);
+    if (tableErrors.total || tableErrors.studio) {
+      errors.stakes = tableErrors.total || tableErrors.studio;
+    }
+    return errors;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartEquity;
+} else {
+  window.SmartStartEquity = SmartStartEquity;
+}
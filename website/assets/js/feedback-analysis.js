@@ -0,0 +1,500 @@
+/**
+ * SmartStart Feedback Analysis
+ * Reads a venture's beta feedback without any outside service: sentiment from a small local
+ * lexicon, themes and keywords, near-duplicate groups, per-feature sentiment and a ranked
+ * improvement backlog the team can turn into tasks. Works on feedback_reviews rows. Shared by
+ * the API, which runs the analysis, and by the beta test manager, which renders it.
+ */
+
+const FeedbackBeta = typeof require === 'function' ? require('./beta-testing') : SmartStartBetaTesting;
+
+const SmartStartFeedbackAnalysis = {
+  // Word scores from -3 (very negative) to 3 (very positive), looked up by word or by stem
+  LEXICON: {
+    amazing: 3, awesome: 3, brilliant: 3, excellent: 3, fantastic: 3, love: 3, perfect: 3, wonderful: 3,
+    beautiful: 2, clean: 2, clear: 2, delight: 2, easy: 2, effortless: 2, enjoy: 2, fast: 2, great: 2,
+    happy: 2, helpful: 2, impressive: 2, intuitive: 2, nice: 2, quick: 2, reliable: 2, simple: 2,
+    smooth: 2, straightforward: 2, thank: 2, useful: 2, valuable: 2, works: 1, work: 1,
+    better: 1, convenient: 1, fair: 1, fine: 1, good: 1, handy: 1, ok: 1, okay: 1, pleasant: 1,
+    recommend: 2, save: 1, solid: 1, stable: 1,
+    annoying: -2, awkward: -2, bad: -2, bug: -2, buggy: -2, clunky: -2, complicated: -2,
+    confusing: -2, confused: -2, difficult: -2, disappointing: -2, error: -2, fail: -2, frustrating: -2,
+    hard: -2, hate: -3, lag: -2, laggy: -2, lost: -1, messy: -2, missing: -1, problem: -2, slow: -2,
+    stuck: -2, ugly: -2, unclear: -2, unusable: -3, useless: -3, wrong: -2, worse: -2, worst: -3,
+    broken: -3, crash: -3, freeze: -3, horrible: -3, terrible: -3, awful: -3,
+    cluttered: -1, expensive: -1, issue: -1, lack: -1, long: -1, odd: -1, tedious: -2, unsure: -1,
+    weird: -1, wait: -1, glitch: -2, timeout: -2
+  },
+
+  // Flip the score of the next scored word within NEGATION_WINDOW words
+  NEGATORS: ['not', 'no', 'never', 'cannot', 'cant', 'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'wont', 'hardly', 'without'],
+  NEGATION_WINDOW: 3,
+
+  // Multiply the score of the word right after them
+  INTENSIFIERS: {
+    very: 1.5, really: 1.5, so: 1.3, too: 1.3, super: 1.5, extremely: 2, totally: 1.5, quite: 1.2,
+    slightly: 0.5, somewhat: 0.6, little: 0.6
+  },
+
+  STOP_WORDS: [
+    'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+    'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'even', 'for', 'from',
+    'get', 'got', 'had', 'has', 'have', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if', 'in',
+    'into', 'is', 'it', 'its', 'just', 'me', 'more', 'most', 'much', 'my', 'of', 'on', 'one', 'only',
+    'or', 'other', 'our', 'out', 'over', 'she', 'so', 'some', 'still', 'than', 'that', 'the', 'their',
+    'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'too', 'up', 'us', 'use', 'used',
+    'using', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'why',
+    'will', 'with', 'would', 'you', 'your', 'really', 'thing', 'things', 'app', 'lot', 'way'
+  ],
+
+  // Labels from a -1..1 score
+  SENTIMENTS: [
+    { value: 'positive', label: 'Positive', icon: '🙂', min: 0.2 },
+    { value: 'neutral', label: 'Neutral', icon: '😐', min: -0.2 },
+    { value: 'negative', label: 'Negative', icon: '🙁', min: -Infinity }
+  ],
+
+  /**
+   * Themes feedback is grouped by. A review belongs to every theme one of its words (or its
+   * feedback type) points at; `action` titles the theme's backlog item.
+   */
+  THEMES: [
+    {
+      value: 'reliability', label: 'Bugs & reliability', action: 'Fix the bugs testers ran into',
+      types: ['bug'],
+      keywords: ['bug', 'buggy', 'crash', 'error', 'broken', 'fail', 'freeze', 'glitch', 'wrong', 'lost', 'stuck', 'reliable', 'stable']
+    },
+    {
+      value: 'performance', label: 'Speed', action: 'Speed up the slow parts',
+      types: [],
+      keywords: ['slow', 'fast', 'quick', 'speed', 'lag', 'laggy', 'load', 'loading', 'wait', 'timeout', 'performance', 'responsive']
+    },
+    {
+      value: 'usability', label: 'Ease of use', action: 'Make the confusing steps easier',
+      types: ['usability'],
+      keywords: ['confusing', 'confused', 'easy', 'hard', 'difficult', 'intuitive', 'unclear', 'find', 'understand', 'navigate', 'navigation', 'click', 'step', 'flow', 'workflow', 'tedious', 'clunky', 'awkward']
+    },
+    {
+      value: 'design', label: 'Look & feel', action: 'Polish the design',
+      types: [],
+      keywords: ['design', 'look', 'layout', 'color', 'colour', 'font', 'ugly', 'beautiful', 'clean', 'cluttered', 'messy', 'screen', 'mobile', 'dark']
+    },
+    {
+      value: 'onboarding', label: 'Getting started', action: 'Smooth out getting started',
+      types: [],
+      keywords: ['onboarding', 'signup', 'sign', 'setup', 'tutorial', 'start', 'started', 'first', 'account', 'login', 'guide', 'docs', 'help']
+    },
+    {
+      value: 'pricing', label: 'Pricing', action: 'Revisit pricing',
+      types: [],
+      keywords: ['price', 'pricing', 'cost', 'expensive', 'cheap', 'pay', 'plan', 'subscription', 'worth', 'free', 'trial']
+    },
+    {
+      value: 'requests', label: 'Feature requests', action: 'Weigh the features testers ask for',
+      types: ['feature_request'],
+      keywords: ['wish', 'missing', 'add', 'need', 'want', 'support', 'integration', 'integrate', 'export', 'import', 'option', 'lack']
+    }
+  ],
+
+  // How each feature reaction counts towards that feature's sentiment
+  REACTION_SCORES: {
+    love: 1,
+    like: 0.5,
+    neutral: 0,
+    confused: -0.5,
+    broken: -1
+  },
+
+  // Weight of one piece of feedback in the backlog ranking, by its inbox priority
+  PRIORITY_WEIGHTS: {
+    critical: 8,
+    high: 4,
+    medium: 2,
+    low: 1
+  },
+
+  // Reviews whose keyword sets overlap this much (Jaccard) are treated as saying the same thing
+  DUPLICATE_SIMILARITY: 0.6,
+  MIN_DUPLICATE_KEYWORDS: 2,
+
+  MAX_KEYWORDS: 15,
+  MAX_QUOTES: 3,
+  MAX_QUOTE_LENGTH: 160,
+
+  // Strip common English endings so "crashes", "crashed" and "crashing" meet at "crash"
+  stem(word) {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+    if (word.length > 4 && word.endsWith('es') && /(ch|sh|x|ss)es$/.test(word)) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+  },
+
+  // Lowercase words with apostrophes dropped ("don't" becomes "dont")
+  tokenize(text) {
+    return String(text || '').toLowerCase().replace(/['’]/g, '').match(/[a-z0-9]+/g) || [];
+  },
+
+  // "loved" stems to "lov", so a stem also matches with its "e" put back
+  wordScore(word) {
+    const stem = this.stem(word);
+    const match = [word, stem, `${stem}e`].find(candidate => candidate in this.LEXICON);
+    return match ? this.LEXICON[match] : 0;
+  },
+
+  label(score) {
+    return this.SENTIMENTS.find(sentiment => score >= sentiment.min).value;
+  },
+
+  /**
+   * Sentiment of a piece of text: { score, label, words } with score from -1 to 1 (the mean
+   * of its scored words, after negation and intensifiers) and words the number it scored.
+   */
+  sentiment(text) {
+    const tokens = this.tokenize(text);
+    let total = 0;
+    let words = 0;
+    let negatedUntil = -1;
+    let intensity = 1;
+
+    tokens.forEach((token, index) => {
+      if (this.NEGATORS.includes(token)) {
+        negatedUntil = index + this.NEGATION_WINDOW;
+        return;
+      }
+      if (token in this.INTENSIFIERS) {
+        intensity = this.INTENSIFIERS[token];
+        return;
+      }
+      const score = this.wordScore(token);
+      if (score !== 0) {
+        const negated = index <= negatedUntil;
+        total += (negated ? -score * 0.75 : score) * intensity;
+        words += 1;
+        if (negated) negatedUntil = -1;
+      }
+      intensity = 1;
+    });
+
+    const score = words === 0 ? 0 : Math.max(-1, Math.min(1, total / (words * 3)));
+    return { score: Math.round(score * 100) / 100, label: this.label(score), words };
+  },
+
+  /**
+   * Distinct stemmed words worth clustering on: no stop words, numbers or very short words.
+   * `surface`, a Map, collects the first word seen for each stem, to show instead of the stem.
+   */
+  keywords(text, surface = null) {
+    const stopWords = new Set(this.STOP_WORDS);
+    const tokens = this.tokenize(text)
+      .filter(token => token.length > 2 && !/^\d+$/.test(token) && !stopWords.has(token) && !this.NEGATORS.includes(token));
+    if (surface) {
+      tokens.forEach((token) => {
+        if (!surface.has(this.stem(token))) surface.set(this.stem(token), token);
+      });
+    }
+    return [...new Set(tokens.map(token => this.stem(token)))];
+  },
+
+  sentences(text) {
+    return String(text || '').split(/(?<=[.!?])\s+|\n+/).filter(sentence => sentence.trim());
+  },
+
+  // The text of a review: its free text plus the comments on its feature reactions
+  reviewText(review) {
+    const comments = Object.values(FeedbackBeta.parse(review.feature_reactions, {}))
+      .map(entry => (entry && entry.comment) || '')
+      .filter(Boolean);
+    return [review.feedback_text || '', ...comments].join('. ').trim();
+  },
+
+  /**
+   * A review's sentiment: its overall rating (1 is -1, 3 is 0, 5 is 1) averaged with the
+   * sentiment of its text when the text scored any words.
+   */
+  reviewSentiment(review) {
+    const parts = [];
+    if (FeedbackBeta.isRating(Number(review.rating))) {
+      parts.push((Number(review.rating) - 3) / 2);
+    }
+    const text = this.sentiment(this.reviewText(review));
+    if (text.words > 0) parts.push(text.score);
+
+    const score = parts.length === 0 ? 0 : parts.reduce((sum, part) => sum + part, 0) / parts.length;
+    return { score: Math.round(score * 100) / 100, label: this.label(score) };
+  },
+
+  /**
+   * The themes a review belongs to, as { theme: score }. The score is the mean sentiment of
+   * the review's sentences that use the theme's words, neutral when none of them scores; a
+   * theme the review's feedback type points at takes the whole review's sentiment.
+   */
+  themesOf(review, sentiment) {
+    const sentences = this.sentences(this.reviewText(review))
+      .map(sentence => ({ keywords: this.keywords(sentence), sentiment: this.sentiment(sentence) }));
+    const themes = {};
+    this.THEMES.forEach((theme) => {
+      if (theme.types.includes(review.feedback_type)) {
+        themes[theme.value] = sentiment.score;
+        return;
+      }
+      const stems = theme.keywords.map(keyword => this.stem(keyword));
+      const matching = sentences.filter(sentence => sentence.keywords.some(keyword => stems.includes(keyword)));
+      if (matching.length === 0) return;
+      const scored = matching.filter(sentence => sentence.sentiment.words > 0);
+      themes[theme.value] = scored.length === 0 ? 0
+        : Math.round((scored.reduce((sum, sentence) => sum + sentence.sentiment.score, 0) / scored.length) * 100) / 100;
+    });
+    return themes;
+  },
+
+  // The sentences of `text` that name `feature`
+  mentionsOf(text, feature) {
+    const name = feature.toLowerCase();
+    return this.sentences(text).filter(sentence => sentence.toLowerCase().includes(name));
+  },
+
+  quote(text) {
+    const trimmed = String(text || '').trim().replace(/\s+/g, ' ');
+    return trimmed.length > this.MAX_QUOTE_LENGTH ? `${trimmed.slice(0, this.MAX_QUOTE_LENGTH - 1)}…` : trimmed;
+  },
+
+  /**
+   * Group reviews that say nearly the same thing: single-link clusters of reviews whose
+   * keyword sets are at least DUPLICATE_SIMILARITY alike. Returns the groups of two or more
+   * as { ids, primaryId, quotes, keywords } with the oldest review as the primary one.
+   */
+  duplicates(analyzed) {
+    const parent = analyzed.map((_, index) => index);
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+    analyzed.forEach((a, i) => {
+      analyzed.slice(i + 1).forEach((b, offset) => {
+        const shared = a.keywords.filter(keyword => b.keywords.includes(keyword)).length;
+        const union = new Set([...a.keywords, ...b.keywords]).size;
+        if (shared >= this.MIN_DUPLICATE_KEYWORDS && shared / union >= this.DUPLICATE_SIMILARITY) {
+          parent[find(i + 1 + offset)] = find(i);
+        }
+      });
+    });
+
+    const groups = new Map();
+    analyzed.forEach((item, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(item);
+    });
+    return [...groups.values()]
+      .filter(group => group.length > 1)
+      .map((group) => {
+        const sorted = [...group].sort((a, b) => a.id - b.id);
+        return {
+          ids: sorted.map(item => item.id),
+          primaryId: sorted[0].id,
+          quotes: sorted.map(item => this.quote(item.text || item.keywords.join(' '))),
+          keywords: sorted[0].keywords.filter(keyword => sorted.every(item => item.keywords.includes(keyword)))
+        };
+      });
+  },
+
+  /**
+   * Sentiment per feature: every reaction counts (REACTION_SCORES, averaged with the sentiment
+   * of its comment), and so does every sentence of free text that names the feature.
+   */
+  featureSentiment(reviews, features = []) {
+    const summaries = new Map();
+    const summaryFor = (feature) => {
+      const key = feature.toLowerCase();
+      if (!summaries.has(key)) {
+        summaries.set(key, { feature, mentions: 0, total: 0, positive: 0, neutral: 0, negative: 0, ids: [], quotes: [] });
+      }
+      return summaries.get(key);
+    };
+    const add = (summary, review, score, quote) => {
+      summary.mentions += 1;
+      summary.total += score;
+      summary[this.label(score)] += 1;
+      if (!summary.ids.includes(review.id)) summary.ids.push(review.id);
+      if (quote && score < 0 && summary.quotes.length < this.MAX_QUOTES) summary.quotes.push(this.quote(quote));
+    };
+
+    reviews.forEach((review) => {
+      const reactions = FeedbackBeta.parse(review.feature_reactions, {});
+      Object.entries(reactions).forEach(([feature, entry]) => {
+        if (!entry || !(entry.reaction in this.REACTION_SCORES)) return;
+        const comment = this.sentiment(entry.comment);
+        const reaction = this.REACTION_SCORES[entry.reaction];
+        add(summaryFor(feature), review, comment.words > 0 ? (reaction + comment.score) / 2 : reaction, entry.comment);
+      });
+
+      const named = new Set([...features, ...Object.keys(reactions)].map(feature => feature.toLowerCase()));
+      named.forEach((name) => {
+        const feature = features.find(item => item.toLowerCase() === name) || Object.keys(reactions).find(item => item.toLowerCase() === name);
+        this.mentionsOf(review.feedback_text, feature).forEach((sentence) => {
+          const sentiment = this.sentiment(sentence);
+          if (sentiment.words > 0) add(summaryFor(feature), review, sentiment.score, sentence);
+        });
+      });
+    });
+
+    return [...summaries.values()]
+      .map(({ total, ...summary }) => {
+        const score = Math.round((total / summary.mentions) * 100) / 100;
+        return { ...summary, score, label: this.label(score) };
+      })
+      .sort((a, b) => a.score - b.score || b.mentions - a.mentions || a.feature.localeCompare(b.feature));
+  },
+
+  /**
+   * Rank what to improve. Every theme and feature with negative evidence becomes an item. A
+   * review is evidence for a theme when it is negative about the theme or its feedback type
+   * points at the theme, and for a feature when its reaction, its comment or a sentence naming
+   * the feature is negative. Near-duplicates from the same tester count once. Each counted
+   * review weighs its inbox priority (PRIORITY_WEIGHTS) times one plus how negative it is;
+   * items rank by the sum.
+   */
+  backlog(analyzed, featureSummaries, duplicateGroups) {
+    const duplicateOf = new Map();
+    duplicateGroups.forEach(group => group.ids.forEach(id => duplicateOf.set(id, group.primaryId)));
+    const byId = new Map(analyzed.map(item => [item.id, item]));
+
+    // `evidence` is a list of [id, score]
+    const rank = (evidence) => {
+      const counted = new Map();
+      evidence.forEach(([id, score]) => {
+        const item = byId.get(id);
+        const key = `${duplicateOf.get(id) || id}:${item.reviewer_id}`;
+        const weight = (this.PRIORITY_WEIGHTS[item.priority] || this.PRIORITY_WEIGHTS.medium) * (1 + Math.max(0, -score));
+        counted.set(key, Math.max(counted.get(key) || 0, weight));
+      });
+      const items = evidence.map(([id]) => byId.get(id));
+      const priority = FeedbackBeta.PRIORITIES.find(level => items.some(item => item.priority === level.value));
+      return {
+        score: Math.round([...counted.values()].reduce((sum, weight) => sum + weight, 0) * 10) / 10,
+        mentions: counted.size,
+        testers: new Set(items.map(item => item.reviewer_id)).size,
+        priority: priority ? priority.value : 'medium',
+        ids: items.map(item => item.id).sort((a, b) => a - b)
+      };
+    };
+
+    const items = [];
+    this.THEMES.forEach((theme) => {
+      const evidence = analyzed
+        .filter(item => theme.value in item.themes
+          && (this.label(item.themes[theme.value]) === 'negative' || theme.types.includes(item.type)))
+        .map(item => [item.id, item.themes[theme.value]]);
+      if (evidence.length === 0) return;
+      items.push({
+        key: `theme:${theme.value}`,
+        kind: 'theme',
+        title: theme.action,
+        theme: theme.value,
+        quotes: evidence.map(([id]) => byId.get(id).text).filter(Boolean).slice(0, this.MAX_QUOTES).map(text => this.quote(text)),
+        ...rank(evidence)
+      });
+    });
+
+    featureSummaries.filter(summary => summary.negative > 0).forEach((summary) => {
+      const evidence = summary.ids
+        .filter((id) => {
+          const item = byId.get(id);
+          const reaction = item.reactions[summary.feature];
+          return (reaction && ['confused', 'broken'].includes(reaction.reaction))
+            || (reaction && reaction.comment && this.sentiment(reaction.comment).label === 'negative')
+            || this.mentionsOf(item.text, summary.feature).some(sentence => this.sentiment(sentence).label === 'negative');
+        })
+        .map(id => [id, byId.get(id).sentiment.score]);
+      if (evidence.length === 0) return;
+      const broken = evidence.some(([id]) => (byId.get(id).reactions[summary.feature] || {}).reaction === 'broken');
+      items.push({
+        key: `feature:${summary.feature.toLowerCase()}`,
+        kind: 'feature',
+        title: broken ? `Fix what breaks in ${summary.feature}` : `Make ${summary.feature} easier to use`,
+        feature: summary.feature,
+        quotes: summary.quotes,
+        ...rank(evidence)
+      });
+    });
+
+    return items.sort((a, b) => b.score - a.score || b.mentions - a.mentions || a.key.localeCompare(b.key));
+  },
+
+  /**
+   * Analyze feedback_reviews rows (leave out dismissed ones before calling). `features` adds
+   * feature names to look for in free text, e.g. those of the venture's test scripts.
+   */
+  analyze(reviews, options = {}) {
+    const surface = new Map();
+    const analyzed = reviews.map((review) => {
+      const sentiment = this.reviewSentiment(review);
+      return {
+        id: review.id,
+        reviewer_id: review.reviewer_id,
+        type: review.feedback_type,
+        priority: review.priority,
+        text: review.feedback_text || '',
+        reactions: FeedbackBeta.parse(review.feature_reactions, {}),
+        sentiment,
+        keywords: this.keywords(this.reviewText(review), surface),
+        themes: this.themesOf(review, sentiment)
+      };
+    });
+    const word = stem => surface.get(stem) || stem;
+
+    const counts = { positive: 0, neutral: 0, negative: 0 };
+    analyzed.forEach((item) => { counts[item.sentiment.label] += 1; });
+    const average = analyzed.length === 0 ? null
+      : Math.round((analyzed.reduce((sum, item) => sum + item.sentiment.score, 0) / analyzed.length) * 100) / 100;
+
+    const themes = this.THEMES
+      .map((theme) => {
+        const members = analyzed.filter(item => theme.value in item.themes);
+        const score = members.length === 0 ? 0
+          : members.reduce((sum, item) => sum + item.themes[theme.value], 0) / members.length;
+        return {
+          value: theme.value,
+          label: theme.label,
+          count: members.length,
+          score: Math.round(score * 100) / 100,
+          sentiment: this.label(score),
+          ids: members.map(item => item.id)
+        };
+      })
+      .filter(theme => theme.count > 0)
+      .sort((a, b) => b.count - a.count || a.score - b.score);
+
+    const keywordIds = new Map();
+    analyzed.forEach(item => item.keywords.forEach((keyword) => {
+      if (!keywordIds.has(keyword)) keywordIds.set(keyword, []);
+      keywordIds.get(keyword).push(item.id);
+    }));
+    const keywords = [...keywordIds.entries()]
+      .filter(([, ids]) => ids.length > 1)
+      .map(([keyword, ids]) => ({ keyword: word(keyword), count: ids.length, ids }))
+      .sort((a, b) => b.count - a.count || a.keyword.localeCompare(b.keyword))
+      .slice(0, this.MAX_KEYWORDS);
+
+    const duplicates = this.duplicates(analyzed);
+    const features = this.featureSentiment(reviews, options.features || []);
+
+    return {
+      total: analyzed.length,
+      sentiment: { average, label: average === null ? null : this.label(average), counts },
+      reviews: analyzed.map(item => ({ id: item.id, sentiment: item.sentiment, themes: Object.keys(item.themes) })),
+      themes,
+      keywords,
+      duplicates: duplicates.map(group => ({ ...group, keywords: group.keywords.map(word) })),
+      features,
+      backlog: this.backlog(analyzed, features, duplicates)
+    };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartFeedbackAnalysis;
+} else {
+  window.SmartStartFeedbackAnalysis = SmartStartFeedbackAnalysis;
+}
@@ -0,0 +1,224 @@
+/**
+ * SmartStart Journey Events
+ * A venture's journey is an append-only log of events: its pipeline started, a stage opened,
+ * a milestone was met, a stage was completed. The current state is never stored on its own;
+ * it is derived by replaying the log, and snapshots only cache a replay up to a sequence number.
+ * Shared by the API and the browser storage adapters, which both append and replay, and by the
+ * dashboard's journey timeline.
+ *
+ * Events look like { sequence, event_type, stage, data, user_id, created_at }; sequence numbers
+ * start at 1 and increase by one within a stream (one venture, or one user's journeys without a
+ * venture).
+ */
+
+const SmartStartJourneyEvents = {
+  TYPES: [
+    { value: 'pipeline_started', label: 'Pipeline started', icon: '🚀' },
+    { value: 'stage_opened', label: 'Stage opened', icon: '📂' },
+    { value: 'milestone_completed', label: 'Milestone met', icon: '✅' },
+    { value: 'milestone_reopened', label: 'Milestone reopened', icon: '↩️' },
+    { value: 'stage_completed', label: 'Stage completed', icon: '🏁' },
+    { value: 'stage_revisited', label: 'Stage revisited', icon: '🔁' },
+    { value: 'stage_moved', label: 'Stage moved', icon: '⏪' },
+    { value: 'pipeline_paused', label: 'Pipeline paused', icon: '⏸️' },
+    { value: 'pipeline_resumed', label: 'Pipeline resumed', icon: '▶️' },
+    { value: 'gate_decided', label: 'Decision Gate decided', icon: '⚖️' },
+    { value: 'pipeline_completed', label: 'Pipeline completed', icon: '🎉' }
+  ],
+
+  // Journey entries the tracker writes that mark a (re)start and the end of a pipeline
+  PIPELINE_STARTED: 'pipeline_started',
+  JOURNEY_COMPLETE: 'journey_complete',
+
+  // Where a venture's pipeline ends, as in pipeline.js
+  COMPLETED_STAGE: 'launch',
+
+  type(value) {
+    return this.TYPES.find((type) => type.value === value) || { value, label: value, icon: '📊' };
+  },
+
+  // Streams are named 'venture:<id>', or 'user:<id>' for journeys without a venture
+  streamKey(userId, ventureId) {
+    return ventureId === undefined || ventureId === null ? `user:${userId}` : `venture:${ventureId}`;
+  },
+
+  initialState() {
+    return {
+      sequence: 0,
+      stage: null,
+      template: null,
+      startedAt: null,
+      updatedAt: null,
+      completed: false,
+      // Stages in the order they were completed since the pipeline (re)started
+      completedStages: [],
+      // Per stage: { openedAt, completedAt, completedBy, overridden, revisits }
+      stages: {},
+      // Milestones of the open stage by id: { title, completed }
+      milestones: {},
+      // { since, reason } while the pipeline is paused
+      paused: null,
+      // Every pause since the pipeline (re)started: { from, to, reason }; `to` is null while it lasts
+      pauses: []
+    };
+  },
+
+  /**
+   * The state after `event`. Never modifies `state`; unknown event types only advance the
+   * sequence, so older clients can replay logs written by newer ones.
+   */
+  apply(state, event) {
+    const next = JSON.parse(JSON.stringify(state));
+    const data = event.data || {};
+    const stage = event.stage || null;
+    const stageEntry = (key) => {
+      next.stages[key] = next.stages[key] || {};
+      return next.stages[key];
+    };
+
+    switch (event.event_type) {
+      case 'pipeline_started':
+        return {
+          ...this.initialState(),
+          sequence: event.sequence,
+          stage,
+          template: data.template || null,
+          startedAt: event.created_at,
+          updatedAt: event.created_at
+        };
+
+      case 'stage_opened':
+        next.stage = stage;
+        stageEntry(stage).openedAt = event.created_at;
+        next.milestones = {};
+        (data.milestones || []).forEach((milestone) => {
+          next.milestones[milestone.id] = { title: milestone.title, completed: Boolean(milestone.completed) };
+        });
+        break;
+
+      case 'milestone_completed':
+      case 'milestone_reopened':
+        next.milestones[data.milestoneId] = {
+          ...(next.milestones[data.milestoneId] || { title: data.title }),
+          completed: event.event_type === 'milestone_completed'
+        };
+        break;
+
+      case 'stage_completed': {
+        const entry = stageEntry(stage);
+        entry.completedAt = event.created_at;
+        entry.completedBy = event.user_id;
+        entry.overridden = Boolean(data.override);
+        if (!next.completedStages.includes(stage)) next.completedStages.push(stage);
+        if (data.nextStage) {
+          next.stage = data.nextStage;
+          next.milestones = {};
+          next.completed = data.nextStage === this.COMPLETED_STAGE;
+        }
+        break;
+      }
+
+      case 'stage_revisited': {
+        const entry = stageEntry(stage);
+        entry.revisits = (entry.revisits || 0) + 1;
+        entry.completedAt = event.created_at;
+        break;
+      }
+
+      // Moving back reopens the stage moved to and every stage completed after it
+      case 'stage_moved': {
+        const index = next.completedStages.indexOf(data.to);
+        if (index !== -1) next.completedStages = next.completedStages.slice(0, index);
+        next.stage = data.to;
+        next.milestones = {};
+        next.completed = data.to === this.COMPLETED_STAGE;
+        break;
+      }
+
+      case 'pipeline_completed':
+        next.completed = true;
+        break;
+
+      // Snapshots saved before pauses existed have no `pauses`
+      case 'pipeline_paused':
+        next.paused = { since: event.created_at, reason: data.reason || null };
+        next.pauses = (next.pauses || []).concat({ from: event.created_at, to: null, reason: data.reason || null });
+        break;
+
+      case 'pipeline_resumed':
+        next.paused = null;
+        next.pauses = (next.pauses || []).map((pause) => (pause.to ? pause : { ...pause, to: event.created_at }));
+        break;
+
+      default:
+        break;
+    }
+
+    // Streams recorded before pipelines were started explicitly begin with their first event
+    next.startedAt = next.startedAt || event.created_at;
+    next.sequence = event.sequence;
+    next.updatedAt = event.created_at;
+    return next;
+  },
+
+  /**
+   * Replay events in sequence order on top of `from` (an empty journey by default). Events at
+   * or before `from.sequence` are skipped; with `until`, replay stops after that sequence.
+   */
+  replay(events, options = {}) {
+    const from = options.from || this.initialState();
+    return events
+      .filter((event) => event.sequence > from.sequence)
+      .filter((event) => options.until === undefined || event.sequence <= options.until)
+      .sort((a, b) => a.sequence - b.sequence)
+      .reduce((state, event) => this.apply(state, event), from);
+  },
+
+  /**
+   * The event a journey entry stands for: the tracker's restart and completion markers, or a
+   * completed stage. `journey` has stage_data parsed.
+   */
+  fromJourney(journey) {
+    const stageData = journey.stage_data || {};
+    if (journey.stage === this.PIPELINE_STARTED) {
+      return { type: 'pipeline_started', stage: null, data: { journeyId: journey.id, template: stageData.pipeline_template || null } };
+    }
+    if (journey.stage === this.JOURNEY_COMPLETE) {
+      return { type: 'pipeline_completed', stage: null, data: { journeyId: journey.id } };
+    }
+    return { type: 'stage_completed', stage: journey.stage, data: { journeyId: journey.id } };
+  },
+
+  // One line for the timeline, e.g. "Milestone met: MVP scope agreed"
+  describe(event, stageName = (stage) => stage) {
+    const data = event.data || {};
+    const label = this.type(event.event_type).label;
+    switch (event.event_type) {
+      case 'stage_opened':
+      case 'stage_revisited':
+        return `${label}: ${stageName(event.stage)}`;
+      case 'stage_completed':
+        return data.override
+          ? `${label}: ${stageName(event.stage)} (override: ${data.override.reason})`
+          : `${label}: ${stageName(event.stage)}`;
+      case 'milestone_completed':
+      case 'milestone_reopened':
+        return `${label}: ${data.title}`;
+      case 'stage_moved':
+        return `${label}: ${stageName(data.from)} → ${stageName(data.to)}`;
+      case 'pipeline_paused':
+        return data.reason ? `${label}: ${data.reason}` : label;
+      case 'gate_decided':
+        return `${label}: ${data.decision} (recommended ${data.recommendation}, score ${data.score === null ? 'n/a' : data.score})`;
+      default:
+        return label;
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartJourneyEvents;
+} else {
+  window.SmartStartJourneyEvents = SmartStartJourneyEvents;
+}
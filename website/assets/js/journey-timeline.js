@@ -0,0 +1,173 @@
+/**
+ * Journey Timeline Modal
+ * Every transition of a venture's pipeline, newest first, read from its journey event stream
+ * (GET /api/journeys/timeline). Selecting an event shows the journey as it stood right after it,
+ * replayed by the API.
+ *
+ *   const timeline = new JourneyTimelineModal({ api: smartStartApi });
+ *   timeline.open(venture);
+ */
+
+class JourneyTimelineModal {
+  /**
+   * @param {Object} options
+   * @param {SmartStartApiClient} options.api - client for the journey endpoints
+   * @param {Function} [options.notify] - called with (message, type) when loading fails
+   * @param {number} [options.pageSize] - events per page
+   */
+  constructor(options = {}) {
+    this.api = options.api;
+    this.notify = options.notify || (() => {});
+    this.pageSize = options.pageSize || 20;
+    this.venture = null;
+    this.template = null;
+    this.events = [];
+    this.nextCursor = null;
+    this.selected = null;
+    this.element = null;
+  }
+
+  stageName(stage) {
+    const step = stage && SmartStartPipeline.stageInfo(stage, this.template);
+    if (step) return step.name;
+    return stage ? SmartStartVentures.label(SmartStartVentures.STAGES, stage) : 'no stage';
+  }
+
+  async open(venture) {
+    this.venture = venture;
+    this.template = venture.pipeline_template || SmartStartPipeline.defaultTemplate();
+    this.events = [];
+    this.nextCursor = null;
+    this.selected = null;
+
+    if (!await this.load()) return;
+    this.render();
+    document.body.appendChild(this.element);
+    this.element.querySelector('.journey-timeline-close').focus();
+  }
+
+  close() {
+    if (this.element && this.element.parentElement) {
+      this.element.remove();
+    }
+    this.element = null;
+  }
+
+  // Fetch the next page of events; resolves with false when the request failed
+  async load() {
+    const params = new URLSearchParams({ ventureId: this.venture.id, limit: this.pageSize });
+    if (this.nextCursor) params.set('before', this.nextCursor);
+
+    const result = await this.api.request('GET', `/journeys/timeline?${params}`);
+    if (!result.success) {
+      this.notify(`Could not load the journey history: ${result.error}`, 'error');
+      return false;
+    }
+    this.events = this.events.concat(result.data.events);
+    this.nextCursor = result.data.nextCursor;
+    return true;
+  }
+
+  render() {
+    const escape = SmartStartComponents.escapeHtml;
+    const previous = this.element;
+    this.element = document.createElement('div');
+    this.element.className = 'journey-timeline-overlay';
+    this.element.innerHTML = `
+      <div class="journey-timeline-modal" role="dialog" aria-modal="true" aria-labelledby="journey-timeline-title">
+        <div class="journey-timeline-header">
+          <h2 id="journey-timeline-title">${escape(this.venture.name)}: journey history</h2>
+          <button type="button" class="journey-timeline-close" aria-label="Close">×</button>
+        </div>
+        <div class="journey-timeline-body">
+          ${this.events.length === 0
+            ? '<p class="journey-timeline-hint">Nothing has happened in this pipeline yet.</p>'
+            : `<p class="journey-timeline-hint">Select an event to see the journey as it stood right after it.</p>
+              <ol class="journey-timeline-list">${this.events.map(event => this.renderEvent(event)).join('')}</ol>`}
+          ${this.nextCursor ? '<button type="button" class="btn-small journey-timeline-more">Load more</button>' : ''}
+          <div class="journey-timeline-state" aria-live="polite"></div>
+        </div>
+      </div>
+    `;
+
+    this.element.querySelector('.journey-timeline-close').addEventListener('click', () => this.close());
+    this.element.addEventListener('click', (event) => {
+      if (event.target === this.element) this.close();
+    });
+    this.element.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.close();
+    });
+    this.element.querySelectorAll('[data-sequence]').forEach((button) => {
+      button.addEventListener('click', () => this.showState(Number(button.dataset.sequence)));
+    });
+    const more = this.element.querySelector('.journey-timeline-more');
+    if (more) {
+      more.addEventListener('click', async () => {
+        if (await this.load()) this.render();
+      });
+    }
+
+    if (previous && previous.parentElement) previous.replaceWith(this.element);
+    if (this.selected) {
+      this.element.querySelector('.journey-timeline-state').innerHTML = this.renderState(this.selected.state);
+    }
+  }
+
+  renderEvent(event) {
+    const escape = SmartStartComponents.escapeHtml;
+    const type = SmartStartJourneyEvents.type(event.event_type);
+    const when = new Date(event.created_at).toLocaleString();
+    const selected = this.selected && this.selected.sequence === event.sequence;
+    return `
+      <li>
+        <button type="button" class="journey-timeline-event ${selected ? 'selected' : ''}" data-sequence="${event.sequence}">
+          <span class="journey-timeline-icon" aria-hidden="true">${type.icon}</span>
+          <span>
+            ${escape(SmartStartJourneyEvents.describe(event, stage => this.stageName(stage)))}
+            <small>${escape(event.user_name || 'Automatically')} · ${escape(when)} · #${event.sequence}</small>
+          </span>
+        </button>
+      </li>
+    `;
+  }
+
+  async showState(sequence) {
+    const container = this.element && this.element.querySelector('.journey-timeline-state');
+    if (!container) return;
+
+    const result = await this.api.request('GET', `/journeys/state?ventureId=${this.venture.id}&at=${sequence}`);
+    if (!result.success) {
+      container.textContent = `Could not replay the journey: ${result.error}`;
+      return;
+    }
+
+    this.selected = { sequence, state: result.data };
+    this.element.querySelectorAll('[data-sequence]').forEach((button) => {
+      button.classList.toggle('selected', Number(button.dataset.sequence) === sequence);
+    });
+    container.innerHTML = this.renderState(result.data);
+  }
+
+  renderState(state) {
+    const escape = SmartStartComponents.escapeHtml;
+    const milestones = Object.values(state.milestones);
+    const completed = state.completedStages.map(stage => escape(this.stageName(stage))).join(', ');
+
+    return `
+      <h3>After event #${state.sequence}</h3>
+      <dl>
+        <dt>Stage</dt>
+        <dd>${state.completed ? 'Pipeline complete' : escape(this.stageName(state.stage))}</dd>
+        <dt>Completed stages</dt>
+        <dd>${completed || 'None yet'}</dd>
+        <dt>Milestones</dt>
+        <dd>${milestones.length === 0 ? 'None open' : `<ul>${milestones.map(milestone => `
+          <li>${milestone.completed ? '✅' : '⬜'} ${escape(milestone.title)}</li>`).join('')}</ul>`}
+        </dd>
+      </dl>
+    `;
+  }
+}
+
+// Export for use in other modules
+window.JourneyTimelineModal = JourneyTimelineModal;
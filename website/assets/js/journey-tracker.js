@@ -1,35 +1,70 @@
 /**
  * SmartStart Journey Tracker
- * Tracks user progress through the 30-day venture pipeline
+ * Tracks progress through a venture pipeline. Every venture runs its own pipeline, so each
+ * method takes the venture alongside the user; a founder can push several ventures in parallel
+ * and follow them all with getVenturePipelines(). The steps come from a pipeline template
+ * (a venture's `pipeline_template`, or the built-in default), and every journey entry records
+ * the template key and version it ran.
+ *
+ * Steps are completed in order. Each step lists the milestones its stage requires; every storage
+ * adapter refuses to complete a stage while any is unmet unless an admin overrides it with a
+ * reason (storage.js), as the API does.
+ *
+ * Progress is read from the venture's journey event stream (journey-events.js), replayed by the
+ * storage adapter, never from whichever journey entry happens to come first. Deadlines count
+ * working days from the pipeline's start and skip the days it was paused (schedule.js).
  */
 
+// Pipeline templates, schedules and calendars are shared with the API and the dashboard
+const JourneyPipeline = typeof require === 'function' ? require('./pipeline') : SmartStartPipeline;
+const JourneySchedule = typeof require === 'function' ? require('./schedule') : SmartStartSchedule;
+const JourneyCalendar = typeof require === 'function' ? require('./calendar') : SmartStartCalendar;
+
+// Journey entry that marks when a venture's pipeline was (re)started
+const PIPELINE_STARTED = 'pipeline_started';
+
 class JourneyTracker {
-    constructor(database) {
+    constructor(database, template = JourneyPipeline.defaultTemplate()) {
         this.database = database;
-        this.currentStep = 1;
-        this.totalSteps = 6;
-        this.steps = [
-            { id: 1, name: 'Discovery', description: 'Platform exploration and account creation', duration: 'Day 1-2' },
-            { id: 2, name: 'Problem Statement', description: 'Market validation and problem definition', duration: 'Day 3-5' },
-            { id: 3, name: 'Sprint 0', description: 'MVP scoping and team building', duration: 'Day 6-7' },
-            { id: 4, name: 'MVP Build', description: 'Development phase and collaboration', duration: 'Day 8-25' },
-            { id: 5, name: 'Beta Testing', description: 'User testing and feedback collection', duration: 'Day 26-28' },
-            { id: 6, name: 'Decision Gate', description: 'Go/no-go decision and scaling strategy', duration: 'Day 29-30' }
-        ];
+        this.template = template;
+        this.totalSteps = template.stages.length;
+        this.steps = template.stages.map((step, index) => ({
+            id: index + 1,
+            stage: step.stage,
+            name: step.name,
+            description: step.description,
+            days: step.days,
+            duration: JourneyPipeline.dayRange(step.stage, template),
+            deliverables: step.deliverables || [],
+            entryCriteria: step.entryCriteria || [],
+            exitCriteria: step.exitCriteria || [],
+            milestones: step.milestones || []
+        }));
+    }
+
+    // Which template version a journey entry ran; built-in templates are version 1
+    templateReference() {
+        return { key: this.template.key, version: this.template.version || 1 };
+    }
+
+    // `override` ({ reason }) lets an admin complete a stage whose milestones are not met
+    recordJourney(userId, ventureId, stage, stageData, override = null) {
+        return this.database.createUserJourney(userId, {
+            ventureId,
+            stage,
+            stageData: { ...stageData, pipeline_template: this.templateReference() },
+            ...(override ? { override } : {})
+        });
     }
 
-    // Initialize journey for new user
-    async initializeJourney(userId) {
+    // Start the pipeline of a venture
+    async initializeJourney(userId, ventureId) {
         try {
             const journeyData = {
-                user_id: userId,
-                current_step: 1,
-                progress_percentage: 0,
-                started_at: new Date().toISOString(),
-                completed_steps: JSON.stringify([])
+                started_at: new Date().toISOString()
             };
 
-            const result = await this.database.createUserJourney(userId, null, 'discovery', journeyData);
+            const result = await this.recordJourney(userId, ventureId, PIPELINE_STARTED, journeyData);
             return result;
         } catch (error) {
             console.error('Failed to initialize journey:', error);
@@ -37,23 +72,30 @@ class JourneyTracker {
         }
     }
 
-    // Get current journey progress
-    async getJourneyProgress(userId) {
+    // Get a venture's pipeline progress from the current state of its journey events
+    async getJourneyProgress(userId, ventureId) {
         try {
-            const journeys = await this.database.getUserJourneys(userId);
-            if (journeys.length === 0) {
+            const state = await this.database.getJourneyState(userId, { ventureId });
+            if (!state || state.sequence === 0) {
                 return null;
             }
 
-            const latestJourney = journeys[0];
-            const completedSteps = JSON.parse(latestJourney.stage_data || '{}');
-            
+            // Only stages completed since the latest (re)start count
+            const recorded = new Set(state.completedStages);
+            const completedSteps = this.steps.filter(step => recorded.has(step.stage)).map(step => step.id);
+            const nextStep = this.steps.find(step => !recorded.has(step.stage));
+
             return {
-                currentStep: completedSteps.current_step || 1,
-                progressPercentage: completedSteps.progress_percentage || 0,
-                completedSteps: completedSteps.completed_steps || [],
-                startedAt: completedSteps.started_at,
-                isComplete: completedSteps.current_step >= this.totalSteps
+                ventureId,
+                template: this.templateReference(),
+                currentStep: nextStep ? nextStep.id : this.totalSteps,
+                currentStage: nextStep ? nextStep.stage : JourneyPipeline.COMPLETED_STAGE,
+                progressPercentage: Math.round((completedSteps.length / this.totalSteps) * 100),
+                completedSteps,
+                startedAt: state.startedAt,
+                updatedAt: state.updatedAt,
+                sequence: state.sequence,
+                isComplete: !nextStep
             };
         } catch (error) {
             console.error('Failed to get journey progress:', error);
@@ -61,52 +103,55 @@ class JourneyTracker {
         }
     }
 
-    // Update journey progress
-    async updateJourneyProgress(userId, stepId, stepData = {}) {
+    // Record a step of a venture's pipeline as completed; resolves with the progress that follows
+    async updateJourneyProgress(userId, ventureId, stepId, stepData = {}, options = {}) {
         try {
-            const progress = await this.getJourneyProgress(userId);
-            if (!progress) {
-                return { success: false, message: 'Journey not found' };
+            const step = this.getStepInfo(stepId);
+            if (!step) {
+                return { success: false, message: 'Invalid step ID' };
             }
 
-            // Calculate new progress
-            const newProgressPercentage = Math.round((stepId / this.totalSteps) * 100);
-            const completedSteps = [...progress.completedSteps];
-            
-            if (!completedSteps.includes(stepId)) {
-                completedSteps.push(stepId);
+            if (!await this.getJourneyProgress(userId, ventureId)) {
+                return { success: false, message: 'Journey not found' };
             }
 
             const updatedData = {
-                current_step: stepId,
-                progress_percentage: newProgressPercentage,
-                completed_steps: completedSteps,
                 last_updated: new Date().toISOString(),
                 ...stepData
             };
 
-            const result = await this.database.createUserJourney(
-                userId, 
-                null, 
-                this.steps[stepId - 1].name.toLowerCase().replace(' ', '_'), 
-                updatedData
-            );
+            const result = await this.recordJourney(userId, ventureId, step.stage, updatedData, options.override);
+            if (result && result.success === false) {
+                return result;
+            }
 
-            return { success: true, progress: updatedData };
+            return { success: true, journey: result.journey, progress: await this.getJourneyProgress(userId, ventureId) };
         } catch (error) {
             console.error('Failed to update journey progress:', error);
             return { success: false, error: error.message };
         }
     }
 
-    // Complete a specific step
-    async completeStep(userId, stepId, completionData = {}) {
+    /**
+     * Complete a step. Steps after the current one wait until it is completed; when the stage's
+     * milestones are not met, the result carries them in details.milestones and an admin may
+     * pass options.override = { reason } to complete it anyway.
+     */
+    async completeStep(userId, ventureId, stepId, completionData = {}, options = {}) {
         try {
-            const step = this.steps.find(s => s.id === stepId);
+            const step = this.getStepInfo(stepId);
             if (!step) {
                 return { success: false, message: 'Invalid step ID' };
             }
 
+            const progress = await this.getJourneyProgress(userId, ventureId);
+            if (progress && stepId > progress.currentStep && !progress.completedSteps.includes(stepId)) {
+                return {
+                    success: false,
+                    message: `Complete the ${this.getStepInfo(progress.currentStep).name} step first`
+                };
+            }
+
             const completionInfo = {
                 step_id: stepId,
                 step_name: step.name,
@@ -114,13 +159,10 @@ class JourneyTracker {
                 ...completionData
             };
 
-            const result = await this.updateJourneyProgress(userId, stepId, completionInfo);
-            
-            if (result.success) {
-                // Check if journey is complete
-                if (stepId === this.totalSteps) {
-                    await this.completeJourney(userId);
-                }
+            const result = await this.updateJourneyProgress(userId, ventureId, stepId, completionInfo, options);
+
+            if (result.success && result.progress && result.progress.isComplete) {
+                await this.completeJourney(userId, ventureId);
             }
 
             return result;
@@ -130,8 +172,8 @@ class JourneyTracker {
         }
     }
 
-    // Complete entire journey
-    async completeJourney(userId) {
+    // Complete a venture's entire pipeline
+    async completeJourney(userId, ventureId) {
         try {
             const completionData = {
                 journey_completed: true,
@@ -139,12 +181,7 @@ class JourneyTracker {
                 final_progress: 100
             };
 
-            const result = await this.database.createUserJourney(
-                userId, 
-                null, 
-                'journey_complete', 
-                completionData
-            );
+            const result = await this.recordJourney(userId, ventureId, 'journey_complete', completionData);
 
             return result;
         } catch (error) {
@@ -158,6 +195,12 @@ class JourneyTracker {
         return this.steps.find(step => step.id === stepId) || null;
     }
 
+    // Milestones that must be met before a step can be completed
+    getStepMilestones(stepId) {
+        const step = this.getStepInfo(stepId);
+        return step ? step.milestones : [];
+    }
+
     // Get next step
     getNextStep(currentStepId) {
         if (currentStepId >= this.totalSteps) {
@@ -174,38 +217,80 @@ class JourneyTracker {
         return this.steps.find(step => step.id === currentStepId - 1);
     }
 
-    // Calculate time remaining
-    calculateTimeRemaining(currentStepId) {
-        const daysPerStep = [2, 3, 2, 18, 3, 2]; // Days for each step
+    /**
+     * Working days left from the current step on. With the venture's `schedule` (getSchedule),
+     * the estimate is its forecast, which allows for pauses and a late current stage; without
+     * one, the remaining steps are laid out from today.
+     */
+    calculateTimeRemaining(currentStepId, schedule = null) {
         const remainingSteps = this.totalSteps - currentStepId + 1;
-        let totalDays = 0;
-        
-        for (let i = currentStepId - 1; i < this.totalSteps; i++) {
-            totalDays += daysPerStep[i];
-        }
-        
+        const totalDays = this.steps
+            .slice(currentStepId - 1)
+            .reduce((days, step) => days + step.days, 0);
+        const today = JourneySchedule.toDay(new Date());
+        const completion = schedule
+            ? schedule.forecastEnd
+            : JourneySchedule.addWorkingDays(today, Math.max(totalDays - 1, 0));
+
         return {
-            totalDays: totalDays,
+            totalDays: schedule ? Math.max(JourneySchedule.workingDaysBetween(today, completion), 0) : totalDays,
             remainingSteps: remainingSteps,
-            estimatedCompletion: new Date(Date.now() + (totalDays * 24 * 60 * 60 * 1000))
+            estimatedCompletion: new Date(`${completion}T00:00:00Z`)
         };
     }
 
+    // Planned and actual dates of every step, with the venture's schedule status
+    async getSchedule(userId, ventureId, now = new Date()) {
+        try {
+            const state = await this.database.getJourneyState(userId, { ventureId });
+            if (!state || state.sequence === 0) {
+                return null;
+            }
+            return JourneySchedule.describe(this.steps, state, { now });
+        } catch (error) {
+            console.error('Failed to get journey schedule:', error);
+            return null;
+        }
+    }
+
+    // Stop a venture's deadlines running, e.g. while its founder is away
+    async pauseJourney(userId, ventureId, reason = '') {
+        try {
+            return await this.database.pauseJourney(userId, { ventureId, reason });
+        } catch (error) {
+            console.error('Failed to pause journey:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async resumeJourney(userId, ventureId) {
+        try {
+            return await this.database.resumeJourney(userId, { ventureId });
+        } catch (error) {
+            console.error('Failed to resume journey:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     // Generate progress report
-    async generateProgressReport(userId) {
+    async generateProgressReport(userId, ventureId) {
         try {
-            const progress = await this.getJourneyProgress(userId);
+            const progress = await this.getJourneyProgress(userId, ventureId);
             if (!progress) {
                 return null;
             }
 
             const currentStepInfo = this.getStepInfo(progress.currentStep);
             const nextStepInfo = this.getNextStep(progress.currentStep);
-            const timeRemaining = this.calculateTimeRemaining(progress.currentStep);
+            const schedule = await this.getSchedule(userId, ventureId);
+            const timeRemaining = this.calculateTimeRemaining(progress.currentStep, schedule);
 
             return {
                 user_id: userId,
+                venture_id: ventureId,
+                pipeline_template: progress.template,
                 current_step: progress.currentStep,
+                current_stage: progress.currentStage,
                 current_step_info: currentStepInfo,
                 next_step_info: nextStepInfo,
                 progress_percentage: progress.progressPercentage,
@@ -213,6 +298,7 @@ class JourneyTracker {
                 total_steps: this.totalSteps,
                 is_complete: progress.isComplete,
                 time_remaining: timeRemaining,
+                schedule: schedule ? JourneySchedule.overview(schedule) : null,
                 started_at: progress.startedAt,
                 last_updated: new Date().toISOString()
             };
@@ -222,10 +308,10 @@ class JourneyTracker {
         }
     }
 
-    // Reset journey (for testing or restart)
-    async resetJourney(userId) {
+    // Reset a venture's journey (for testing or restart)
+    async resetJourney(userId, ventureId) {
         try {
-            const result = await this.initializeJourney(userId);
+            const result = await this.initializeJourney(userId, ventureId);
             return result;
         } catch (error) {
             console.error('Failed to reset journey:', error);
@@ -234,33 +320,72 @@ class JourneyTracker {
     }
 
     // Get journey statistics
-    async getJourneyStatistics(userId) {
+    async getJourneyStatistics(userId, ventureId) {
         try {
-            const progress = await this.getJourneyProgress(userId);
+            const progress = await this.getJourneyProgress(userId, ventureId);
             if (!progress) {
                 return null;
             }
 
-            const timeRemaining = this.calculateTimeRemaining(progress.currentStep);
-            const startDate = new Date(progress.startedAt);
-            const currentDate = new Date();
-            const daysElapsed = Math.floor((currentDate - startDate) / (1000 * 60 * 60 * 24));
+            const schedule = await this.getSchedule(userId, ventureId);
+            const timeRemaining = this.calculateTimeRemaining(progress.currentStep, schedule);
+            const today = JourneySchedule.toDay(new Date());
+            // Working days the pipeline has run, not counting pauses
+            const daysElapsed = Math.max(JourneySchedule.workingDaysBetween(schedule.startedAt, today) - schedule.pausedDays, 0);
 
             return {
                 days_elapsed: daysElapsed,
                 days_remaining: timeRemaining.totalDays,
+                days_paused: schedule.pausedDays,
                 completion_rate: progress.progressPercentage,
                 steps_completed: progress.completedSteps.length,
                 steps_remaining: this.totalSteps - progress.completedSteps.length,
                 average_days_per_step: daysElapsed / Math.max(progress.completedSteps.length, 1),
+                planned_completion: new Date(`${schedule.plannedEnd}T00:00:00Z`),
                 estimated_completion: timeRemaining.estimatedCompletion,
-                is_on_track: daysElapsed <= (progress.currentStep * 5) // Rough estimate
+                slip_days: schedule.slipDays,
+                schedule_status: schedule.status,
+                is_on_track: ['on_track', 'completed'].includes(schedule.status)
             };
         } catch (error) {
             console.error('Failed to get journey statistics:', error);
             return null;
         }
     }
+
+    /**
+     * An iCalendar (.ics) document of the stage starts, deadlines and Decision Gate meetings
+     * still ahead for `ventures`, from the same schedules calculateTimeRemaining() forecasts
+     * with. Options: `name` of the calendar.
+     */
+    async generateCalendar(userId, ventures, options = {}) {
+        const events = [];
+        for (const venture of ventures) {
+            const tracker = venture.pipeline_template
+                ? new JourneyTracker(this.database, venture.pipeline_template)
+                : this;
+            const schedule = await tracker.getSchedule(userId, venture.id);
+            if (schedule) {
+                events.push(...JourneyCalendar.ventureEvents(venture, schedule));
+            }
+        }
+        return JourneyCalendar.build(events, { name: options.name });
+    }
+
+    // Progress reports for several ventures at once, each tracked with its own template
+    async getVenturePipelines(userId, ventures) {
+        const reports = await Promise.all(ventures.map((venture) => {
+            const tracker = venture.pipeline_template
+                ? new JourneyTracker(this.database, venture.pipeline_template)
+                : this;
+            return tracker.generateProgressReport(userId, venture.id);
+        }));
+        return ventures.map((venture, index) => ({
+            venture_id: venture.id,
+            venture_name: venture.name,
+            report: reports[index]
+        }));
+    }
 }
 
 // Export for use in other modules
@@ -9,7 +9,8 @@ class LegalDocumentsSystem {
     this.currentDocumentIndex = 0;
     this.signedDocuments = [];
     this.userInfo = null;
-    this.apiBaseUrl = 'http://localhost:3344/api/legal';
+    this.apiBaseUrl = '/api/legal';
+    this.api = window.smartStartApi;
   }
 
   /**
@@ -61,26 +62,19 @@ class LegalDocumentsSystem {
         role: 'user'
       };
 
-      const response = await fetch('http://localhost:3344/api/auth/register', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(userData)
-      });
-
-      const result = await response.json();
+      // Registering signs the user in, so the documents below are signed as them
+      const result = await this.api.register(userData);
 
-      if (!response.ok || !result.success) {
-        throw new Error(result.message || 'Failed to create user account');
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to create user account');
       }
 
       // Update userInfo with real user ID
-      this.userInfo.id = result.data.user.id;
-      this.userInfo.realUserId = result.data.user.id;
+      this.userInfo.id = result.user.id;
+      this.userInfo.realUserId = result.user.id;
       
-      console.log('User created successfully:', result.data.user);
-      return result.data.user;
+      console.log('User created successfully:', result.user);
+      return result.user;
     } catch (error) {
       console.error('Error creating user:', error);
       throw error;
@@ -96,12 +90,8 @@ class LegalDocumentsSystem {
         
         try {
           // Try to load from real backend API
-          const response = await fetch(`${this.apiBaseUrl}/required`, {
-            method: 'GET',
-            headers: {
-              'Authorization': `Bearer ${this.userInfo.token || localStorage.getItem('smartstart_token')}`,
-              'Content-Type': 'application/json'
-            }
+          const response = await this.api.fetch('/legal/required', {
+            method: 'GET'
           });
 
           if (response.ok) {
@@ -504,12 +494,8 @@ This agreement may be terminated by either party with written notice.`,
 
       try {
         // Try to sign with real backend API
-        const response = await fetch(`${this.apiBaseUrl}/sign`, {
+        const response = await this.api.fetch('/legal/sign', {
           method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${this.userInfo.token || localStorage.getItem('smartstart_token')}`,
-            'Content-Type': 'application/json'
-          },
           body: JSON.stringify({
             documentId: currentDocument.id,
             signatureData: {
@@ -1,20 +1,16 @@
 // Login page functionality
-let database = null;
+// Credentials are checked by the API (POST /api/auth/login) through the shared storage contract
+let storage = null;
 
-document.addEventListener('DOMContentLoaded', async () => {
-  try {
-    database = new SimpleSmartStartDatabase();
-    console.log('Database initialized successfully');
-  } catch (error) {
-    console.error('Database initialization failed:', error);
-  }
+document.addEventListener('DOMContentLoaded', () => {
+  storage = new RemoteApiAdapter({ client: smartStartApi });
 });
 
 // Login form submission
 document.getElementById('loginForm').addEventListener('submit', async (e) => {
   e.preventDefault();
   
-  const email = document.getElementById('email').value;
+  const email = document.getElementById('email').value.trim();
   const password = document.getElementById('password').value;
   
   if (!email || !password) {
@@ -29,44 +25,25 @@ document.getElementById('loginForm').addEventListener('submit', async (e) => {
   submitBtn.disabled = true;
   
   try {
-    
-    // Simulate login process
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // For demo purposes, accept any email/password
-    if (email && password) {
-      showNotification('Login successful! Redirecting...', 'success');
-      
-      // Store user session
-      const userData = {
-        email: email,
-        name: email.split('@')[0],
-        firstName: email.split('@')[0],
-        lastName: 'User',
-        loginTime: new Date().toISOString()
-      };
-      localStorage.setItem('user', JSON.stringify(userData));
-      
-      // Store token for dashboard authentication
-      const token = 'demo_token_' + Date.now();
-      localStorage.setItem('smartstart_token', token);
-      
-      console.log('Login successful, stored data:', { user: userData, token: token });
-      
-      // Redirect to dashboard
-      setTimeout(() => {
-        console.log('Redirecting to dashboard...');
-        window.location.href = '../dashboard.html';
-      }, 1500);
-    } else {
-      showNotification('Invalid credentials', 'error');
+    const result = await storage.loginUser(email, password);
+
+    if (!result.success) {
+      showNotification(result.error || 'Invalid email or password', 'error');
+      return;
     }
+
+    // The API client now holds the signed session for every page
+    showNotification('Login successful! Redirecting...', 'success');
+
+    // Redirect to dashboard
+    setTimeout(() => {
+      window.location.href = '../dashboard.html';
+    }, 1500);
   } catch (error) {
     console.error('Login error:', error);
     showNotification('Login failed. Please try again.', 'error');
   } finally {
     // Reset button state
-    const submitBtn = document.querySelector('button[type="submit"]');
     submitBtn.textContent = originalText;
     submitBtn.disabled = false;
   }
@@ -115,15 +92,31 @@ function togglePassword() {
   }
 }
 
-// Demo credentials helper
+// Password toggle
 document.addEventListener('DOMContentLoaded', () => {
-  // Add event listener for password toggle
   const passwordToggleBtn = document.getElementById('passwordToggleBtn');
   if (passwordToggleBtn) {
     passwordToggleBtn.addEventListener('click', togglePassword);
   }
+  showDemoButton();
+});
+
+// Demo sandbox entry - only offered when the server runs in demo mode
+async function showDemoButton() {
+  let config;
+  try {
+    const response = await fetch('/api/config');
+    const result = await response.json();
+    config = result.success ? result.data : null;
+  } catch (error) {
+    return;
+  }
+  if (!config || !config.demoMode) {
+    return;
+  }
+
   const demoBtn = document.createElement('button');
-  demoBtn.textContent = 'Use Demo Credentials';
+  demoBtn.textContent = 'Try the Demo';
   demoBtn.className = 'demo-credentials-btn';
   demoBtn.style.cssText = `
     position: fixed;
@@ -139,11 +132,20 @@ document.addEventListener('DOMContentLoaded', () => {
     z-index: 1000;
   `;
   
-  demoBtn.addEventListener('click', () => {
-    document.getElementById('email').value = 'demo@alicesolutions.com';
-    document.getElementById('password').value = 'demo123';
-    showNotification('Demo credentials filled!', 'info');
+  demoBtn.addEventListener('click', async () => {
+    demoBtn.disabled = true;
+    const result = await smartStartApi.startDemo();
+    if (!result.success) {
+      demoBtn.disabled = false;
+      showNotification(result.error || 'The demo is not available right now', 'error');
+      return;
+    }
+
+    showNotification('Opening the demo sandbox...', 'info');
+    setTimeout(() => {
+      window.location.href = '../dashboard.html';
+    }, 1000);
   });
   
   document.body.appendChild(demoBtn);
-});
+}
@@ -0,0 +1,113 @@
+/**
+ * Pipeline Calendar Panel
+ * The dashboard's "Pipeline Calendar" widget: downloads the signed-in user's stage starts,
+ * deadlines and Decision Gate meetings as an .ics file (GET /api/calendar/ventures.ics), and
+ * manages the subscription URL calendar apps keep in sync from (/api/calendar/subscription).
+ *
+ *   const calendar = new PipelineCalendarPanel({ api: smartStartApi, container });
+ */
+
+class PipelineCalendarPanel {
+  /**
+   * @param {Object} options
+   * @param {SmartStartApiClient} options.api - client for the calendar endpoints
+   * @param {HTMLElement} options.container - where the panel is rendered
+   * @param {Function} [options.notify] - called with (message, type) after actions
+   */
+  constructor(options = {}) {
+    this.api = options.api;
+    this.container = options.container;
+    this.notify = options.notify || (() => {});
+    this.subscription = null;
+
+    this.load();
+  }
+
+  /**
+   * Save an .ics document the API serves; `endpoint` as for api.requestText()
+   */
+  static async download(api, endpoint, fileName) {
+    const result = await api.requestText(endpoint);
+    if (!result.success) return result;
+
+    const url = URL.createObjectURL(new Blob([result.text], { type: 'text/calendar' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    return result;
+  }
+
+  async load() {
+    const result = await this.api.request('GET', '/calendar/subscription');
+    this.subscription = result.success ? result.data : null;
+    this.render(result.success ? '' : `Could not load your calendar subscription: ${result.error}`);
+  }
+
+  render(error = '') {
+    const escape = SmartStartComponents.escapeHtml;
+    const subscription = this.subscription;
+    this.container.innerHTML = `
+      <p class="pipeline-calendar-hint">Stage starts, deadlines and Decision Gate meetings for your ventures. Subscribed calendars follow the schedule as it shifts.</p>
+      <div class="pipeline-calendar-actions">
+        <button type="button" class="btn-small" data-action="download">Download .ics</button>
+        <button type="button" class="btn-small" data-action="subscribe">${subscription && subscription.url ? 'Replace URL' : 'Get subscription URL'}</button>
+        ${subscription && subscription.url ? '<button type="button" class="btn-small" data-action="revoke">Stop sharing</button>' : ''}
+      </div>
+      ${subscription && subscription.url ? `
+        <label class="pipeline-calendar-url">Subscription URL
+          <input type="text" readonly value="${escape(subscription.url)}">
+        </label>
+        <p class="pipeline-calendar-hint">
+          <a href="${escape(subscription.webcalUrl)}">Open in your calendar app</a>
+          · ${subscription.lastFetchedAt ? `last synced ${escape(new Date(subscription.lastFetchedAt).toLocaleString())}` : 'not synced yet'}.
+          Anyone with this URL can see your pipeline dates.
+        </p>` : ''}
+      <p class="pipeline-calendar-error" role="alert" ${error ? '' : 'hidden'}>${escape(error)}</p>
+    `;
+
+    this.container.querySelectorAll('[data-action]').forEach((button) => {
+      button.addEventListener('click', () => this[button.dataset.action]());
+    });
+    const input = this.container.querySelector('.pipeline-calendar-url input');
+    if (input) input.addEventListener('focus', () => input.select());
+  }
+
+  async download() {
+    const result = await PipelineCalendarPanel.download(this.api, '/calendar/ventures.ics', SmartStartCalendar.fileName('ventures'));
+    if (!result.success) this.render(`Could not download the calendar: ${result.error}`);
+  }
+
+  async subscribe() {
+    // A new URL stops the old one working, so check before replacing it
+    if (this.subscription && this.subscription.url &&
+        !window.confirm('Replace the subscription URL? Calendars subscribed to the current one stop updating.')) {
+      return;
+    }
+    const result = await this.api.request('POST', '/calendar/subscription');
+    if (!result.success) {
+      this.render(`Could not create the subscription URL: ${result.error}`);
+      return;
+    }
+    this.subscription = result.data;
+    this.render();
+    this.notify('Add the subscription URL to your calendar app to keep it in sync', 'success');
+  }
+
+  async revoke() {
+    if (!window.confirm('Stop sharing your pipeline calendar? Subscribed calendars stop updating.')) return;
+    const result = await this.api.request('DELETE', '/calendar/subscription');
+    if (!result.success) {
+      this.render(`Could not revoke the subscription URL: ${result.error}`);
+      return;
+    }
+    this.subscription = result.data;
+    this.render();
+  }
+}
+
+// Export for use in other modules
+window.PipelineCalendarPanel = PipelineCalendarPanel;
@@ -0,0 +1,219 @@
+/**
+ * Pipeline Schedule Modal
+ * A venture's planned and actual stage dates, its burndown, and pausing or resuming its
+ * pipeline. The schedule comes from GET /api/ventures/:id/pipeline (see schedule.js); its
+ * dates can be downloaded as an .ics file (pipeline-calendar.js).
+ *
+ *   const schedule = new PipelineScheduleModal({ api: smartStartApi, onChanged: () => {} });
+ *   schedule.open(venture);
+ */
+
+class PipelineScheduleModal {
+  /**
+   * @param {Object} options
+   * @param {SmartStartApiClient} options.api - client for the venture pipeline endpoints
+   * @param {Function} [options.onChanged] - called with (schedule, venture) after a pause or resume
+   * @param {Function} [options.notify] - called with (message, type) when loading fails
+   */
+  constructor(options = {}) {
+    this.api = options.api;
+    this.onChanged = options.onChanged || (() => {});
+    this.notify = options.notify || (() => {});
+    this.venture = null;
+    this.pipeline = null;
+    this.element = null;
+    this.saving = false;
+  }
+
+  get schedule() {
+    return this.pipeline ? this.pipeline.schedule : null;
+  }
+
+  async open(venture) {
+    this.venture = venture;
+    const result = await this.api.request('GET', `/ventures/${venture.id}/pipeline`);
+    if (!result.success) {
+      this.notify(`Could not load the schedule: ${result.error}`, 'error');
+      return;
+    }
+
+    this.pipeline = result.data;
+    this.render();
+    document.body.appendChild(this.element);
+    this.element.querySelector('.pipeline-schedule-close').focus();
+  }
+
+  close() {
+    if (this.element && this.element.parentElement) {
+      this.element.remove();
+    }
+    this.element = null;
+  }
+
+  render() {
+    const escape = SmartStartComponents.escapeHtml;
+    const schedule = this.schedule;
+    const previous = this.element;
+    this.element = document.createElement('div');
+    this.element.className = 'pipeline-schedule-overlay';
+    this.element.innerHTML = `
+      <div class="pipeline-schedule-modal" role="dialog" aria-modal="true" aria-labelledby="pipeline-schedule-title">
+        <div class="pipeline-schedule-header">
+          <h2 id="pipeline-schedule-title">${escape(this.venture.name)}: schedule</h2>
+          <button type="button" class="pipeline-schedule-close" aria-label="Close">×</button>
+        </div>
+        <div class="pipeline-schedule-body">
+          <p class="schedule-flag ${schedule.status}">${escape(SmartStartSchedule.summary(schedule))}</p>
+          ${schedule.paused && schedule.paused.reason ? `<p class="pipeline-schedule-hint">${escape(schedule.paused.reason)}</p>` : ''}
+          <dl class="pipeline-schedule-summary">
+            <div><dt>Started</dt><dd>${schedule.startedAt}</dd></div>
+            <div><dt>Planned end</dt><dd>${schedule.plannedEnd}</dd></div>
+            <div><dt>Forecast end</dt><dd>${schedule.forecastEnd}</dd></div>
+            <div><dt>Slip</dt><dd>${this.formatDays(schedule.slipDays)}</dd></div>
+            <div><dt>Paused</dt><dd>${schedule.pausedDays} working day${schedule.pausedDays === 1 ? '' : 's'}</dd></div>
+          </dl>
+          ${this.renderStages()}
+          <button type="button" class="btn-small pipeline-schedule-download">Add to calendar (.ics)</button>
+          <h3>Burndown</h3>
+          ${this.renderBurndown()}
+          <p class="pipeline-schedule-hint">Stage days left: planned (dashed) and actual. Weekends and paused days are skipped.</p>
+          <div class="pipeline-schedule-error" role="alert" hidden></div>
+          ${this.renderActions()}
+        </div>
+      </div>
+    `;
+
+    this.element.querySelector('.pipeline-schedule-close').addEventListener('click', () => this.close());
+    this.element.addEventListener('click', (event) => {
+      if (event.target === this.element) this.close();
+    });
+    this.element.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.close();
+    });
+    const action = this.element.querySelector('[data-action]');
+    if (action) {
+      action.addEventListener('click', () => this.setPaused(action.dataset.action === 'pause'));
+    }
+    this.element.querySelector('.pipeline-schedule-download').addEventListener('click', () => this.download());
+
+    if (previous && previous.parentElement) previous.replaceWith(this.element);
+  }
+
+  // "3 working days late", "on time" or "2 working days early"
+  formatDays(days) {
+    if (days === null || days === undefined) return '—';
+    if (days === 0) return 'on time';
+    const count = Math.abs(days);
+    return `${count} working day${count === 1 ? '' : 's'} ${days > 0 ? 'late' : 'early'}`;
+  }
+
+  renderStages() {
+    const escape = SmartStartComponents.escapeHtml;
+    return `
+      <table class="pipeline-schedule-table">
+        <thead>
+          <tr><th>Stage</th><th>Planned</th><th>Actual</th><th>Variance</th></tr>
+        </thead>
+        <tbody>${this.schedule.stages.map(row => `
+          <tr class="${row.status}">
+            <td>${escape(row.name)}</td>
+            <td>${row.plannedStart} – ${row.plannedEnd}</td>
+            <td>${row.actualStart || '—'} – ${row.actualEnd || (row.status === 'current' ? 'in progress' : '—')}</td>
+            <td>${row.actualEnd ? this.formatDays(row.varianceDays) : '—'}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  // Planned and actual stage days left as an SVG line chart
+  renderBurndown() {
+    const points = this.schedule.burndown;
+    if (points.length < 2) return '<p class="pipeline-schedule-hint">Not enough days to chart yet.</p>';
+
+    const width = 560;
+    const height = 180;
+    const top = Math.max(points[0].ideal + 1, ...points.map(point => point.actual || 0), 1);
+    const x = index => Math.round((index / (points.length - 1)) * width);
+    const y = value => Math.round(height - (value / top) * height);
+    const line = values => values
+      .map((value, index) => (value === null ? null : `${x(index)},${y(value)}`))
+      .filter(Boolean)
+      .join(' ');
+
+    return `
+      <svg class="pipeline-schedule-burndown" viewBox="-4 -4 ${width + 8} ${height + 8}" role="img"
+        aria-label="Burndown from ${points[0].day} to ${points[points.length - 1].day}">
+        <polyline class="ideal" points="${line(points.map(point => point.ideal))}" />
+        <polyline class="actual" points="${line(points.map(point => point.actual))}" />
+      </svg>
+      <div class="pipeline-schedule-axis"><span>${points[0].day}</span><span>${points[points.length - 1].day}</span></div>
+    `;
+  }
+
+  renderActions() {
+    const schedule = this.schedule;
+    if (!this.pipeline.permissions.canPause || schedule.status === 'completed') return '';
+
+    if (schedule.paused) {
+      return `
+        <div class="pipeline-schedule-actions">
+          <button type="button" class="btn-primary" data-action="resume">Resume pipeline</button>
+        </div>
+      `;
+    }
+    return `
+      <label class="pipeline-schedule-reason">Reason for pausing (optional)
+        <textarea name="pause_reason" rows="2" maxlength="${SmartStartSchedule.PAUSE_REASON_MAX_LENGTH}"
+          placeholder="Deadlines stop running until the pipeline is resumed"></textarea>
+      </label>
+      <div class="pipeline-schedule-actions">
+        <button type="button" class="btn-secondary" data-action="pause">Pause pipeline</button>
+      </div>
+    `;
+  }
+
+  async download() {
+    const result = await PipelineCalendarPanel.download(
+      this.api,
+      `/ventures/${this.venture.id}/pipeline/calendar.ics`,
+      SmartStartCalendar.fileName(this.venture.name)
+    );
+    if (!result.success) this.showError(`Could not download the calendar: ${result.error}`);
+  }
+
+  showError(message) {
+    const element = this.element && this.element.querySelector('.pipeline-schedule-error');
+    if (!element) return;
+    element.textContent = message;
+    element.hidden = !message;
+  }
+
+  async setPaused(paused) {
+    if (this.saving) return;
+
+    const body = {};
+    if (paused) {
+      const reason = this.element.querySelector('[name="pause_reason"]').value.trim();
+      if (reason) body.reason = reason;
+    }
+
+    this.saving = true;
+    try {
+      const result = await this.api.request('POST', `/ventures/${this.venture.id}/pipeline/${paused ? 'pause' : 'resume'}`, body);
+      if (!result.success) {
+        this.showError(result.error);
+        return;
+      }
+
+      this.pipeline.schedule = result.data.schedule;
+      this.render();
+      this.onChanged(result.data.schedule, this.venture);
+    } finally {
+      this.saving = false;
+    }
+  }
+}
+
+// Export for use in other modules
+window.PipelineScheduleModal = PipelineScheduleModal;
@@ -0,0 +1,339 @@
+/**
+ * Pipeline Template Manager
+ * Admin widget for pipeline templates: lists the latest version of each template with its
+ * version history, creates templates and publishes new versions. Published versions are never
+ * edited, so the editor always starts a new version from the latest one. Each stage lists the
+ * milestones that gate its completion: deliverables the team checks off, a written problem
+ * statement, or a legal document the founder must sign.
+ *
+ *   const manager = new PipelineTemplateManager({ api: smartStartApi, container, notify });
+ *   manager.load();
+ */
+
+class PipelineTemplateManager {
+  /**
+   * @param {Object} options
+   * @param {SmartStartApiClient} options.api - client for the pipeline template endpoints
+   * @param {HTMLElement} options.container - where the template list is rendered
+   * @param {Function} [options.notify] - called with (message, type) after saves and failures
+   * @param {Function} [options.onChange] - called after a template or version is published
+   */
+  constructor(options = {}) {
+    this.api = options.api;
+    this.container = options.container;
+    this.notify = options.notify || (() => {});
+    this.onChange = options.onChange || (() => {});
+    this.templates = [];
+    this.documents = null;
+    this.modal = null;
+  }
+
+  async load() {
+    this.container.setAttribute('aria-busy', 'true');
+    this.container.innerHTML = '<div class="skeleton skeleton-row"></div>'.repeat(2);
+
+    const result = await this.api.request('GET', '/pipeline-templates');
+    this.container.removeAttribute('aria-busy');
+    if (!result.success) {
+      this.container.innerHTML = `
+        <div class="widget-error">
+          <p>Could not load pipeline templates: ${SmartStartComponents.escapeHtml(result.error)}</p>
+          <button class="btn-small" data-action="retry">Retry</button>
+        </div>
+      `;
+      this.container.querySelector('[data-action="retry"]').addEventListener('click', () => this.load());
+      return;
+    }
+
+    this.templates = result.data;
+    this.render();
+  }
+
+  render() {
+    const escape = SmartStartComponents.escapeHtml;
+    const rows = this.templates.map(template => `
+      <div class="template-item" data-key="${escape(template.key)}">
+        <div class="template-item-content">
+          <h4>${escape(template.name)} <span class="template-version">v${template.version}</span></h4>
+          <p>${template.stages.map(stage => escape(stage.name)).join(' → ')} · ${SmartStartPipeline.totalDays(template)} days</p>
+        </div>
+        <div class="template-item-actions">
+          <button class="btn-small" data-action="history">History</button>
+          <button class="btn-small" data-action="version">New version</button>
+        </div>
+      </div>
+    `).join('');
+
+    this.container.innerHTML = `
+      <div class="template-list">${rows || '<p class="template-empty">No pipeline templates yet.</p>'}</div>
+      <button class="btn-small" data-action="create">New template</button>
+    `;
+
+    this.container.querySelector('[data-action="create"]').addEventListener('click', () => this.openEditor());
+    this.container.querySelectorAll('.template-item').forEach((item) => {
+      const template = this.templates.find(candidate => candidate.key === item.dataset.key);
+      item.querySelector('[data-action="version"]').addEventListener('click', () => this.openEditor(template));
+      item.querySelector('[data-action="history"]').addEventListener('click', () => this.openHistory(template));
+    });
+  }
+
+  async openHistory(template) {
+    const result = await this.api.request('GET', `/pipeline-templates/${encodeURIComponent(template.key)}/versions`);
+    if (!result.success) {
+      this.notify(result.error, 'error');
+      return;
+    }
+
+    const escape = SmartStartComponents.escapeHtml;
+    const versions = result.data.map(version => `
+      <li>
+        <strong>v${version.version}</strong> · ${escape(version.name)} ·
+        <time datetime="${version.created_at}">${new Date(version.created_at).toLocaleDateString()}</time>
+        <p>${version.stages.map(stage => `${escape(stage.name)} (${stage.days}d)`).join(' → ')}</p>
+      </li>
+    `).join('');
+
+    this.openModal(`${escape(template.name)}: versions`, `
+      <p class="template-modal-hint">Ventures keep running the version they were created with.</p>
+      <ol class="template-history" reversed>${versions}</ol>
+      <div class="template-modal-actions">
+        <button type="button" class="btn-secondary" data-action="cancel">Close</button>
+      </div>
+    `, () => this.closeModal());
+  }
+
+  // Legal documents a stage may require the founder to sign, loaded once
+  async loadDocuments() {
+    if (!this.documents) {
+      const result = await this.api.request('GET', '/legal/required');
+      this.documents = result.success ? result.data.map(doc => ({ id: doc.id, title: doc.title })) : [];
+    }
+    return this.documents;
+  }
+
+  // Editor for a new template, or for the next version of `template`
+  async openEditor(template = null) {
+    await this.loadDocuments();
+    const escape = SmartStartComponents.escapeHtml;
+    const limits = SmartStartPipeline.LIMITS;
+
+    this.openModal(template ? `New version of ${escape(template.name)}` : 'New Pipeline Template', `
+      ${template ? `<p class="template-modal-hint">Publishes version ${template.version + 1}. Existing ventures stay on their version.</p>` : ''}
+      <div class="template-form-error" role="alert" hidden></div>
+      ${template ? '' : `
+      <label>Key *
+        <input name="key" type="text" maxlength="${limits.key}" placeholder="lean-sprint">
+      </label>`}
+      <label>Name *
+        <input name="name" type="text" maxlength="${limits.name}" value="${escape(template ? template.name : '')}">
+      </label>
+      <label>Description
+        <textarea name="description" rows="2" maxlength="${limits.description}">${escape(template ? template.description : '')}</textarea>
+      </label>
+      <div class="template-stages"></div>
+      <button type="button" class="btn-small" data-action="add-stage">Add stage</button>
+      <div class="template-modal-actions">
+        <button type="button" class="btn-secondary" data-action="cancel">Cancel</button>
+        <button type="submit" class="btn-primary">${template ? 'Publish version' : 'Create template'}</button>
+      </div>
+    `, (form) => this.saveTemplate(form, template));
+
+    const stages = template ? template.stages : SmartStartPipeline.defaultTemplate().stages;
+    stages.forEach(stage => this.addStageRow(stage));
+    this.modal.querySelector('[data-action="add-stage"]').addEventListener('click', () => this.addStageRow());
+  }
+
+  addStageRow(stage = {}) {
+    const escape = SmartStartComponents.escapeHtml;
+    const list = (items) => escape((items || []).join('\n'));
+    const stageOptions = SmartStartVentures.STAGES
+      .filter(option => option.value !== SmartStartPipeline.COMPLETED_STAGE)
+      .map(option => `<option value="${option.value}" ${option.value === stage.stage ? 'selected' : ''}>${option.label}</option>`)
+      .join('');
+
+    const milestones = stage.milestones || [];
+    const signed = milestones.find(milestone => milestone.type === 'document_signed');
+    const documentOptions = [{ id: '', title: 'None' }].concat(this.documents || [])
+      .map(doc => `<option value="${escape(doc.id)}" ${signed && signed.documentId === doc.id ? 'selected' : ''}>${escape(doc.title)}</option>`)
+      .join('');
+    const deliverableMilestones = milestones
+      .filter(milestone => milestone.type === 'deliverable')
+      .map(milestone => milestone.title);
+
+    const row = document.createElement('fieldset');
+    row.className = 'template-stage';
+    row.innerHTML = `
+      <div class="template-form-row">
+        <label>Stage
+          <select data-field="stage">${stageOptions}</select>
+        </label>
+        <label>Name
+          <input data-field="name" type="text" maxlength="${SmartStartPipeline.LIMITS.stageName}" value="${escape(stage.name)}">
+        </label>
+        <label>Days
+          <input data-field="days" type="number" min="1" max="${SmartStartPipeline.LIMITS.maxDays}" step="1" value="${stage.days || ''}">
+        </label>
+      </div>
+      <label>Description
+        <input data-field="description" type="text" value="${escape(stage.description)}">
+      </label>
+      <div class="template-form-row">
+        <label>Deliverables <small>(one per line)</small>
+          <textarea data-field="deliverables" rows="2">${list(stage.deliverables)}</textarea>
+        </label>
+        <label>Entry criteria
+          <textarea data-field="entryCriteria" rows="2">${list(stage.entryCriteria)}</textarea>
+        </label>
+        <label>Exit criteria
+          <textarea data-field="exitCriteria" rows="2">${list(stage.exitCriteria)}</textarea>
+        </label>
+      </div>
+      <div class="template-form-row">
+        <label>Milestones to check off <small>(one per line)</small>
+          <textarea data-field="milestones" rows="2">${list(deliverableMilestones)}</textarea>
+        </label>
+        <label>Founder must sign
+          <select data-field="milestoneDocument" data-document="${escape(signed ? signed.documentId : '')}" data-title="${escape(signed ? signed.title : '')}">${documentOptions}</select>
+        </label>
+        <label class="template-form-check">
+          <input data-field="milestoneProblem" type="checkbox" ${milestones.some(milestone => milestone.type === 'problem_statement') ? 'checked' : ''}>
+          Problem statement written
+        </label>
+      </div>
+      <div class="template-stage-actions">
+        <button type="button" class="btn-small" data-action="up" aria-label="Move stage up">↑</button>
+        <button type="button" class="btn-small" data-action="down" aria-label="Move stage down">↓</button>
+        <button type="button" class="btn-small btn-danger" data-action="remove">Remove</button>
+      </div>
+    `;
+
+    row.querySelector('[data-action="up"]').addEventListener('click', () => {
+      if (row.previousElementSibling) row.parentElement.insertBefore(row, row.previousElementSibling);
+    });
+    row.querySelector('[data-action="down"]').addEventListener('click', () => {
+      if (row.nextElementSibling) row.parentElement.insertBefore(row.nextElementSibling, row);
+    });
+    row.querySelector('[data-action="remove"]').addEventListener('click', () => row.remove());
+    this.modal.querySelector('.template-stages').appendChild(row);
+  }
+
+  // The milestones of one stage row: the signature and problem statement first, then deliverables
+  milestoneValues(row) {
+    const milestones = [];
+    const select = row.querySelector('[data-field="milestoneDocument"]');
+    const documentId = select.value;
+    if (documentId) {
+      // Keep the title of an unchanged signature milestone
+      const doc = (this.documents || []).find(item => item.id === documentId);
+      const title = documentId === select.dataset.document ? select.dataset.title : `${doc ? doc.title : documentId} signed`;
+      milestones.push({ type: 'document_signed', documentId, title });
+    }
+    if (row.querySelector('[data-field="milestoneProblem"]').checked) {
+      milestones.push({ type: 'problem_statement', title: 'Problem statement written' });
+    }
+    SmartStartPipeline.normalizeList(row.querySelector('[data-field="milestones"]').value)
+      .forEach(title => milestones.push({ type: 'deliverable', title }));
+    return milestones;
+  }
+
+  values(form) {
+    const stages = Array.from(form.querySelectorAll('.template-stage')).map((row) => {
+      const field = (name) => row.querySelector(`[data-field="${name}"]`).value;
+      return {
+        stage: field('stage'),
+        name: field('name'),
+        description: field('description'),
+        days: Number(field('days')),
+        deliverables: SmartStartPipeline.normalizeList(field('deliverables')),
+        entryCriteria: SmartStartPipeline.normalizeList(field('entryCriteria')),
+        exitCriteria: SmartStartPipeline.normalizeList(field('exitCriteria')),
+        milestones: this.milestoneValues(row)
+      };
+    });
+
+    return {
+      ...(form.elements.key ? { key: form.elements.key.value.trim() } : {}),
+      name: form.elements.name.value.trim(),
+      description: form.elements.description.value.trim(),
+      stages
+    };
+  }
+
+  async saveTemplate(form, template) {
+    const fields = this.values(form);
+    const errors = SmartStartPipeline.validate(fields, { requireKey: !template });
+    const messages = Object.values(errors);
+    if (messages.length > 0) {
+      this.showFormError(messages[0]);
+      return;
+    }
+
+    const result = template
+      ? await this.api.request('POST', `/pipeline-templates/${encodeURIComponent(template.key)}/versions`, fields)
+      : await this.api.request('POST', '/pipeline-templates', fields);
+    if (!result.success) {
+      const fieldErrors = (result.details && result.details.fields) || {};
+      this.showFormError(Object.values(fieldErrors)[0] || result.error);
+      return;
+    }
+
+    this.closeModal();
+    this.notify(template
+      ? `Published version ${result.data.version} of ${result.data.name}`
+      : `Created pipeline template ${result.data.name}`, 'success');
+    this.onChange(result.data);
+    await this.load();
+  }
+
+  openModal(title, body, onSubmit) {
+    this.closeModal();
+
+    this.modal = document.createElement('div');
+    this.modal.className = 'template-modal-overlay';
+    this.modal.innerHTML = `
+      <div class="template-modal" role="dialog" aria-modal="true" aria-label="${title}">
+        <div class="template-modal-header">
+          <h2>${title}</h2>
+          <button type="button" class="template-modal-close" aria-label="Close">×</button>
+        </div>
+        <form class="template-form" novalidate>${body}</form>
+      </div>
+    `;
+
+    const form = this.modal.querySelector('form');
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      onSubmit(form);
+    });
+    this.modal.querySelector('.template-modal-close').addEventListener('click', () => this.closeModal());
+    this.modal.querySelector('[data-action="cancel"]').addEventListener('click', () => this.closeModal());
+    this.modal.addEventListener('click', (event) => {
+      if (event.target === this.modal) this.closeModal();
+    });
+    this.modal.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.closeModal();
+    });
+
+    document.body.appendChild(this.modal);
+    const firstInput = form.querySelector('input, select');
+    if (firstInput) firstInput.focus();
+  }
+
+  showFormError(message) {
+    const element = this.modal && this.modal.querySelector('.template-form-error');
+    if (!element) return;
+    element.textContent = message;
+    element.hidden = !message;
+    element.scrollIntoView({ block: 'nearest' });
+  }
+
+  closeModal() {
+    if (this.modal) {
+      this.modal.remove();
+      this.modal = null;
+    }
+  }
+}
+
+// Export for use in other modules
+window.PipelineTemplateManager = PipelineTemplateManager;
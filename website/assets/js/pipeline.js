@@ -0,0 +1,357 @@
+/**
+ * SmartStart Venture Pipeline
+ * Pipelines are defined by templates: ordered stages with a duration, the deliverables each
+ * stage must produce, its entry and exit criteria, and the milestones that must be met before
+ * the stage can be completed. Every venture runs one template version on its own, so one
+ * founder can push several ventures in parallel.
+ * Shared by the API, which stores and versions templates, and by the dashboard and JourneyTracker.
+ *
+ * Stage keys come from the venture stages in ventures.js; a template picks and orders them.
+ * Helpers take the template to use and fall back to the built-in default.
+ */
+
+const SmartStartPipeline = {
+  DEFAULT_TEMPLATE_KEY: 'smartstart-30-day',
+
+  // Where a venture goes once it completes the last stage of its pipeline
+  COMPLETED_STAGE: 'launch',
+
+  /**
+   * Milestones a stage may require. Automatic ones are checked against the venture (its
+   * problem statement, or a legal document its founder signed); deliverables are checked off
+   * by the team.
+   */
+  MILESTONE_TYPES: [
+    { value: 'deliverable', label: 'Deliverable', auto: false },
+    { value: 'problem_statement', label: 'Problem statement written', auto: true },
+    { value: 'document_signed', label: 'Document signed by the founder', auto: true }
+  ],
+
+  // Completing a stage with unmet milestones needs an admin override with a reason this long
+  OVERRIDE_REASON_MIN_LENGTH: 10,
+  OVERRIDE_REASON_MAX_LENGTH: 500,
+
+  LIMITS: {
+    key: 40,
+    name: 80,
+    description: 500,
+    stages: 12,
+    stageName: 60,
+    maxDays: 90,
+    listItems: 10,
+    listItem: 200,
+    milestones: 10
+  },
+
+  // Templates every installation starts with, as version 1
+  BUILT_IN_TEMPLATES: [
+    {
+      key: 'smartstart-30-day',
+      name: 'SmartStart 30-Day Pipeline',
+      description: 'From discovery to the go/no-go decision in six stages',
+      stages: [
+        {
+          stage: 'discovery',
+          name: 'Discovery',
+          description: 'Platform exploration and account creation',
+          days: 2,
+          deliverables: ['Completed founder profile', 'Venture idea logged'],
+          entryCriteria: ['Account created'],
+          exitCriteria: ['Required legal documents signed'],
+          milestones: [{ type: 'document_signed', documentId: 'contributor', title: 'Contributor agreement signed' }]
+        },
+        {
+          stage: 'problem_statement',
+          name: 'Problem Statement',
+          description: 'Market validation and problem definition',
+          days: 3,
+          deliverables: ['Problem statement', 'Target market definition'],
+          entryCriteria: ['Venture idea logged'],
+          exitCriteria: ['Problem validated with at least five potential customers'],
+          milestones: [{ type: 'problem_statement', title: 'Problem statement written' }]
+        },
+        {
+          stage: 'sprint_0',
+          name: 'Sprint 0',
+          description: 'MVP scoping and team building',
+          days: 2,
+          deliverables: ['MVP scope', 'Task board with the first sprint'],
+          entryCriteria: ['Validated problem statement'],
+          exitCriteria: ['Team assembled', 'MVP scope agreed'],
+          milestones: [{ type: 'deliverable', title: 'MVP scope agreed with the team' }]
+        },
+        {
+          stage: 'mvp_build',
+          name: 'MVP Build',
+          description: 'Development phase and collaboration',
+          days: 18,
+          deliverables: ['Working MVP'],
+          entryCriteria: ['MVP scope agreed'],
+          exitCriteria: ['MVP ready for beta users'],
+          milestones: [{ type: 'deliverable', title: 'MVP ready for beta users' }]
+        },
+        {
+          stage: 'beta_test',
+          name: 'Beta Testing',
+          description: 'User testing and feedback collection',
+          days: 3,
+          deliverables: ['Beta feedback summary'],
+          entryCriteria: ['MVP ready for beta users'],
+          exitCriteria: ['Feedback collected from beta users'],
+          milestones: [{ type: 'deliverable', title: 'Beta feedback summary shared' }]
+        },
+        {
+          stage: 'decision_gate',
+          name: 'Decision Gate',
+          description: 'Go/no-go decision and scaling strategy',
+          days: 2,
+          deliverables: ['Scale, pause or kill decision'],
+          entryCriteria: ['Beta feedback summary'],
+          exitCriteria: ['Decision recorded'],
+          milestones: [{ type: 'deliverable', title: 'Scale, pause or kill decision recorded' }]
+        }
+      ]
+    },
+    {
+      key: 'venture-funnel',
+      name: 'Venture Funnel',
+      description: 'The five-stage funnel from problem statement to the scale/kill decision',
+      stages: [
+        {
+          stage: 'problem_statement',
+          name: 'Problem Statement',
+          description: 'Define the pain point and validate the problem exists in the market',
+          days: 3,
+          deliverables: ['Problem statement'],
+          entryCriteria: ['Idea tagged "Problem" for review'],
+          exitCriteria: ['Problem validated in the market'],
+          milestones: [{ type: 'problem_statement', title: 'Problem statement written' }]
+        },
+        {
+          stage: 'sprint_0',
+          name: 'Sprint 0',
+          description: 'Validate idea, scope MVP with market research and feasibility analysis',
+          days: 4,
+          deliverables: ['Market research', 'Feasibility analysis', 'MVP scope'],
+          entryCriteria: ['Problem validated in the market'],
+          exitCriteria: ['Venture board set up with tasks assigned'],
+          milestones: [
+            { type: 'document_signed', documentId: 'contributor', title: 'Contributor agreement signed' },
+            { type: 'deliverable', title: 'Venture board set up with tasks assigned' }
+          ]
+        },
+        {
+          stage: 'mvp_build',
+          name: 'MVP Build',
+          description: 'Working product development using AliceSolutionsGroup templates and playbooks',
+          days: 18,
+          deliverables: ['Working MVP'],
+          entryCriteria: ['Venture board set up with tasks assigned'],
+          exitCriteria: ['MVP ready for beta users'],
+          milestones: [{ type: 'deliverable', title: 'MVP ready for beta users' }]
+        },
+        {
+          stage: 'beta_test',
+          name: 'Beta Test',
+          description: 'Test with real users, often inside LGM or friendly clients for feedback',
+          days: 3,
+          deliverables: ['Beta feedback summary'],
+          entryCriteria: ['MVP ready for beta users'],
+          exitCriteria: ['Feedback collected from real users'],
+          milestones: [{ type: 'deliverable', title: 'Feedback collected from real users' }]
+        },
+        {
+          stage: 'decision_gate',
+          name: 'Scale/Kill Decision',
+          description: 'Keep pushing OR sunset and recycle learnings for future ventures',
+          days: 2,
+          deliverables: ['Scale or kill decision'],
+          entryCriteria: ['Beta feedback summary'],
+          exitCriteria: ['Decision recorded'],
+          milestones: [{ type: 'deliverable', title: 'Scale or kill decision recorded' }]
+        }
+      ]
+    }
+  ],
+
+  defaultTemplate() {
+    return this.BUILT_IN_TEMPLATES[0];
+  },
+
+  stages(template = this.defaultTemplate()) {
+    return template.stages;
+  },
+
+  stageValues(template) {
+    return this.stages(template).map((step) => step.stage);
+  },
+
+  indexOf(stage, template) {
+    return this.stageValues(template).indexOf(stage);
+  },
+
+  isPipelineStage(stage, template) {
+    return this.indexOf(stage, template) !== -1;
+  },
+
+  stageInfo(stage, template) {
+    return this.stages(template).find((step) => step.stage === stage) || null;
+  },
+
+  milestoneType(type) {
+    return this.MILESTONE_TYPES.find((item) => item.value === type) || null;
+  },
+
+  // The stage after `stage`, or COMPLETED_STAGE after the last one
+  nextStage(stage, template) {
+    const stages = this.stages(template);
+    const index = this.indexOf(stage, template);
+    if (index === -1) return null;
+    return index + 1 < stages.length ? stages[index + 1].stage : this.COMPLETED_STAGE;
+  },
+
+  // "Day 1-2", "Day 3-5", ... from the stage durations
+  dayRange(stage, template) {
+    const stages = this.stages(template);
+    const index = this.indexOf(stage, template);
+    if (index === -1) return '';
+    const start = stages.slice(0, index).reduce((days, step) => days + step.days, 0) + 1;
+    const end = start + stages[index].days - 1;
+    return start === end ? `Day ${start}` : `Day ${start}-${end}`;
+  },
+
+  totalDays(template) {
+    return this.stages(template).reduce((days, step) => days + step.days, 0);
+  },
+
+  /**
+   * Percent of the pipeline a venture at `stage` has completed: every stage before the
+   * current one counts as done, and COMPLETED_STAGE is 100.
+   */
+  progressFor(stage, template) {
+    if (stage === this.COMPLETED_STAGE) return 100;
+    const index = this.indexOf(stage, template);
+    return index === -1 ? 0 : Math.round((index / this.stages(template).length) * 100);
+  },
+
+  // Venture stage vocabulary from ventures.js
+  ventures() {
+    return typeof require === 'function' ? require('./ventures') : SmartStartVentures;
+  },
+
+  // Deliverables and criteria may be sent as arrays or as one item per line
+  normalizeList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split('\n');
+    return items.map((item) => String(item).trim()).filter(Boolean);
+  },
+
+  /**
+   * Trimmed template fields ready to store: name, description and stages with their
+   * deliverables and criteria as lists.
+   */
+  normalizeTemplate(fields) {
+    return {
+      name: String(fields.name || '').trim(),
+      description: String(fields.description || '').trim(),
+      stages: (fields.stages || []).map((step) => ({
+        stage: step.stage,
+        name: String(step.name || '').trim(),
+        description: String(step.description || '').trim(),
+        days: Number(step.days),
+        deliverables: this.normalizeList(step.deliverables),
+        entryCriteria: this.normalizeList(step.entryCriteria),
+        exitCriteria: this.normalizeList(step.exitCriteria),
+        milestones: (step.milestones || []).map((milestone) => ({
+          type: milestone.type,
+          title: String(milestone.title || '').trim(),
+          ...(milestone.type === 'document_signed' ? { documentId: String(milestone.documentId || '').trim() } : {})
+        }))
+      }))
+    };
+  },
+
+  /**
+   * Validate template fields. Returns an object of field name → error message, empty when
+   * valid; stage errors are keyed `stages`. Pass { requireKey: true } for new templates.
+   */
+  validate(fields, options = {}) {
+    const errors = {};
+    const limits = this.LIMITS;
+
+    if (options.requireKey && !/^[a-z0-9][a-z0-9-]{1,38}[a-z0-9]$/.test(String(fields.key || ''))) {
+      errors.key = `Key must be 3-${limits.key} lowercase letters, digits or dashes`;
+    }
+
+    const name = String(fields.name || '').trim();
+    if (!name) {
+      errors.name = 'Name is required';
+    } else if (name.length > limits.name) {
+      errors.name = `Name must be at most ${limits.name} characters`;
+    }
+    if (String(fields.description || '').trim().length > limits.description) {
+      errors.description = `Description must be at most ${limits.description} characters`;
+    }
+
+    const stages = fields.stages;
+    const stageValues = this.ventures().stageValues().filter((stage) => stage !== this.COMPLETED_STAGE);
+    if (!Array.isArray(stages) || stages.length === 0) {
+      errors.stages = 'A template needs at least one stage';
+    } else if (stages.length > limits.stages) {
+      errors.stages = `A template may have at most ${limits.stages} stages`;
+    } else {
+      const seen = new Set();
+      for (const [index, step] of stages.entries()) {
+        const label = `Stage ${index + 1}`;
+        const days = Number(step && step.days);
+        const lists = ['deliverables', 'entryCriteria', 'exitCriteria'].map((list) => this.normalizeList(step && step[list]));
+
+        if (!step || !stageValues.includes(step.stage)) {
+          errors.stages = `${label}: stage must be one of: ${stageValues.join(', ')}`;
+        } else if (seen.has(step.stage)) {
+          errors.stages = `${label}: ${step.stage} appears more than once`;
+        } else if (!String(step.name || '').trim() || String(step.name).trim().length > limits.stageName) {
+          errors.stages = `${label}: name is required and must be at most ${limits.stageName} characters`;
+        } else if (!Number.isInteger(days) || days < 1 || days > limits.maxDays) {
+          errors.stages = `${label}: duration must be a whole number of days between 1 and ${limits.maxDays}`;
+        } else if (lists.some((items) => items.length > limits.listItems || items.some((item) => item.length > limits.listItem))) {
+          errors.stages = `${label}: deliverables and criteria are limited to ${limits.listItems} items of ${limits.listItem} characters`;
+        } else {
+          const milestoneError = this.validateMilestones(step.milestones);
+          if (milestoneError) errors.stages = `${label}: ${milestoneError}`;
+        }
+        if (errors.stages) break;
+        seen.add(step.stage);
+      }
+    }
+
+    return errors;
+  },
+
+  // The first problem with a stage's milestone list, or null
+  validateMilestones(milestones) {
+    if (milestones === undefined) return null;
+    if (!Array.isArray(milestones)) return 'milestones must be a list';
+    if (milestones.length > this.LIMITS.milestones) return `a stage may require at most ${this.LIMITS.milestones} milestones`;
+
+    for (const milestone of milestones) {
+      const title = String((milestone && milestone.title) || '').trim();
+      if (!milestone || !this.milestoneType(milestone.type)) {
+        return `milestone type must be one of: ${this.MILESTONE_TYPES.map((type) => type.value).join(', ')}`;
+      }
+      if (!title || title.length > this.LIMITS.listItem) {
+        return `milestone titles are required and must be at most ${this.LIMITS.listItem} characters`;
+      }
+      if (milestone.type === 'document_signed' && !String(milestone.documentId || '').trim()) {
+        return `“${title}” must name the document to sign`;
+      }
+    }
+    return null;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartPipeline;
+} else {
+  window.SmartStartPipeline = SmartStartPipeline;
+}
@@ -0,0 +1,96 @@
+/**
+ * SmartStart Roles and Permissions
+ * The ecosystem roles (see ecosystem.html) and what each may do. Shared by the API, which
+ * enforces them, and by the dashboard, which hides actions the signed-in user cannot perform.
+ *
+ * Permissions ending in ":own" apply to ventures the user founded, ":any" to every venture.
+ */
+
+const SmartStartRoles = {
+  DEFAULT_ROLE: 'member',
+
+  ROLES: {
+    member: {
+      label: 'Community Member',
+      permissions: [
+        'ventures:create',
+        'ventures:update:own',
+        'ventures:delete:own'
+      ]
+    },
+    core_builder: {
+      label: 'Core Builder',
+      permissions: [
+        'ventures:create',
+        'ventures:read:any',
+        'ventures:update:own',
+        'ventures:update:any',
+        'ventures:delete:own'
+      ]
+    },
+    advisor: {
+      label: 'Advisor',
+      permissions: [
+        'ventures:read:any'
+      ]
+    },
+    admin: {
+      label: 'Founder/Admin',
+      permissions: [
+        'ventures:create',
+        'ventures:read:any',
+        'ventures:update:own',
+        'ventures:update:any',
+        'ventures:delete:own',
+        'ventures:delete:any',
+        'users:manage',
+        'audit:read:any',
+        'pipelines:manage',
+        'pipelines:override'
+      ]
+    }
+  },
+
+  isRole(role) {
+    return Object.prototype.hasOwnProperty.call(this.ROLES, role);
+  },
+
+  // Unknown or legacy role values get the default role's permissions
+  normalize(role) {
+    return this.isRole(role) ? role : this.DEFAULT_ROLE;
+  },
+
+  label(role) {
+    return this.ROLES[this.normalize(role)].label;
+  },
+
+  permissionsFor(role) {
+    return this.ROLES[this.normalize(role)].permissions.slice();
+  },
+
+  can(user, permission) {
+    return Boolean(user) && this.ROLES[this.normalize(user.role)].permissions.includes(permission);
+  },
+
+  /**
+   * Whether the user may perform `action` ('read', 'update' or 'delete') on a venture.
+   * Founders always read their own ventures.
+   */
+  canOnVenture(user, action, venture) {
+    if (!user || !venture) return false;
+
+    const founderId = venture.founder_id !== undefined ? venture.founder_id : venture.founderId;
+    const isOwner = founderId !== undefined && String(founderId) === String(user.id);
+    if (isOwner && (action === 'read' || this.can(user, `ventures:${action}:own`))) {
+      return true;
+    }
+    return this.can(user, `ventures:${action}:any`);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartRoles;
+} else {
+  window.SmartStartRoles = SmartStartRoles;
+}
@@ -0,0 +1,233 @@
+/**
+ * SmartStart Pipeline Schedule
+ * Planned and actual dates for each stage of a venture's pipeline. The plan lays the stages'
+ * durations out in working days (Monday to Friday) from the day the pipeline started; days the
+ * pipeline was paused are skipped, so a pause moves every later deadline back. Actual dates come
+ * from the journey state (journey-events.js). Shared by the API, the journey tracker and the
+ * dashboard.
+ *
+ * Dates are whole days in UTC, written 'YYYY-MM-DD'; a stage's due date is its last working day.
+ */
+
+const SmartStartSchedule = {
+  STATUSES: [
+    { value: 'on_track', label: 'On track' },
+    { value: 'at_risk', label: 'At risk' },
+    { value: 'overdue', label: 'Overdue' },
+    { value: 'paused', label: 'Paused' },
+    { value: 'completed', label: 'Completed' }
+  ],
+
+  // A stage is at risk once its due date is this many working days away or closer
+  AT_RISK_WORKING_DAYS: 1,
+
+  // Longest burndown series returned, in working days
+  BURNDOWN_MAX_POINTS: 120,
+
+  PAUSE_REASON_MAX_LENGTH: 500,
+
+  DAY_MS: 24 * 60 * 60 * 1000,
+
+  status(value) {
+    return this.STATUSES.find((status) => status.value === value) || { value, label: value };
+  },
+
+  // 'YYYY-MM-DD' of a Date, ISO string or day
+  toDay(value) {
+    return new Date(value).toISOString().slice(0, 10);
+  },
+
+  addDays(day, count) {
+    return this.toDay(new Date(`${day}T00:00:00Z`).getTime() + count * this.DAY_MS);
+  },
+
+  isWorkingDay(day) {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    return weekday !== 0 && weekday !== 6;
+  },
+
+  // `day` itself when it is a working day the pipeline was not paused on, else the next one
+  nextOpenDay(day, blocked = new Set()) {
+    let next = day;
+    while (!this.isWorkingDay(next) || blocked.has(next)) {
+      next = this.addDays(next, 1);
+    }
+    return next;
+  },
+
+  // The open day after `day`
+  followingOpenDay(day, blocked) {
+    return this.nextOpenDay(this.addDays(day, 1), blocked);
+  },
+
+  /**
+   * Working days from `from` to `to`: positive when `to` is later, negative when earlier,
+   * 0 on the same day. Counts the days after `from` up to and including `to`.
+   */
+  workingDaysBetween(from, to) {
+    const sign = to >= from ? 1 : -1;
+    const [start, end] = sign === 1 ? [from, to] : [to, from];
+    let count = 0;
+    for (let day = this.addDays(start, 1); day <= end; day = this.addDays(day, 1)) {
+      if (this.isWorkingDay(day)) count++;
+    }
+    return sign * count;
+  },
+
+  // Working day `count` open days after `day` (count 0 is `day` itself)
+  addWorkingDays(day, count, blocked) {
+    let result = this.nextOpenDay(day, blocked);
+    for (let i = 0; i < count; i++) {
+      result = this.followingOpenDay(result, blocked);
+    }
+    return result;
+  },
+
+  // Working days lost to pauses; a pause still running counts through `today`
+  pausedDays(pauses = [], today) {
+    const blocked = new Set();
+    pauses.forEach((pause) => {
+      const end = pause.to ? this.toDay(pause.to) : this.addDays(today, 1);
+      for (let day = this.toDay(pause.from); day < end; day = this.addDays(day, 1)) {
+        if (this.isWorkingDay(day)) blocked.add(day);
+      }
+    });
+    return blocked;
+  },
+
+  /**
+   * The planned start and due date of every stage: `stages` is [{ stage, name, days }] in order,
+   * `startedAt` when the pipeline started and `blocked` the paused days.
+   */
+  plan(stages, startedAt, blocked = new Set()) {
+    let day = this.nextOpenDay(this.toDay(startedAt), blocked);
+    return stages.map((step) => {
+      const plannedStart = day;
+      const plannedEnd = this.addWorkingDays(plannedStart, Math.max(step.days, 1) - 1, blocked);
+      day = this.followingOpenDay(plannedEnd, blocked);
+      return { stage: step.stage, name: step.name, days: step.days, plannedStart, plannedEnd };
+    });
+  },
+
+  /**
+   * The schedule of a pipeline from its journey state (see SmartStartJourneyEvents). Options:
+   * `now` (defaults to the current time), `startedAt` for pipelines with no events yet, and
+   * `currentStage` where the venture itself says it is, which wins over the state.
+   *
+   * Returns { status, startedAt, plannedEnd, forecastEnd, slipDays, pausedDays, paused,
+   * currentStage, currentDue, stages: [...], burndown: [{ day, ideal, actual }] }.
+   */
+  describe(stages, state, options = {}) {
+    const today = this.toDay(options.now || new Date());
+    const startedAt = state.startedAt || options.startedAt || today;
+    const pauses = state.pauses || [];
+    const blocked = this.pausedDays(pauses, today);
+    const completedStages = state.completedStages || [];
+    const recorded = state.stages || {};
+
+    const planned = this.plan(stages, startedAt, blocked);
+    const currentIndex = options.currentStage !== undefined
+      ? planned.findIndex((step) => step.stage === options.currentStage)
+      : state.completed ? -1 : planned.findIndex((step) => !completedStages.includes(step.stage));
+    const rows = planned.map((step, index) => {
+      const actual = recorded[step.stage] || {};
+      const done = currentIndex === -1 || index < currentIndex;
+      const actualEnd = done && actual.completedAt ? this.toDay(actual.completedAt) : null;
+      return {
+        ...step,
+        status: done ? 'completed' : index === currentIndex ? 'current' : 'upcoming',
+        actualStart: actual.openedAt ? this.toDay(actual.openedAt) : null,
+        actualEnd,
+        // Working days past the due date it was completed on; negative when early
+        varianceDays: actualEnd ? this.workingDaysBetween(step.plannedEnd, actualEnd) : null
+      };
+    });
+
+    const plannedEnd = planned.length > 0 ? planned[planned.length - 1].plannedEnd : this.toDay(startedAt);
+    const current = currentIndex === -1 ? null : rows[currentIndex];
+    let status = 'completed';
+    // A finished pipeline ends on its last completion
+    let forecastEnd = rows.map((row) => row.actualEnd).filter(Boolean).sort().pop() || plannedEnd;
+    if (current) {
+      const remaining = this.workingDaysBetween(today, current.plannedEnd);
+      if (state.paused) status = 'paused';
+      else if (remaining < 0) status = 'overdue';
+      else if (remaining <= this.AT_RISK_WORKING_DAYS) status = 'at_risk';
+      else status = 'on_track';
+
+      // Later stages keep their durations and start once the current stage is done
+      const currentEnd = remaining < 0 ? this.nextOpenDay(today, blocked) : current.plannedEnd;
+      const laterDays = rows.slice(currentIndex + 1).reduce((total, row) => total + Math.max(row.days, 1), 0);
+      forecastEnd = this.addWorkingDays(currentEnd, laterDays, blocked);
+    }
+
+    return {
+      status,
+      startedAt: this.toDay(startedAt),
+      plannedEnd,
+      forecastEnd,
+      slipDays: this.workingDaysBetween(plannedEnd, forecastEnd),
+      pausedDays: blocked.size,
+      paused: state.paused || null,
+      currentStage: current ? current.stage : null,
+      currentDue: current ? current.plannedEnd : null,
+      stages: rows,
+      burndown: this.burndown(rows, blocked, today)
+    };
+  },
+
+  /**
+   * Stage days left after each open day: `ideal` follows the plan, `actual` counts the days of
+   * stages not completed by then (null for days still to come).
+   */
+  burndown(rows, blocked, today) {
+    if (rows.length === 0) return [];
+    const total = rows.reduce((sum, row) => sum + Math.max(row.days, 1), 0);
+    const last = [rows[rows.length - 1].plannedEnd, today]
+      .concat(rows.map((row) => row.actualEnd).filter(Boolean))
+      .sort()
+      .pop();
+
+    const points = [];
+    let plannedDone = 0;
+    for (let day = rows[0].plannedStart; day <= last && points.length < this.BURNDOWN_MAX_POINTS; day = this.followingOpenDay(day, blocked)) {
+      plannedDone = Math.min(plannedDone + 1, total);
+      const completed = rows
+        .filter((row) => row.actualEnd && row.actualEnd <= day)
+        .reduce((sum, row) => sum + Math.max(row.days, 1), 0);
+      points.push({ day, ideal: total - plannedDone, actual: day <= today ? total - completed : null });
+    }
+    return points;
+  },
+
+  // A schedule without its stages and burndown, for lists of ventures
+  overview(schedule) {
+    const current = schedule.stages.find((row) => row.stage === schedule.currentStage);
+    return {
+      status: schedule.status,
+      currentStage: schedule.currentStage,
+      currentStageName: current ? current.name : null,
+      currentDue: schedule.currentDue,
+      plannedEnd: schedule.plannedEnd,
+      forecastEnd: schedule.forecastEnd,
+      slipDays: schedule.slipDays,
+      paused: schedule.paused
+    };
+  },
+
+  // One line for a schedule or its overview, e.g. "At risk · Sprint 0 due 2026-03-04"
+  summary(schedule) {
+    const label = this.status(schedule.status).label;
+    if (schedule.status === 'completed') return label;
+    if (schedule.status === 'paused') return `${label} since ${this.toDay(schedule.paused.since)}`;
+    const name = schedule.currentStageName || this.overview(schedule).currentStageName || schedule.currentStage;
+    return `${label} · ${name} due ${schedule.currentDue}`;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartSchedule;
+} else {
+  window.SmartStartSchedule = SmartStartSchedule;
+}
@@ -0,0 +1,211 @@
+/**
+ * Stage Checklist Modal
+ * Shows the milestones that gate a venture's current pipeline stage and completes the stage
+ * once they are met. The team checks off deliverables; problem statement and signature
+ * milestones follow the venture. Admins may complete a stage with unmet milestones by giving
+ * a reason, which is kept with the journey entry and the audit log.
+ *
+ *   const checklist = new StageChecklistModal({ api: smartStartApi, onCompleted: (pipeline) => {} });
+ *   checklist.open(venture);
+ */
+
+class StageChecklistModal {
+  /**
+   * @param {Object} options
+   * @param {SmartStartApiClient} options.api - client for the venture pipeline endpoints
+   * @param {Function} [options.onCompleted] - called with (pipeline, venture) after a stage is completed
+   * @param {Function} [options.notify] - called with (message, type) when loading fails
+   */
+  constructor(options = {}) {
+    this.api = options.api;
+    this.onCompleted = options.onCompleted || (() => {});
+    this.notify = options.notify || (() => {});
+    this.venture = null;
+    this.pipeline = null;
+    this.element = null;
+    this.saving = false;
+  }
+
+  get stage() {
+    return this.pipeline && this.pipeline.stages.find((stage) => stage.status === 'current');
+  }
+
+  get unmetMilestones() {
+    return this.stage ? this.stage.milestones.filter((milestone) => !milestone.completed) : [];
+  }
+
+  async open(venture) {
+    this.venture = venture;
+    const result = await this.api.request('GET', `/ventures/${venture.id}/pipeline`);
+    if (!result.success) {
+      this.notify(`Could not load the pipeline: ${result.error}`, 'error');
+      return;
+    }
+
+    this.pipeline = result.data;
+    if (!this.stage) {
+      this.notify(`"${venture.name}" has completed its pipeline`, 'info');
+      return;
+    }
+    this.render();
+    document.body.appendChild(this.element);
+    this.element.querySelector('.stage-checklist-close').focus();
+  }
+
+  close() {
+    if (this.element && this.element.parentElement) {
+      this.element.remove();
+    }
+    this.element = null;
+  }
+
+  render() {
+    const escape = SmartStartComponents.escapeHtml;
+    const stage = this.stage;
+    const list = (title, items) => (items.length === 0 ? '' : `
+      <h3>${title}</h3>
+      <ul class="stage-checklist-criteria">${items.map((item) => `<li>${escape(item)}</li>`).join('')}</ul>
+    `);
+
+    const previous = this.element;
+    this.element = document.createElement('div');
+    this.element.className = 'stage-checklist-overlay';
+    this.element.innerHTML = `
+      <div class="stage-checklist-modal" role="dialog" aria-modal="true" aria-labelledby="stage-checklist-title">
+        <div class="stage-checklist-header">
+          <h2 id="stage-checklist-title">${escape(this.venture.name)}: ${escape(stage.name)}</h2>
+          <button type="button" class="stage-checklist-close" aria-label="Close">×</button>
+        </div>
+        <div class="stage-checklist-body">
+          <p class="stage-checklist-hint">${escape(stage.description)} · ${escape(stage.dayRange)}</p>
+          <div class="stage-checklist-error" role="alert" hidden></div>
+          <h3>Milestones</h3>
+          ${this.renderMilestones()}
+          ${list('Deliverables', stage.deliverables || [])}
+          ${list('Exit criteria', stage.exitCriteria || [])}
+          ${this.renderActions()}
+        </div>
+      </div>
+    `;
+
+    this.element.querySelector('.stage-checklist-close').addEventListener('click', () => this.close());
+    this.element.addEventListener('click', (event) => {
+      if (event.target === this.element) this.close();
+    });
+    this.element.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.close();
+    });
+    this.element.querySelectorAll('[data-milestone]').forEach((checkbox) => {
+      checkbox.addEventListener('change', () => this.toggleMilestone(Number(checkbox.dataset.milestone), checkbox.checked));
+    });
+    const complete = this.element.querySelector('[data-action="complete"]');
+    if (complete) complete.addEventListener('click', () => this.complete());
+    const override = this.element.querySelector('[data-action="override"]');
+    if (override) override.addEventListener('click', () => this.complete(true));
+
+    if (previous && previous.parentElement) previous.replaceWith(this.element);
+  }
+
+  renderMilestones() {
+    const escape = SmartStartComponents.escapeHtml;
+    const milestones = this.stage.milestones;
+    if (milestones.length === 0) {
+      return '<p class="stage-checklist-hint">This stage has no milestones to meet.</p>';
+    }
+
+    const canCheck = this.pipeline.permissions.canCheckMilestones;
+    return `<ul class="stage-checklist-milestones">${milestones.map((milestone) => `
+      <li class="${milestone.completed ? 'met' : ''}">
+        <label>
+          <input type="checkbox" ${milestone.completed ? 'checked' : ''}
+            ${milestone.auto || !canCheck ? 'disabled' : `data-milestone="${milestone.id}"`}>
+          ${escape(milestone.title)}
+        </label>
+        ${milestone.auto ? `<small>${milestone.type === 'document_signed'
+          ? 'Met once the founder signs it under Legal documents'
+          : 'Met once the venture has a problem statement'}</small>` : ''}
+      </li>
+    `).join('')}</ul>`;
+  }
+
+  renderActions() {
+    const permissions = this.pipeline.permissions;
+    const unmet = this.unmetMilestones.length;
+    const minLength = SmartStartPipeline.OVERRIDE_REASON_MIN_LENGTH;
+    if (!permissions.canAdvance) return '';
+
+    return `
+      ${unmet > 0 && permissions.canOverride ? `
+      <label class="stage-checklist-override">Override reason
+        <textarea name="override_reason" rows="2" minlength="${minLength}" maxlength="500"
+          placeholder="Why this stage may be completed with ${unmet} unmet milestone${unmet === 1 ? '' : 's'}"></textarea>
+      </label>` : ''}
+      <div class="stage-checklist-actions">
+        ${unmet > 0 && permissions.canOverride
+          ? '<button type="button" class="btn-secondary" data-action="override">Complete with override</button>'
+          : ''}
+        <button type="button" class="btn-primary" data-action="complete" ${unmet > 0 ? 'disabled' : ''}>
+          Complete ${SmartStartComponents.escapeHtml(this.stage.name)}
+        </button>
+      </div>
+    `;
+  }
+
+  showError(message) {
+    const element = this.element && this.element.querySelector('.stage-checklist-error');
+    if (!element) return;
+    element.textContent = message;
+    element.hidden = !message;
+  }
+
+  async toggleMilestone(milestoneId, completed) {
+    const result = await this.api.request('PUT', `/ventures/${this.venture.id}/pipeline/milestones/${milestoneId}`, { completed });
+    if (!result.success) {
+      this.showError(result.error);
+      return;
+    }
+
+    const milestone = this.stage.milestones.find((item) => item.id === milestoneId);
+    Object.assign(milestone, result.data);
+    this.render();
+  }
+
+  async complete(override = false) {
+    if (this.saving) return;
+
+    const body = {};
+    if (override) {
+      const reason = this.element.querySelector('[name="override_reason"]').value.trim();
+      if (reason.length < SmartStartPipeline.OVERRIDE_REASON_MIN_LENGTH) {
+        this.showError(`Give a reason of at least ${SmartStartPipeline.OVERRIDE_REASON_MIN_LENGTH} characters for the override`);
+        return;
+      }
+      body.override = { reason };
+    }
+
+    this.saving = true;
+    try {
+      const result = await this.api.request('POST', `/ventures/${this.venture.id}/pipeline/complete`, body);
+      if (!result.success) {
+        // The milestones may have changed since the checklist was opened
+        if (result.details && result.details.milestones) {
+          const response = await this.api.request('GET', `/ventures/${this.venture.id}/pipeline`);
+          if (response.success) {
+            this.pipeline = response.data;
+            this.render();
+          }
+        }
+        this.showError(result.error);
+        return;
+      }
+
+      this.close();
+      this.onCompleted(result.data.pipeline, this.venture);
+    } finally {
+      this.saving = false;
+    }
+  }
+}
+
+// Export for use in other modules
+window.StageChecklistModal = StageChecklistModal;
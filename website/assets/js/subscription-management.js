@@ -5,7 +5,7 @@
 
 class SubscriptionManagementSystem {
     constructor() {
-        this.apiBaseUrl = 'http://localhost:3344/api';
+        this.api = window.smartStartApi;
         this.userInfo = this.getUserInfo();
         this.currentSubscription = null;
         this.quickbooksConnected = false;
@@ -22,21 +22,12 @@ class SubscriptionManagementSystem {
     }
 
     getUserInfo() {
-        const token = localStorage.getItem('smartstart_token');
-        const user = localStorage.getItem('smartstart_user');
-        
-        if (!token || !user) {
-            this.redirectToLogin();
-            return null;
-        }
-
-        try {
-            return JSON.parse(user);
-        } catch (error) {
-            console.error('Error parsing user info:', error);
+        const user = this.api.getCurrentUser();
+        if (!user) {
             this.redirectToLogin();
             return null;
         }
+        return user;
     }
 
     redirectToLogin() {
@@ -92,18 +83,13 @@ class SubscriptionManagementSystem {
         }
 
         try {
-            const response = await fetch(`${this.apiBaseUrl}/auth/verify`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('smartstart_token')}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-
-            if (!response.ok) {
+            // Expired, tampered or revoked sessions are rejected by the server
+            const user = await this.api.verify();
+            if (!user) {
                 throw new Error('Authentication failed');
             }
 
+            this.userInfo = user;
             console.log('Authentication verified');
         } catch (error) {
             console.error('Authentication error:', error);
@@ -115,12 +101,8 @@ class SubscriptionManagementSystem {
         try {
             console.log('Loading subscription data...');
             
-            const response = await fetch(`${this.apiBaseUrl}/billing/subscriptions`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('smartstart_token')}`,
-                    'Content-Type': 'application/json'
-                }
+            const response = await this.api.fetch('/billing/subscriptions', {
+                method: 'GET'
             });
 
             if (response.ok) {
@@ -185,12 +167,8 @@ class SubscriptionManagementSystem {
     async checkQuickBooksStatus() {
         try {
             // Check if user has QuickBooks customer ID
-            const response = await fetch(`${this.apiBaseUrl}/users/profile`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('smartstart_token')}`,
-                    'Content-Type': 'application/json'
-                }
+            const response = await this.api.fetch('/users/profile', {
+                method: 'GET'
             });
 
             if (response.ok) {
@@ -334,12 +312,8 @@ class SubscriptionManagementSystem {
 
     async createQuickBooksCustomer(address) {
         try {
-            const response = await fetch(`${this.apiBaseUrl}/billing/create-customer`, {
+            const response = await this.api.fetch('/billing/create-customer', {
                 method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('smartstart_token')}`,
-                    'Content-Type': 'application/json'
-                },
                 body: JSON.stringify({ address })
             });
 
@@ -370,12 +344,8 @@ class SubscriptionManagementSystem {
                 'premium': 99
             };
 
-            const response = await fetch(`${this.apiBaseUrl}/billing/create-subscription`, {
+            const response = await this.api.fetch('/billing/create-subscription', {
                 method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('smartstart_token')}`,
-                    'Content-Type': 'application/json'
-                },
                 body: JSON.stringify({
                     plan: plan,
                     price: planPrices[plan],
@@ -448,12 +418,8 @@ class SubscriptionManagementSystem {
         this.showLoading('Cancelling subscription...');
 
         try {
-            const response = await fetch(`${this.apiBaseUrl}/billing/subscription/${this.currentSubscription.id}/cancel`, {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('smartstart_token')}`,
-                    'Content-Type': 'application/json'
-                }
+            const response = await this.api.fetch(`/billing/subscription/${this.currentSubscription.id}/cancel`, {
+                method: 'PUT'
             });
 
             if (response.ok) {
@@ -0,0 +1,429 @@
+/**
+ * Venture Task Board
+ * Kanban board for one venture at a time: Backlog, Doing, Review and Done lanes with
+ * drag-and-drop, assignees from the venture team, due dates, labels and WIP limits,
+ * plus the venture's activity feed. Lanes and field rules come from tasks.js.
+ *
+ *   const board = new TaskBoard({ api: smartStartApi, container, ventureSelect, notify });
+ *   board.setVentures(ventures);
+ */
+
+class TaskBoard {
+  /**
+   * @param {Object} options
+   * @param {SmartStartApiClient} options.api - client for the board endpoints
+   * @param {HTMLElement} options.container - where the board is rendered
+   * @param {HTMLSelectElement} [options.ventureSelect] - picks the venture whose board is shown
+   * @param {Function} [options.notify] - called with (message, type) for success and error messages
+   */
+  constructor(options = {}) {
+    this.api = options.api;
+    this.container = options.container;
+    this.ventureSelect = options.ventureSelect || null;
+    this.notify = options.notify || (() => {});
+    this.ventures = [];
+    this.ventureId = null;
+    this.board = null;
+    this.activity = [];
+    this.draggedTaskId = null;
+    this.modal = null;
+
+    if (this.ventureSelect) {
+      this.ventureSelect.addEventListener('change', () => {
+        this.ventureId = this.ventureSelect.value;
+        this.load();
+      });
+    }
+  }
+
+  /**
+   * Offer these ventures in the picker, keeping the current one when it is still listed
+   */
+  setVentures(ventures) {
+    this.ventures = ventures || [];
+    const ids = this.ventures.map(venture => String(venture.id));
+    if (!ids.includes(String(this.ventureId))) {
+      this.ventureId = ids[0] || null;
+    }
+
+    if (this.ventureSelect) {
+      this.ventureSelect.innerHTML = this.ventures
+        .map(venture => `<option value="${venture.id}">${SmartStartComponents.escapeHtml(venture.name)}</option>`)
+        .join('');
+      this.ventureSelect.value = this.ventureId || '';
+      this.ventureSelect.hidden = this.ventures.length === 0;
+    }
+
+    return this.load();
+  }
+
+  async load() {
+    if (!this.ventureId) {
+      this.board = null;
+      this.container.innerHTML = `
+        <div class="task-board-empty">
+          <p>Create a venture to start planning its tasks.</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.container.setAttribute('aria-busy', 'true');
+    this.container.innerHTML = '<div class="skeleton skeleton-row"></div>'.repeat(3);
+
+    const [board, activity] = await Promise.all([
+      this.api.request('GET', `/ventures/${this.ventureId}/board`),
+      this.api.request('GET', `/ventures/${this.ventureId}/activity?limit=10`)
+    ]);
+    this.container.removeAttribute('aria-busy');
+
+    if (!board.success) {
+      this.container.innerHTML = `
+        <div class="widget-error">
+          <p>Could not load the task board: ${SmartStartComponents.escapeHtml(board.error)}</p>
+          <button class="btn-small" data-action="retry">Retry</button>
+        </div>
+      `;
+      this.container.querySelector('[data-action="retry"]').addEventListener('click', () => this.load());
+      return;
+    }
+
+    this.board = board.data;
+    this.activity = activity.success ? activity.data : [];
+    this.render();
+  }
+
+  assigneeName(assigneeId) {
+    const assignee = this.board.assignees.find(candidate => candidate.id === assigneeId);
+    return assignee ? assignee.name : '';
+  }
+
+  isOverdue(task) {
+    if (!task.due_date || task.lane === 'done') return false;
+    return task.due_date < new Date().toISOString().slice(0, 10);
+  }
+
+  renderTask(task) {
+    const assignee = this.assigneeName(task.assignee_id);
+    const labels = task.labels
+      .map(label => `<span class="task-label">${SmartStartComponents.escapeHtml(label)}</span>`)
+      .join('');
+
+    return `
+      <div class="task-card ${this.isOverdue(task) ? 'is-overdue' : ''}" data-task-id="${task.id}"
+           draggable="${this.board.permissions.canEdit}" tabindex="0">
+        <div class="task-card-title">${SmartStartComponents.escapeHtml(task.title)}</div>
+        ${labels ? `<div class="task-card-labels">${labels}</div>` : ''}
+        <div class="task-card-meta">
+          ${task.due_date ? `<span class="task-due" title="Due date">📅 ${task.due_date}</span>` : '<span></span>'}
+          ${assignee ? `<span class="task-assignee" title="${SmartStartComponents.escapeHtml(assignee)}">${SmartStartComponents.escapeHtml(assignee.charAt(0).toUpperCase())}</span>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  render() {
+    const { lanes, tasks, permissions } = this.board;
+
+    const lanesHtml = lanes.map((lane) => {
+      const laneTasks = tasks
+        .filter(task => task.lane === lane.value)
+        .sort((a, b) => a.position - b.position);
+      const isFull = lane.wipLimit && lane.count >= lane.wipLimit;
+
+      return `
+        <section class="task-lane ${isFull ? 'is-full' : ''}" data-lane="${lane.value}">
+          <header class="task-lane-header">
+            <h3>${lane.label}</h3>
+            <span class="task-lane-count" title="${lane.wipLimit ? 'Tasks / WIP limit' : 'Tasks'}">
+              ${lane.count}${lane.wipLimit ? ` / ${lane.wipLimit}` : ''}
+            </span>
+          </header>
+          <div class="task-lane-body">
+            ${laneTasks.map(task => this.renderTask(task)).join('')}
+          </div>
+        </section>
+      `;
+    }).join('');
+
+    const activityHtml = this.activity.length === 0
+      ? '<p class="task-activity-empty">No activity yet.</p>'
+      : this.activity.map(entry => `
+          <li>
+            <span>${SmartStartComponents.escapeHtml(entry.message)}</span>
+            <time datetime="${entry.created_at}">${new Date(entry.created_at).toLocaleString()}</time>
+          </li>
+        `).join('');
+
+    this.container.innerHTML = `
+      <div class="task-board-toolbar">
+        ${permissions.canEdit ? '<button class="btn-small" data-action="add">+ Add task</button>' : ''}
+        ${permissions.canManage ? '<button class="btn-small" data-action="limits">WIP limits</button>' : ''}
+      </div>
+      <div class="task-board-lanes">${lanesHtml}</div>
+      <div class="task-activity">
+        <h3>Venture activity</h3>
+        <ul>${activityHtml}</ul>
+      </div>
+    `;
+
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    const addButton = this.container.querySelector('[data-action="add"]');
+    if (addButton) addButton.addEventListener('click', () => this.openTaskForm());
+
+    const limitsButton = this.container.querySelector('[data-action="limits"]');
+    if (limitsButton) limitsButton.addEventListener('click', () => this.openLimitsForm());
+
+    this.container.querySelectorAll('.task-card').forEach((card) => {
+      const task = this.board.tasks.find(candidate => String(candidate.id) === card.dataset.taskId);
+      card.addEventListener('click', () => this.openTaskForm(task));
+      card.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') this.openTaskForm(task);
+      });
+      card.addEventListener('dragstart', (event) => {
+        this.draggedTaskId = task.id;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', String(task.id));
+        card.classList.add('is-dragging');
+      });
+      card.addEventListener('dragend', () => {
+        this.draggedTaskId = null;
+        card.classList.remove('is-dragging');
+        this.container.querySelectorAll('.task-lane').forEach(lane => lane.classList.remove('is-drop-target'));
+      });
+    });
+
+    if (!this.board.permissions.canEdit) return;
+
+    this.container.querySelectorAll('.task-lane').forEach((laneElement) => {
+      laneElement.addEventListener('dragover', (event) => {
+        if (this.draggedTaskId === null) return;
+        event.preventDefault();
+        laneElement.classList.add('is-drop-target');
+      });
+      laneElement.addEventListener('dragleave', (event) => {
+        if (!laneElement.contains(event.relatedTarget)) laneElement.classList.remove('is-drop-target');
+      });
+      laneElement.addEventListener('drop', (event) => {
+        event.preventDefault();
+        laneElement.classList.remove('is-drop-target');
+        if (this.draggedTaskId === null) return;
+        this.moveTask(this.draggedTaskId, laneElement.dataset.lane, this.dropPosition(laneElement, event.clientY));
+      });
+    });
+  }
+
+  // Index among the lane's other cards at which a card dropped at clientY lands
+  dropPosition(laneElement, clientY) {
+    const cards = [...laneElement.querySelectorAll('.task-card')]
+      .filter(card => card.dataset.taskId !== String(this.draggedTaskId));
+    const index = cards.findIndex((card) => {
+      const box = card.getBoundingClientRect();
+      return clientY < box.top + box.height / 2;
+    });
+    return index === -1 ? cards.length : index;
+  }
+
+  async moveTask(taskId, lane, position) {
+    const task = this.board.tasks.find(candidate => candidate.id === taskId);
+    const target = this.board.lanes.find(candidate => candidate.value === lane);
+    if (task.lane !== lane && target.wipLimit && target.count >= target.wipLimit) {
+      this.notify(`${target.label} is at its WIP limit of ${target.wipLimit}`, 'error');
+      return;
+    }
+
+    const result = await this.api.request('POST', `/ventures/${this.ventureId}/tasks/${taskId}/move`, { lane, position });
+    if (!result.success) {
+      this.notify(result.error, 'error');
+    }
+    await this.load();
+  }
+
+  // Task create/edit modal
+  openTaskForm(task = null) {
+    const { assignees, permissions } = this.board;
+    const canEdit = permissions.canEdit;
+    const laneOptions = SmartStartTasks.LANES
+      .map(lane => `<option value="${lane.value}" ${(task ? task.lane : 'backlog') === lane.value ? 'selected' : ''}>${lane.label}</option>`)
+      .join('');
+    const assigneeOptions = ['<option value="">Unassigned</option>']
+      .concat(assignees.map(assignee => `
+        <option value="${assignee.id}" ${task && task.assignee_id === assignee.id ? 'selected' : ''}>
+          ${SmartStartComponents.escapeHtml(assignee.name)}${assignee.role === 'founder' ? ' (founder)' : ''}
+        </option>
+      `))
+      .join('');
+
+    this.openModal(task ? 'Edit Task' : 'New Task', `
+      <div class="task-form-error" role="alert" hidden></div>
+      <label>Title *
+        <input name="title" type="text" maxlength="${SmartStartTasks.MAX_TITLE_LENGTH}" value="${SmartStartComponents.escapeHtml(task ? task.title : '')}" ${canEdit ? '' : 'disabled'}>
+      </label>
+      <label>Description
+        <textarea name="description" rows="3" maxlength="${SmartStartTasks.MAX_DESCRIPTION_LENGTH}" ${canEdit ? '' : 'disabled'}>${SmartStartComponents.escapeHtml(task ? task.description : '')}</textarea>
+      </label>
+      <div class="task-form-row">
+        <label>Lane
+          <select name="lane" ${canEdit ? '' : 'disabled'}>${laneOptions}</select>
+        </label>
+        <label>Assignee
+          <select name="assignee_id" ${canEdit ? '' : 'disabled'}>${assigneeOptions}</select>
+        </label>
+      </div>
+      <div class="task-form-row">
+        <label>Due date
+          <input name="due_date" type="date" value="${task && task.due_date ? task.due_date : ''}" ${canEdit ? '' : 'disabled'}>
+        </label>
+        <label>Labels
+          <input name="labels" type="text" placeholder="design, research" value="${SmartStartComponents.escapeHtml(task ? task.labels.join(', ') : '')}" ${canEdit ? '' : 'disabled'}>
+        </label>
+      </div>
+      <div class="task-modal-actions">
+        ${task && canEdit ? '<button type="button" class="btn-small btn-danger" data-action="delete">Delete</button>' : ''}
+        <button type="button" class="btn-secondary" data-action="cancel">${canEdit ? 'Cancel' : 'Close'}</button>
+        ${canEdit ? `<button type="submit" class="btn-primary">${task ? 'Save' : 'Add task'}</button>` : ''}
+      </div>
+    `, (form) => this.saveTask(form, task));
+
+    const deleteButton = this.modal.querySelector('[data-action="delete"]');
+    if (deleteButton) deleteButton.addEventListener('click', () => this.deleteTask(task));
+  }
+
+  async saveTask(form, task) {
+    const fields = {
+      title: form.elements.title.value.trim(),
+      description: form.elements.description.value.trim(),
+      assignee_id: form.elements.assignee_id.value ? Number(form.elements.assignee_id.value) : null,
+      due_date: form.elements.due_date.value,
+      labels: SmartStartTasks.normalizeLabels(form.elements.labels.value)
+    };
+    const lane = form.elements.lane.value;
+
+    const errors = SmartStartTasks.validate({ ...fields, lane }, { requireTitle: true });
+    if (Object.keys(errors).length > 0) {
+      this.showFormError(Object.values(errors)[0]);
+      return;
+    }
+
+    const result = task
+      ? await this.api.request('PUT', `/ventures/${this.ventureId}/tasks/${task.id}`, fields)
+      : await this.api.request('POST', `/ventures/${this.ventureId}/tasks`, { ...fields, lane });
+    if (!result.success) {
+      this.showFormError(result.error);
+      return;
+    }
+
+    // A changed lane in the edit form is a move, recorded like a drag
+    if (task && lane !== task.lane) {
+      const moved = await this.api.request('POST', `/ventures/${this.ventureId}/tasks/${task.id}/move`, { lane });
+      if (!moved.success) {
+        this.showFormError(moved.error);
+        return;
+      }
+    }
+
+    this.closeModal();
+    this.notify(task ? 'Task updated' : 'Task added', 'success');
+    await this.load();
+  }
+
+  async deleteTask(task) {
+    if (!confirm(`Delete the task "${task.title}"?`)) return;
+
+    const result = await this.api.request('DELETE', `/ventures/${this.ventureId}/tasks/${task.id}`);
+    if (!result.success) {
+      this.showFormError(result.error);
+      return;
+    }
+    this.closeModal();
+    this.notify('Task deleted', 'success');
+    await this.load();
+  }
+
+  openLimitsForm() {
+    const inputs = this.board.lanes.map(lane => `
+      <label>${lane.label}
+        <input name="${lane.value}" type="number" min="0" step="1" placeholder="No limit" value="${lane.wipLimit || ''}">
+      </label>
+    `).join('');
+
+    this.openModal('WIP Limits', `
+      <p class="task-modal-hint">The most tasks each lane may hold at once. Leave empty for no limit.</p>
+      <div class="task-form-error" role="alert" hidden></div>
+      <div class="task-form-row task-form-limits">${inputs}</div>
+      <div class="task-modal-actions">
+        <button type="button" class="btn-secondary" data-action="cancel">Cancel</button>
+        <button type="submit" class="btn-primary">Save limits</button>
+      </div>
+    `, async (form) => {
+      const limits = {};
+      this.board.lanes.forEach((lane) => {
+        const value = form.elements[lane.value].value;
+        limits[lane.value] = value === '' ? null : Number(value);
+      });
+
+      const result = await this.api.request('PUT', `/ventures/${this.ventureId}/board/wip-limits`, { limits });
+      if (!result.success) {
+        this.showFormError(result.error);
+        return;
+      }
+      this.closeModal();
+      this.notify('WIP limits saved', 'success');
+      await this.load();
+    });
+  }
+
+  openModal(title, body, onSubmit) {
+    this.closeModal();
+
+    this.modal = document.createElement('div');
+    this.modal.className = 'task-modal-overlay';
+    this.modal.innerHTML = `
+      <div class="task-modal" role="dialog" aria-modal="true" aria-label="${title}">
+        <div class="task-modal-header">
+          <h2>${title}</h2>
+          <button type="button" class="task-modal-close" aria-label="Close">×</button>
+        </div>
+        <form class="task-form" novalidate>${body}</form>
+      </div>
+    `;
+
+    const form = this.modal.querySelector('form');
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      onSubmit(form);
+    });
+    this.modal.querySelector('.task-modal-close').addEventListener('click', () => this.closeModal());
+    this.modal.querySelector('[data-action="cancel"]').addEventListener('click', () => this.closeModal());
+    this.modal.addEventListener('click', (event) => {
+      if (event.target === this.modal) this.closeModal();
+    });
+    this.modal.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.closeModal();
+    });
+
+    document.body.appendChild(this.modal);
+    const firstInput = form.querySelector('input:not([disabled]), select:not([disabled])');
+    if (firstInput) firstInput.focus();
+  }
+
+  showFormError(message) {
+    const element = this.modal && this.modal.querySelector('.task-form-error');
+    if (!element) return;
+    element.textContent = message;
+    element.hidden = !message;
+  }
+
+  closeModal() {
+    if (this.modal) {
+      this.modal.remove();
+      this.modal = null;
+    }
+  }
+}
+
+// Export for use in other modules
+window.TaskBoard = TaskBoard;
@@ -0,0 +1,100 @@
+/**
+ * SmartStart Task Board
+ * Lanes, default WIP limits and task field rules, shared by the API, which enforces them,
+ * and by the dashboard task board, which renders them.
+ */
+
+const SmartStartTasks = {
+  LANES: [
+    { value: 'backlog', label: 'Backlog' },
+    { value: 'doing', label: 'Doing' },
+    { value: 'review', label: 'Review' },
+    { value: 'done', label: 'Done' }
+  ],
+
+  // Lanes without an entry (or with null) take any number of tasks
+  DEFAULT_WIP_LIMITS: {
+    doing: 3,
+    review: 2
+  },
+
+  MAX_TITLE_LENGTH: 140,
+  MAX_DESCRIPTION_LENGTH: 2000,
+  MAX_LABELS: 8,
+  MAX_LABEL_LENGTH: 24,
+
+  laneValues() {
+    return this.LANES.map((lane) => lane.value);
+  },
+
+  laneLabel(value) {
+    const lane = this.LANES.find((item) => item.value === value);
+    return lane ? lane.label : value;
+  },
+
+  /**
+   * WIP limit per lane: stored limits (rows of { lane, wip_limit }) override the defaults
+   */
+  wipLimits(stored = []) {
+    const limits = {};
+    this.laneValues().forEach((lane) => {
+      limits[lane] = this.DEFAULT_WIP_LIMITS[lane] || null;
+    });
+    stored.forEach((row) => {
+      if (row.lane in limits) limits[row.lane] = row.wip_limit || null;
+    });
+    return limits;
+  },
+
+  // Labels arrive as an array or a comma-separated string; keep them trimmed and unique
+  normalizeLabels(labels) {
+    const list = Array.isArray(labels) ? labels : String(labels || '').split(',');
+    return [...new Set(list.map((label) => String(label).trim()).filter(Boolean))];
+  },
+
+  /**
+   * Check task fields. Only fields that are present are checked, except that
+   * `requireTitle` insists on a title (for new tasks).
+   * Returns an object of { field: message }, empty when everything is valid.
+   */
+  validate(fields, options = {}) {
+    const errors = {};
+
+    if (fields.title !== undefined || options.requireTitle) {
+      const title = String(fields.title || '').trim();
+      if (!title) {
+        errors.title = 'Task title is required';
+      } else if (title.length > this.MAX_TITLE_LENGTH) {
+        errors.title = `Must be ${this.MAX_TITLE_LENGTH} characters or fewer`;
+      }
+    }
+    if (fields.description && String(fields.description).length > this.MAX_DESCRIPTION_LENGTH) {
+      errors.description = `Must be ${this.MAX_DESCRIPTION_LENGTH} characters or fewer`;
+    }
+    if (fields.lane !== undefined && !this.laneValues().includes(fields.lane)) {
+      errors.lane = `Invalid lane. Expected one of: ${this.laneValues().join(', ')}`;
+    }
+    if (fields.due_date && !/^\d{4}-\d{2}-\d{2}$/.test(fields.due_date)) {
+      errors.due_date = 'Due date must be a date (YYYY-MM-DD)';
+    } else if (fields.due_date && Number.isNaN(new Date(`${fields.due_date}T00:00:00Z`).getTime())) {
+      errors.due_date = 'Due date is not a valid date';
+    }
+    if (fields.labels !== undefined) {
+      const labels = this.normalizeLabels(fields.labels);
+      if (labels.length > this.MAX_LABELS) {
+        errors.labels = `Use at most ${this.MAX_LABELS} labels`;
+      } else if (labels.some((label) => label.length > this.MAX_LABEL_LENGTH)) {
+        errors.labels = `Labels must be ${this.MAX_LABEL_LENGTH} characters or fewer`;
+      }
+    }
+
+    return errors;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartTasks;
+} else {
+  window.SmartStartTasks = SmartStartTasks;
+}
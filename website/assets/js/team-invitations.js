@@ -0,0 +1,98 @@
+/**
+ * Team Invitations Panel
+ * The dashboard's "Team Invitations" widget: invitations to join a venture's team that were
+ * sent to the user's email, or opened from an invitation link as ?teamInvite=<token>. Reads and
+ * writes /api/team/invitations; the roles live in team.js.
+ *
+ *   const panel = new TeamInvitationsPanel({ api: smartStartApi, container });
+ */
+
+class TeamInvitationsPanel {
+  /**
+   * @param {Object} options
+   * @param {SmartStartApiClient} options.api - client for the team invitation endpoints
+   * @param {HTMLElement} options.container - where the panel is rendered
+   * @param {Function} [options.notify] - called with (message, type) after actions
+   * @param {Function} [options.onJoined] - called with (invitation) after joining a team
+   * @param {string} [options.inviteToken] - an invitation link's token to show first
+   */
+  constructor(options = {}) {
+    this.api = options.api;
+    this.container = options.container;
+    this.notify = options.notify || (() => {});
+    this.onJoined = options.onJoined || (() => {});
+    this.inviteToken = options.inviteToken || null;
+    this.invitations = [];
+
+    this.load();
+  }
+
+  async load() {
+    const result = await this.api.request('GET', '/team/invitations');
+    if (!result.success) {
+      this.render(`Could not load your team invitations: ${result.error}`);
+      return;
+    }
+    this.invitations = result.data;
+
+    // A link invitation has no email, and one sent to another address can still be accepted
+    let error = '';
+    if (this.inviteToken && !this.invitations.some(invitation => invitation.token === this.inviteToken)) {
+      const invitation = await this.api.request('GET', `/team/invitations/${encodeURIComponent(this.inviteToken)}`);
+      if (invitation.success && invitation.data.status === 'invited') {
+        this.invitations.unshift({ ...invitation.data, token: this.inviteToken });
+      } else if (!invitation.success) {
+        error = `This invitation link does not work: ${invitation.error}`;
+      }
+    }
+    this.render(error);
+  }
+
+  render(error = '') {
+    const escape = SmartStartComponents.escapeHtml;
+
+    this.container.innerHTML = `
+      ${this.invitations.map(invitation => `
+        <div class="team-invitation">
+          <p>${invitation.founder ? `${escape(invitation.founder)} invited you` : 'You are invited'} to join <strong>${escape(invitation.venture.name)}</strong>
+            as ${escape(SmartStartTeam.roleLabel(invitation.role))}${invitation.email ? ` (sent to ${escape(invitation.email)})` : ''}.</p>
+          ${invitation.venture.description ? `<small>${escape(invitation.venture.description)}</small>` : ''}
+          <div class="team-invitation-actions">
+            <button type="button" class="btn-small" data-action="accept" data-token="${escape(invitation.token)}">Join</button>
+            ${invitation.email ? `<button type="button" class="btn-small" data-action="decline" data-token="${escape(invitation.token)}">Decline</button>` : ''}
+          </div>
+        </div>`).join('')}
+      ${this.invitations.length === 0 ? '<p class="team-invitation-hint">No open invitations. Founders send their teammates an invitation link.</p>' : ''}
+      <p class="team-invitation-error" role="alert" ${error ? '' : 'hidden'}>${escape(error)}</p>
+    `;
+
+    this.container.querySelectorAll('[data-action]').forEach((button) => {
+      button.addEventListener('click', () => this[button.dataset.action](button.dataset));
+    });
+  }
+
+  async answer(token, answer) {
+    const result = await this.api.request('POST', `/team/invitations/${encodeURIComponent(token)}/${answer}`);
+    if (!result.success) {
+      this.render(`Could not answer the invitation: ${result.error}`);
+      return;
+    }
+    if (token === this.inviteToken) this.inviteToken = null;
+    this.notify(answer === 'accept'
+      ? `You joined the team of "${result.data.venture.name}"`
+      : `Declined to join "${result.data.venture.name}"`, 'success');
+    await this.load();
+    if (answer === 'accept') this.onJoined(result.data);
+  }
+
+  accept({ token }) {
+    return this.answer(token, 'accept');
+  }
+
+  decline({ token }) {
+    return this.answer(token, 'decline');
+  }
+}
+
+// Export for use in other modules
+window.TeamInvitationsPanel = TeamInvitationsPanel;
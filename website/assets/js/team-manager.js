@@ -0,0 +1,256 @@
+/**
+ * Team Manager Modal
+ * A venture's team: the founder and members with their roles and statuses, invitations by
+ * email or as a link, and removing members. Members who are not managers see the team and
+ * can leave it. Reads and writes /api/ventures/:id/team; the rules live in team.js.
+ *
+ *   const manager = new TeamManagerModal({ api: smartStartApi, notify: (message, type) => {} });
+ *   manager.open(venture);
+ */
+
+class TeamManagerModal {
+  /**
+   * @param {Object} options
+   * @param {SmartStartApiClient} options.api - client for the venture team endpoints
+   * @param {Function} [options.notify] - called with (message, type) after actions
+   * @param {Function} [options.onChanged] - called with (team, venture) after the team changed
+   * @param {Function} [options.onLeft] - called with (venture) after the user left the team
+   */
+  constructor(options = {}) {
+    this.api = options.api;
+    this.notify = options.notify || (() => {});
+    this.onChanged = options.onChanged || (() => {});
+    this.onLeft = options.onLeft || (() => {});
+    this.venture = null;
+    this.team = null;
+    this.element = null;
+    this.saving = false;
+  }
+
+  static options(list, selected) {
+    const escape = SmartStartComponents.escapeHtml;
+    return list
+      .map(item => `<option value="${escape(item.value)}" ${item.value === selected ? 'selected' : ''}>${escape(item.label)}</option>`)
+      .join('');
+  }
+
+  get endpoint() {
+    return `/ventures/${this.venture.id}/team`;
+  }
+
+  async open(venture) {
+    this.venture = venture;
+    const error = await this.load();
+    if (error) {
+      this.notify(`Could not load the team: ${error}`, 'error');
+      return;
+    }
+
+    this.render();
+    document.body.appendChild(this.element);
+    this.element.querySelector('.team-manager-close').focus();
+  }
+
+  close() {
+    if (this.element && this.element.parentElement) {
+      this.element.remove();
+    }
+    this.element = null;
+  }
+
+  // Resolves with an error message on failure
+  async load() {
+    const result = await this.api.request('GET', this.endpoint);
+    if (!result.success) return result.error;
+    this.team = result.data;
+    return null;
+  }
+
+  async reload() {
+    const error = await this.load();
+    this.render();
+    if (error) this.showError(error);
+  }
+
+  memberName(member) {
+    return member.name || member.email || 'Invitation link';
+  }
+
+  // The member's email under their name, and when they were invited, joined or left
+  memberDetails(member) {
+    const date = (value) => new Date(value).toLocaleDateString();
+    const since = {
+      invited: member.invited_at ? `invited ${date(member.invited_at)}` : null,
+      active: member.joined_at ? `joined ${date(member.joined_at)}` : null,
+      left: member.left_at ? `left ${date(member.left_at)}` : null
+    }[member.status];
+    return [member.name ? member.email : null, since].filter(Boolean).join(' · ');
+  }
+
+  render() {
+    const escape = SmartStartComponents.escapeHtml;
+    const Team = SmartStartTeam;
+    const { founder, members, counts, permissions } = this.team;
+    const canManage = permissions.canManage;
+    // Only the statuses a member may move to are offered; members who left can be invited again
+    const statuses = (member) => Team.STATUSES.filter(status => !Team.validateChange(member, { status: status.value }).status);
+
+    const previous = this.element;
+    this.element = document.createElement('div');
+    this.element.className = 'team-manager-overlay';
+    this.element.innerHTML = `
+      <div class="team-manager-modal" role="dialog" aria-modal="true" aria-labelledby="team-manager-title">
+        <div class="team-manager-header">
+          <h2 id="team-manager-title">${escape(this.venture.name)}: Team</h2>
+          <button type="button" class="team-manager-close" aria-label="Close">×</button>
+        </div>
+        <div class="team-manager-body">
+          <div class="team-manager-error" role="alert" hidden></div>
+          <p class="team-manager-hint">
+            ${counts.active} active, ${counts.invited} invited${counts.left > 0 ? `, ${counts.left} left` : ''}.
+            Active members can open the venture and work on its board.
+          </p>
+          <ul class="team-manager-list">
+            ${founder ? `
+              <li>
+                <div class="team-manager-member">
+                  <strong>${escape(founder.name)}</strong>
+                  <span class="team-manager-chip status-active">Founder</span>
+                  <small>${escape(founder.email)}</small>
+                </div>
+              </li>` : ''}
+            ${members.map(member => `
+              <li class="${member.status}">
+                <div class="team-manager-member">
+                  <strong>${escape(this.memberName(member))}</strong>
+                  ${canManage ? `
+                    <select data-action="setRole" data-id="${member.id}" aria-label="Role of ${escape(this.memberName(member))}">${TeamManagerModal.options(Team.ROLES, member.role)}</select>
+                    <select data-action="setStatus" data-id="${member.id}" aria-label="Status of ${escape(this.memberName(member))}">${TeamManagerModal.options(statuses(member), member.status)}</select>
+                    <button type="button" class="btn-small btn-danger" data-action="remove" data-id="${member.id}">Remove</button>` : `
+                    <span class="team-manager-chip">${escape(Team.roleLabel(member.role))}</span>
+                    <span class="team-manager-chip status-${member.status}">${escape(Team.statusLabel(member.status))}</span>`}
+                </div>
+                <small>${escape(this.memberDetails(member))}</small>
+                ${member.invite_url ? `
+                  <label class="team-manager-link">Invitation link
+                    <input type="text" readonly value="${escape(member.invite_url)}">
+                  </label>` : ''}
+              </li>`).join('')}
+          </ul>
+          ${members.length === 0 ? '<p class="team-manager-hint">No team members yet.</p>' : ''}
+          ${canManage ? `
+            <form class="team-manager-form" data-submit="invite">
+              <h3>Invite someone</h3>
+              <input type="email" name="email" placeholder="teammate@example.com (optional)" aria-label="Email">
+              <select name="role" aria-label="Role">${TeamManagerModal.options(Team.ROLES, Team.DEFAULT_ROLE)}</select>
+              <button type="submit" class="btn-primary">Invite</button>
+            </form>
+            <p class="team-manager-hint">With an email the invitation also shows up on their dashboard. Without one you get a link anyone signed in can accept once.</p>` : ''}
+          ${permissions.canLeave ? `
+            <div class="team-manager-actions">
+              <button type="button" class="btn-secondary btn-danger" data-action="leave">Leave team</button>
+            </div>` : ''}
+        </div>
+      </div>
+    `;
+
+    this.element.querySelector('.team-manager-close').addEventListener('click', () => this.close());
+    this.element.addEventListener('click', (event) => {
+      if (event.target === this.element) this.close();
+    });
+    this.element.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.close();
+    });
+    this.element.querySelectorAll('[data-action]').forEach((control) => {
+      control.addEventListener(control.tagName === 'SELECT' ? 'change' : 'click', () => {
+        // Selects hand themselves over; buttons hand over the id of what they act on
+        this[control.dataset.action](control.tagName === 'SELECT' ? control : Number(control.dataset.id));
+      });
+    });
+    this.element.querySelectorAll('form[data-submit]').forEach((form) => {
+      form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        this[form.dataset.submit](form);
+      });
+    });
+    this.element.querySelectorAll('.team-manager-link input').forEach((input) => {
+      input.addEventListener('focus', () => input.select());
+    });
+
+    if (previous && previous.parentElement) previous.replaceWith(this.element);
+  }
+
+  showError(message) {
+    const element = this.element && this.element.querySelector('.team-manager-error');
+    if (!element) return;
+    element.textContent = message;
+    element.hidden = !message;
+  }
+
+  // Send a change and reload; resolves with the result, or null when the API refused it
+  async submit(method, endpoint, body = null, success = null) {
+    if (this.saving) return null;
+    this.saving = true;
+    try {
+      const result = await this.api.request(method, `${this.endpoint}${endpoint}`, body);
+      if (!result.success) {
+        this.showError(result.error);
+        return null;
+      }
+      await this.reload();
+      if (success) this.notify(success, 'success');
+      this.onChanged(this.team, this.venture);
+      return result;
+    } finally {
+      this.saving = false;
+    }
+  }
+
+  async invite(form) {
+    const email = form.elements.email.value.trim();
+    const role = form.elements.role.value;
+    await this.submit('POST', '/invitations', { email: email || undefined, role }, email
+      ? `Invited ${email}; they can also open the invitation link`
+      : 'Created an invitation link; send it to your teammate');
+  }
+
+  async setRole(select) {
+    await this.submit('PUT', `/${select.dataset.id}`, { role: select.value });
+  }
+
+  async setStatus(select) {
+    const member = this.team.members.find(item => item.id === Number(select.dataset.id));
+    if (select.value === 'left' && !window.confirm(`Mark ${this.memberName(member)} as having left? They lose access to the venture.`)) {
+      select.value = member.status;
+      return;
+    }
+    await this.submit('PUT', `/${select.dataset.id}`, { status: select.value });
+  }
+
+  async remove(memberId) {
+    const member = this.team.members.find(item => item.id === memberId);
+    if (!window.confirm(`Remove ${this.memberName(member)} from the team? Their access and any invitation link stop working.`)) return;
+    await this.submit('DELETE', `/${memberId}`, null, `Removed ${this.memberName(member)} from the team`);
+  }
+
+  async leave() {
+    if (!window.confirm(`Leave the team of "${this.venture.name}"? You lose access to the venture until you are invited again.`)) return;
+    if (this.saving) return;
+    this.saving = true;
+    try {
+      const result = await this.api.request('POST', `${this.endpoint}/leave`);
+      if (!result.success) {
+        this.showError(result.error);
+        return;
+      }
+      this.close();
+      this.notify(`You left the team of "${this.venture.name}"`, 'success');
+      this.onLeft(this.venture);
+    } finally {
+      this.saving = false;
+    }
+  }
+}
+
+// Export for use in other modules
+window.TeamManagerModal = TeamManagerModal;
@@ -0,0 +1,95 @@
+/**
+ * SmartStart Venture Teams
+ * The roles people take on a venture's team and the life of a membership: invited (by email
+ * or with an invitation link), active once they accept, and left. Shared by the API, which
+ * enforces them, and by the dashboard's team manager and invitations panel, which render them.
+ * The founder is not a member row; they own the venture.
+ */
+
+const SmartStartTeam = {
+  ROLES: [
+    { value: 'cofounder', label: 'Co-founder' },
+    { value: 'engineer', label: 'Engineer' },
+    { value: 'designer', label: 'Designer' },
+    { value: 'growth', label: 'Growth & marketing' },
+    { value: 'operations', label: 'Operations' },
+    { value: 'advisor', label: 'Advisor' },
+    { value: 'contributor', label: 'Contributor' }
+  ],
+
+  DEFAULT_ROLE: 'contributor',
+
+  // Only active members may read the venture and work on its board
+  STATUSES: [
+    { value: 'invited', label: 'Invited' },
+    { value: 'active', label: 'Active' },
+    { value: 'left', label: 'Left' }
+  ],
+
+  roleValues() {
+    return this.ROLES.map((role) => role.value);
+  },
+
+  statusValues() {
+    return this.STATUSES.map((status) => status.value);
+  },
+
+  // Unknown values (rows from before roles were listed) are shown as they are
+  label(list, value) {
+    const item = list.find((entry) => entry.value === value);
+    return item ? item.label : value;
+  },
+
+  roleLabel(value) {
+    return this.label(this.ROLES, value);
+  },
+
+  statusLabel(value) {
+    return this.label(this.STATUSES, value);
+  },
+
+  /**
+   * Check an invitation: { email?, role? }. Without an email the invitation is a link anyone
+   * signed in can accept once. Returns { field: message }, empty when everything is valid.
+   */
+  validateInvitation(fields) {
+    const errors = {};
+    const email = String(fields.email || '').trim();
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      errors.email = 'Enter a valid email address, or leave it empty for an invitation link';
+    }
+    if (fields.role !== undefined && !this.roleValues().includes(fields.role)) {
+      errors.role = `Invalid role. Expected one of: ${this.roleValues().join(', ')}`;
+    }
+    return errors;
+  },
+
+  /**
+   * Check a change to a member: { role?, status? } against the member as it is. Someone who
+   * never accepted an invitation cannot be made active, and only a member who left can be
+   * invited again (which gives them a new link).
+   */
+  validateChange(member, fields) {
+    const errors = {};
+    if (fields.role !== undefined && !this.roleValues().includes(fields.role)) {
+      errors.role = `Invalid role. Expected one of: ${this.roleValues().join(', ')}`;
+    }
+    if (fields.status !== undefined && fields.status !== member.status) {
+      if (!this.statusValues().includes(fields.status)) {
+        errors.status = `Invalid status. Expected one of: ${this.statusValues().join(', ')}`;
+      } else if (fields.status === 'active' && !member.user_id) {
+        errors.status = 'Only someone who accepted their invitation can be active';
+      } else if (fields.status === 'invited' && member.status !== 'left') {
+        errors.status = 'Only members who left can be invited again';
+      }
+    }
+    return errors;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartTeam;
+} else {
+  window.SmartStartTeam = SmartStartTeam;
+}
@@ -0,0 +1,310 @@
+/**
+ * Venture Form Modal
+ * Create and edit ventures in a modal form instead of prompt() dialogs. Validates fields with
+ * the shared venture rules (ventures.js), offers stage and status as dropdowns, keeps a draft
+ * in localStorage while the user types, and shows server errors next to the fields. New ventures
+ * pick the pipeline template they run; stages are offered from that template. Later stages are
+ * reached by completing the pipeline, so editing only offers the current and earlier stages.
+ *
+ *   const form = new VentureFormModal({ api: smartStartApi, onSaved: (venture, mode) => {} });
+ *   form.open();          // new venture
+ *   form.open(venture);   // edit an existing venture
+ */
+
+class VentureFormModal {
+  /**
+   * @param {Object} options
+   * @param {SmartStartApiClient} options.api - client used to save the venture
+   * @param {Function} [options.onSaved] - called with (venture, 'create' | 'edit') after a save
+   * @param {Function} [options.onDraftSaved] - called when the user saves a draft and closes the form
+   * @param {Storage} [options.draftStorage] - where drafts are kept, defaults to localStorage
+   * @param {Array} [options.templates] - pipeline templates new ventures may run (GET /pipeline-templates)
+   * @param {boolean} [options.canSkipStages] - whether new ventures may start past the first stage (admins)
+   */
+  constructor(options = {}) {
+    this.api = options.api;
+    this.onSaved = options.onSaved || (() => {});
+    this.onDraftSaved = options.onDraftSaved || (() => {});
+    this.draftStorage = options.draftStorage || localStorage;
+    this.templates = options.templates || [];
+    this.canSkipStages = Boolean(options.canSkipStages);
+    this.venture = null;
+    this.element = null;
+    this.saving = false;
+  }
+
+  static get DRAFT_PREFIX() {
+    return 'smartstart_venture_draft_';
+  }
+
+  static get FIELDS() {
+    return ['name', 'description', 'problem_statement', 'target_market', 'stage', 'status'];
+  }
+
+  get mode() {
+    return this.venture ? 'edit' : 'create';
+  }
+
+  // The template whose stages the form offers: the venture's own, or the one picked for a new venture
+  get template() {
+    if (this.venture && this.venture.pipeline_template) return this.venture.pipeline_template;
+    const select = this.element && this.element.querySelector('[name="pipeline_template"]');
+    const key = select ? select.value : SmartStartPipeline.DEFAULT_TEMPLATE_KEY;
+    return this.templates.find((template) => template.key === key) || SmartStartPipeline.defaultTemplate();
+  }
+
+  get draftKey() {
+    return `${VentureFormModal.DRAFT_PREFIX}${this.venture ? this.venture.id : 'new'}`;
+  }
+
+  /**
+   * Open the form, empty for a new venture or filled from `venture`.
+   * A saved draft for the same venture takes precedence and can be discarded.
+   */
+  open(venture = null) {
+    this.venture = venture;
+    this.render();
+
+    const draft = this.loadDraft();
+    this.fill(draft || this.venture || {});
+    this.element.querySelector('.venture-form-draft-notice').hidden = !draft;
+
+    document.body.appendChild(this.element);
+    this.element.querySelector('#venture-name').focus();
+  }
+
+  close() {
+    if (this.element && this.element.parentElement) {
+      this.element.remove();
+    }
+  }
+
+  render() {
+    const title = this.mode === 'edit' ? 'Edit Venture' : 'Create Venture';
+    const options = (items) => items
+      .map((item) => `<option value="${item.value}">${item.label}</option>`)
+      .join('');
+    const limits = SmartStartVentures.TEXT_FIELDS;
+
+    this.element = document.createElement('div');
+    this.element.className = 'venture-form-overlay';
+    this.element.innerHTML = `
+      <div class="venture-form-modal" role="dialog" aria-modal="true" aria-labelledby="venture-form-title">
+        <div class="venture-form-header">
+          <h2 id="venture-form-title">${title}</h2>
+          <button type="button" class="venture-form-close" aria-label="Close">×</button>
+        </div>
+        <form class="venture-form" novalidate>
+          <div class="venture-form-draft-notice" hidden>
+            Restored your unsaved draft.
+            <button type="button" class="venture-form-discard">Discard draft</button>
+          </div>
+          <div class="venture-form-error" role="alert" hidden></div>
+
+          <div class="venture-form-field">
+            <label for="venture-name">Name *</label>
+            <input id="venture-name" name="name" type="text" maxlength="${limits.name}" required>
+            <p class="venture-form-field-error" data-error-for="name"></p>
+          </div>
+          <div class="venture-form-field">
+            <label for="venture-description">Description</label>
+            <textarea id="venture-description" name="description" rows="3" maxlength="${limits.description}"></textarea>
+            <p class="venture-form-field-error" data-error-for="description"></p>
+          </div>
+          <div class="venture-form-field">
+            <label for="venture-problem">Problem statement</label>
+            <textarea id="venture-problem" name="problem_statement" rows="3" maxlength="${limits.problem_statement}"></textarea>
+            <p class="venture-form-field-error" data-error-for="problem_statement"></p>
+          </div>
+          <div class="venture-form-field">
+            <label for="venture-market">Target market</label>
+            <input id="venture-market" name="target_market" type="text" maxlength="${limits.target_market}">
+            <p class="venture-form-field-error" data-error-for="target_market"></p>
+          </div>
+          <div class="venture-form-field">
+            <label for="venture-pipeline">Pipeline</label>
+            <select id="venture-pipeline" name="pipeline_template" ${this.mode === 'edit' ? 'disabled' : ''}>${this.templateOptions()}</select>
+            <p class="venture-form-field-error" data-error-for="pipeline_template"></p>
+          </div>
+          <div class="venture-form-row">
+            <div class="venture-form-field">
+              <label for="venture-stage">Stage</label>
+              <select id="venture-stage" name="stage"></select>
+              <p class="venture-form-field-error" data-error-for="stage"></p>
+            </div>
+            <div class="venture-form-field">
+              <label for="venture-status">Status</label>
+              <select id="venture-status" name="status">${options(SmartStartVentures.STATUSES)}</select>
+              <p class="venture-form-field-error" data-error-for="status"></p>
+            </div>
+          </div>
+
+          <div class="venture-form-actions">
+            <button type="button" class="btn-secondary venture-form-save-draft">Save draft</button>
+            <button type="button" class="btn-secondary venture-form-cancel">Cancel</button>
+            <button type="submit" class="btn-primary venture-form-submit">${this.mode === 'edit' ? 'Save changes' : 'Create venture'}</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    const form = this.element.querySelector('form');
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.submit();
+    });
+    // Keep the draft current as the user types
+    form.addEventListener('input', () => this.saveDraft());
+    form.addEventListener('change', () => this.saveDraft());
+    form.elements.pipeline_template.addEventListener('change', () => this.renderStageOptions());
+
+    this.element.querySelector('.venture-form-close').addEventListener('click', () => this.close());
+    this.element.querySelector('.venture-form-cancel').addEventListener('click', () => this.close());
+    this.element.querySelector('.venture-form-save-draft').addEventListener('click', () => {
+      this.saveDraft();
+      this.close();
+      this.onDraftSaved();
+    });
+    this.element.querySelector('.venture-form-discard').addEventListener('click', () => {
+      this.clearDraft();
+      this.fill(this.venture || {});
+      this.element.querySelector('.venture-form-draft-notice').hidden = true;
+    });
+    this.element.addEventListener('click', (event) => {
+      if (event.target === this.element) this.close();
+    });
+    this.element.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.close();
+    });
+  }
+
+  templateOptions() {
+    if (this.mode === 'edit') {
+      const template = this.template;
+      return `<option value="${SmartStartComponents.escapeHtml(template.key)}">${SmartStartComponents.escapeHtml(template.name)}${template.version ? ` (v${template.version})` : ''}</option>`;
+    }
+    const templates = this.templates.length > 0 ? this.templates : [SmartStartPipeline.defaultTemplate()];
+    return templates
+      .map((template) => `<option value="${SmartStartComponents.escapeHtml(template.key)}">${SmartStartComponents.escapeHtml(template.name)}</option>`)
+      .join('');
+  }
+
+  /**
+   * Stages of the current template, plus the stage ventures reach once their pipeline is
+   * complete, up to the stages the venture may be moved to by hand
+   */
+  renderStageOptions() {
+    const select = this.element.querySelector('[name="stage"]');
+    const current = select.value;
+    let stages = SmartStartPipeline.stages(this.template)
+      .map((step) => ({ value: step.stage, label: step.name }))
+      .concat({
+        value: SmartStartPipeline.COMPLETED_STAGE,
+        label: SmartStartVentures.label(SmartStartVentures.STAGES, SmartStartPipeline.COMPLETED_STAGE)
+      });
+    if (this.mode === 'edit') {
+      const position = stages.findIndex((item) => item.value === this.venture.stage);
+      if (position !== -1) stages = stages.slice(0, position + 1);
+    } else if (!this.canSkipStages) {
+      stages = stages.slice(0, 1);
+    }
+    select.innerHTML = stages.map((item) => `<option value="${SmartStartComponents.escapeHtml(item.value)}">${SmartStartComponents.escapeHtml(item.label)}</option>`).join('');
+    select.value = stages.some((item) => item.value === current) ? current : stages[0].value;
+  }
+
+  fill(values) {
+    const form = this.element.querySelector('form');
+    if (this.mode === 'create' && values.pipeline_template) {
+      form.elements.pipeline_template.value = values.pipeline_template;
+    }
+    this.renderStageOptions();
+    VentureFormModal.FIELDS.forEach((field) => {
+      form.elements[field].value = values[field] || '';
+    });
+    if (!form.elements.stage.value) form.elements.stage.value = SmartStartPipeline.stages(this.template)[0].stage;
+    if (!form.elements.status.value) form.elements.status.value = SmartStartVentures.STATUSES[0].value;
+  }
+
+  values() {
+    const form = this.element.querySelector('form');
+    const values = VentureFormModal.FIELDS.reduce((result, field) => {
+      result[field] = form.elements[field].value.trim();
+      return result;
+    }, {});
+    // A venture keeps the template it was created with
+    if (this.mode === 'create') values.pipeline_template = form.elements.pipeline_template.value;
+    return values;
+  }
+
+  // Drafts
+  loadDraft() {
+    try {
+      return JSON.parse(this.draftStorage.getItem(this.draftKey));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  saveDraft() {
+    this.draftStorage.setItem(this.draftKey, JSON.stringify(this.values()));
+  }
+
+  clearDraft() {
+    this.draftStorage.removeItem(this.draftKey);
+  }
+
+  // Errors
+  showErrors(fieldErrors = {}, message = '') {
+    this.element.querySelectorAll('.venture-form-field-error').forEach((element) => {
+      const error = fieldErrors[element.dataset.errorFor] || '';
+      element.textContent = error;
+      element.parentElement.classList.toggle('has-error', Boolean(error));
+    });
+
+    const formError = this.element.querySelector('.venture-form-error');
+    formError.textContent = message;
+    formError.hidden = !message;
+  }
+
+  async submit() {
+    if (this.saving) return;
+
+    const values = this.values();
+    const errors = SmartStartVentures.validate(values, { requireName: true });
+    if (Object.keys(errors).length > 0) {
+      this.showErrors(errors);
+      return;
+    }
+    this.showErrors();
+
+    const submitButton = this.element.querySelector('.venture-form-submit');
+    const originalText = submitButton.textContent;
+    submitButton.textContent = 'Saving...';
+    submitButton.disabled = true;
+    this.saving = true;
+
+    try {
+      const result = this.mode === 'edit'
+        ? await this.api.request('PUT', `/ventures/${this.venture.id}`, values)
+        : await this.api.request('POST', '/ventures', values);
+
+      if (!result.success) {
+        // Field errors from the API go next to their inputs; anything else above the form
+        const fieldErrors = (result.details && result.details.fields) || {};
+        this.showErrors(fieldErrors, Object.keys(fieldErrors).length > 0 ? '' : result.error);
+        return;
+      }
+
+      this.clearDraft();
+      this.close();
+      this.onSaved(result.data, this.mode);
+    } finally {
+      this.saving = false;
+      submitButton.textContent = originalText;
+      submitButton.disabled = false;
+    }
+  }
+}
+
+// Export for use in other modules
+window.VentureFormModal = VentureFormModal;
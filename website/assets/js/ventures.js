@@ -0,0 +1,85 @@
+/**
+ * SmartStart Venture Fields
+ * The venture statuses, pipeline stages and field rules, shared by the API, which validates
+ * them, and by the venture form, which offers only these values.
+ */
+
+const SmartStartVentures = {
+  STATUSES: [
+    { value: 'idea', label: 'Idea' },
+    { value: 'development', label: 'Development' },
+    { value: 'beta', label: 'Beta' },
+    { value: 'launched', label: 'Launched' }
+  ],
+
+  STAGES: [
+    { value: 'discovery', label: 'Discovery' },
+    { value: 'problem_statement', label: 'Problem Statement' },
+    { value: 'sprint_0', label: 'Sprint 0' },
+    { value: 'mvp_build', label: 'MVP Build' },
+    { value: 'beta_test', label: 'Beta Test' },
+    { value: 'decision_gate', label: 'Decision Gate' },
+    { value: 'launch', label: 'Launch' }
+  ],
+
+  // Editable text fields and their maximum lengths
+  TEXT_FIELDS: {
+    name: 100,
+    description: 1000,
+    problem_statement: 1000,
+    target_market: 255
+  },
+
+  statusValues() {
+    return this.STATUSES.map((status) => status.value);
+  },
+
+  stageValues() {
+    return this.STAGES.map((stage) => stage.value);
+  },
+
+  label(options, value) {
+    const option = options.find((item) => item.value === value);
+    return option ? option.label : value;
+  },
+
+  /**
+   * Check venture fields. Only fields that are present are checked, except that
+   * `requireName` insists on a name (for new ventures).
+   * Returns an object of { field: message }, empty when everything is valid.
+   */
+  validate(fields, options = {}) {
+    const errors = {};
+
+    if (options.requireName && (fields.name === undefined || fields.name === null)) {
+      errors.name = 'Venture name is required';
+    }
+
+    Object.entries(this.TEXT_FIELDS).forEach(([field, maxLength]) => {
+      const value = fields[field];
+      if (value === undefined || value === null) return;
+
+      if (field === 'name' && !String(value).trim()) {
+        errors.name = 'Venture name cannot be empty';
+      } else if (String(value).length > maxLength) {
+        errors[field] = `Must be ${maxLength} characters or fewer`;
+      }
+    });
+
+    if (fields.status !== undefined && !this.statusValues().includes(fields.status)) {
+      errors.status = `Invalid status. Expected one of: ${this.statusValues().join(', ')}`;
+    }
+    if (fields.stage !== undefined && !this.stageValues().includes(fields.stage)) {
+      errors.stage = `Invalid stage. Expected one of: ${this.stageValues().join(', ')}`;
+    }
+
+    return errors;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartVentures;
+} else {
+  window.SmartStartVentures = SmartStartVentures;
+}
@@ -0,0 +1,109 @@
+/**
+ * IndexedDB storage adapter
+ * One object store per SmartStart table, with auto-incrementing ids
+ */
+
+class IndexedDBAdapter extends (typeof require === 'function' ? require('../storage') : SmartStartStorage) {
+  /**
+   * @param {Object} options
+   * @param {IDBFactory} [options.indexedDB] - defaults to the browser's indexedDB
+   * @param {string} [options.databaseName] - IndexedDB database name
+   */
+  constructor(options = {}) {
+    super(options);
+    this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this.databaseName = options.databaseName || 'smartstart';
+    this.db = null;
+  }
+
+  async open() {
+    if (!this.indexedDB) {
+      throw new Error('IndexedDB is not available in this environment');
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = this.indexedDB.open(this.databaseName, IndexedDBAdapter.VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        IndexedDBAdapter.TABLES.forEach((table) => {
+          if (!db.objectStoreNames.contains(table)) {
+            db.createObjectStore(table, { keyPath: 'id', autoIncrement: true });
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  // Run `work(store)` in a transaction and resolve with the value of the request it returns
+  transaction(table, mode, work) {
+    if (!IndexedDBAdapter.TABLES.includes(table)) {
+      return Promise.reject(new Error(`Unknown table: ${table}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(table, mode);
+      const request = work(tx.objectStore(table));
+      let result;
+      request.onsuccess = () => {
+        result = request.result;
+      };
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async insertRecord(table, record) {
+    const id = await this.transaction(table, 'readwrite', (store) => store.add({ ...record }));
+    return this.getRecord(table, id);
+  }
+
+  async getRecord(table, id) {
+    const record = await this.transaction(table, 'readonly', (store) => store.get(id));
+    return record || null;
+  }
+
+  async findRecords(table, criteria = {}) {
+    const records = await this.transaction(table, 'readonly', (store) => store.getAll());
+    return records.filter((record) => Object.entries(criteria).every(([key, value]) => {
+      const recordValue = record[key] === undefined ? null : record[key];
+      return recordValue === value;
+    }));
+  }
+
+  async updateRecord(table, id, fields) {
+    const record = await this.getRecord(table, id);
+    if (!record) return null;
+
+    const updated = { ...record, ...fields, id };
+    await this.transaction(table, 'readwrite', (store) => store.put(updated));
+    return updated;
+  }
+
+  async deleteRecord(table, id) {
+    const record = await this.getRecord(table, id);
+    if (!record) return false;
+
+    await this.transaction(table, 'readwrite', (store) => store.delete(id));
+    return true;
+  }
+}
+
+// Bump when object stores are added so onupgradeneeded creates them
+IndexedDBAdapter.VERSION = 3;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IndexedDBAdapter;
+} else {
+  window.IndexedDBAdapter = IndexedDBAdapter;
+}
@@ -0,0 +1,161 @@
+/**
+ * localStorage storage adapter
+ * Keeps every SmartStart table in one JSON document - no WebAssembly dependencies
+ */
+
+class LocalStorageAdapter extends (typeof require === 'function' ? require('../storage') : SmartStartStorage) {
+  /**
+   * @param {Object} options
+   * @param {Storage} [options.storage] - Web Storage implementation, defaults to localStorage
+   * @param {string} [options.storageKey] - key holding the JSON document
+   */
+  constructor(options = {}) {
+    super(options);
+    this.storage = options.storage || this.sessionStorage;
+    this.storageKey = options.storageKey || 'smartstart_database';
+  }
+
+  async open() {
+    const data = this.getData();
+    this.saveData(data);
+  }
+
+  emptyData() {
+    const tables = {};
+    LocalStorageAdapter.TABLES.forEach((table) => {
+      tables[table] = [];
+    });
+    return { format: 2, tables, nextIds: {} };
+  }
+
+  getData() {
+    const raw = this.storage.getItem(this.storageKey);
+    if (!raw) return this.emptyData();
+
+    const data = JSON.parse(raw);
+    if (data.format === 2) return this.addMissingTables(data);
+    return this.upgradeLegacyData(data);
+  }
+
+  // Documents saved before a table was added to the contract start that table empty
+  addMissingTables(data) {
+    LocalStorageAdapter.TABLES.forEach((table) => {
+      if (!data.tables[table]) data.tables[table] = [];
+    });
+    return data;
+  }
+
+  saveData(data) {
+    this.storage.setItem(this.storageKey, JSON.stringify(data));
+  }
+
+  /**
+   * Convert the document written by the original SimpleSmartStartDatabase
+   * (camelCase collections with their own id counters) to the table layout
+   */
+  upgradeLegacyData(legacy) {
+    const data = this.emptyData();
+    data.tables.users = (legacy.users || []).map((user) => ({
+      ...user,
+      is_active: user.is_active ? 1 : 0
+    }));
+    data.tables.user_profiles = (legacy.profiles || []).map((profile) => ({
+      ...profile,
+      skills: Array.isArray(profile.skills) ? JSON.stringify(profile.skills) : profile.skills,
+      interests: Array.isArray(profile.interests) ? JSON.stringify(profile.interests) : profile.interests
+    }));
+    data.tables.ventures = legacy.ventures || [];
+    data.tables.user_journeys = (legacy.userJourneys || []).map((journey) => ({
+      id: journey.id,
+      user_id: journey.user_id,
+      venture_id: journey.venture_id === undefined ? null : journey.venture_id,
+      stage: journey.stage || journey.current_stage || 'discovery',
+      stage_data: JSON.stringify(journey.stage_data || { progress_percentage: journey.progress_percentage || 0 }),
+      completed_at: journey.last_updated || null,
+      created_at: journey.start_date || new Date().toISOString()
+    }));
+    data.tables.journey_milestones = legacy.journeyMilestones || [];
+    data.tables.team_collaborations = legacy.teamCollaborations || [];
+    data.tables.feedback_reviews = legacy.feedbackReviews || [];
+
+    LocalStorageAdapter.TABLES.forEach((table) => {
+      data.nextIds[table] = data.tables[table].reduce((max, row) => Math.max(max, row.id || 0), 0) + 1;
+    });
+    return data;
+  }
+
+  table(data, table) {
+    if (!data.tables[table]) {
+      throw new Error(`Unknown table: ${table}`);
+    }
+    return data.tables[table];
+  }
+
+  matches(record, criteria) {
+    return Object.entries(criteria).every(([key, value]) => {
+      const recordValue = record[key] === undefined ? null : record[key];
+      return recordValue === value;
+    });
+  }
+
+  async insertRecord(table, record) {
+    const data = this.getData();
+    const rows = this.table(data, table);
+    const id = data.nextIds[table] || 1;
+    data.nextIds[table] = id + 1;
+
+    const stored = { id, ...record };
+    rows.push(stored);
+    this.saveData(data);
+    return { ...stored };
+  }
+
+  async getRecord(table, id) {
+    const record = this.table(this.getData(), table).find((row) => row.id === id);
+    return record ? { ...record } : null;
+  }
+
+  async findRecords(table, criteria = {}) {
+    return this.table(this.getData(), table)
+      .filter((row) => this.matches(row, criteria))
+      .map((row) => ({ ...row }));
+  }
+
+  async updateRecord(table, id, fields) {
+    const data = this.getData();
+    const record = this.table(data, table).find((row) => row.id === id);
+    if (!record) return null;
+
+    Object.assign(record, fields);
+    this.saveData(data);
+    return { ...record };
+  }
+
+  async deleteRecord(table, id) {
+    const data = this.getData();
+    const rows = this.table(data, table);
+    const index = rows.findIndex((row) => row.id === id);
+    if (index === -1) return false;
+
+    rows.splice(index, 1);
+    this.saveData(data);
+    return true;
+  }
+
+  // Export/Import
+  exportData() {
+    return this.getData();
+  }
+
+  importData(importedData) {
+    this.saveData(importedData.format === 2 ? importedData : this.upgradeLegacyData(importedData));
+    return true;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocalStorageAdapter;
+} else {
+  window.LocalStorageAdapter = LocalStorageAdapter;
+}
@@ -0,0 +1,193 @@
+/**
+ * Remote API storage adapter
+ * Implements the storage contract against the SmartStart REST API instead of local records
+ */
+
+class RemoteApiAdapter extends (typeof require === 'function' ? require('../storage') : SmartStartStorage) {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl] - API root, defaults to the same-origin /api
+   * @param {Function} [options.fetch] - fetch implementation, defaults to the global fetch
+   * @param {SmartStartApiClient} [options.client] - shared API client; one is created from the options above otherwise
+   */
+  constructor(options = {}) {
+    super(options);
+    const ApiClient = typeof require === 'function' ? require('../../assets/js/api-client') : SmartStartApiClient;
+    this.client = options.client || new ApiClient({
+      baseUrl: options.baseUrl,
+      fetch: options.fetch,
+      storage: this.sessionStorage,
+      sessionKey: this.sessionKey
+    });
+  }
+
+  /**
+   * Call the API and unwrap its { success, data, error: { message } } envelope.
+   * Tokens are attached and refreshed by the API client.
+   */
+  request(method, endpoint, data = null) {
+    return this.client.request(method, endpoint, data);
+  }
+
+  // Sessions live in the API client, which shares this adapter's session key
+  getSession() {
+    return this.client.getSession();
+  }
+
+  // Forgets the session immediately and revokes it on the server in the background
+  clearSession() {
+    this.client.logout();
+  }
+
+  // User management
+  async registerUser(userData) {
+    try {
+      const user = this.normalizeRegistration(userData);
+      const result = await this.request('POST', '/auth/register', { ...user, password: userData.password });
+      return result.success ? { success: true, user: result.data.user } : { success: false, error: result.error };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  loginUser(email, password) {
+    return this.client.login(email, password);
+  }
+
+  // The API only exposes the signed-in user's own account
+  async getCurrentUser() {
+    const result = await this.request('GET', '/users/profile');
+    if (!result.success) return null;
+
+    const { profile, quickbooks_customer_id: customerId, ...user } = result.data;
+    return user;
+  }
+
+  async getUserById(userId) {
+    const user = await this.getCurrentUser();
+    return user && user.id === userId ? user : null;
+  }
+
+  async getUserByEmail(email) {
+    const user = await this.getCurrentUser();
+    return user && user.email === String(email || '').trim().toLowerCase() ? user : null;
+  }
+
+  async updateUser(userId, updateData) {
+    const fields = {};
+    if (updateData.firstName !== undefined) fields.first_name = updateData.firstName;
+    if (updateData.lastName !== undefined) fields.last_name = updateData.lastName;
+    if (updateData.company !== undefined) fields.company = updateData.company;
+
+    const result = await this.request('PUT', '/users/profile', fields);
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    const { profile, quickbooks_customer_id: customerId, ...user } = result.data;
+    return { success: true, user };
+  }
+
+  // Venture management - the API scopes ventures to the signed-in founder
+  async createVenture(userId, ventureData) {
+    const result = await this.request('POST', '/ventures', ventureData);
+    return result.success ? { success: true, venture: result.data } : { success: false, error: result.error };
+  }
+
+  async getVenture(ventureId) {
+    const result = await this.request('GET', `/ventures/${ventureId}`);
+    return result.success ? result.data : null;
+  }
+
+  async getUserVentures() {
+    const result = await this.request('GET', '/ventures');
+    return result.success ? result.data : [];
+  }
+
+  async updateVenture(ventureId, updateData) {
+    const result = await this.request('PUT', `/ventures/${ventureId}`, updateData);
+    return result.success ? { success: true, venture: result.data } : { success: false, error: result.error };
+  }
+
+  async deleteVenture(ventureId) {
+    const result = await this.request('DELETE', `/ventures/${ventureId}`);
+    return result.success ? { success: true } : { success: false, error: result.error };
+  }
+
+  // Legal documents
+  async signDocument(userId, documentId) {
+    const result = await this.request('POST', '/legal/sign', { documentId });
+    return result.success ? { success: true, signature: result.data } : { success: false, error: result.error };
+  }
+
+  // Journey tracking
+  async createUserJourney(userId, journeyData = {}) {
+    const result = await this.request('POST', '/journeys', journeyData);
+    // details.milestones lists what still gates a pipeline stage the API refused to complete
+    return result.success
+      ? { success: true, journey: result.data }
+      : { success: false, error: result.error, details: result.details };
+  }
+
+  async getUserJourneys(userId, options = {}) {
+    const query = options.ventureId !== undefined ? `?ventureId=${options.ventureId}` : '';
+    const result = await this.request('GET', `/journeys${query}`);
+    return result.success ? result.data : [];
+  }
+
+  // The API records journey events itself as ventures move through their pipelines
+  async appendJourneyEvent() {
+    return { success: false, error: 'Journey events are recorded by the API' };
+  }
+
+  journeyQuery(options, extra = {}) {
+    const params = new URLSearchParams();
+    if (options.ventureId !== undefined && options.ventureId !== null) params.set('ventureId', options.ventureId);
+    Object.entries(extra).forEach(([key, value]) => {
+      if (value !== undefined) params.set(key, value);
+    });
+    const query = params.toString();
+    return query ? `?${query}` : '';
+  }
+
+  async getJourneyEvents(userId, options = {}) {
+    const result = await this.request('GET', `/journeys/events${this.journeyQuery(options, { after: options.after })}`);
+    return result.success ? result.data.events : [];
+  }
+
+  async getJourneyState(userId, options = {}) {
+    const result = await this.request('GET', `/journeys/state${this.journeyQuery(options, { at: options.at })}`);
+    return result.success ? result.data : this.journeyEvents().initialState();
+  }
+
+  // Only venture pipelines are paused through the API
+  async pauseJourney(userId, options = {}) {
+    return this.ventureJourneyAction(options.ventureId, 'pause', options.reason ? { reason: options.reason } : {});
+  }
+
+  async resumeJourney(userId, options = {}) {
+    return this.ventureJourneyAction(options.ventureId, 'resume', {});
+  }
+
+  async ventureJourneyAction(ventureId, action, body) {
+    if (ventureId === undefined || ventureId === null) {
+      return { success: false, error: 'Only venture pipelines can be paused' };
+    }
+    const result = await this.request('POST', `/ventures/${ventureId}/pipeline/${action}`, body);
+    return result.success
+      ? { success: true, event: result.data.event, state: result.data.state }
+      : { success: false, error: result.error };
+  }
+
+  async rebuildJourneyState(userId, options = {}) {
+    const body = options.ventureId !== undefined && options.ventureId !== null ? { ventureId: options.ventureId } : {};
+    const result = await this.request('POST', '/journeys/state/rebuild', body);
+    return result.success ? result.data : { state: null, changed: false, error: result.error };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RemoteApiAdapter;
+} else {
+  window.RemoteApiAdapter = RemoteApiAdapter;
+}
@@ -0,0 +1,108 @@
+/**
+ * SQL.js storage adapter
+ * Stores SmartStart data in an in-browser SQLite database (or SQL.js under Node)
+ */
+
+class SqlJsStorageAdapter extends (typeof require === 'function' ? require('../storage') : SmartStartStorage) {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.SQL] - an initialised SQL.js module; loaded with initSqlJs() when omitted
+   * @param {Object} [options.sqlJsConfig] - config passed to initSqlJs()
+   */
+  constructor(options = {}) {
+    super(options);
+    this.SQL = options.SQL || null;
+    this.sqlJsConfig = options.sqlJsConfig || {};
+    this.db = null;
+  }
+
+  async open() {
+    const SQL = this.SQL || await initSqlJs(this.sqlJsConfig);
+    const data = this.loadDatabase();
+    this.db = data ? new SQL.Database(data) : new SQL.Database();
+
+    // Bring new and previously saved databases up to the latest schema
+    const migrations = typeof require === 'function' ? require('../migrations') : SmartStartMigrations;
+    if (migrations.migrate(this.db).length > 0) {
+      this.saveDatabase();
+    }
+  }
+
+  // Persistence hooks - the base adapter keeps the database in memory only
+  loadDatabase() {
+    return null;
+  }
+
+  saveDatabase() {}
+
+  query(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    try {
+      stmt.bind(params.map((value) => (value === undefined ? null : value)));
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  assertTable(table) {
+    if (!SqlJsStorageAdapter.TABLES.includes(table)) {
+      throw new Error(`Unknown table: ${table}`);
+    }
+  }
+
+  async insertRecord(table, record) {
+    this.assertTable(table);
+    const columns = Object.keys(record);
+    const placeholders = columns.map(() => '?').join(', ');
+    this.db.run(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`, Object.values(record));
+    const id = this.db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+    this.saveDatabase();
+    return this.getRecord(table, id);
+  }
+
+  async getRecord(table, id) {
+    this.assertTable(table);
+    return this.query(`SELECT * FROM ${table} WHERE id = ?`, [id])[0] || null;
+  }
+
+  async findRecords(table, criteria = {}) {
+    this.assertTable(table);
+    const columns = Object.keys(criteria);
+    // IS compares NULL the same way the other adapters compare with ===
+    const where = columns.length > 0 ? `WHERE ${columns.map((column) => `${column} IS ?`).join(' AND ')}` : '';
+    return this.query(`SELECT * FROM ${table} ${where}`, Object.values(criteria));
+  }
+
+  async updateRecord(table, id, fields) {
+    this.assertTable(table);
+    const columns = Object.keys(fields);
+    if (columns.length > 0) {
+      this.db.run(
+        `UPDATE ${table} SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...Object.values(fields), id]
+      );
+      this.saveDatabase();
+    }
+    return this.getRecord(table, id);
+  }
+
+  async deleteRecord(table, id) {
+    this.assertTable(table);
+    this.db.run(`DELETE FROM ${table} WHERE id = ?`, [id]);
+    const deleted = this.db.getRowsModified() > 0;
+    this.saveDatabase();
+    return deleted;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SqlJsStorageAdapter;
+} else {
+  window.SqlJsStorageAdapter = SqlJsStorageAdapter;
+}
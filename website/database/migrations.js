@@ -0,0 +1,301 @@
+/**
+ * SmartStart schema migrations
+ * Versioned up/down migrations for the SQL.js database in the browser and the server-side SQLite store.
+ *
+ * Every applied migration is recorded as a row in schema_version, so a database only runs the
+ * migrations it has not seen yet. Server-only migrations live in server/db/migrations.js and share
+ * the same version sequence: always take the next free version number across both files.
+ */
+
+const SmartStartMigrations = {
+  // Set below: required in Node, loaded from schema.js as a script in the browser
+  schema: null,
+
+  migrations: [
+    {
+      version: 1,
+      name: 'initial_schema',
+      // CREATE TABLE IF NOT EXISTS lets databases saved before versioning adopt this baseline
+      up(db) {
+        SmartStartMigrations.schema.createTables(db);
+      },
+      down(db) {
+        SmartStartMigrations.schema.tables.slice().reverse().forEach((table) => {
+          db.run(`DROP TABLE IF EXISTS ${table.name}`);
+        });
+      }
+    },
+    {
+      version: 2,
+      name: 'add_venture_progress',
+      up(db) {
+        db.run('ALTER TABLE ventures ADD COLUMN progress_percentage INTEGER DEFAULT 0');
+      },
+      down(db) {
+        db.run('ALTER TABLE ventures DROP COLUMN progress_percentage');
+      }
+    },
+    {
+      version: 8,
+      name: 'document_signatures',
+      // Legal documents each user signed: signature milestones gate pipeline stages in every store
+      up(db) {
+        db.run(`
+          CREATE TABLE IF NOT EXISTS document_signatures (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              document_id TEXT NOT NULL,
+              document_version TEXT,
+              signer_name TEXT,
+              signer_email TEXT,
+              ip_address TEXT,
+              user_agent TEXT,
+              signed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              UNIQUE (user_id, document_id),
+              FOREIGN KEY (user_id) REFERENCES users (id)
+          )
+        `);
+      },
+      // The server store has kept signatures since its own version 3, which drops them when rolled back
+      down(db) {
+        if (!SmartStartMigrations.getApplied(db).some((migration) => migration.version === 3)) {
+          db.run('DROP TABLE IF EXISTS document_signatures');
+        }
+      }
+    },
+    {
+      version: 9,
+      name: 'journey_events',
+      /**
+       * Journeys become an append-only event log per venture (or per user for journeys without
+       * one), with snapshots caching the replayed state. Existing journey entries are converted
+       * into events in the order they happened: a stage opened with milestones, its milestones
+       * met, then the stage completed.
+       */
+      up(db) {
+        db.run(`
+          CREATE TABLE IF NOT EXISTS journey_events (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              stream TEXT NOT NULL,
+              venture_id INTEGER,
+              user_id INTEGER,
+              sequence INTEGER NOT NULL,
+              event_type TEXT NOT NULL,
+              stage TEXT,
+              data TEXT,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              UNIQUE (stream, sequence),
+              FOREIGN KEY (venture_id) REFERENCES ventures (id),
+              FOREIGN KEY (user_id) REFERENCES users (id)
+          )
+        `);
+        db.run(`
+          CREATE TABLE IF NOT EXISTS journey_snapshots (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              stream TEXT UNIQUE NOT NULL,
+              venture_id INTEGER,
+              user_id INTEGER,
+              sequence INTEGER NOT NULL,
+              state TEXT NOT NULL,
+              updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        db.run('CREATE INDEX IF NOT EXISTS idx_journey_events_venture ON journey_events (venture_id, sequence)');
+        db.run(`
+          CREATE TRIGGER IF NOT EXISTS journey_events_no_update BEFORE UPDATE ON journey_events
+          BEGIN
+              SELECT RAISE(ABORT, 'journey_events is append-only');
+          END
+        `);
+        db.run(`
+          CREATE TRIGGER IF NOT EXISTS journey_events_no_delete BEFORE DELETE ON journey_events
+          BEGIN
+              SELECT RAISE(ABORT, 'journey_events is append-only');
+          END
+        `);
+
+        const journeyEvents = SmartStartMigrations.journeyEvents();
+        const milestones = SmartStartMigrations.selectAll(db, 'SELECT id, journey_id, title, completed, completed_at FROM journey_milestones ORDER BY id');
+        const events = [];
+        SmartStartMigrations.selectAll(db, 'SELECT * FROM user_journeys ORDER BY id').forEach((row) => {
+          const journey = { ...row, stage_data: SmartStartMigrations.parseJson(row.stage_data) };
+          const stream = journeyEvents.streamKey(journey.user_id, journey.venture_id);
+          const add = (at, event) => events.push({ stream, at: at || journey.created_at, journey, ...event });
+
+          // Entries with milestones were opened by the pipeline before they were completed
+          const own = milestones.filter((milestone) => milestone.journey_id === journey.id);
+          if (own.length > 0 || !journey.completed_at) {
+            add(journey.created_at, {
+              type: 'stage_opened',
+              stage: journey.stage,
+              data: { journeyId: journey.id, milestones: own.map((milestone) => ({ id: milestone.id, title: milestone.title })) }
+            });
+          }
+          own.filter((milestone) => milestone.completed).forEach((milestone) => {
+            add(milestone.completed_at, {
+              type: 'milestone_completed',
+              stage: journey.stage,
+              data: { milestoneId: milestone.id, title: milestone.title }
+            });
+          });
+          if (journey.completed_at) {
+            add(journey.completed_at, journeyEvents.fromJourney(journey));
+          }
+        });
+
+        const sequences = {};
+        events
+          .map((event, index) => ({ ...event, index }))
+          .sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : a.index - b.index))
+          .forEach((event) => {
+            sequences[event.stream] = (sequences[event.stream] || 0) + 1;
+            db.run(
+              `INSERT INTO journey_events (stream, venture_id, user_id, sequence, event_type, stage, data, created_at)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+              [event.stream, event.journey.venture_id, event.journey.user_id, sequences[event.stream],
+                event.type, event.stage, JSON.stringify(event.data), event.at]
+            );
+          });
+      },
+      down(db) {
+        db.run('DROP TRIGGER IF EXISTS journey_events_no_delete');
+        db.run('DROP TRIGGER IF EXISTS journey_events_no_update');
+        db.run('DROP TABLE IF EXISTS journey_snapshots');
+        db.run('DROP TABLE IF EXISTS journey_events');
+      }
+    }
+  ],
+
+  // Rows of a query as objects, for migrations that transform existing data
+  selectAll(db, sql, params = []) {
+    const stmt = db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+      }
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  },
+
+  parseJson(value) {
+    try {
+      return JSON.parse(value || '{}') || {};
+    } catch (error) {
+      return {};
+    }
+  },
+
+  // Loaded when needed, so pages that never migrate a database can leave journey-events.js out
+  journeyEvents() {
+    return typeof require === 'function' ? require('../assets/js/journey-events') : SmartStartJourneyEvents;
+  },
+
+  ensureVersionTable(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  // Applied migrations, oldest first
+  getApplied(db) {
+    this.ensureVersionTable(db);
+    const result = db.exec('SELECT version, name, applied_at FROM schema_version ORDER BY rowid');
+    if (result.length === 0) return [];
+    return result[0].values.map(([version, name, appliedAt]) => ({ version, name, appliedAt }));
+  },
+
+  getCurrentVersion(db) {
+    const applied = this.getApplied(db);
+    return applied.reduce((max, migration) => Math.max(max, migration.version), 0);
+  },
+
+  sorted(migrations) {
+    return migrations.slice().sort((a, b) => a.version - b.version);
+  },
+
+  // Run one migration step inside a transaction and record it in schema_version
+  runStep(db, migration, direction) {
+    db.run('BEGIN');
+    try {
+      migration[direction](db);
+      if (direction === 'up') {
+        db.run('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)', [
+          migration.version,
+          migration.name,
+          new Date().toISOString()
+        ]);
+      } else {
+        db.run('DELETE FROM schema_version WHERE version = ?', [migration.version]);
+      }
+      db.run('COMMIT');
+    } catch (error) {
+      db.run('ROLLBACK');
+      throw new Error(`Migration ${migration.version} (${migration.name}) ${direction} failed: ${error.message}`);
+    }
+  },
+
+  /**
+   * Apply every pending migration, optionally stopping at targetVersion.
+   * Returns the migrations that were applied.
+   */
+  migrate(db, options = {}) {
+    const migrations = this.sorted(options.migrations || this.migrations);
+    const targetVersion = options.targetVersion === undefined ? Infinity : options.targetVersion;
+    const appliedVersions = this.getApplied(db).map((migration) => migration.version);
+
+    const pending = migrations.filter((migration) => !appliedVersions.includes(migration.version)
+      && migration.version <= targetVersion);
+    pending.forEach((migration) => this.runStep(db, migration, 'up'));
+    return pending;
+  },
+
+  /**
+   * Roll back the most recently applied migrations, newest first.
+   * Returns the migrations that were rolled back.
+   */
+  rollback(db, options = {}) {
+    const migrations = options.migrations || this.migrations;
+    const steps = options.steps === undefined ? 1 : options.steps;
+    const applied = this.getApplied(db).reverse().slice(0, steps);
+
+    return applied.map((record) => {
+      const migration = migrations.find((candidate) => candidate.version === record.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back unknown migration version ${record.version}`);
+      }
+      this.runStep(db, migration, 'down');
+      return migration;
+    });
+  },
+
+  status(db, options = {}) {
+    const migrations = this.sorted(options.migrations || this.migrations);
+    const applied = this.getApplied(db);
+    return migrations.map((migration) => {
+      const record = applied.find((candidate) => candidate.version === migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: Boolean(record),
+        appliedAt: record ? record.appliedAt : null
+      };
+    });
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  SmartStartMigrations.schema = require('./schema');
+  module.exports = SmartStartMigrations;
+} else {
+  SmartStartMigrations.schema = window.SmartStartSchema;
+  window.SmartStartMigrations = SmartStartMigrations;
+}
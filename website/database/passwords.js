@@ -0,0 +1,156 @@
+/**
+ * SmartStart Password Hashing
+ * Salted PBKDF2-SHA256 through WebCrypto, in the browser and under Node.
+ *
+ * Hashes are self-describing PHC-style strings that carry their parameters:
+ *   $pbkdf2-sha256$i=600000$<salt base64>$<hash base64>
+ * so the iteration count can be raised later without breaking stored hashes.
+ * The two legacy formats written by earlier versions are still verified, and
+ * verifyPassword reports needsRehash so callers can upgrade them on login.
+ */
+
+const SmartStartPasswords = {
+  ALGORITHM: 'pbkdf2-sha256',
+  ITERATIONS: 600000,
+  SALT_BYTES: 16,
+  KEY_BYTES: 32,
+
+  crypto() {
+    if (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle) {
+      return globalThis.crypto;
+    }
+    if (typeof require === 'function') {
+      return require('crypto').webcrypto;
+    }
+    throw new Error('WebCrypto is not available in this environment');
+  },
+
+  toBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  },
+
+  fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  },
+
+  async derive(password, salt, iterations, keyBytes) {
+    const webCrypto = this.crypto();
+    const key = await webCrypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(password),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+    const bits = await webCrypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      key,
+      keyBytes * 8
+    );
+    return new Uint8Array(bits);
+  },
+
+  async hashPassword(password, options = {}) {
+    const iterations = options.iterations || this.ITERATIONS;
+    const salt = this.crypto().getRandomValues(new Uint8Array(this.SALT_BYTES));
+    const hash = await this.derive(String(password), salt, iterations, this.KEY_BYTES);
+    return `$${this.ALGORITHM}$i=${iterations}$${this.toBase64(salt)}$${this.toBase64(hash)}`;
+  },
+
+  /**
+   * Parse a stored hash into { algorithm, params, salt, hash }, or null
+   * when it is not a PHC-style string
+   */
+  parse(storedHash) {
+    const parts = String(storedHash || '').split('$');
+    if (parts.length !== 5 || parts[0] !== '') return null;
+
+    const params = {};
+    parts[2].split(',').forEach((pair) => {
+      const [name, value] = pair.split('=');
+      params[name] = Number(value);
+    });
+    return { algorithm: parts[1], params, salt: parts[3], hash: parts[4] };
+  },
+
+  // Name the scheme a stored hash was produced with
+  identify(storedHash) {
+    const parsed = this.parse(storedHash);
+    if (parsed) return parsed.algorithm;
+    if (/^-?\d+$/.test(String(storedHash))) return 'legacy-int32';
+    if (/^[A-Za-z0-9+/=]{1,64}$/.test(String(storedHash))) return 'legacy-base64';
+    return null;
+  },
+
+  /**
+   * Check a password against a stored hash.
+   * Resolves with { valid, needsRehash }; needsRehash is true for legacy
+   * formats and for PBKDF2 hashes made with fewer iterations than today's.
+   */
+  async verifyPassword(password, storedHash) {
+    const candidate = String(password || '');
+    const scheme = this.identify(storedHash);
+
+    if (scheme === this.ALGORITHM) {
+      const parsed = this.parse(storedHash);
+      const expected = this.fromBase64(parsed.hash);
+      const actual = await this.derive(candidate, this.fromBase64(parsed.salt), parsed.params.i, expected.length);
+      return {
+        valid: this.constantTimeEqual(expected, actual),
+        needsRehash: parsed.params.i < this.ITERATIONS
+      };
+    }
+    if (scheme === 'legacy-base64') {
+      return { valid: this.legacyBase64Hash(candidate) === storedHash, needsRehash: true };
+    }
+    if (scheme === 'legacy-int32') {
+      return { valid: this.legacyInt32Hash(candidate) === storedHash, needsRehash: true };
+    }
+    return { valid: false, needsRehash: false };
+  },
+
+  constantTimeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+      difference |= a[i] ^ b[i];
+    }
+    return difference === 0;
+  },
+
+  // Written by the original SmartStartDatabase: reversible, verify-only
+  legacyBase64Hash(password) {
+    try {
+      return btoa(`${password}smartstart_salt`).substring(0, 64);
+    } catch (error) {
+      return null;
+    }
+  },
+
+  // Written by the original SimpleSmartStartDatabase: 32-bit rolling hash, verify-only
+  legacyInt32Hash(password) {
+    let hash = 0;
+    for (let i = 0; i < password.length; i++) {
+      const char = password.charCodeAt(i);
+      hash = ((hash << 5) - hash) + char;
+      hash &= hash; // Convert to 32-bit integer
+    }
+    return hash.toString();
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartPasswords;
+} else {
+  window.SmartStartPasswords = SmartStartPasswords;
+}
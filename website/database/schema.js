@@ -0,0 +1,152 @@
+/**
+ * SmartStart database schema
+ * Table definitions shared by the browser SQL.js database and the server-side SQLite store
+ */
+
+const SmartStartSchema = {
+  tables: [
+    {
+      // Users table
+      name: 'users',
+      sql: `
+      CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          email TEXT UNIQUE NOT NULL,
+          password_hash TEXT NOT NULL,
+          first_name TEXT NOT NULL,
+          last_name TEXT NOT NULL,
+          company TEXT,
+          role TEXT DEFAULT 'member',
+          subscription_status TEXT DEFAULT 'trial',
+          subscription_start DATE,
+          subscription_end DATE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          is_active BOOLEAN DEFAULT 1
+      )
+    `
+    },
+    {
+      // User profiles table
+      name: 'user_profiles',
+      sql: `
+      CREATE TABLE IF NOT EXISTS user_profiles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          bio TEXT,
+          skills TEXT,
+          experience_level TEXT,
+          interests TEXT,
+          avatar_url TEXT,
+          linkedin_url TEXT,
+          github_url TEXT,
+          portfolio_url TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `
+    },
+    {
+      // Ventures table
+      name: 'ventures',
+      sql: `
+      CREATE TABLE IF NOT EXISTS ventures (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          description TEXT,
+          problem_statement TEXT,
+          target_market TEXT,
+          status TEXT DEFAULT 'idea',
+          stage TEXT DEFAULT 'discovery',
+          founder_id INTEGER NOT NULL,
+          team_members TEXT,
+          equity_distribution TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (founder_id) REFERENCES users (id)
+      )
+    `
+    },
+    {
+      // User journeys table
+      name: 'user_journeys',
+      sql: `
+      CREATE TABLE IF NOT EXISTS user_journeys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          venture_id INTEGER,
+          stage TEXT NOT NULL,
+          stage_data TEXT,
+          completed_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users (id),
+          FOREIGN KEY (venture_id) REFERENCES ventures (id)
+      )
+    `
+    },
+    {
+      // Journey milestones table
+      name: 'journey_milestones',
+      sql: `
+      CREATE TABLE IF NOT EXISTS journey_milestones (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          journey_id INTEGER NOT NULL,
+          milestone_type TEXT NOT NULL,
+          title TEXT NOT NULL,
+          description TEXT,
+          completed BOOLEAN DEFAULT 0,
+          completed_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (journey_id) REFERENCES user_journeys (id)
+      )
+    `
+    },
+    {
+      // Team collaborations table
+      name: 'team_collaborations',
+      sql: `
+      CREATE TABLE IF NOT EXISTS team_collaborations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          venture_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          role TEXT NOT NULL,
+          equity_percentage REAL,
+          joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          status TEXT DEFAULT 'active',
+          FOREIGN KEY (venture_id) REFERENCES ventures (id),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `
+    },
+    {
+      // Feedback and reviews table
+      name: 'feedback_reviews',
+      sql: `
+      CREATE TABLE IF NOT EXISTS feedback_reviews (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          venture_id INTEGER NOT NULL,
+          reviewer_id INTEGER NOT NULL,
+          rating INTEGER,
+          feedback_text TEXT,
+          feedback_type TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (venture_id) REFERENCES ventures (id),
+          FOREIGN KEY (reviewer_id) REFERENCES users (id)
+      )
+    `
+    }
+  ],
+
+  // Create every table on a database exposing a SQL.js-style run(sql) method
+  createTables(db) {
+    this.tables.forEach((table) => db.run(table.sql));
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartSchema;
+} else {
+  window.SmartStartSchema = SmartStartSchema;
+}
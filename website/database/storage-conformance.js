@@ -0,0 +1,300 @@
+/**
+ * SmartStart Storage Conformance Suite
+ * Behaviour every storage adapter must share. Run it with a factory that returns a fresh,
+ * isolated adapter for each case:
+ *
+ *   const report = await SmartStartStorageConformance.run(() => new LocalStorageAdapter({ storage }));
+ *
+ * Works in the browser (test-storage-conformance.html) and under Node (npm run check:storage).
+ */
+
+const SmartStartStorageConformance = {
+  cases: [],
+
+  define(name, test) {
+    this.cases.push({ name, test });
+  },
+
+  assert(condition, message) {
+    if (!condition) {
+      throw new Error(message);
+    }
+  },
+
+  assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+      throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+  },
+
+  // Unique per run so adapters backed by a shared server never collide
+  uniqueEmail(label) {
+    return `conformance.${label}.${Date.now()}.${Math.random().toString(36).substr(2, 6)}@example.com`;
+  },
+
+  async registerAndLogin(storage, label) {
+    const email = this.uniqueEmail(label);
+    const password = 'Conform4nce!';
+    const registered = await storage.registerUser({ email, password, firstName: 'Casey', lastName: 'Tester' });
+    this.assert(registered.success, `registerUser failed: ${registered.error}`);
+    const login = await storage.loginUser(email, password);
+    this.assert(login.success, `loginUser failed: ${login.error}`);
+    return { email, password, user: login.user, session: login.session };
+  },
+
+  /**
+   * Run every case against adapters created by `createAdapter`.
+   * Resolves with { passed, failed, results: [{ name, passed, error }] }.
+   */
+  async run(createAdapter, options = {}) {
+    const log = options.log || (() => {});
+    const results = [];
+
+    for (const testCase of this.cases) {
+      const storage = await createAdapter();
+      try {
+        await storage.init();
+        await testCase.test.call(this, storage);
+        results.push({ name: testCase.name, passed: true });
+        log(`  ✅ ${testCase.name}`);
+      } catch (error) {
+        results.push({ name: testCase.name, passed: false, error: error.message });
+        log(`  ❌ ${testCase.name}: ${error.message}`);
+      } finally {
+        if (typeof storage.close === 'function') {
+          storage.close();
+        }
+      }
+    }
+
+    return {
+      passed: results.filter((result) => result.passed).length,
+      failed: results.filter((result) => !result.passed).length,
+      results
+    };
+  }
+};
+
+SmartStartStorageConformance.define('registerUser returns the public user shape', async function (storage) {
+  const email = this.uniqueEmail('register');
+  const result = await storage.registerUser({ email, password: 'Conform4nce!', firstName: 'Casey', lastName: 'Tester', company: 'Acme' });
+
+  this.assert(result.success, `registration failed: ${result.error}`);
+  this.assertEqual(result.user.email, email, 'email');
+  this.assertEqual(result.user.firstName, 'Casey', 'firstName');
+  this.assertEqual(result.user.lastName, 'Tester', 'lastName');
+  this.assertEqual(result.user.name, 'Casey Tester', 'name');
+  this.assertEqual(result.user.role, 'member', 'role');
+  this.assert(result.user.id !== undefined && result.user.id !== null, 'user id is missing');
+  this.assert(!('password_hash' in result.user) && !('password' in result.user), 'user exposes password data');
+});
+
+SmartStartStorageConformance.define('registerUser rejects duplicate emails', async function (storage) {
+  const email = this.uniqueEmail('duplicate');
+  await storage.registerUser({ email, password: 'Conform4nce!', firstName: 'Casey' });
+  const duplicate = await storage.registerUser({ email: email.toUpperCase(), password: 'Conform4nce!', firstName: 'Casey' });
+
+  this.assertEqual(duplicate.success, false, 'duplicate registration success');
+  this.assertEqual(typeof duplicate.error, 'string', 'error type');
+});
+
+SmartStartStorageConformance.define('registerUser validates email and password strength', async function (storage) {
+  const badEmail = await storage.registerUser({ email: 'not-an-email', password: 'Conform4nce!', firstName: 'Casey' });
+  const weakPassword = await storage.registerUser({ email: this.uniqueEmail('weak'), password: 'password', firstName: 'Casey' });
+
+  this.assertEqual(badEmail.success, false, 'invalid email accepted');
+  this.assertEqual(weakPassword.success, false, 'weak password accepted');
+});
+
+SmartStartStorageConformance.define('loginUser issues a session with an expiry', async function (storage) {
+  const { user, session } = await this.registerAndLogin(storage, 'login');
+
+  this.assert(session && session.id, 'session id is missing');
+  this.assertEqual(session.userId, user.id, 'session userId');
+  this.assert(new Date(session.expiresAt) > new Date(), 'session expiresAt is not in the future');
+
+  const stored = storage.getSession();
+  this.assert(stored && stored.id === session.id, 'getSession does not return the login session');
+
+  storage.clearSession();
+  this.assertEqual(storage.getSession(), null, 'session after clearSession');
+});
+
+SmartStartStorageConformance.define('loginUser rejects unknown accounts and wrong passwords alike', async function (storage) {
+  const { email } = await this.registerAndLogin(storage, 'reject');
+  storage.clearSession();
+
+  const wrongPassword = await storage.loginUser(email, 'Wr0ng-password!');
+  const unknown = await storage.loginUser(this.uniqueEmail('unknown'), 'Conform4nce!');
+
+  this.assertEqual(wrongPassword.success, false, 'wrong password accepted');
+  this.assertEqual(unknown.success, false, 'unknown account accepted');
+  this.assertEqual(wrongPassword.error, unknown.error, 'error messages differ');
+  this.assertEqual(storage.getSession(), null, 'session after failed login');
+});
+
+SmartStartStorageConformance.define('users can be read and updated', async function (storage) {
+  const { email, user } = await this.registerAndLogin(storage, 'users');
+
+  const byId = await storage.getUserById(user.id);
+  const byEmail = await storage.getUserByEmail(email);
+  this.assertEqual(byId && byId.email, email, 'getUserById email');
+  this.assertEqual(byEmail && byEmail.id, user.id, 'getUserByEmail id');
+
+  const updated = await storage.updateUser(user.id, { firstName: 'Jordan', company: 'Studio' });
+  this.assert(updated.success, `updateUser failed: ${updated.error}`);
+  this.assertEqual(updated.user.firstName, 'Jordan', 'updated firstName');
+  this.assertEqual(updated.user.lastName, 'Tester', 'lastName after update');
+  this.assertEqual(updated.user.company, 'Studio', 'updated company');
+});
+
+SmartStartStorageConformance.define('ventures support create, read, update and delete', async function (storage) {
+  const { user } = await this.registerAndLogin(storage, 'ventures');
+
+  const first = await storage.createVenture(user.id, { name: 'First Venture', description: 'One' });
+  const second = await storage.createVenture(user.id, { name: 'Second Venture', target_market: 'SMBs' });
+  this.assert(first.success && second.success, 'createVenture failed');
+  this.assertEqual(first.venture.status, 'idea', 'default status');
+  this.assertEqual(first.venture.stage, 'discovery', 'default stage');
+  this.assertEqual(first.venture.founder_id, user.id, 'founder_id');
+
+  const missingName = await storage.createVenture(user.id, { description: 'No name' });
+  this.assertEqual(missingName.success, false, 'venture without a name accepted');
+
+  const ventures = await storage.getUserVentures(user.id);
+  this.assertEqual(ventures.length, 2, 'venture count');
+  this.assertEqual(ventures[0].name, 'Second Venture', 'ventures are not newest first');
+
+  const fetched = await storage.getVenture(first.venture.id);
+  this.assertEqual(fetched && fetched.description, 'One', 'getVenture description');
+
+  const updated = await storage.updateVenture(first.venture.id, { status: 'development', name: 'Renamed' });
+  this.assert(updated.success, `updateVenture failed: ${updated.error}`);
+  this.assertEqual(updated.venture.status, 'development', 'updated status');
+  this.assertEqual(updated.venture.name, 'Renamed', 'updated name');
+
+  const deleted = await storage.deleteVenture(first.venture.id);
+  this.assert(deleted.success, 'deleteVenture failed');
+  this.assertEqual(await storage.getVenture(first.venture.id), null, 'deleted venture still readable');
+  this.assertEqual((await storage.getUserVentures(user.id)).length, 1, 'venture count after delete');
+});
+
+SmartStartStorageConformance.define('journeys keep stage data as objects, newest first, per venture', async function (storage) {
+  const { user } = await this.registerAndLogin(storage, 'journeys');
+  await storage.signDocument(user.id, 'contributor');
+  const { venture } = await storage.createVenture(user.id, { name: 'Journey Venture', problem_statement: 'Founders lose track of their ventures' });
+
+  const first = await storage.createUserJourney(user.id, { ventureId: venture.id, stage: 'discovery', stageData: { current_step: 1 } });
+  await storage.createUserJourney(user.id, { ventureId: venture.id, stage: 'problem_statement', stageData: { current_step: 2 } });
+  await storage.createUserJourney(user.id, { stage: 'discovery', stageData: { current_step: 1 } });
+  this.assert(first.success, `createUserJourney failed: ${first.error}`);
+
+  const missingStage = await storage.createUserJourney(user.id, { stageData: {} });
+  this.assertEqual(missingStage.success, false, 'journey without a stage accepted');
+
+  const all = await storage.getUserJourneys(user.id);
+  this.assertEqual(all.length, 3, 'journey count');
+  this.assertEqual(typeof all[0].stage_data, 'object', 'stage_data type');
+
+  const forVenture = await storage.getUserJourneys(user.id, { ventureId: venture.id });
+  this.assertEqual(forVenture.length, 2, 'journeys for venture');
+  this.assertEqual(forVenture[0].stage, 'problem_statement', 'journeys are not newest first');
+  this.assertEqual(forVenture[0].stage_data.current_step, 2, 'stage_data round trip');
+  this.assertEqual(forVenture[0].venture_id, venture.id, 'venture_id');
+
+  const withoutVenture = await storage.getUserJourneys(user.id, { ventureId: null });
+  this.assertEqual(withoutVenture.length, 1, 'journeys without a venture');
+});
+
+SmartStartStorageConformance.define('pipeline stages are completed in order once their milestones are met', async function (storage) {
+  const { user } = await this.registerAndLogin(storage, 'gate');
+  const { venture } = await storage.createVenture(user.id, { name: 'Gated Venture' });
+
+  const unsigned = await storage.createUserJourney(user.id, { ventureId: venture.id, stage: 'discovery', stageData: {} });
+  this.assertEqual(unsigned.success, false, 'stage completed with an unmet milestone');
+  this.assert(unsigned.details && unsigned.details.milestones, 'refused stage lists no milestones');
+  this.assertEqual(unsigned.details.milestones.map((milestone) => milestone.title).join(), 'Contributor agreement signed', 'unmet milestones');
+
+  const skipped = await storage.createUserJourney(user.id, { ventureId: venture.id, stage: 'problem_statement', stageData: {} });
+  this.assertEqual(skipped.success, false, 'stage completed before the current one');
+
+  const overridden = await storage.createUserJourney(user.id, {
+    ventureId: venture.id,
+    stage: 'discovery',
+    stageData: {},
+    override: { reason: 'The founder signed on paper' }
+  });
+  this.assertEqual(overridden.success, false, 'milestones overridden by a member');
+
+  const signed = await storage.signDocument(user.id, 'contributor');
+  this.assert(signed.success, `signDocument failed: ${signed.error}`);
+  const completed = await storage.createUserJourney(user.id, { ventureId: venture.id, stage: 'discovery', stageData: {} });
+  this.assert(completed.success, `createUserJourney failed: ${completed.error}`);
+  this.assertEqual((await storage.getVenture(venture.id)).stage, 'problem_statement', 'stage after completing discovery');
+
+  const withoutProblem = await storage.createUserJourney(user.id, { ventureId: venture.id, stage: 'problem_statement', stageData: {} });
+  this.assertEqual(withoutProblem.success, false, 'stage completed without a problem statement');
+  this.assertEqual(withoutProblem.details.milestones[0].type, 'problem_statement', 'unmet milestone type');
+});
+
+SmartStartStorageConformance.define('journey events are sequenced and replay to the current state', async function (storage) {
+  const { user } = await this.registerAndLogin(storage, 'events');
+  const { venture } = await storage.createVenture(user.id, { name: 'Event Venture' });
+
+  await storage.createUserJourney(user.id, { ventureId: venture.id, stage: 'pipeline_started', stageData: {} });
+  await storage.createUserJourney(user.id, { ventureId: venture.id, stage: 'journey_complete', stageData: {} });
+  await storage.createUserJourney(user.id, { stage: 'pipeline_started', stageData: {} });
+
+  const events = await storage.getJourneyEvents(user.id, { ventureId: venture.id });
+  this.assert(events.length >= 2, `expected at least 2 venture events, got ${events.length}`);
+  events.forEach((event, index) => this.assertEqual(event.sequence, index + 1, 'event sequence'));
+  this.assertEqual(typeof events[0].data, 'object', 'event data type');
+  this.assertEqual(events[events.length - 1].event_type, 'pipeline_completed', 'latest event');
+
+  const later = await storage.getJourneyEvents(user.id, { ventureId: venture.id, after: events.length - 1 });
+  this.assertEqual(later.length, 1, 'events after a sequence');
+
+  const state = await storage.getJourneyState(user.id, { ventureId: venture.id });
+  this.assertEqual(state.sequence, events.length, 'state sequence');
+  this.assertEqual(state.completed, true, 'state completed');
+
+  const before = await storage.getJourneyState(user.id, { ventureId: venture.id, at: events.length - 1 });
+  this.assertEqual(before.completed, false, 'state before the last event');
+
+  const rebuilt = await storage.rebuildJourneyState(user.id, { ventureId: venture.id });
+  this.assertEqual(rebuilt.changed, false, 'rebuilt state differs from the snapshot');
+  this.assertEqual(JSON.stringify(rebuilt.state), JSON.stringify(state), 'rebuilt state');
+
+  const own = await storage.getJourneyEvents(user.id, { ventureId: null });
+  this.assertEqual(own.length, 1, 'events without a venture');
+  this.assertEqual(own[0].sequence, 1, 'own stream sequence');
+});
+
+SmartStartStorageConformance.define('venture pipelines can be paused and resumed', async function (storage) {
+  const { user } = await this.registerAndLogin(storage, 'pause');
+  const { venture } = await storage.createVenture(user.id, { name: 'Paused Venture' });
+  await storage.createUserJourney(user.id, { ventureId: venture.id, stage: 'pipeline_started', stageData: {} });
+
+  const paused = await storage.pauseJourney(user.id, { ventureId: venture.id, reason: 'Waiting on funding' });
+  this.assert(paused.success, `pauseJourney failed: ${paused.error}`);
+  this.assertEqual(paused.state.paused.reason, 'Waiting on funding', 'pause reason');
+
+  const again = await storage.pauseJourney(user.id, { ventureId: venture.id });
+  this.assertEqual(again.success, false, 'paused twice');
+
+  const resumed = await storage.resumeJourney(user.id, { ventureId: venture.id });
+  this.assert(resumed.success, `resumeJourney failed: ${resumed.error}`);
+  this.assertEqual(resumed.state.paused, null, 'paused after resuming');
+  this.assertEqual(resumed.state.pauses.length, 1, 'pause count');
+  this.assert(resumed.state.pauses[0].to, 'pause has no end');
+
+  const notPaused = await storage.resumeJourney(user.id, { ventureId: venture.id });
+  this.assertEqual(notPaused.success, false, 'resumed without a pause');
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartStorageConformance;
+} else {
+  window.SmartStartStorageConformance = SmartStartStorageConformance;
+}
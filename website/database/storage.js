@@ -0,0 +1,717 @@
+/**
+ * SmartStart Storage Contract
+ * One interface for every storage backend (SQL.js, localStorage, IndexedDB, remote API).
+ *
+ * Adapters implement five record primitives:
+ *   insertRecord(table, record), getRecord(table, id), findRecords(table, criteria),
+ *   updateRecord(table, id, fields), deleteRecord(table, id)
+ * and optionally open() for async setup. The domain methods below are written once on top of
+ * those primitives, so every adapter validates, hashes passwords (passwords.js), shapes
+ * sessions, replays journey events (journey-events.js) and returns results the same way. storage-conformance.js checks that an adapter
+ * honours this contract.
+ */
+
+const SMARTSTART_TABLES = [
+  'users',
+  'user_profiles',
+  'ventures',
+  'user_journeys',
+  'journey_milestones',
+  'team_collaborations',
+  'feedback_reviews',
+  'document_signatures',
+  'journey_events',
+  'journey_snapshots'
+];
+
+const SMARTSTART_SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Minimal in-memory implementation of the Web Storage API, used where
+ * localStorage is not available (Node, private browsing fallbacks)
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+class SmartStartStorage {
+  constructor(options = {}) {
+    this.sessionStorage = options.sessionStorage
+      || (typeof localStorage !== 'undefined' ? localStorage : new MemoryStorage());
+    this.sessionKey = options.sessionKey || 'smartstart_session';
+    this.sessionTtlMs = options.sessionTtlMs || SMARTSTART_SESSION_TTL_MS;
+    this.ready = null;
+  }
+
+  /**
+   * Prepare the adapter. Domain methods call this themselves, so callers
+   * only need it to wait for storage to be ready up front.
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = Promise.resolve(this.open());
+    }
+    return this.ready;
+  }
+
+  async open() {}
+
+  // Record primitives - implemented by each adapter
+  async insertRecord(table, record) {
+    throw new Error(`${this.constructor.name} does not implement insertRecord`);
+  }
+
+  async getRecord(table, id) {
+    throw new Error(`${this.constructor.name} does not implement getRecord`);
+  }
+
+  async findRecords(table, criteria) {
+    throw new Error(`${this.constructor.name} does not implement findRecords`);
+  }
+
+  async updateRecord(table, id, fields) {
+    throw new Error(`${this.constructor.name} does not implement updateRecord`);
+  }
+
+  async deleteRecord(table, id) {
+    throw new Error(`${this.constructor.name} does not implement deleteRecord`);
+  }
+
+  async findOne(table, criteria) {
+    const records = await this.findRecords(table, criteria);
+    return records[0] || null;
+  }
+
+  // Newest first; ids are assigned in insertion order by every adapter
+  sortNewestFirst(records) {
+    return records.slice().sort((a, b) => b.id - a.id);
+  }
+
+  // User management
+  async registerUser(userData) {
+    await this.init();
+
+    try {
+      const user = this.normalizeRegistration(userData);
+      if (await this.findOne('users', { email: user.email })) {
+        return { success: false, error: 'Email already exists' };
+      }
+
+      const timestamp = new Date().toISOString();
+      const record = await this.insertRecord('users', {
+        email: user.email,
+        password_hash: await this.hashPassword(userData.password),
+        first_name: user.firstName,
+        last_name: user.lastName,
+        company: user.company,
+        role: 'member',
+        subscription_status: 'trial',
+        is_active: 1,
+        created_at: timestamp,
+        updated_at: timestamp
+      });
+
+      await this.insertRecord('user_profiles', {
+        user_id: record.id,
+        created_at: timestamp,
+        updated_at: timestamp
+      });
+
+      return { success: true, user: this.toPublicUser(record) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async loginUser(email, password) {
+    await this.init();
+
+    try {
+      const user = await this.findOne('users', { email: String(email || '').trim().toLowerCase() });
+
+      const check = user && user.is_active
+        ? await this.verifyPassword(password, user.password_hash)
+        : { valid: false };
+
+      // Same message for unknown accounts and wrong passwords
+      if (!check.valid) {
+        return { success: false, error: 'Invalid email or password' };
+      }
+
+      // Legacy or weaker hashes are replaced now that we know the password
+      if (check.needsRehash) {
+        await this.updateRecord('users', user.id, {
+          password_hash: await this.hashPassword(password),
+          updated_at: new Date().toISOString()
+        });
+      }
+
+      const session = this.createSession(user);
+      return { success: true, user: this.toPublicUser(user), session };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getUserById(userId) {
+    await this.init();
+    return this.toPublicUser(await this.getRecord('users', userId));
+  }
+
+  async getUserByEmail(email) {
+    await this.init();
+    return this.toPublicUser(await this.findOne('users', { email: String(email || '').trim().toLowerCase() }));
+  }
+
+  async updateUser(userId, updateData) {
+    await this.init();
+
+    const fields = {};
+    if (updateData.firstName !== undefined) fields.first_name = String(updateData.firstName).trim();
+    if (updateData.lastName !== undefined) fields.last_name = String(updateData.lastName).trim();
+    if (updateData.company !== undefined) fields.company = updateData.company || null;
+
+    const user = await this.updateRecord('users', userId, { ...fields, updated_at: new Date().toISOString() });
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+    return { success: true, user: this.toPublicUser(user) };
+  }
+
+  // Venture management
+  async createVenture(userId, ventureData) {
+    await this.init();
+
+    if (!ventureData || !String(ventureData.name || '').trim()) {
+      return { success: false, error: 'Venture name is required' };
+    }
+
+    const timestamp = new Date().toISOString();
+    const venture = await this.insertRecord('ventures', {
+      name: String(ventureData.name).trim(),
+      description: ventureData.description || null,
+      problem_statement: ventureData.problem_statement || null,
+      target_market: ventureData.target_market || null,
+      status: ventureData.status || 'idea',
+      stage: ventureData.stage || 'discovery',
+      founder_id: userId,
+      progress_percentage: 0,
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+    return { success: true, venture };
+  }
+
+  async getVenture(ventureId) {
+    await this.init();
+    return this.getRecord('ventures', ventureId);
+  }
+
+  async getUserVentures(userId) {
+    await this.init();
+    return this.sortNewestFirst(await this.findRecords('ventures', { founder_id: userId }));
+  }
+
+  async updateVenture(ventureId, updateData) {
+    await this.init();
+
+    const allowed = ['name', 'description', 'problem_statement', 'target_market', 'status', 'stage', 'progress_percentage'];
+    const fields = allowed.reduce((result, key) => {
+      if (updateData[key] !== undefined) result[key] = updateData[key];
+      return result;
+    }, {});
+
+    const venture = await this.updateRecord('ventures', ventureId, { ...fields, updated_at: new Date().toISOString() });
+    if (!venture) {
+      return { success: false, error: 'Venture not found' };
+    }
+    return { success: true, venture };
+  }
+
+  async deleteVenture(ventureId) {
+    await this.init();
+
+    const deleted = await this.deleteRecord('ventures', ventureId);
+    return deleted ? { success: true } : { success: false, error: 'Venture not found' };
+  }
+
+  // Legal documents
+  async signDocument(userId, documentId) {
+    await this.init();
+
+    if (!documentId) {
+      return { success: false, error: 'Document is required' };
+    }
+
+    const existing = await this.findOne('document_signatures', { user_id: userId, document_id: String(documentId) });
+    if (existing) {
+      return { success: true, signature: existing };
+    }
+    const signature = await this.insertRecord('document_signatures', {
+      user_id: userId,
+      document_id: String(documentId),
+      signed_at: new Date().toISOString()
+    });
+    return { success: true, signature };
+  }
+
+  // Journey tracking
+  /**
+   * Record a journey entry. An entry for one of a venture's pipeline stages completes that
+   * stage and is gated as the API gates it (checkStageGate); a refused stage comes back with
+   * details.milestones, the milestones still unmet. journeyData.override ({ reason }) lets an
+   * admin complete it anyway.
+   */
+  async createUserJourney(userId, journeyData = {}) {
+    await this.init();
+
+    if (!journeyData.stage) {
+      return { success: false, error: 'Journey stage is required' };
+    }
+
+    const ventureId = journeyData.ventureId === undefined ? null : journeyData.ventureId;
+    let stageData = journeyData.stageData || {};
+    let gate = null;
+    if (ventureId !== null && this.pipeline().isPipelineStage(journeyData.stage)) {
+      const venture = await this.getRecord('ventures', ventureId);
+      if (!venture) {
+        return { success: false, error: 'Venture not found' };
+      }
+      gate = await this.checkStageGate(userId, venture, journeyData.stage, journeyData.override);
+      if (gate.error) {
+        return { success: false, error: gate.error, ...(gate.details ? { details: gate.details } : {}) };
+      }
+      if (gate.override) {
+        stageData = { ...stageData, override: gate.override };
+      }
+    }
+
+    const timestamp = new Date().toISOString();
+    const journey = this.toJourney(await this.insertRecord('user_journeys', {
+      user_id: userId,
+      venture_id: ventureId,
+      stage: journeyData.stage,
+      stage_data: JSON.stringify(stageData),
+      completed_at: timestamp,
+      created_at: timestamp
+    }));
+
+    // Completing the current stage moves the venture on to the next one
+    if (gate && gate.nextStage) {
+      await this.updateRecord('ventures', ventureId, {
+        stage: gate.nextStage,
+        progress_percentage: this.pipeline().progressFor(gate.nextStage),
+        updated_at: timestamp
+      });
+    }
+
+    const event = this.journeyEvents().fromJourney(journey);
+    await this.appendJourneyEvent(userId, { ...event, ventureId });
+    return { success: true, journey };
+  }
+
+  /**
+   * Journeys for a user, newest first. Pass { ventureId } to limit the
+   * result to one venture (null selects journeys without a venture).
+   */
+  async getUserJourneys(userId, options = {}) {
+    await this.init();
+
+    const criteria = { user_id: userId };
+    if (options.ventureId !== undefined) {
+      criteria.venture_id = options.ventureId;
+    }
+    const journeys = await this.findRecords('user_journeys', criteria);
+    return this.sortNewestFirst(journeys).map((journey) => this.toJourney(journey));
+  }
+
+  /**
+   * Whether `stage` of the venture may be completed, by the rules of server/api/pipeline.js:
+   * stages are completed in order, revisiting an earlier one is always allowed, and the current
+   * one needs its milestones met or an admin's `override` with a reason. Resolves with
+   * { error, details } when refused, else with the override to keep and, when `stage` is the
+   * current one, the nextStage the venture moves to. Local stores run the default template.
+   */
+  async checkStageGate(userId, venture, stage, override = null) {
+    const pipeline = this.pipeline();
+    const currentIndex = pipeline.indexOf(venture.stage);
+    if (currentIndex !== -1 && pipeline.indexOf(stage) > currentIndex) {
+      return { error: `Complete the ${pipeline.stages()[currentIndex].name} stage first` };
+    }
+    if (stage !== venture.stage) {
+      return {};
+    }
+
+    const nextStage = pipeline.nextStage(stage);
+    const unmet = await this.unmetMilestones(venture, pipeline.stageInfo(stage).milestones || []);
+    if (unmet.length === 0) {
+      return { nextStage };
+    }
+
+    const titles = unmet.map((milestone) => milestone.title);
+    if (!override) {
+      return { error: `Meet the stage milestones first: ${titles.join(', ')}`, details: { milestones: unmet } };
+    }
+    if (!this.roles().can(await this.getRecord('users', userId), 'pipelines:override')) {
+      return { error: 'Only admins can complete a stage whose milestones are not met' };
+    }
+    const reason = String(override.reason || '').trim();
+    const { OVERRIDE_REASON_MIN_LENGTH: minLength, OVERRIDE_REASON_MAX_LENGTH: maxLength } = pipeline;
+    if (reason.length < minLength || reason.length > maxLength) {
+      return { error: `Give a reason of ${minLength} to ${maxLength} characters for the override` };
+    }
+    return { nextStage, override: { reason, by: userId, unmetMilestones: titles } };
+  }
+
+  /**
+   * The milestones of a stage the venture has not met, shaped like the API's. Automatic ones
+   * are checked against the venture and its founder's signatures; deliverables are checked off
+   * in the API's stage checklist, which local stores do not keep, so they stay unmet here.
+   */
+  async unmetMilestones(venture, milestones) {
+    const pipeline = this.pipeline();
+    const signatures = await this.findRecords('document_signatures', { user_id: venture.founder_id });
+    const signed = new Set(signatures.map((signature) => signature.document_id));
+
+    return milestones
+      .filter((milestone) => {
+        if (milestone.type === 'problem_statement') return !String(venture.problem_statement || '').trim();
+        if (milestone.type === 'document_signed') return !signed.has(milestone.documentId);
+        return true;
+      })
+      .map((milestone) => ({
+        type: milestone.type,
+        title: milestone.title,
+        document_id: milestone.documentId || null,
+        auto: Boolean(pipeline.milestoneType(milestone.type) && pipeline.milestoneType(milestone.type).auto),
+        completed: false
+      }));
+  }
+
+  async getJourneyProgress(userId) {
+    const journeys = await this.getUserJourneys(userId);
+    const progress = {};
+    journeys.forEach((journey) => {
+      if (!progress[journey.stage]) {
+        progress[journey.stage] = { stage: journey.stage, count: 0, last_completed: journey.completed_at };
+      }
+      progress[journey.stage].count++;
+    });
+    return Object.values(progress);
+  }
+
+  /**
+   * Append an event to a journey stream: a venture's, or the user's own with { ventureId: null }.
+   * `event` is { ventureId, type, stage, data }. The stream's snapshot is brought up to date.
+   */
+  async appendJourneyEvent(userId, event = {}) {
+    await this.init();
+
+    if (!event.type) {
+      return { success: false, error: 'Journey event type is required' };
+    }
+
+    const ventureId = event.ventureId === undefined ? null : event.ventureId;
+    const stream = this.journeyEvents().streamKey(userId, ventureId);
+    const existing = await this.findRecords('journey_events', { stream });
+    const record = await this.insertRecord('journey_events', {
+      stream,
+      venture_id: ventureId,
+      user_id: userId,
+      sequence: existing.reduce((max, row) => Math.max(max, row.sequence), 0) + 1,
+      event_type: event.type,
+      stage: event.stage || null,
+      data: JSON.stringify(event.data || {}),
+      created_at: new Date().toISOString()
+    });
+
+    const state = await this.getJourneyState(userId, { ventureId });
+    return { success: true, event: this.toJourneyEvent(record), state };
+  }
+
+  /**
+   * Events of a journey stream in sequence order. Pass { ventureId } for a venture's stream
+   * (null or omitted selects the user's own) and { after } to read only later events.
+   */
+  async getJourneyEvents(userId, options = {}) {
+    await this.init();
+
+    const stream = this.journeyEvents().streamKey(userId, options.ventureId);
+    const after = options.after || 0;
+    const events = await this.findRecords('journey_events', { stream });
+    return events
+      .filter((event) => event.sequence > after)
+      .sort((a, b) => a.sequence - b.sequence)
+      .map((event) => this.toJourneyEvent(event));
+  }
+
+  /**
+   * The current state of a journey stream: its snapshot with any newer events replayed on top.
+   * With { at: sequence }, the state as it was right after that event.
+   */
+  async getJourneyState(userId, options = {}) {
+    await this.init();
+
+    const journeyEvents = this.journeyEvents();
+    if (options.at !== undefined) {
+      return journeyEvents.replay(await this.getJourneyEvents(userId, options), { until: Number(options.at) });
+    }
+
+    const stream = journeyEvents.streamKey(userId, options.ventureId);
+    const snapshot = await this.findOne('journey_snapshots', { stream });
+    const from = snapshot ? JSON.parse(snapshot.state) : journeyEvents.initialState();
+    const newer = await this.getJourneyEvents(userId, { ventureId: options.ventureId, after: from.sequence });
+    if (newer.length === 0) return from;
+
+    const state = journeyEvents.replay(newer, { from });
+    await this.saveJourneySnapshot(snapshot, { stream, userId, ventureId: options.ventureId, state });
+    return state;
+  }
+
+  /**
+   * Replay a stream from its first event and replace the snapshot, for when the snapshot is
+   * suspect or the replay rules changed. Resolves with { state, changed }.
+   */
+  async rebuildJourneyState(userId, options = {}) {
+    await this.init();
+
+    const journeyEvents = this.journeyEvents();
+    const stream = journeyEvents.streamKey(userId, options.ventureId);
+    const snapshot = await this.findOne('journey_snapshots', { stream });
+    const state = journeyEvents.replay(await this.getJourneyEvents(userId, options));
+    const changed = !snapshot || snapshot.state !== JSON.stringify(state);
+    if (changed) {
+      await this.saveJourneySnapshot(snapshot, { stream, userId, ventureId: options.ventureId, state });
+    }
+    return { state, changed };
+  }
+
+  /**
+   * Pause a pipeline: its deadlines stop running until it is resumed (schedule.js).
+   * Options: { ventureId, reason }.
+   */
+  async pauseJourney(userId, options = {}) {
+    const state = await this.getJourneyState(userId, options);
+    const reason = options.reason ? String(options.reason).trim() : '';
+    if (state.sequence === 0) {
+      return { success: false, error: 'This pipeline has not started' };
+    }
+    if (state.completed) {
+      return { success: false, error: 'This pipeline is already complete' };
+    }
+    if (state.paused) {
+      return { success: false, error: 'This pipeline is already paused' };
+    }
+    if (reason.length > this.schedule().PAUSE_REASON_MAX_LENGTH) {
+      return { success: false, error: `Reason must be at most ${this.schedule().PAUSE_REASON_MAX_LENGTH} characters` };
+    }
+    return this.appendJourneyEvent(userId, {
+      ventureId: options.ventureId,
+      type: 'pipeline_paused',
+      stage: state.stage,
+      data: reason ? { reason } : {}
+    });
+  }
+
+  async resumeJourney(userId, options = {}) {
+    const state = await this.getJourneyState(userId, options);
+    if (!state.paused) {
+      return { success: false, error: 'This pipeline is not paused' };
+    }
+    return this.appendJourneyEvent(userId, { ventureId: options.ventureId, type: 'pipeline_resumed', stage: state.stage });
+  }
+
+  async saveJourneySnapshot(snapshot, { stream, userId, ventureId, state }) {
+    const fields = { sequence: state.sequence, state: JSON.stringify(state), updated_at: new Date().toISOString() };
+    if (snapshot) {
+      return this.updateRecord('journey_snapshots', snapshot.id, fields);
+    }
+    return this.insertRecord('journey_snapshots', {
+      stream,
+      venture_id: ventureId === undefined ? null : ventureId,
+      user_id: userId,
+      ...fields
+    });
+  }
+
+  // Sessions
+  createSession(user) {
+    const createdAt = new Date();
+    const session = {
+      id: this.generateSessionId(),
+      userId: user.id,
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + this.sessionTtlMs).toISOString()
+    };
+    this.sessionStorage.setItem(this.sessionKey, JSON.stringify(session));
+    return session;
+  }
+
+  getSession() {
+    try {
+      const session = JSON.parse(this.sessionStorage.getItem(this.sessionKey));
+      if (!session) return null;
+
+      if (!session.expiresAt || new Date(session.expiresAt) < new Date()) {
+        this.clearSession();
+        return null;
+      }
+      return session;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  clearSession() {
+    this.sessionStorage.removeItem(this.sessionKey);
+  }
+
+  generateSessionId() {
+    return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // Password utilities - salted PBKDF2 from passwords.js
+  passwords() {
+    return typeof require === 'function' ? require('./passwords') : SmartStartPasswords;
+  }
+
+  async hashPassword(password) {
+    return this.passwords().hashPassword(password);
+  }
+
+  // Resolves with { valid, needsRehash }
+  async verifyPassword(password, hash) {
+    return this.passwords().verifyPassword(password, hash);
+  }
+
+  // Pipeline templates and roles - shared with the API
+  pipeline() {
+    return typeof require === 'function' ? require('../assets/js/pipeline') : SmartStartPipeline;
+  }
+
+  roles() {
+    return typeof require === 'function' ? require('../assets/js/roles') : SmartStartRoles;
+  }
+
+  // Journey event replay - shared with the API through journey-events.js
+  journeyEvents() {
+    return typeof require === 'function' ? require('../assets/js/journey-events') : SmartStartJourneyEvents;
+  }
+
+  schedule() {
+    return typeof require === 'function' ? require('../assets/js/schedule') : SmartStartSchedule;
+  }
+
+  // Validation
+  normalizeRegistration(userData) {
+    if (!userData || !userData.email || !userData.password) {
+      throw new Error('Missing required fields');
+    }
+
+    // Accept either firstName/lastName or a single full name
+    const nameParts = String(userData.name || '').trim().split(' ');
+    const firstName = String(userData.firstName || nameParts[0] || '').trim();
+    const lastName = String(userData.lastName !== undefined ? userData.lastName : nameParts.slice(1).join(' ')).trim();
+    const email = String(userData.email).trim().toLowerCase();
+
+    if (!firstName) {
+      throw new Error('Missing required fields');
+    }
+    if (!this.isValidEmail(email)) {
+      throw new Error('Invalid email format');
+    }
+    if (!this.isStrongPassword(userData.password)) {
+      throw new Error('Password must be at least 8 characters with uppercase, lowercase, number, and special character');
+    }
+
+    return {
+      email,
+      firstName,
+      lastName,
+      company: userData.company || null
+    };
+  }
+
+  isValidEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+  }
+
+  isStrongPassword(password) {
+    if (typeof password !== 'string') return false;
+    if (password.length < 8) return false;
+    if (!/[a-z]/.test(password)) return false;
+    if (!/[A-Z]/.test(password)) return false;
+    if (!/[0-9]/.test(password)) return false;
+    if (!/[^A-Za-z0-9]/.test(password)) return false;
+    return true;
+  }
+
+  // Shape records into the objects callers receive
+  toPublicUser(user) {
+    if (!user) return null;
+    return {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      name: `${user.first_name} ${user.last_name}`.trim(),
+      company: user.company,
+      role: user.role,
+      subscriptionStatus: user.subscription_status,
+      createdAt: user.created_at
+    };
+  }
+
+  toJourney(journey) {
+    let stageData = journey.stage_data;
+    if (typeof stageData === 'string') {
+      try {
+        stageData = JSON.parse(stageData || '{}');
+      } catch (error) {
+        stageData = {};
+      }
+    }
+    return { ...journey, stage_data: stageData || {} };
+  }
+
+  toJourneyEvent(event) {
+    let data = event.data;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data || '{}');
+      } catch (error) {
+        data = {};
+      }
+    }
+    return { ...event, data: data || {} };
+  }
+}
+
+SmartStartStorage.TABLES = SMARTSTART_TABLES;
+SmartStartStorage.MemoryStorage = MemoryStorage;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartStartStorage;
+} else {
+  window.SmartStartStorage = SmartStartStorage;
+}